@@ -0,0 +1,62 @@
+'use strict';
+    
+/**
+ * The main migration task
+ */
+async function migrate() {
+    let databases = await HashBrown.Service.DatabaseService.listDatabases();
+
+    for(let projectId of databases) {
+        debug.log(`Migrating project ${projectId}...`, HashBrown.Service.MigrationService);
+
+        debug.log('Migrating published content...', HashBrown.Service.MigrationService);
+        
+        await migratePublishedContent(projectId);
+    }
+}
+
+/**
+ * Gives content published before drafts were separated a published snapshot of its current state
+ *
+ * This migration is also run after restoring backups and importing archives, so content that already has a snapshot is left alone
+ *
+ * @param {String} projectId
+ */
+async function migratePublishedContent(projectId) {
+    checkParam(projectId, 'projectId', String, true);
+
+    let project = await HashBrown.Entity.Project.get(projectId);
+
+    if(!project) { return; }
+
+    for(let environment of await project.getEnvironments()) {
+        let contents = await HashBrown.Service.DatabaseService.find(
+            project.id,
+            environment + '.content',
+            {
+                isPublished: true
+            }
+        );
+
+        for(let content of contents) {
+            if(content.published) { continue; }
+
+            debug.log(`${content.id}`, HashBrown.Service.MigrationService);
+
+            content.published = JSON.parse(JSON.stringify({
+                schemaId: content.schemaId,
+                publishIn: content.publishIn || [],
+                properties: content.properties || {}
+            }));
+
+            await HashBrown.Service.DatabaseService.updateOne(
+                project.id,
+                environment + '.content',
+                { id: content.id },
+                { published: content.published }
+            );
+        }
+    }
+}
+
+module.exports = migrate;
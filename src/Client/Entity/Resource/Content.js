@@ -40,6 +40,131 @@ class Content extends require('Common/Entity/Resource/Content') {
 
         return await this.constructor.get(this.parentId);
     }
+
+    /**
+     * Gets the content referring to any of the given content
+     *
+     * @param {Array} ids
+     * @param {Boolean} includeDescendants
+     *
+     * @return {Array} Content as { id, name }
+     */
+    static async getInboundReferences(ids, includeDescendants = false) {
+        checkParam(ids, 'ids', Array, true);
+
+        return await HashBrown.Service.RequestService.request('get', 'content/usage', null, { ids: ids.join(','), removeChildren: includeDescendants }) || [];
+    }
+
+    /**
+     * Gets the content referring to this content
+     *
+     * @param {Boolean} includeDescendants
+     *
+     * @return {Array} Content as { id, name }
+     */
+    async getUsage(includeDescendants = false) {
+        return await HashBrown.Service.RequestService.request('get', `content/${this.id}/usage`, null, { removeChildren: includeDescendants }) || [];
+    }
+
+    /**
+     * Publishes the current draft
+     */
+    async publish() {
+        let data = await HashBrown.Service.RequestService.request('post', `content/${this.id}/publish`);
+
+        this.adopt(data);
+        
+        HashBrown.Service.EventService.trigger('resource', this.id);
+    }
+    
+    /**
+     * Unpublishes this content
+     */
+    async unpublish() {
+        let data = await HashBrown.Service.RequestService.request('post', `content/${this.id}/unpublish`);
+
+        this.adopt(data);
+        
+        HashBrown.Service.EventService.trigger('resource', this.id);
+    }
+    
+    /**
+     * Discards the draft, reverting to the published snapshot
+     */
+    async discardChanges() {
+        let data = await HashBrown.Service.RequestService.request('post', `content/${this.id}/discard`);
+
+        this.adopt(data);
+        
+        HashBrown.Service.EventService.trigger('resource', this.id);
+    }
+
+    /**
+     * Moves this content to another workflow state
+     *
+     * @param {String} state
+     * @param {String} comment
+     */
+    async transition(state, comment = '') {
+        checkParam(state, 'state', String, true);
+        checkParam(comment, 'comment', String);
+
+        let data = await HashBrown.Service.RequestService.request('post', `content/${this.id}/transition`, { state: state, comment: comment });
+
+        this.adopt(data);
+        
+        HashBrown.Service.EventService.trigger('resource', this.id);
+    }
+
+    /**
+     * Adds a reviewer comment
+     *
+     * @param {String} text
+     */
+    async addComment(text) {
+        checkParam(text, 'text', String, true);
+
+        this.comments = await HashBrown.Service.RequestService.request('post', `content/${this.id}/comments`, { text: text });
+    }
+
+    /**
+     * Gets all revisions, newest first
+     *
+     * @return {Array} Revisions
+     */
+    async getRevisions() {
+        return await HashBrown.Service.RequestService.request('get', `content/${this.id}/revisions`) || [];
+    }
+
+    /**
+     * Gets the field by field differences between two revisions
+     *
+     * @param {Number} from
+     * @param {Number} to
+     *
+     * @return {Array} Changes
+     */
+    async getRevisionDiff(from, to) {
+        checkParam(from, 'from', Number, true);
+        checkParam(to, 'to', Number);
+
+        return await HashBrown.Service.RequestService.request('get', `content/${this.id}/revisions/${from}/diff`, null, to ? { to: to } : null) || [];
+    }
+
+    /**
+     * Restores the state of a revision
+     *
+     * @param {Number} timestamp
+     */
+    async restoreRevision(timestamp) {
+        checkParam(timestamp, 'timestamp', Number, true);
+
+        let data = await HashBrown.Service.RequestService.request('post', `content/${this.id}/revisions/${timestamp}/restore`);
+
+        this.adopt(data);
+        
+        HashBrown.Service.EventService.trigger('resource', this.id);
+    }
 }
 
 module.exports = Content;
@@ -1,5 +1,7 @@
 'use strict';
 
+const UPLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+
 /**
  * The media class
  *
@@ -22,6 +24,24 @@ class Media extends require('Common/Entity/Resource/Media') {
         return deployer;
     }
     
+    /**
+     * Gets the content using each media item
+     *
+     * @return {Object} Arrays of content as { id, name } by media id, only including used media
+     */
+    static async getUsageMap() {
+        return await HashBrown.Service.RequestService.request('get', 'media/usage') || {};
+    }
+
+    /**
+     * Gets the content using this media
+     *
+     * @return {Array} Content as { id, name }
+     */
+    async getUsage() {
+        return await HashBrown.Service.RequestService.request('get', 'media/' + this.id + '/usage') || [];
+    }
+    
     /**
      * Gets the markup for diplaying this media entity
      *
@@ -106,6 +126,120 @@ class Media extends require('Common/Entity/Resource/Media') {
         return '';
     }
     
+    /**
+     * Gets the unfinished uploads in the current environment
+     *
+     * @return {Object} Uploads { id, filename } by file key
+     */
+    static getPendingUploads() {
+        let context = HashBrown.Client.context;
+
+        try {
+            return JSON.parse(localStorage.getItem(`media-uploads--${context.project.id}--${context.environment}`)) || {};
+
+        } catch(e) {
+            return {};
+
+        }
+    }
+
+    /**
+     * Sets the unfinished uploads in the current environment
+     *
+     * @param {Object} uploads
+     */
+    static setPendingUploads(uploads) {
+        checkParam(uploads, 'uploads', Object, true);
+
+        let context = HashBrown.Client.context;
+
+        localStorage.setItem(`media-uploads--${context.project.id}--${context.environment}`, JSON.stringify(uploads));
+    }
+
+    /**
+     * Uploads a file in chunks, resuming an unfinished upload of the same file if there is one
+     *
+     * @param {File} file
+     * @param {Object} options { folder, replaceId, onProgress }
+     *
+     * @return {Object} The created or replaced media
+     */
+    static async upload(file, options = {}) {
+        checkParam(file, 'file', File, true);
+        checkParam(options, 'options', Object, true);
+
+        let key = [ file.name, file.size, file.lastModified, options.replaceId || '' ].join(':');
+        let uploads = this.getPendingUploads();
+        let session = null;
+
+        if(uploads[key]) {
+            try {
+                session = await HashBrown.Service.RequestService.request('get', 'media/uploads/' + uploads[key].id);
+            
+            } catch(e) {
+                // The session expired or was finalised already
+                delete uploads[key];
+
+            }
+        }
+
+        if(!session) {
+            session = await HashBrown.Service.RequestService.request('post', 'media/uploads', {
+                filename: file.name,
+                size: file.size,
+                folder: options.folder || '/',
+                replaceId: options.replaceId || null
+            });
+
+            uploads[key] = { id: session.id, filename: file.name };
+        }
+
+        this.setPendingUploads(uploads);
+
+        let offset = session.offset;
+
+        while(offset < file.size) {
+            if(typeof options.onProgress === 'function') {
+                options.onProgress(offset / file.size);
+            }
+
+            try {
+                session = await HashBrown.Service.RequestService.customRequest(
+                    'put',
+                    HashBrown.Service.RequestService.environmentUrl('media/uploads/' + session.id, { offset: offset }),
+                    file.slice(offset, offset + UPLOAD_CHUNK_SIZE),
+                    { 'Content-Type': 'application/octet-stream' }
+                );
+
+                offset = session.offset;
+
+            } catch(e) {
+                // The server has a different amount of data than expected, so continue from there
+                if(e.code === 409 && e.details && Number.isInteger(e.details.offset)) {
+                    offset = e.details.offset;
+                    continue;
+                }
+
+                throw e;
+
+            }
+        }
+
+        let resource = await HashBrown.Service.RequestService.request('post', 'media/uploads/' + session.id + '/finalize');
+
+        uploads = this.getPendingUploads();
+
+        delete uploads[key];
+
+        this.setPendingUploads(uploads);
+        
+        if(typeof options.onProgress === 'function') {
+            options.onProgress(1);
+        }
+
+        return resource;
+    }
+    
     /**
      * Saves the current state of this entity
      *
@@ -113,6 +247,19 @@ class Media extends require('Common/Entity/Resource/Media') {
      */
     async save(options = {}) {
         let id = options.id || this.id;
+
+        // A new file is uploaded in chunks before the rest is saved
+        if(options.file) {
+            let resource = await this.constructor.upload(options.file, { replaceId: id });
+            
+            this.filename = resource.filename;
+            this.metadata = resource.metadata;
+
+            // The file is stored now, so it shouldn't be uploaded again on the next save
+            delete options.file;
+            delete options.filename;
+        }
+
         let data = this.getObject();
 
         // Parts of the options object are long base64 strings,
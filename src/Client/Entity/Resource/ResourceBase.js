@@ -112,9 +112,11 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
     
     /**
      * Removes this entity
+     *
+     * @param {Object} options
      */
-    async remove() {
-        await HashBrown.Service.RequestService.request('delete', this.library + '/' + this.id);
+    async remove(options = {}) {
+        await HashBrown.Service.RequestService.request('delete', this.library + '/' + this.id, null, options);
         
         // Cancel any editor instances displaying the deleted content
         if(location.hash == '#/' + this.library + '/' + this.id) {
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * The editor for the S3 deployer
+ *
+ * @memberof HashBrown.Client.Entity.View.DeployerEditor
+ */
+class S3DeployerEditor extends HashBrown.Entity.View.DeployerEditor.DeployerEditorBase {
+    static get alias() { return 's3'; }
+
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.customTemplate = require('template/deployerEditor/inc/s3DeployerEditor.js');
+    }
+
+    /**
+     * Event: Change endpoint
+     */
+    onChangeEndpoint(newValue) {
+        this.model.endpoint = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change region
+     */
+    onChangeRegion(newValue) {
+        this.model.region = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change bucket
+     */
+    onChangeBucket(newValue) {
+        this.model.bucket = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change prefix
+     */
+    onChangePrefix(newValue) {
+        this.model.prefix = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change access key id
+     */
+    onChangeAccessKeyId(newValue) {
+        this.model.accessKeyId = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change secret access key
+     */
+    onChangeSecretAccessKey(newValue) {
+        this.model.secretAccessKey = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change public URL
+     */
+    onChangePublicUrl(newValue) {
+        this.model.publicUrl = newValue;
+
+        this.trigger('change', this.model);
+    }
+}
+
+module.exports = S3DeployerEditor;
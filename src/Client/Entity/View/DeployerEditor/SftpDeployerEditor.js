@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * The editor for the SFTP deployer
+ *
+ * @memberof HashBrown.Client.Entity.View.DeployerEditor
+ */
+class SftpDeployerEditor extends HashBrown.Entity.View.DeployerEditor.DeployerEditorBase {
+    static get alias() { return 'sftp'; }
+
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.customTemplate = require('template/deployerEditor/inc/sftpDeployerEditor.js');
+    }
+
+    /**
+     * Event: Change host
+     */
+    onChangeHost(newValue) {
+        this.model.host = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change port
+     */
+    onChangePort(newValue) {
+        this.model.port = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change username
+     */
+    onChangeUsername(newValue) {
+        this.model.username = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change password
+     */
+    onChangePassword(newValue) {
+        this.model.password = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change private key
+     */
+    onChangePrivateKey(newValue) {
+        this.model.privateKey = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change passphrase
+     */
+    onChangePassphrase(newValue) {
+        this.model.passphrase = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change host fingerprint
+     */
+    onChangeHostFingerprint(newValue) {
+        this.model.hostFingerprint = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change root path
+     */
+    onChangeRootPath(newValue) {
+        this.model.rootPath = newValue;
+
+        this.trigger('change', this.model);
+    }
+
+    /**
+     * Event: Change public URL
+     */
+    onChangePublicUrl(newValue) {
+        this.model.publicUrl = newValue;
+
+        this.trigger('change', this.model);
+    }
+}
+
+module.exports = SftpDeployerEditor;
@@ -7,4 +7,6 @@ namespace('Entity.View.DeployerEditor')
     .add(require('./DeployerEditorBase.js'))
     .add(require('./ApiDeployerEditor.js'))
     .add(require('./FileSystemDeployerEditor.js'))
-    .add(require('./GitDeployerEditor.js'));
+    .add(require('./GitDeployerEditor.js'))
+    .add(require('./S3DeployerEditor.js'))
+    .add(require('./SftpDeployerEditor.js'));
@@ -90,12 +90,14 @@ class ArrayEditor extends HashBrown.Entity.View.Field.FieldBase {
                 let view = await HashBrown.Entity.View.Field.FieldBase.createFromSchemaId(
                     item.schemaId,
                     item.value,
-                    this.model.isDisabled
+                    this.model.isDisabled,
+                    this.state.translation ? { path: `${this.state.path}.${i}`, translation: this.state.translation } : {}
                 );
             
                 if(!view) { continue; }
 
                 view.state.isCollapsible = true;
+                view.state.validationErrors = HashBrown.Entity.View.Field.FieldBase.getValidationErrors(this.state.validationErrors, i.toString());
 
                 view.on('change', (newValue) => {
                     item.value = newValue;
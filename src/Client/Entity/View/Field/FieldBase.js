@@ -57,10 +57,11 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
      * @param {HashBrown.Entity.Resource.FieldSchema} schema
      * @param {*} value
      * @param {Boolean} isDisabled
+     * @param {Object} state
      *
      * @return {HashBrown.Entity.View.Field.FieldBase} Field
      */
-    static createFromSchema(schema, value, isDisabled = false) {
+    static createFromSchema(schema, value, isDisabled = false, state = {}) {
         checkParam(schema, 'schema', HashBrown.Entity.Resource.SchemaBase, true);
 
         let model = {
@@ -73,7 +74,8 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
         let type = HashBrown.Entity.View.Field[schema.editorId] || HashBrown.Entity.View.Field.FieldBase;
 
         return new type({
-            model: model
+            model: model,
+            state: state
         });
     }
 
@@ -83,17 +85,42 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
      * @param {String} schemaId
      * @param {*} value
      * @param {Boolean} isDisabled
+     * @param {Object} state
      *
      * @return {HashBrown.Entity.View.Field.FieldBase} Field
      */
-    static async createFromSchemaId(schemaId, value, isDisabled = false) {
+    static async createFromSchemaId(schemaId, value, isDisabled = false, state = {}) {
         checkParam(schemaId, 'schemaId', String, true);
         
         let schema = await HashBrown.Entity.Resource.FieldSchema.get(schemaId, { withParentFields: true });
     
         if(!schema) { return null; }
         
-        return this.createFromSchema(schema, value, isDisabled);
+        return this.createFromSchema(schema, value, isDisabled, state);
+    }
+
+    /**
+     * Gets the validation errors below a key, with paths relative to it
+     *
+     * @param {Array} errors
+     * @param {String} key
+     *
+     * @return {Array} Errors
+     */
+    static getValidationErrors(errors, key) {
+        checkParam(key, 'key', String, true);
+
+        let result = [];
+
+        for(let error of errors || []) {
+            let path = (error.path || '').split('.');
+
+            if(path.shift() !== key) { continue; }
+
+            result.push(Object.assign({}, error, { path: path.join('.') }));
+        }
+
+        return result;
     }
 
     /**
@@ -127,16 +154,57 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
                 this.model.value[HashBrown.Client.locale] = rawValue;
             }
 
-            this.state.value = this.model.value[HashBrown.Client.locale];
+            // Missing values are previewed from the fallback chain of the locale
+            let localized = HashBrown.Service.LocaleService.getLocalizedValue(this.model.value, HashBrown.Client.locale, this.context.project.settings.localeFallbacks);
+
+            this.state.inheritedFrom = localized.locale !== HashBrown.Client.locale ? localized.locale : null;
+
+            // Inherited values are copied, so that editing them doesn't change the fallback locale
+            this.state.value = this.state.inheritedFrom ? JSON.parse(JSON.stringify(localized.value)) : localized.value;
 
         } else {
             this.state.value = this.model.value;
 
         }
+
+        // Side by side translation
+        let translation = this.state.translation;
+
+        this.state.sourceField = null;
+        this.state.translationStatus = null;
+
+        if(this.model.isLocalized && translation && translation.sourceLocale && translation.sourceLocale !== HashBrown.Client.locale) {
+            let sourceValue = this.model.value[translation.sourceLocale];
+
+            this.state.sourceField = new this.constructor({
+                model: Object.assign({}, this.model, {
+                    isLocalized: false,
+                    isDisabled: true,
+                    value: sourceValue === undefined ? null : JSON.parse(JSON.stringify(sourceValue))
+                }),
+                state: {
+                    hideKey: true
+                }
+            });
+
+            this.state.translationStatus = translation.content.getTranslationStatus(this.state.path, HashBrown.Client.locale, this.model.value);
+        }
         
+        // Reveal fields with validation errors
+        if(this.state.validationErrors && this.state.validationErrors.length > 0) {
+            this.state.isCollapsed = false;
+        }
+
         // Update tools
         this.state.tools = await this.getTools();
 
+        if(this.state.sourceField && !this.model.isDisabled) {
+            this.state.tools = Object.assign({}, this.state.tools, {
+                copySource: { icon: 'clone', tooltip: 'Copy from source', handler: () => this.onClickCopySource() },
+                markTranslated: { icon: 'check', tooltip: 'Mark as translated', handler: () => this.onClickMarkTranslated() }
+            });
+        }
+
         // Update value label and icon
         this.state.label = await this.getValueLabel();
         this.state.icon = await this.getValueIcon();
@@ -174,6 +242,36 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
         // Expose include templates
         this.state.editorTemplate = this.editorTemplate;
         this.state.configTemplate = this.configTemplate;
+
+        // Validation messages for this field, nested fields show their own
+        this.state.validationMessages = [];
+
+        for(let error of this.state.validationErrors || []) {
+            if(error.path) { continue; }
+
+            if(error.locale && this.model.isLocalized && error.locale !== HashBrown.Client.locale) {
+                this.state.validationMessages.push(`${error.message} (${error.locale})`);
+            
+            } else {
+                this.state.validationMessages.push(error.message);
+
+            }
+        }
+    }
+
+    /**
+     * Sets validation errors returned by the server
+     *
+     * @param {Array} errors
+     */
+    setValidationErrors(errors) {
+        checkParam(errors, 'errors', Array, true);
+
+        if(errors.length < 1 && (!this.state.validationErrors || this.state.validationErrors.length < 1)) { return; }
+
+        this.state.validationErrors = errors;
+
+        this.update();
     }
 
     /**
@@ -239,6 +337,28 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
         this.update();
     }
     
+    /**
+     * Event: Click copy from source
+     */
+    onClickCopySource() {
+        let sourceValue = this.model.value[this.state.translation.sourceLocale];
+
+        this.onChange(sourceValue === undefined ? null : JSON.parse(JSON.stringify(sourceValue)));
+
+        this.update();
+    }
+
+    /**
+     * Event: Click mark as translated
+     */
+    onClickMarkTranslated() {
+        this.state.translation.content.setTranslated(this.state.path, HashBrown.Client.locale, this.state.translation.sourceLocale, this.model.value);
+
+        this.trigger('change', this.model.value);
+
+        this.update();
+    }
+
     /**
      * Event: Change value
      */
@@ -254,6 +374,8 @@ class FieldBase extends HashBrown.Entity.View.ViewBase {
 
                 this.model.value[HashBrown.Client.locale] = newValue;
 
+                this.state.inheritedFrom = null;
+
             } else {
                 this.model.value = newValue;
 
@@ -28,6 +28,19 @@ class NumberEditor extends HashBrown.Entity.View.Field.FieldBase {
 
         return await super.getValueLabel();
     }
+
+    /**
+     * Event: Change min. or max. value
+     *
+     * An empty input is stored as null, so it isn't mistaken for a bound of 0
+     */
+    onChangeBound(newValue, key) {
+        if(newValue === '' || newValue === null || isNaN(newValue)) {
+            newValue = null;
+        }
+
+        this.onChangeConfig(newValue, key);
+    }
 }
 
 module.exports = NumberEditor;
@@ -55,12 +55,14 @@ class StructEditor extends HashBrown.Entity.View.Field.FieldBase {
                 let view = await HashBrown.Entity.View.Field.FieldBase.createFromFieldDefinition(
                     definition,
                     this.state.value ? this.state.value[key] : null,
-                    {},
+                    this.state.translation ? { path: `${this.state.path}.${key}`, translation: this.state.translation } : {},
                     this.model.isDisabled
                 );
          
                 if(!view) { continue; }
 
+                view.state.validationErrors = HashBrown.Entity.View.Field.FieldBase.getValidationErrors(this.state.validationErrors, key);
+
                 view.on('change', (newValue) => {
                     if(!this.state.value) { this.state.value = {}; }
                     this.state.value[key] = newValue;
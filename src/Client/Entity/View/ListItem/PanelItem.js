@@ -104,6 +104,25 @@ class PanelItem extends HashBrown.Entity.View.ListItem.ListItemBase {
         this.clearDragOverDatasets();
     }
 
+    /**
+     * Event: Click name
+     *
+     * Clicking with the ctrl or cmd key adds the item to the selection, instead of opening it
+     *
+     * @param {InputEvent} e
+     */
+    onClickName(e) {
+        if(!this.model.isSelectable) { return; }
+
+        let isAdditive = e.ctrlKey || e.metaKey;
+
+        if(isAdditive) {
+            e.preventDefault();
+        }
+
+        this.trigger('select', this.model.id, isAdditive);
+    }
+
     /**
      * Event: Click expand
      */
@@ -164,6 +183,19 @@ class PanelItem extends HashBrown.Entity.View.ListItem.ListItemBase {
         }
     }
 
+    /**
+     * Marks this item as selected
+     *
+     * @param {Boolean} isSelected
+     */
+    setSelected(isSelected) {
+        if(this.state.isSelected === isSelected) { return; }
+
+        this.state.isSelected = isSelected;
+
+        this.render();
+    }
+
     /**
      * Expands ancestors
      */
@@ -111,6 +111,15 @@ class Project extends HashBrown.Entity.View.ListItem.ListItemBase {
         .on('change', () => { this.update(); });
     }
 
+    /**
+     * Event: Click export button
+     */
+    onClickExport() {
+        if(!this.context.user.isAdmin) { return; }
+
+        location = HashBrown.Service.RequestService.environmentUrl('projects/' + this.model.id + '/archive');
+    }
+
     /**
      * Event: Click add environment button
      */
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * The scheduled task list item as seen on the dashboard
+ *
+ * @memberof HashBrown.Client.Entity.View.ListItem
+ */
+class Task extends HashBrown.Entity.View.ListItem.ListItemBase {
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.template = require('template/listItem/task');
+    }
+
+    /**
+     * Gets whether this task is managed by something else, like the publishing dates of content or the backup policy of a project
+     *
+     * @return {Boolean} Is managed
+     */
+    get isManaged() {
+        return [ 'publish', 'unpublish', 'webhook' ].indexOf(this.model.type) > -1 || !!this.model.data && this.model.data.isPolicy === true;
+    }
+
+    /**
+     * Event: Click run now
+     */
+    async onClickRun() {
+        try {
+            await HashBrown.Service.RequestService.request('post', 'tasks/' + this.model.id + '/run');
+
+            this.trigger('change');
+
+        } catch(e) {
+            UI.error(e);
+
+        }
+    }
+
+    /**
+     * Event: Click edit
+     */
+    onClickEdit() {
+        if(this.isManaged) { return; }
+
+        HashBrown.Entity.View.Modal.CreateTask.new({
+            model: this.model,
+            state: {
+                types: this.state.types
+            }
+        })
+        .on('change', () => { this.trigger('change'); });
+    }
+
+    /**
+     * Event: Click remove
+     */
+    onClickRemove() {
+        UI.confirm(
+            'Remove job',
+            'Are you sure you want to remove this job?',
+            async () => {
+                try {
+                    await HashBrown.Service.RequestService.request('delete', 'tasks/' + this.model.id);
+
+                    this.remove();
+
+                } catch(e) {
+                    UI.error(e);
+
+                }
+            }
+        );
+    }
+}
+
+module.exports = Task;
@@ -7,4 +7,5 @@ namespace('Entity.View.ListItem')
     .add(require('./ListItemBase'))
     .add(require('./PanelItem'))
     .add(require('./Project'))
+    .add(require('./Task'))
     .add(require('./User'));
@@ -24,6 +24,40 @@ class CreateProject extends HashBrown.Entity.View.Modal.ModalBase {
         this.element.querySelector('input').focus();
     }
 
+    /**
+     * Event: Clicked import archive
+     */
+    onClickImport() {
+        this.state.name = 'importing';
+
+        this.render();
+    }
+
+    /**
+     * Event: Submitted archive
+     *
+     * @param {Array} files
+     */
+    async onSubmitArchive(files) {
+        try {
+            let result = await HashBrown.Service.RequestService.request('post', 'projects/import', { files: files, name: this.state.projectName, id: this.state.projectId });
+
+            this.trigger('change');
+
+            if(result.warnings && result.warnings.length > 0) {
+                this.setState('imported', { result: result });
+
+            } else {
+                this.close();
+
+            }
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
     /**
      * Event: Clicked create
      */
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * The modal for scheduling jobs, or editing the schedule of an existing one
+ *
+ * @memberof HashBrown.Client.Entity.View.Modal
+ */
+class CreateTask extends HashBrown.Entity.View.Modal.ModalBase {
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.template = require('template/modal/createTask');
+    }
+
+    /**
+     * Fetches the options
+     */
+    async fetch() {
+        if(!this.model) {
+            this.model = { type: '', project: '', environment: '', schedule: '', maxAttempts: 3, data: {} };
+        }
+
+        if(!this.state.types) {
+            this.state.types = await HashBrown.Service.RequestService.request('get', 'tasks/types');
+        }
+
+        this.state.typeOptions = {};
+
+        for(let type in this.state.types) {
+            this.state.typeOptions[this.state.types[type]] = type;
+        }
+
+        if(!this.model.type) {
+            this.model.type = Object.keys(this.state.types)[0] || '';
+        }
+
+        this.state.projectOptions = {};
+
+        for(let project of await HashBrown.Service.RequestService.request('get', 'projects')) {
+            this.state.projectOptions[project.settings && project.settings.name || project.id] = project.id;
+        }
+
+        this.state.environmentOptions = [];
+        this.state.publicationOptions = {};
+
+        if(!this.model.project) { return; }
+
+        this.state.environmentOptions = await HashBrown.Service.RequestService.request('get', 'projects/' + this.model.project + '/environments');
+
+        if(!this.model.environment) { return; }
+
+        let publications = await HashBrown.Service.RequestService.request('get', this.model.project + '/' + this.model.environment + '/publications');
+
+        for(let publication of publications) {
+            this.state.publicationOptions[publication.name || publication.id] = publication.id;
+        }
+    }
+
+    /**
+     * Event: Clicked save
+     */
+    async onClickSave() {
+        try {
+            let params = {
+                type: this.model.type,
+                project: this.model.project,
+                environment: this.model.environment,
+                schedule: this.model.schedule,
+                date: this.model.date,
+                maxAttempts: this.model.maxAttempts,
+                data: this.model.data
+            };
+
+            if(this.model.id) {
+                await HashBrown.Service.RequestService.request('post', 'tasks/' + this.model.id, params);
+
+            } else {
+                await HashBrown.Service.RequestService.request('post', 'tasks/new', params);
+
+            }
+
+            this.trigger('change');
+
+            this.close();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Changed type
+     */
+    onChangeType(type) {
+        this.model.type = type;
+    }
+
+    /**
+     * Event: Changed project
+     */
+    async onChangeProject(project) {
+        this.model.project = project || '';
+        this.model.environment = '';
+        this.model.data = {};
+
+        await this.update();
+    }
+
+    /**
+     * Event: Changed environment
+     */
+    async onChangeEnvironment(environment) {
+        this.model.environment = environment || '';
+        this.model.data = {};
+
+        await this.update();
+    }
+
+    /**
+     * Event: Changed publication
+     */
+    onChangePublication(publication) {
+        this.model.data = publication ? { publication: publication } : {};
+    }
+
+    /**
+     * Event: Input schedule
+     */
+    onInputSchedule(schedule) {
+        this.model.schedule = schedule;
+    }
+
+    /**
+     * Event: Input max attempts
+     */
+    onInputMaxAttempts(maxAttempts) {
+        this.model.maxAttempts = maxAttempts;
+    }
+}
+
+module.exports = CreateTask;
@@ -112,6 +112,15 @@ class EditField extends HashBrown.Entity.View.Modal.ModalBase {
         this.trigger('change', this.model.definition);
     }
 
+    /**
+     * Event: Change is required
+     */
+    onChangeIsRequired(newValue) {
+        this.model.definition.isRequired = newValue;
+
+        this.trigger('change', this.model.definition);
+    }
+
     /**
      * Event: Change config
      */
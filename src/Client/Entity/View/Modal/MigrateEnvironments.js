@@ -3,6 +3,8 @@
 /**
  * The modal for migrating resources between environments to projects
  *
+ * Either all resources are migrated, or selected resources are promoted along with their dependencies after a preview
+ *
  * @memberof HashBrown.Client.Entity.View.Modal
  */
 class MigrateEnvironments extends HashBrown.Entity.View.Modal.ModalBase {
@@ -21,10 +23,50 @@ class MigrateEnvironments extends HashBrown.Entity.View.Modal.ModalBase {
         }
 
         this.state.to = this.state.toOptions[0];
-        
+        this.state.mode = 'all';
+        this.state.selection = {};
+
         this.template = require('template/modal/migrateEnvironments');
     }
 
+    /**
+     * Fetches the resources that can be promoted
+     */
+    async fetch() {
+        if(this.state.mode !== 'select' || !this.state.from || !this.state.to) { return; }
+
+        this.state.candidates = await HashBrown.Service.RequestService.request('get', 'projects/' + this.model.id + '/promote', null, {
+            from: this.state.from,
+            to: this.state.to
+        });
+
+        // Forget selected resources that don't exist in the source environment anymore
+        for(let library in this.state.selection) {
+            let ids = (this.state.candidates[library] || []).map((candidate) => candidate.id);
+
+            this.state.selection[library] = this.state.selection[library].filter((id) => ids.indexOf(id) > -1);
+        }
+    }
+
+    /**
+     * Gets a short summary of a changed value
+     *
+     * @param {*} value
+     *
+     * @return {String} Summary
+     */
+    getValueSummary(value) {
+        if(value === null || value === undefined) { return '(empty)'; }
+
+        let summary = typeof value === 'string' ? value : JSON.stringify(value);
+
+        if(summary.length > 80) {
+            summary = summary.substring(0, 77) + '...';
+        }
+
+        return summary;
+    }
+
     /**
      * Event: Clicked migrate
      */
@@ -33,7 +75,7 @@ class MigrateEnvironments extends HashBrown.Entity.View.Modal.ModalBase {
             if(!this.state.from) {
                 throw new Error('Missing "from" environment');
             }
-            
+
             if(!this.state.to) {
                 throw new Error('Missing "to" environment');
             }
@@ -51,11 +93,124 @@ class MigrateEnvironments extends HashBrown.Entity.View.Modal.ModalBase {
         }
     }
 
+    /**
+     * Event: Clicked preview
+     */
+    async onClickPreview() {
+        try {
+            let plan = await HashBrown.Service.RequestService.request('post', 'projects/' + this.model.id + '/promote/preview', {
+                from: this.state.from,
+                to: this.state.to,
+                selection: this.state.selection
+            });
+
+            for(let item of plan.items) {
+                for(let change of item.changes) {
+                    change.before = this.getValueSummary(change.before);
+                    change.after = this.getValueSummary(change.after);
+                }
+            }
+
+            this.setState('preview', Object.assign(this.state, { plan: plan }));
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Clicked promote
+     */
+    async onClickPromote() {
+        try {
+            let promotion = await HashBrown.Service.RequestService.request('post', 'projects/' + this.model.id + '/promote', {
+                from: this.state.from,
+                to: this.state.to,
+                selection: this.state.selection
+            });
+
+            this.state.selection = {};
+
+            this.setState('promoted', Object.assign(this.state, { promotion: promotion }));
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Clicked history
+     */
+    async onClickHistory() {
+        try {
+            let promotions = await HashBrown.Service.RequestService.request('get', 'projects/' + this.model.id + '/promotions');
+
+            this.setState('history', Object.assign(this.state, { promotions: promotions }));
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Clicked back
+     */
+    async onClickBack() {
+        this.state.name = undefined;
+
+        await this.update();
+    }
+
+    /**
+     * Event: Clicked reset
+     *
+     * The environments and selection are kept, so the user can correct the selection after an error
+     */
+    async onClickReset() {
+        await this.onClickBack();
+    }
+
     /**
      * Event: Changed to environment
      */
-    onChangeTo(to) {
+    async onChangeTo(to) {
         this.state.to = to;
+
+        await this.update();
+    }
+
+    /**
+     * Event: Changed mode
+     */
+    async onChangeMode(mode) {
+        this.state.mode = mode;
+
+        await this.update();
+    }
+
+    /**
+     * Event: Changed whether a resource is selected
+     *
+     * @param {String} library
+     * @param {String} id
+     * @param {Boolean} isSelected
+     */
+    onChangeSelected(library, id, isSelected) {
+        let ids = this.state.selection[library] || [];
+        let index = ids.indexOf(id);
+
+        if(isSelected && index < 0) {
+            ids.push(id);
+
+        } else if(!isSelected && index > -1) {
+            ids.splice(index, 1);
+
+        }
+
+        this.state.selection[library] = ids;
     }
 }
 
@@ -56,6 +56,64 @@ class ProjectBackups extends HashBrown.Entity.View.Modal.ModalBase {
         }
     }
 
+    /**
+     * Event: Click schedule button
+     */
+    async onClickPolicy() {
+        if(!this.context.user.isAdmin) { return; }
+
+        try {
+            this.state.policy = await HashBrown.Service.RequestService.request('get', 'projects/' + this.model.id + '/backups/policy');
+            this.state.name = 'policy';
+
+            this.state.deployerEditor = HashBrown.Entity.View.DeployerEditor.DeployerEditorBase.new({ model: this.state.policy.deployer || {} });
+
+            this.state.deployerEditor.on('change', (newValue) => {
+                this.state.policy.deployer = newValue && newValue.alias ? newValue : null;
+            });
+
+            this.state.deployerEditor.on('changealias', () => {
+                this.render();
+            });
+
+            this.render();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Change a backup policy value
+     *
+     * @param {String} key
+     * @param {*} value
+     */
+    onChangePolicy(key, value) {
+        this.state.policy[key] = value;
+
+        if(key === 'frequency') {
+            this.render();
+        }
+    }
+
+    /**
+     * Event: Click save backup policy
+     */
+    async onClickSavePolicy() {
+        try {
+            await HashBrown.Service.RequestService.request('post', 'projects/' + this.model.id + '/backups/policy', this.state.policy);
+
+            this.trigger('change');
+            this.reset();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
     /**
      * Event: Click upload button
      */
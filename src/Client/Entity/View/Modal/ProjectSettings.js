@@ -1,5 +1,7 @@
 'use strict';
 
+const MAX_DELIVERIES = 5;
+
 /**
  * The project settings editor
  *
@@ -15,6 +17,85 @@ class ProjectSettings extends HashBrown.Entity.View.Modal.ModalBase {
         this.template = require('template/modal/projectSettings');
     }
 
+    /**
+     * Fetches the webhooks of all environments
+     */
+    async fetch() {
+        this.updateFallbackOptions();
+
+        let events = await HashBrown.Service.RequestService.customRequest('get', '/api/webhooks/events');
+
+        // Add wildcards like "content.*" before the events of each type
+        this.state.webhookEventOptions = [];
+
+        for(let event of events) {
+            let wildcard = event.split('.')[0] + '.*';
+
+            if(this.state.webhookEventOptions.indexOf(wildcard) < 0) {
+                this.state.webhookEventOptions.push(wildcard);
+            }
+
+            this.state.webhookEventOptions.push(event);
+        }
+
+        this.state.webhooks = {};
+        this.state.savedWebhooks = {};
+        this.state.deliveries = {};
+
+        for(let environment of this.model.environments) {
+            this.state.webhooks[environment] = await this.model.getEnvironmentSettings(environment, 'webhooks') || [];
+            this.state.savedWebhooks[environment] = JSON.stringify(this.state.webhooks[environment]);
+
+            let deliveries = await HashBrown.Service.RequestService.customRequest('get', `/api/${this.model.id}/${environment}/webhooks/deliveries`);
+
+            // Group the latest deliveries by webhook
+            for(let delivery of deliveries) {
+                let list = this.state.deliveries[delivery.webhook] = this.state.deliveries[delivery.webhook] || [];
+
+                if(list.length < MAX_DELIVERIES) {
+                    list.push(delivery);
+                }
+            }
+        }
+    }
+
+    /**
+     * Creates a random hex string
+     *
+     * @param {Number} length
+     *
+     * @return {String} Random string
+     */
+    createRandomHex(length) {
+        checkParam(length, 'length', Number, true);
+
+        return Array.from(crypto.getRandomValues(new Uint8Array(length)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Updates the locales each locale can fall back to
+     */
+    updateFallbackOptions() {
+        let locales = this.model.settings.locales;
+        let fallbacks = this.model.settings.localeFallbacks || {};
+
+        this.state.fallbackOptions = {};
+        this.state.fallbackChains = {};
+
+        for(let locale of locales) {
+            let options = {};
+
+            for(let fallback of locales) {
+                if(fallback === locale) { continue; }
+
+                options[HashBrown.Service.LocaleService.getLocaleName(fallback)] = fallback;
+            }
+
+            this.state.fallbackOptions[locale] = options;
+            this.state.fallbackChains[locale] = [ locale ].concat(HashBrown.Service.LocaleService.getFallbackChain(locale, fallbacks)).join(' → ');
+        }
+    }
+
     /**
      * Event: Change name
      */
@@ -27,6 +108,39 @@ class ProjectSettings extends HashBrown.Entity.View.Modal.ModalBase {
      */
     onChangeLocales(locales) {
         this.model.settings.locales = locales;
+
+        // Fallbacks can only point between the locales of the project
+        let fallbacks = this.model.settings.localeFallbacks || {};
+
+        for(let locale in fallbacks) {
+            if(locales.indexOf(locale) > -1 && locales.indexOf(fallbacks[locale]) > -1) { continue; }
+
+            delete fallbacks[locale];
+        }
+
+        this.updateFallbackOptions();
+        this.renderPartial('fallbacks');
+    }
+
+    /**
+     * Event: Change the fallback of a locale
+     *
+     * @param {String} locale
+     * @param {String} fallback
+     */
+    onChangeLocaleFallback(locale, fallback) {
+        this.model.settings.localeFallbacks = this.model.settings.localeFallbacks || {};
+
+        if(fallback) {
+            this.model.settings.localeFallbacks[locale] = fallback;
+
+        } else {
+            delete this.model.settings.localeFallbacks[locale];
+
+        }
+
+        this.updateFallbackOptions();
+        this.renderPartial('fallbacks');
     }
 
     /**
@@ -57,6 +171,111 @@ class ProjectSettings extends HashBrown.Entity.View.Modal.ModalBase {
         this.model.settings.sync.token = newToken;
     }
    
+    /**
+     * Event: Toggle workflow on/off
+     */
+    onToggleWorkflow(isEnabled) {
+        this.model.settings.workflow = this.model.settings.workflow || {};
+        this.model.settings.workflow.enabled = isEnabled;
+    }
+   
+    /**
+     * Event: Click add webhook
+     *
+     * @param {String} environment
+     */
+    onClickAddWebhook(environment) {
+        this.state.webhooks[environment].push({
+            id: this.createRandomHex(8),
+            url: '',
+            secret: this.createRandomHex(16),
+            events: [],
+            isEnabled: true
+        });
+
+        this.renderPartial('webhooks');
+    }
+
+    /**
+     * Event: Click remove webhook
+     *
+     * @param {String} environment
+     * @param {Object} webhook
+     */
+    onClickRemoveWebhook(environment, webhook) {
+        let webhooks = this.state.webhooks[environment];
+
+        webhooks.splice(webhooks.indexOf(webhook), 1);
+
+        this.renderPartial('webhooks');
+    }
+
+    /**
+     * Event: Click send test to webhook
+     *
+     * @param {String} environment
+     * @param {Object} webhook
+     */
+    async onClickTestWebhook(environment, webhook) {
+        try {
+            let delivery = await HashBrown.Service.RequestService.customRequest('post', `/api/${this.model.id}/${environment}/webhooks/test`, webhook);
+
+            this.state.deliveries[webhook.id] = [ delivery ].concat(this.state.deliveries[webhook.id] || []).slice(0, MAX_DELIVERIES);
+
+            this.renderPartial('webhooks');
+
+            if(!delivery.isSuccess) {
+                throw new Error(`The test event could not be delivered: ${delivery.error}`);
+            }
+
+            UI.notifySmall(`Test event delivered to ${webhook.url}`, null, 3);
+
+        } catch(e) {
+            UI.error(e);
+
+        }
+    }
+
+    /**
+     * Event: Change webhook URL
+     *
+     * @param {Object} webhook
+     * @param {String} url
+     */
+    onChangeWebhookUrl(webhook, url) {
+        webhook.url = url;
+    }
+
+    /**
+     * Event: Change webhook secret
+     *
+     * @param {Object} webhook
+     * @param {String} secret
+     */
+    onChangeWebhookSecret(webhook, secret) {
+        webhook.secret = secret;
+    }
+
+    /**
+     * Event: Change webhook events
+     *
+     * @param {Object} webhook
+     * @param {Array} events
+     */
+    onChangeWebhookEvents(webhook, events) {
+        webhook.events = events || [];
+    }
+
+    /**
+     * Event: Toggle webhook on/off
+     *
+     * @param {Object} webhook
+     * @param {Boolean} isEnabled
+     */
+    onToggleWebhook(webhook, isEnabled) {
+        webhook.isEnabled = isEnabled;
+    }
+
     /**
      * Event: Click remote login
      */
@@ -108,6 +327,12 @@ class ProjectSettings extends HashBrown.Entity.View.Modal.ModalBase {
     async onClickSave() {
         try {
             await this.model.save();
+
+            for(let environment in this.state.webhooks) {
+                if(JSON.stringify(this.state.webhooks[environment]) === this.state.savedWebhooks[environment]) { continue; }
+
+                await this.model.setEnvironmentSettings(environment, { webhooks: this.state.webhooks[environment] });
+            }
             
             this.close();
 
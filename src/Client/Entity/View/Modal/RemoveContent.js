@@ -1,7 +1,9 @@
 'use strict';
 
 /**
- * The modal for removing content
+ * The modal for removing content, either a single item or many selected ones
+ *
+ * If other content refers to the content being removed, the user chooses whether to keep, clear or replace those references
  *
  * @memberof HashBrown.Client.Entity.View.Modal
  */
@@ -19,36 +21,110 @@ class RemoveContent extends HashBrown.Entity.View.Modal.ModalBase {
      * Fetches the view data
      */
     async fetch() {
-        if(!this.model.contentId) { throw new Error('Missing content id'); }
+        this.state.ids = this.model.contentIds || (this.model.contentId ? [ this.model.contentId ] : []);
+
+        if(this.state.ids.length < 1) { throw new Error('Missing content id'); }
+
+        if(this.state.ids.length > 1) {
+            this.state.title = `${this.state.ids.length} content items`;
+
+        } else {
+            let content = await HashBrown.Entity.Resource.Content.get(this.state.ids[0]);
+
+            this.state.title = content.prop('title', HashBrown.Client.locale) || content.id;
+
+        }
+
+        this.state.usage = await HashBrown.Entity.Resource.Content.getInboundReferences(this.state.ids, this.state.deleteChildren || false);
+        this.state.references = this.state.references || 'keep';
+        this.state.contentOptions = {};
+
+        for(let content of await HashBrown.Entity.Resource.Content.list()) {
+            if(this.state.ids.indexOf(content.id) > -1) { continue; }
 
-        this.state.content = await HashBrown.Entity.Resource.Content.get(this.model.contentId);
-        this.state.title = this.state.content.prop('title', HashBrown.Client.locale) || this.state.content.id;
+            this.state.contentOptions[content.getName()] = content.id;
+        }
     }
 
     /**
-     * Event: Selected schema
+     * Event: Toggled removing child content
      *
-     * @param {String} schemaId
+     * @param {Boolean} newValue
      */
     async onChangeDeleteChildren(newValue) {
         this.state.deleteChildren = newValue;
+
+        // References to the children matter too when they are removed
+        this.state.usage = await HashBrown.Entity.Resource.Content.getInboundReferences(this.state.ids, newValue);
+
+        this.renderPartial('references');
+    }
+
+    /**
+     * Event: Changed what to do with references
+     *
+     * @param {String} newValue
+     */
+    onChangeReferences(newValue) {
+        this.state.references = newValue;
+
+        this.renderPartial('references');
+    }
+
+    /**
+     * Event: Changed replacement content
+     *
+     * @param {String} newValue
+     */
+    onChangeReplaceId(newValue) {
+        this.state.replaceId = newValue;
     }
 
     /**
      * Event: Click delete
      */
     async onClickDelete() {
-        this.trigger('delete');
+        let query = {
+            removeChildren: this.state.deleteChildren || false
+        };
 
-        await HashBrown.Service.RequestService.request('delete', 'content/' + this.model.contentId + '?removeChildren=' + (this.state.deleteChildren || false));
+        if(this.state.usage.length > 0) {
+            if(this.state.references === 'replace' && !this.state.replaceId) {
+                return UI.notify('Remove content', 'Please pick the content to refer to instead');
+            }
 
-        HashBrown.Service.EventService.trigger('resource', this.model.contentId);  
+            query.references = this.state.references;
 
-        if(location.hash.indexOf(this.model.contentId) > -1) {
-            location.hash = '/content/'
+            if(this.state.references === 'replace') {
+                query.replaceId = this.state.replaceId;
+            }
         }
 
-        this.close();
+        try {
+            if(this.state.ids.length > 1) {
+                await HashBrown.Service.RequestService.request('post', 'content/bulk', Object.assign({ action: 'remove', ids: this.state.ids }, query));
+
+            } else {
+                await HashBrown.Service.RequestService.request('delete', 'content/' + this.state.ids[0], null, query);
+
+            }
+
+            this.trigger('delete');
+
+            HashBrown.Service.EventService.trigger('resource', this.state.ids[0]);  
+
+            for(let id of this.state.ids) {
+                if(location.hash.indexOf(id) < 0) { continue; }
+
+                location.hash = '/content/';
+            }
+
+            this.close();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
     }
 }
 
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * The modal for showing which resources are ahead of, behind or in conflict with the remote, and resolving them
+ *
+ * @memberof HashBrown.Client.Entity.View.Modal
+ */
+class SyncStatus extends HashBrown.Entity.View.Modal.ModalBase {
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.state.choices = {};
+
+        this.template = require('template/modal/syncStatus');
+    }
+
+    /**
+     * Fetches the sync status, or the differences of a single resource
+     */
+    async fetch() {
+        if(this.state.library && this.state.id) {
+            this.state.conflict = await HashBrown.Service.RequestService.request('get', `sync/${this.state.library}/${this.state.id}`);
+
+            for(let field of this.state.conflict.fields) {
+                field.localSummary = this.getValueSummary(field.local);
+                field.remoteSummary = this.getValueSummary(field.remote);
+
+                // Fields that only changed remotely default to the remote value
+                if(!this.state.choices[field.path]) {
+                    this.state.choices[field.path] = field.isRemoteChanged && !field.isLocalChanged ? 'remote' : 'local';
+                }
+            }
+
+        } else {
+            this.state.status = await HashBrown.Service.RequestService.request('get', 'sync');
+
+        }
+    }
+
+    /**
+     * Gets a short summary of a value
+     *
+     * @param {*} value
+     *
+     * @return {String} Summary
+     */
+    getValueSummary(value) {
+        if(value === null || value === undefined) { return '(empty)'; }
+
+        let summary = typeof value === 'string' ? value : JSON.stringify(value);
+
+        if(summary.length > 80) {
+            summary = summary.substring(0, 77) + '...';
+        }
+
+        return summary;
+    }
+
+    /**
+     * Resolves a resource
+     *
+     * @param {String} library
+     * @param {String} id
+     * @param {String} resolution
+     * @param {Object} fields
+     */
+    async resolve(library, id, resolution, fields = {}) {
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+        checkParam(resolution, 'resolution', String, true);
+        checkParam(fields, 'fields', Object, true);
+
+        await HashBrown.Service.RequestService.request('post', `sync/${library}/${id}`, {
+            resolution: resolution,
+            fields: fields
+        });
+
+        HashBrown.Service.EventService.trigger('resource', id);
+    }
+
+    /**
+     * Resolves all resources with a status
+     *
+     * @param {String} status
+     * @param {String} resolution
+     */
+    async resolveAll(status, resolution) {
+        checkParam(status, 'status', String, true);
+        checkParam(resolution, 'resolution', String, true);
+
+        this.state.warnings = [];
+
+        for(let item of this.state.status.items) {
+            if(item.status !== status) { continue; }
+
+            try {
+                await this.resolve(item.library, item.id, resolution);
+
+            } catch(e) {
+                this.state.warnings.push(`${item.name}: ${e.message}`);
+
+            }
+        }
+
+        await this.update();
+    }
+
+    /**
+     * Event: Clicked push all
+     */
+    async onClickPushAll() {
+        await this.resolveAll('ahead', 'local');
+    }
+
+    /**
+     * Event: Clicked pull all
+     */
+    async onClickPullAll() {
+        await this.resolveAll('behind', 'remote');
+    }
+
+    /**
+     * Event: Clicked refresh
+     */
+    async onClickRefresh() {
+        this.state.warnings = [];
+
+        await this.update();
+    }
+
+    /**
+     * Event: Clicked an item
+     *
+     * @param {Object} item
+     */
+    async onClickItem(item) {
+        this.state.library = item.library;
+        this.state.id = item.id;
+        this.state.choices = {};
+        this.state.warnings = [];
+
+        await this.update();
+    }
+
+    /**
+     * Event: Clicked push or pull on an item
+     *
+     * @param {Object} item
+     * @param {String} resolution
+     */
+    async onClickResolveItem(item, resolution) {
+        try {
+            await this.resolve(item.library, item.id, resolution);
+
+            await this.onClickRefresh();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Changed which end to keep for a field
+     *
+     * @param {String} path
+     * @param {String} end
+     */
+    onChangeChoice(path, end) {
+        this.state.choices[path] = end;
+    }
+
+    /**
+     * Event: Clicked keep local, keep remote or merge
+     *
+     * @param {String} resolution
+     */
+    async onClickResolve(resolution) {
+        try {
+            await this.resolve(this.state.library, this.state.id, resolution, resolution === 'merge' ? this.state.choices : {});
+
+            await this.onClickBack();
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+
+    /**
+     * Event: Clicked back
+     */
+    async onClickBack() {
+        this.state.name = undefined;
+        this.state.library = null;
+        this.state.id = null;
+        this.state.conflict = null;
+        this.state.warnings = [];
+
+        await this.update();
+    }
+
+    /**
+     * Event: Clicked reset
+     */
+    async onClickReset() {
+        this.state.name = undefined;
+
+        await this.update();
+    }
+}
+
+module.exports = SyncStatus;
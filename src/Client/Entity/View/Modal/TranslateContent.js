@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * The modal for exporting content for translation as XLIFF, and importing the translated files
+ *
+ * @memberof HashBrown.Client.Entity.View.Modal
+ */
+class TranslateContent extends HashBrown.Entity.View.Modal.ModalBase {
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.template = require('template/modal/translateContent');
+    }
+
+    /**
+     * Fetches the locale options
+     */
+    async fetch() {
+        let locales = this.context.project.settings.locales || [];
+
+        this.state.sourceLocale = locales[0];
+        this.state.localeOptions = {};
+
+        for(let locale of locales.slice(1)) {
+            this.state.localeOptions[HashBrown.Service.LocaleService.getLocaleName(locale)] = locale;
+        }
+
+        if(!this.state.locale) {
+            this.state.locale = locales.indexOf(HashBrown.Client.locale) > 0 ? HashBrown.Client.locale : locales[1];
+        }
+    }
+
+    /**
+     * Event: Changed target locale
+     */
+    onChangeLocale(locale) {
+        this.state.locale = locale;
+    }
+
+    /**
+     * Event: Clicked export
+     */
+    onClickExport() {
+        location = HashBrown.Service.RequestService.environmentUrl('content/' + this.model.contentId + '/xliff', { locale: this.state.locale });
+
+        this.close();
+    }
+
+    /**
+     * Event: Submitted translated file
+     *
+     * @param {Array} files
+     */
+    async onSubmitFile(files) {
+        try {
+            let result = await HashBrown.Service.RequestService.request('post', 'content/xliff', { files: files });
+
+            this.setState('imported', { result: result });
+
+            HashBrown.Service.EventService.trigger('resource');
+
+        } catch(e) {
+            this.setErrorState(e);
+
+        }
+    }
+}
+
+module.exports = TranslateContent;
@@ -13,6 +13,8 @@ class UploadMedia extends HashBrown.Entity.View.Modal.ModalBase {
         super(params);
 
         this.template = require('template/modal/uploadMedia');
+        
+        this.state.pending = Object.values(HashBrown.Entity.Resource.Media.getPendingUploads()).map((upload) => upload.filename);
     }
 
     /**
@@ -44,29 +46,29 @@ class UploadMedia extends HashBrown.Entity.View.Modal.ModalBase {
     async onSubmit(files) {
         this.setLoading(true);
 
-        let apiPath = 'media/' + (this.model.replaceId ? this.model.replaceId : 'new');
-
         let resources = [];
         let errors = 0;
         
         for(let i in files) {
             let file = files[i];
             let element = this.namedElements.previews.children[i];
+            let progress = element ? element.querySelector('.modal--upload-media__preview__progress') : null;
        
             if(element) {
                 element.dataset.state = 'uploading';
+                element.removeAttribute('title');
             }
 
             try {
-                let resource = await HashBrown.Service.RequestService.request(
-                    'post',
-                    apiPath,
-                    {
-                        folder: this.model.folder,
-                        filename: file.filename,
-                        full: file.base64
+                let resource = await HashBrown.Entity.Resource.Media.upload(file, {
+                    folder: this.model.folder,
+                    replaceId: this.model.replaceId,
+                    onProgress: (value) => {
+                        if(!progress) { return; }
+
+                        progress.style.width = `${Math.round(value * 100)}%`;
                     }
-                );
+                });
                 
                 element.dataset.state = 'success';
 
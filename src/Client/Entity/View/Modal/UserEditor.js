@@ -31,6 +31,25 @@ class UserEditor extends HashBrown.Entity.View.Modal.ModalBase {
         this.model = await HashBrown.Entity.User.get(this.modelId);
         this.state.projects = await HashBrown.Entity.Project.list();
         this.state.localeOptions = {};
+        this.state.scopeOptions = {};
+
+        for(let project of this.state.projects) {
+            let options = {
+                'Publications': 'publications',
+                'Schemas': 'schemas'
+            };
+
+            // Include scopes required by workflow states
+            let workflow = await project.getWorkflow();
+
+            for(let state of workflow ? workflow.states : []) {
+                if(!state.scope || Object.values(options).indexOf(state.scope) > -1) { continue; }
+
+                options[state.scope[0].toUpperCase() + state.scope.substring(1)] = state.scope;
+            }
+
+            this.state.scopeOptions[project.id] = options;
+        }
 
         for(let locale of this.context.locales) {
             let name = HashBrown.Service.LocaleService.getLocaleName(locale);
@@ -10,6 +10,7 @@ namespace('Entity.View.Modal')
     .add(require('./AddEnvironment'))
     .add(require('./CreateContent'))
     .add(require('./CreateProject'))
+    .add(require('./CreateTask'))
     .add(require('./CreateUser'))
     .add(require('./DeleteProject'))
     .add(require('./EditField'))
@@ -23,5 +24,7 @@ namespace('Entity.View.Modal')
     .add(require('./Prompt'))
     .add(require('./RemoveContent'))
     .add(require('./Rename'))
+    .add(require('./SyncStatus'))
+    .add(require('./TranslateContent'))
     .add(require('./UploadMedia'))
     .add(require('./UserEditor'));
@@ -22,6 +22,7 @@ class Session extends HashBrown.Entity.View.Navigation.NavigationBase {
         let allLocaleOptions = HashBrown.Service.LocaleService.getLocaleOptions(true);
 
         this.state.isDashboard = !this.context.project;
+        this.state.isSyncEnabled = !!(this.context.project && this.context.project.settings.sync && this.context.project.settings.sync.enabled);
         this.state.localeOptions = {};
         
         if(this.context.project) {
@@ -53,6 +54,13 @@ class Session extends HashBrown.Entity.View.Navigation.NavigationBase {
         HashBrown.Entity.View.Modal.UserEditor.new({ modelId: this.context.user.id });
     }
 
+    /**
+     * Event: Clicked sync status
+     */
+    onClickSyncStatus() {
+        HashBrown.Entity.View.Modal.SyncStatus.new();
+    }
+
     /**
      * Event: Clicked log out
      */
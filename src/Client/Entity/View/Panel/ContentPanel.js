@@ -6,11 +6,14 @@
  * @memberof HashBrown.Client.Entity.View.Panel
  */
 class ContentPanel extends HashBrown.Entity.View.Panel.PanelBase {
+    get isSelectable() { return true; }
+
     /**
      * Fetches the models
      */
     async fetch() {
         this.state.icons = await HashBrown.Service.RequestService.request('get', 'schemas/icons');
+        this.state.translations = await HashBrown.Service.RequestService.request('get', 'content/translations');
 
         await super.fetch();
     }
@@ -49,6 +52,150 @@ class ContentPanel extends HashBrown.Entity.View.Panel.PanelBase {
         });
     }
    
+    /**
+     * Event: Click duplicate
+     *
+     * @param {String} id
+     */
+    async onClickDuplicate(id) {
+        checkParam(id, 'id', String, true);
+
+        try {
+            let copy = await HashBrown.Service.RequestService.request('post', `content/${id}/duplicate`);
+
+            HashBrown.Service.EventService.trigger('resource', copy.id);
+
+            location.hash = '/content/' + copy.id;
+
+        } catch(e) {
+            UI.error(e);
+
+        }
+    }
+
+    /**
+     * Event: Click move
+     *
+     * @param {String} id
+     */
+    async onClickMove(id) {
+        checkParam(id, 'id', String, true);
+
+        let contents = await HashBrown.Entity.Resource.Content.list();
+        let excludeIds = [ id ];
+        let options = { '(root)': '' };
+
+        // Content can't be moved into itself or its descendants
+        for(let i = 0; i < excludeIds.length; i++) {
+            for(let content of contents) {
+                if(content.parentId !== excludeIds[i]) { continue; }
+
+                excludeIds.push(content.id);
+            }
+        }
+
+        for(let content of contents) {
+            if(excludeIds.indexOf(content.id) > -1) { continue; }
+
+            options[content.getName()] = content.id;
+        }
+
+        let modal = HashBrown.Entity.View.Modal.Prompt.new({
+            model: {
+                heading: 'Move to...',
+                message: 'Parent',
+                widget: 'popup',
+                options: options,
+                value: ''
+            }
+        });
+
+        modal.on('ok', async (parentId) => {
+            try {
+                await HashBrown.Service.RequestService.request('post', `content/${id}/move`, null, { parentId: parentId || '' });
+
+                HashBrown.Service.EventService.trigger('resource', id);
+
+            } catch(e) {
+                UI.error(e);
+
+            }
+        });
+    }
+
+    /**
+     * Event: Click bulk action
+     *
+     * @param {String} action "publish", "unpublish" or "remove"
+     * @param {Array} ids
+     */
+    async onClickBulk(action, ids) {
+        checkParam(action, 'action', String, true);
+        checkParam(ids, 'ids', Array, true);
+
+        if(action === 'remove') {
+            let modal = HashBrown.Entity.View.Modal.RemoveContent.new({
+                model: {
+                    contentIds: ids
+                }
+            });
+
+            modal.on('delete', () => {
+                this.onClickClearSelection();
+            });
+
+            return;
+        }
+
+        for(let id of ids) {
+            if(!this.state.itemMap[id]) { continue; }
+
+            this.state.itemMap[id].element.classList.toggle('loading', true);
+        }
+
+        try {
+            let result = await HashBrown.Service.RequestService.request('post', 'content/bulk', { action: action, ids: ids });
+
+            if(result.failed.length > 0) {
+                UI.notify(
+                    'Some content could not be changed',
+                    result.failed.map((item) => `${this.state.itemMap[item.id] ? this.state.itemMap[item.id].model.name : item.id}: ${item.message}`).join(', ')
+                );
+            }
+
+        } catch(e) {
+            UI.error(e);
+
+        }
+
+        this.onClickClearSelection();
+
+        HashBrown.Service.EventService.trigger('resource');
+    }
+
+    /**
+     * Event: Click translate
+     *
+     * @param {String} id
+     */
+    onClickTranslate(id) {
+        checkParam(id, 'id', String, true);
+
+        HashBrown.Entity.View.Modal.TranslateContent.new({
+            model: {
+                contentId: id,
+                name: this.state.itemMap[id] ? this.state.itemMap[id].model.name : id
+            }
+        });
+    }
+
+    /**
+     * Event: Click import translations
+     */
+    onClickImportTranslations() {
+        HashBrown.Entity.View.Modal.TranslateContent.new();
+    }
+
     /**
      * Event: Drop item
      *
@@ -82,6 +229,60 @@ class ContentPanel extends HashBrown.Entity.View.Panel.PanelBase {
         }
     }
     
+    /**
+     * Gets available filtering options
+     *
+     * @return {Object} Options
+     */
+    getFilteringOptions() {
+        if(this.context.project.settings.locales.length < 2) { return {}; }
+
+        return {
+            'All': '',
+            'Not fully translated': 'untranslated'
+        };
+    }
+
+    /**
+     * Checks whether a resource matches a filtering method
+     *
+     * @param {HashBrown.Entity.Resource.Content} resource
+     * @param {String} method
+     *
+     * @return {Boolean} Is match
+     */
+    filterResource(resource, method) {
+        switch(method) {
+            case 'untranslated':
+                let completion = this.getCompletion(resource.id);
+
+                return !!completion && completion.missing > 0;
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets the translation completion of a content resource in the current locale
+     *
+     * @param {String} id
+     *
+     * @return {Object} Completion { missing, label, title }, or null if there is nothing to translate
+     */
+    getCompletion(id) {
+        let entry = (this.state.translations || {})[id];
+        let locales = this.context.project.settings.locales;
+        let locale = locales.indexOf(HashBrown.Client.locale) > 0 ? HashBrown.Client.locale : null;
+
+        if(!entry || !locale) { return null; }
+
+        return {
+            missing: entry.total - entry.translated[locale],
+            label: Math.floor(entry.translated[locale] / entry.total * 100) + '%',
+            title: locales.slice(1).map((locale) => `${locale}: ${entry.translated[locale]} of ${entry.total} fields translated`).join('\n')
+        };
+    }
+
     /**
      * Gets the basic options for a resource
      *
@@ -96,6 +297,41 @@ class ContentPanel extends HashBrown.Entity.View.Panel.PanelBase {
 
         options['New child'] = () => this.onClickNew(resource.id);
 
+        if(!resource.isLocked) {
+            options['Duplicate'] = () => this.onClickDuplicate(resource.id);
+            options['Move to...'] = () => this.onClickMove(resource.id);
+        }
+
+        if(this.context.project.settings.locales.length > 1) {
+            options['Translate...'] = () => this.onClickTranslate(resource.id);
+        }
+
+        return options;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    getPanelOptions() {
+        let options = super.getPanelOptions();
+
+        if(this.context.project.settings.locales.length > 1) {
+            options['Import translations'] = () => this.onClickImportTranslations();
+        }
+
+        return options;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    getSelectionOptions(ids) {
+        let options = super.getSelectionOptions(ids);
+
+        options['Publish'] = () => this.onClickBulk('publish', ids);
+        options['Unpublish'] = () => this.onClickBulk('unpublish', ids);
+        options['Remove'] = () => this.onClickBulk('remove', ids);
+
         return options;
     }
     
@@ -119,6 +355,13 @@ class ContentPanel extends HashBrown.Entity.View.Panel.PanelBase {
         item.isSortable = true;
         item.isDropContainer = true;
 
+        // Only show completion for content that isn't fully translated
+        let completion = this.getCompletion(resource.id);
+
+        if(completion && completion.missing > 0) {
+            item.completion = completion;
+        }
+
         return item;
     }
 }
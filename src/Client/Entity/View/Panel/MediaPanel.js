@@ -38,6 +38,45 @@ class MediaPanel extends HashBrown.Entity.View.Panel.PanelBase {
         });
     }
 
+    /**
+     * Event: Click remove
+     *
+     * @param {String} id
+     */
+    async onClickRemove(id) {
+        checkParam(id, 'id', String, true);
+
+        let media = await HashBrown.Entity.Resource.Media.get(id);
+        let usage = await media.getUsage();
+        let message = 'Are you sure you want to remove this item?';
+
+        if(usage.length > 0) {
+            message = `"${media.getName()}" is used by ${usage.map((content) => content.name).join(', ')}. Removing it will break these references. Are you sure you want to remove it?`;
+        }
+
+        let modal = UI.confirm(
+            'Remove item',
+            message,
+            async () => {
+                if(this.state.itemMap[id]) {
+                    this.state.itemMap[id].element.classList.toggle('loading', true);
+                }
+
+                try {
+                    await media.remove({ force: usage.length > 0 });
+                
+                } catch(e) {
+                    modal.setErrorState(e);
+
+                }
+                
+                if(this.state.itemMap[id]) {
+                    this.state.itemMap[id].element.classList.toggle('loading', false);
+                }
+            }
+        );
+    }
+
     /**
      * Event Click rename folder
      *
@@ -111,6 +150,18 @@ class MediaPanel extends HashBrown.Entity.View.Panel.PanelBase {
         }
     }
 
+    /**
+     * Fetches the models
+     */
+    async fetch() {
+        // Finding unused media requires knowing where all media is used
+        if(this.state.filteringMethod === 'unused') {
+            this.state.usage = await HashBrown.Entity.Resource.Media.getUsageMap();
+        }
+
+        await super.fetch();
+    }
+
     /**
      * Gets a panel item from a resource
      *
@@ -126,6 +177,14 @@ class MediaPanel extends HashBrown.Entity.View.Panel.PanelBase {
         item.parentId = resource.folder;   
         item.isRemote = true;
         item.isDraggable = true;
+        
+        // Sortable metadata
+        let metadata = resource.metadata || {};
+
+        item.size = metadata.size || 0;
+        item.pixels = (metadata.width || 0) * (metadata.height || 0);
+        item.duration = metadata.duration || 0;
+        item.taken = metadata.dateTaken || '';
 
         return item;
     }
@@ -139,9 +198,75 @@ class MediaPanel extends HashBrown.Entity.View.Panel.PanelBase {
         return {
             'Name': 'name:asc',
             'Changed': 'changed:desc',
-            'Created': 'created:desc'
+            'Created': 'created:desc',
+            'Size': 'size:desc',
+            'Dimensions': 'pixels:desc',
+            'Duration': 'duration:desc',
+            'Date taken': 'taken:desc'
         }
     }
+    
+    /**
+     * Gets available filtering options
+     *
+     * @return {Object} Options
+     */
+    getFilteringOptions() {
+        return {
+            'All': '',
+            'Images': 'image',
+            'Videos': 'video',
+            'Audio': 'audio',
+            'Documents': 'document',
+            'Landscape': 'landscape',
+            'Portrait': 'portrait',
+            'With location': 'location',
+            'Unused': 'unused'
+        }
+    }
+
+    /**
+     * Checks whether a resource matches a filtering method
+     *
+     * @param {HashBrown.Entity.Resource.Media} resource
+     * @param {String} method
+     *
+     * @return {Boolean} Is match
+     */
+    filterResource(resource, method) {
+        checkParam(resource, 'resource', HashBrown.Entity.Resource.Media, true);
+        checkParam(method, 'method', String, true);
+        
+        let metadata = resource.metadata || {};
+
+        switch(method) {
+            case 'image':
+                return resource.isImage();
+            
+            case 'video':
+                return resource.isVideo();
+            
+            case 'audio':
+                return resource.isAudio();
+            
+            case 'document':
+                return resource.isDocument();
+            
+            case 'landscape':
+                return metadata.width > metadata.height;
+            
+            case 'portrait':
+                return metadata.height > metadata.width;
+            
+            case 'location':
+                return !!metadata.location;
+            
+            case 'unused':
+                return !(this.state.usage || {})[resource.id];
+        }
+
+        return true;
+    }
 
     /**
      * Gets the basic options for a resource
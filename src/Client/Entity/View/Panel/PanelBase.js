@@ -11,6 +11,9 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
 
     get title() { return this.constructor.title; }
     get itemType() { return this.constructor.itemType; }
+    
+    // Whether many items can be selected with ctrl/cmd + click, to act on them at once
+    get isSelectable() { return false; }
 
     /**
      * Constructor
@@ -22,8 +25,11 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
     
         this.state.sortingOptions = this.getSortingOptions();
         this.state.sortingMethod = Object.values(this.state.sortingOptions || {})[0];
+        this.state.filteringOptions = this.getFilteringOptions();
+        this.state.filteringMethod = Object.values(this.state.filteringOptions || {})[0] || '';
         this.state.itemMap = {};
         this.state.itemStates = {};
+        this.state.selectedIds = [];
     }
 
     /**
@@ -49,16 +55,27 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
 
             // Check if item name matches the search filter
             if(this.state.searchQuery && resource.getName().toLowerCase().indexOf(this.state.searchQuery.toLowerCase()) < 0) { continue; }
+            
+            // Check if item matches the filtering method
+            if(this.state.filteringMethod && !this.filterResource(resource, this.state.filteringMethod)) { continue; }
 
             item.on('drop', (itemId, parentId, position) => {
                 this.onDropItem(itemId, parentId, position);
             });
+            
+            item.on('select', (itemId, isAdditive) => {
+                this.onSelectItem(itemId, isAdditive);
+            });
 
             itemMap[item.model.id] = item;
         }
 
         this.state.itemMap = itemMap;
 
+        // Keep the selection of items that are still there
+        this.state.selectedIds = this.state.selectedIds.filter((id) => !!itemMap[id]);
+        this.updateSelection();
+
         this.state.hasPanelContext = Object.keys(this.getPanelOptions()).length > 0;
     }
 
@@ -189,6 +206,34 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         document.body.appendChild(contextMenu.element);
     }
 
+    /**
+     * Event: Select item
+     *
+     * @param {String} id
+     * @param {Boolean} isAdditive Whether to toggle the item in the selection, instead of replacing it
+     */
+    onSelectItem(id, isAdditive) {
+        if(!isAdditive) {
+            this.state.selectedIds = [];
+
+        } else if(this.state.selectedIds.indexOf(id) > -1) {
+            this.state.selectedIds = this.state.selectedIds.filter((selectedId) => selectedId !== id);
+
+        } else {
+            this.state.selectedIds.push(id);
+
+        }
+
+        this.updateSelection();
+    }
+
+    /**
+     * Event: Click clear selection
+     */
+    onClickClearSelection() {
+        this.onSelectItem(null, false);
+    }
+
     /**
      * Event: Change sorting method
      */
@@ -198,6 +243,15 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         this.update();
     }
 
+    /**
+     * Event: Change filtering method
+     */
+    onChangeFilteringMethod(newMethod) {
+        this.state.filteringMethod = newMethod || '';
+
+        this.update();
+    }
+
     /**
      * Event: Click copy item id
      */
@@ -269,6 +323,20 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         await resource.push();
     }
 
+    /**
+     * Event: Click compare with remote
+     *
+     * @param {HashBrown.Entity.Resource.ResourceBase} resource
+     */
+    onClickCompareWithRemote(resource) {
+        HashBrown.Entity.View.Modal.SyncStatus.new({
+            state: {
+                library: resource.library,
+                id: resource.id
+            }
+        });
+    }
+
     /**
      * Event: Click search
      */
@@ -330,6 +398,23 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         }
     }
 
+    /**
+     * Marks the selected items, and gives them the context menu options for the whole selection
+     */
+    updateSelection() {
+        let selectedIds = this.state.selectedIds;
+
+        for(let id in this.state.itemMap) {
+            let item = this.state.itemMap[id];
+            let isSelected = selectedIds.indexOf(id) > -1;
+
+            item.model.itemOptions = item.model.itemOptions || item.model.options;
+            item.model.options = isSelected && selectedIds.length > 1 ? this.getSelectionOptions(selectedIds.slice()) : item.model.itemOptions;
+            
+            item.setSelected(isSelected);
+        }
+    }
+
     /**
      * Gets a saved item state
      *
@@ -380,6 +465,10 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
             options['Pull from remote'] = () => this.onClickPull(resource.id);
         } else {
             options['Push to remote'] = () => this.onClickPush(resource.id);
+
+            if([ 'content', 'schemas', 'publications' ].indexOf(resource.library) > -1) {
+                options['Compare with remote'] = () => this.onClickCompareWithRemote(resource);
+            }
         }
 
         if(resource.sync.hasRemote) {
@@ -389,6 +478,24 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         return options;
     }
 
+    /**
+     * Gets the context menu options for many selected items
+     *
+     * @param {Array} ids
+     *
+     * @return {Object} Options
+     */
+    getSelectionOptions(ids) {
+        checkParam(ids, 'ids', Array, true);
+
+        let options = {};
+
+        options[`${ids.length} selected items`] = '---';
+        options['Clear selection'] = () => this.onClickClearSelection();
+
+        return options;
+    }
+
     /**
      * Gets the context menu options for a resource
      *
@@ -451,6 +558,27 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
         }
     }
 
+    /**
+     * Gets available filtering options
+     *
+     * @return {Object} Options
+     */
+    getFilteringOptions() {
+        return {};
+    }
+
+    /**
+     * Checks whether a resource matches a filtering method
+     *
+     * @param {HashBrown.Entity.Resource.ResourceBase} resource
+     * @param {String} method
+     *
+     * @return {Boolean} Is match
+     */
+    filterResource(resource, method) {
+        return true;
+    }
+
     /**
      * Gets the context menu options for this panel
      *
@@ -478,6 +606,7 @@ class PanelBase extends HashBrown.Entity.View.ViewBase {
             isRemote: resource.sync && resource.sync.isRemote === true,
             isLocked: resource.isLocked || false,
             options: this.getItemOptions(resource),
+            isSelectable: this.isSelectable,
             changed: resource.updatedOn,
             created: resource.createdOn,
             icon: resource.icon,
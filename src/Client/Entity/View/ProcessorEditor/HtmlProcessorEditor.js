@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * The editor for the HTML processor
+ *
+ * @memberof HashBrown.Client.Entity.View.ProcessorEditor
+ */
+class HtmlProcessorEditor extends HashBrown.Entity.View.ProcessorEditor.ProcessorEditorBase {
+    static get alias() { return 'html'; }
+
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.customTemplate = require('template/processorEditor/inc/htmlProcessorEditor.js');
+    }
+
+    /**
+     * Event: Change template
+     */
+    onChangeTemplate(newValue) {
+        this.model.template = newValue;
+
+        this.trigger('change', this.model);
+    }
+}
+
+module.exports = HtmlProcessorEditor;
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * The editor for the markdown processor
+ *
+ * @memberof HashBrown.Client.Entity.View.ProcessorEditor
+ */
+class MarkdownProcessorEditor extends HashBrown.Entity.View.ProcessorEditor.ProcessorEditorBase {
+    static get alias() { return 'markdown'; }
+
+    /**
+     * Constructor
+     */
+    constructor(params) {
+        super(params);
+
+        this.customTemplate = require('template/processorEditor/inc/markdownProcessorEditor.js');
+    }
+
+    /**
+     * Event: Change body field
+     */
+    onChangeBodyField(newValue) {
+        this.model.bodyField = newValue;
+
+        this.trigger('change', this.model);
+    }
+}
+
+module.exports = MarkdownProcessorEditor;
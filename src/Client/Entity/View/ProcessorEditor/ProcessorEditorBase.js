@@ -17,6 +17,25 @@ class ProcessorEditorBase extends HashBrown.Entity.View.ViewBase {
         this.template = require('template/processorEditor/processorEditorBase.js');
     }
 
+    /**
+     * Creates a new instance
+     *
+     * @return {HashBrown.Entity.View.ProcessorEditor.ProcessorEditorBase} Editor
+     */
+    static new(params = {}) {
+        if(params.model && params.model.alias) {
+            for(let name in HashBrown.Entity.View.ProcessorEditor) {
+                let type = HashBrown.Entity.View.ProcessorEditor[name];
+
+                if(type && type.alias === params.model.alias) {
+                    return new type(params);
+                }
+            }
+        }
+    
+        return new this(params);
+    }
+
     /**
      * Structure
      */
@@ -62,6 +81,7 @@ class ProcessorEditorBase extends HashBrown.Entity.View.ViewBase {
         this.model.alias = newValue;
 
         this.trigger('change', this.model);
+        this.trigger('changealias');
     }
 }
 
@@ -4,4 +4,6 @@
  * @namespace HashBrown.Client.Entity.View.ProcessorEditor
  */
 namespace('Entity.View.ProcessorEditor')
-    .add(require('./ProcessorEditorBase.js'));
+    .add(require('./ProcessorEditorBase.js'))
+    .add(require('./HtmlProcessorEditor.js'))
+    .add(require('./MarkdownProcessorEditor.js'));
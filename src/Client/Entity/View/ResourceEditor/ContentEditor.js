@@ -1,5 +1,16 @@
 'use strict';
 
+// Field definitions for meta values, used when displaying revisions
+const META_FIELD_DEFINITIONS = {
+    parentId: { label: 'Parent', schemaId: 'contentReference' },
+    schemaId: { label: 'Schema', schemaId: 'contentSchemaReference' },
+    sort: { label: 'Sort', schemaId: 'number' },
+    isPublished: { label: 'Published', schemaId: 'boolean' },
+    publishOn: { label: 'Publish on', schemaId: 'date' },
+    unpublishOn: { label: 'Unpublish on', schemaId: 'date' },
+    publishIn: { label: 'Publish in', schemaId: 'locale', config: { isMultiple: true } }
+};
+
 /**
  * The editor for content resources
  *
@@ -25,12 +36,21 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
         await super.fetch();
 
         if(this.state.name) { return; }
-        
-        // Set visible save options
-        this.state.visibleSaveOptions = {
-            isPublished: 'Published'
-        };
 
+        // Get workflow
+        this.state.workflow = await this.context.project.getWorkflow();
+
+        // Get the locale to translate from side by side, if any
+        let sourceLocale = localStorage.getItem('translationSource');
+
+        if(sourceLocale && sourceLocale !== HashBrown.Client.locale && this.context.project.settings.locales.indexOf(sourceLocale) > -1) {
+            this.state.translation = { sourceLocale: sourceLocale, content: this.model };
+
+        } else {
+            this.state.translation = null;
+
+        }
+        
         // Cache field states
         let fieldStates = {};
 
@@ -49,10 +69,34 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
         this.state.tab = this.state.tab || this.state.schema.defaultTabId || 'meta';
         this.state.tabs = this.state.schema.tabs || {};
         this.state.tabs['meta'] = 'Meta';
+        this.state.tabs['history'] = 'History';
+        this.state.tabs['usage'] = 'Used by';
+
+        if(this.state.workflow) {
+            this.state.tabs['comments'] = 'Comments';
+        }
 
         // Construct fields
         this.state.fields = {};
 
+        // Comments tab
+        if(this.state.tab === 'comments') {
+            this.state.commentText = '';
+            return;
+        }
+        
+        // History tab
+        if(this.state.tab === 'history') {
+            await this.fetchRevisions();
+            return;
+        }
+
+        // Used by tab
+        if(this.state.tab === 'usage') {
+            this.state.usage = await this.model.getUsage();
+            return;
+        }
+
         let contentFields = {};
         let schemaFields = {};
         
@@ -120,7 +164,7 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
             let field = await HashBrown.Entity.View.Field.FieldBase.createFromFieldDefinition(
                 schemaFields[key],
                 contentFields[key],
-                {},
+                this.state.tab !== 'meta' && this.state.translation ? { path: key, translation: this.state.translation } : {},
                 this.model.isLocked
             );
 
@@ -129,6 +173,8 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
             if(fieldStates[key]) {
                 field.state.isCollapsed = fieldStates[key].isCollapsed === true;
             }
+
+            field.state.validationErrors = HashBrown.Entity.View.Field.FieldBase.getValidationErrors(this.state.validationErrors, key);
             
             if(this.state.tab === 'meta') {
                 field.on('change', (newValue) => {  
@@ -146,6 +192,144 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
         }
     }
 
+    /**
+     * Pre render
+     */
+    prerender() {
+        if(!this.model || this.state.name) { return; }
+        
+        this.state.badge = this.model.hasUnpublishedChanges() ? 'Unpublished changes' : null;
+        this.state.footerActions = this.getFooterActions();
+    }
+
+    /**
+     * Gets the publishing actions displayed next to the save button
+     *
+     * @return {Array} Actions
+     */
+    getFooterActions() {
+        let actions = [];
+        let locales = this.context.project.settings.locales;
+
+        if(locales.length > 1) {
+            let options = { 'Off': '' };
+
+            for(let locale of locales) {
+                if(locale === HashBrown.Client.locale) { continue; }
+
+                options[HashBrown.Service.LocaleService.getLocaleName(locale)] = locale;
+            }
+
+            actions.push({
+                name: 'Side by side',
+                value: this.state.translation ? this.state.translation.sourceLocale : '',
+                options: options,
+                handler: (locale) => this.onChangeTranslationSource(locale),
+                description: 'Show another locale next to the current one to translate from'
+            });
+        }
+
+        if(this.model.isPublished) {
+            if(this.model.hasUnpublishedChanges()) {
+                actions.push({
+                    name: 'Discard changes',
+                    handler: () => this.onClickDiscardChanges(),
+                    description: 'Revert to the published version'
+                });
+            }
+            
+            actions.push({
+                name: 'Unpublish',
+                handler: () => this.onClickUnpublish(),
+                description: 'Remove this content from all publications'
+            });
+        }
+
+        // With workflow enabled, content is published by moving it to a published state
+        if(this.state.workflow) {
+            let current = this.model.getWorkflowState(this.state.workflow);
+            let options = {};
+
+            options[current.name] = current.id;
+
+            for(let state of this.state.workflow.states) {
+                if(current.transitions.indexOf(state.id) < 0) { continue; }
+
+                options[state.name] = state.id;
+            }
+
+            actions.push({
+                name: current.name,
+                value: current.id,
+                options: options,
+                handler: (stateId) => this.onChangeWorkflowState(stateId),
+                description: 'Move this content to another workflow state'
+            });
+        
+        } else {
+            actions.push({
+                name: this.model.isPublished ? 'Publish changes' : 'Publish',
+                handler: () => this.onClickPublish(),
+                description: 'Save and deploy this content to all publications'
+            });
+
+        }
+
+        return actions;
+    }
+
+    /**
+     * Fetches revisions and the differences between the selected ones
+     */
+    async fetchRevisions() {
+        this.state.revisions = await this.model.getRevisions();
+        this.state.revisionOptions = {};
+        this.state.changes = [];
+
+        for(let revision of this.state.revisions) {
+            let label = new Date(revision.timestamp).toLocaleString();
+
+            if(revision.userName) {
+                label += ` (${revision.userName})`;
+            }
+
+            this.state.revisionOptions[label] = revision.timestamp;
+        }
+
+        if(this.state.revisions.length < 1) { return; }
+
+        // Compare the latest revision to the one before it by default
+        let timestamps = this.state.revisions.map((revision) => revision.timestamp);
+
+        if(timestamps.indexOf(this.state.fromRevision) < 0) {
+            this.state.fromRevision = timestamps[1] || timestamps[0];
+        }
+        
+        if(timestamps.indexOf(this.state.toRevision) < 0) {
+            this.state.toRevision = timestamps[0];
+        }
+
+        let changes = await this.model.getRevisionDiff(this.state.fromRevision, this.state.toRevision);
+
+        // Instantiate read-only field views for both sides of every change
+        for(let change of changes) {
+            let definition = change.isProperty ? this.state.schema.config[change.key] : META_FIELD_DEFINITIONS[change.key];
+
+            if(!definition) { continue; }
+
+            let before = await HashBrown.Entity.View.Field.FieldBase.createFromFieldDefinition(definition, change.before, { hideKey: true }, true);
+            let after = await HashBrown.Entity.View.Field.FieldBase.createFromFieldDefinition(definition, change.after, { hideKey: true }, true);
+
+            if(!before || !after) { continue; }
+
+            this.state.changes.push({
+                label: definition.label || change.key,
+                before: before,
+                after: after
+            });
+        }
+    }
+
     /**
      * Gets the overview actions
      *
@@ -197,6 +381,215 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
         return [];
     }
 
+    /**
+     * Shows validation errors returned by the server on the fields they belong to
+     *
+     * @param {Array} errors
+     */
+    setValidationErrors(errors) {
+        checkParam(errors, 'errors', Array, true);
+
+        this.state.validationErrors = errors;
+
+        for(let key in this.state.fields || {}) {
+            this.state.fields[key].setValidationErrors(
+                HashBrown.Entity.View.Field.FieldBase.getValidationErrors(errors, key)
+            );
+        }
+    }
+
+    /**
+     * Event: Click publish
+     */
+    async onClickPublish() {
+        try {
+            if(this.isDirty) {
+                this.state.saveOptions.id = this.state.id;
+
+                await this.model.save(this.state.saveOptions);
+            
+                this.setDirty(false);
+            }
+
+            await this.model.publish();
+            
+            UI.notifySmall(`"${this.model.getName()}" published successfully`, null, 3);
+        
+        } catch(e) {
+            this.setValidationErrors(e.details && e.details.errors ? e.details.errors : []);
+
+            UI.error(e);
+
+        } finally {
+            this.render();
+
+        }
+    }
+    
+    /**
+     * Event: Change workflow state
+     *
+     * @param {String} stateId
+     */
+    onChangeWorkflowState(stateId) {
+        let current = this.model.getWorkflowState(this.state.workflow);
+
+        if(!stateId || stateId === current.id) { return; }
+
+        UI.prompt(
+            'Change state',
+            'Comment (optional)',
+            'text',
+            '',
+            async (comment) => {
+                try {
+                    if(this.isDirty) {
+                        this.state.saveOptions.id = this.state.id;
+
+                        await this.model.save(this.state.saveOptions);
+                    
+                        this.setDirty(false);
+                    }
+
+                    await this.model.transition(stateId, comment || '');
+                    
+                    UI.notifySmall(`"${this.model.getName()}" moved to "${this.model.getWorkflowState(this.state.workflow).name}"`, null, 3);
+                
+                } catch(e) {
+                    UI.error(e);
+
+                } finally {
+                    this.render();
+
+                }
+            }
+        );
+    }
+
+    /**
+     * Event: Change comment text
+     *
+     * @param {String} text
+     */
+    onChangeCommentText(text) {
+        this.state.commentText = text;
+    }
+
+    /**
+     * Event: Click add comment
+     */
+    async onClickAddComment() {
+        if(!this.state.commentText) { return; }
+
+        try {
+            await this.model.addComment(this.state.commentText);
+
+            this.state.commentText = '';
+        
+        } catch(e) {
+            UI.error(e);
+
+        } finally {
+            this.render();
+
+        }
+    }
+
+    /**
+     * Event: Click unpublish
+     */
+    async onClickUnpublish() {
+        try {
+            await this.model.unpublish();
+            
+            UI.notifySmall(`"${this.model.getName()}" unpublished successfully`, null, 3);
+        
+        } catch(e) {
+            UI.error(e);
+
+        } finally {
+            this.render();
+
+        }
+    }
+    
+    /**
+     * Event: Click discard changes
+     */
+    onClickDiscardChanges() {
+        UI.confirm(
+            'Discard changes',
+            `Are you sure you want to discard all unpublished changes to "${this.model.getName()}"?`,
+            async () => {
+                try {
+                    await this.model.discardChanges();
+                    
+                    this.setDirty(false);
+
+                    this.update();
+                
+                } catch(e) {
+                    UI.error(e);
+
+                }
+            }
+        );
+    }
+
+    /**
+     * Event: Change the revision to compare from
+     *
+     * @param {Number} timestamp
+     */
+    onChangeFromRevision(timestamp) {
+        this.state.fromRevision = timestamp;
+
+        this.update();
+    }
+    
+    /**
+     * Event: Change the revision to compare to
+     *
+     * @param {Number} timestamp
+     */
+    onChangeToRevision(timestamp) {
+        this.state.toRevision = timestamp;
+
+        this.update();
+    }
+
+    /**
+     * Event: Click restore revision
+     *
+     * @param {Number} timestamp
+     */
+    onClickRestoreRevision(timestamp) {
+        if(!timestamp) { return; }
+
+        UI.confirm(
+            'Restore revision',
+            `Are you sure you want to restore "${this.model.getName()}" to the revision from ${new Date(timestamp).toLocaleString()}? Unsaved changes will be lost.`,
+            async () => {
+                try {
+                    await this.model.restoreRevision(timestamp);
+
+                    UI.notifySmall(`"${this.model.getName()}" restored successfully`, null, 3);
+
+                    this.setDirty(false);
+                    
+                    this.state.fromRevision = null;
+                    this.state.toRevision = null;
+
+                    this.update();
+                
+                } catch(e) {
+                    UI.error(e);
+
+                }
+            }
+        );
+    }
+
     /**
      * Event: Clicked republish all content
      */
@@ -247,6 +640,23 @@ class ContentEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorB
         this.update(); 
     }
     
+    /**
+     * Event: Change the locale to translate from side by side
+     *
+     * @param {String} locale
+     */
+    onChangeTranslationSource(locale) {
+        if(locale) {
+            localStorage.setItem('translationSource', locale);
+
+        } else {
+            localStorage.removeItem('translationSource');
+
+        }
+
+        this.update();
+    }
+
     /**
      * Event: Click new
      */
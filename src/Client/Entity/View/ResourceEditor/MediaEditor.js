@@ -15,6 +15,15 @@ class MediaEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorBas
         this.template = require('template/resourceEditor/mediaEditor.js');    
 
         this.state.thumbnailSource = HashBrown.Client.context.config.system.rootUrl + '/media/' + this.context.project.id + '/' + this.context.environment + '/' + this.state.id + '/?thumbnail';
+        this.state.contentSource = HashBrown.Client.context.config.system.rootUrl + '/media/' + this.context.project.id + '/' + this.context.environment + '/' + this.state.id;
+        this.state.cropPreset = '';
+        this.state.cropOptions = { 'Focal point': '' };
+
+        let presets = HashBrown.Entity.Resource.Media.getCropPresets();
+
+        for(let name in presets) {
+            this.state.cropOptions[presets[name].label] = name;
+        }
     }
     
     /**
@@ -28,9 +37,71 @@ class MediaEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorBas
         if(this.state.tab === 'settings') {
             this.state.settings = {
                 mediaDeployer: await this.context.project.getEnvironmentSettings(this.context.environment, 'mediaDeployer') || {},
-                mediaPublicUrl: await this.context.project.getEnvironmentSettings(this.context.environment, 'mediaPublicUrl') || ''
+                mediaPublicUrl: await this.context.project.getEnvironmentSettings(this.context.environment, 'mediaPublicUrl') || '',
+                mediaStripLocation: await this.context.project.getEnvironmentSettings(this.context.environment, 'mediaStripLocation') === true
             };
         }
+
+        if(this.model) {
+            this.state.metadata = this.getMetadataFields();
+            this.state.usage = await this.model.getUsage();
+        }
+    }
+
+    /**
+     * Gets the metadata of the model as human readable fields
+     *
+     * @return {Object} Values by label
+     */
+    getMetadataFields() {
+        let metadata = this.model.metadata || {};
+        let fields = {};
+
+        if(metadata.type) {
+            fields['Type'] = metadata.type;
+        }
+
+        if(metadata.size) {
+            let units = [ 'B', 'KB', 'MB', 'GB' ];
+            let size = metadata.size;
+            let unit = 0;
+
+            while(size >= 1024 && unit < units.length - 1) {
+                size /= 1024;
+                unit++;
+            }
+
+            fields['Size'] = `${Math.round(size * 10) / 10} ${units[unit]}`;
+        }
+
+        if(metadata.width && metadata.height) {
+            fields['Dimensions'] = `${metadata.width} × ${metadata.height} px`;
+        }
+
+        if(metadata.duration) {
+            let minutes = Math.floor(metadata.duration / 60);
+            let seconds = Math.round(metadata.duration % 60);
+
+            fields['Duration'] = `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+        }
+
+        if(metadata.dateTaken) {
+            fields['Date taken'] = new Date(metadata.dateTaken).toLocaleString();
+        }
+
+        if(metadata.camera) {
+            fields['Camera'] = metadata.camera;
+        }
+
+        if(metadata.location) {
+            fields['Location'] = `${metadata.location.latitude}, ${metadata.location.longitude}`;
+        }
+
+        if(metadata.color) {
+            fields['Color'] = metadata.color;
+        }
+
+        return fields;
     }
 
     /** 
@@ -102,6 +173,13 @@ class MediaEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorBas
         this.state.settings.mediaPublicUrl = newValue;
     }
 
+    /**
+     * Event: Toggle stripping the location of uploaded images
+     */
+    onToggleStripLocation(newValue) {
+        this.state.settings.mediaStripLocation = newValue;
+    }
+
     /**
      * Event: Click generate public URL
      */
@@ -163,7 +241,13 @@ class MediaEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorBas
 
         this.model.filename = newValue[0].name;
         this.state.saveOptions.filename = newValue[0].name;
-        this.state.saveOptions.full = await HashBrown.Entity.Resource.Media.toBase64(newValue[0]);
+        this.state.saveOptions.file = newValue[0];
+
+        // The composition of the previous file doesn't apply to the new one
+        this.model.focalPoint = null;
+        this.model.crops = {};
+        this.state.aspectRatio = null;
+        this.state.saveOptions.regenerateThumbnail = false;
 
         this.onChange();
 
@@ -187,6 +271,144 @@ class MediaEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEditorBas
         this.renderPartial('thumbnail');
     }
 
+    /**
+     * Updates the crop being edited in the composition tool
+     */
+    updateCrop() {
+        this.state.crop = null;
+        this.state.cropScale = 1;
+
+        if(!this.state.cropPreset || !this.state.aspectRatio) { return; }
+
+        let crop = this.model.getCrop(this.state.cropPreset, this.state.aspectRatio);
+        let defaultCrop = this.model.getDefaultCrop(this.state.cropPreset, this.state.aspectRatio);
+
+        this.state.crop = crop;
+        this.state.cropScale = Math.round(crop.width / defaultCrop.width * 100) / 100;
+    }
+
+    /**
+     * Sets the crop being edited in the composition tool
+     *
+     * @param {Number} x The horizontal center
+     * @param {Number} y The vertical center
+     * @param {Number} scale The size relative to the default crop
+     */
+    setCrop(x, y, scale) {
+        checkParam(x, 'x', Number, true);
+        checkParam(y, 'y', Number, true);
+        checkParam(scale, 'scale', Number, true);
+
+        let defaultCrop = this.model.getDefaultCrop(this.state.cropPreset, this.state.aspectRatio);
+        let width = defaultCrop.width * scale;
+        let height = defaultCrop.height * scale;
+        let round = (value) => Math.round(value * 10000) / 10000;
+
+        this.model.crops = this.model.crops || {};
+        this.model.crops[this.state.cropPreset] = {
+            x: round(Math.min(Math.max(x - width / 2, 0), 1 - width)),
+            y: round(Math.min(Math.max(y - height / 2, 0), 1 - height)),
+            width: round(width),
+            height: round(height)
+        };
+    }
+
+    /**
+     * Event: Composition image loaded
+     *
+     * @param {HTMLImageElement} image
+     */
+    onLoadCompositionImage(image) {
+        // The partial renders a new image, which triggers this event again
+        if(this.state.aspectRatio || !image.naturalHeight) { return; }
+
+        this.state.aspectRatio = image.naturalWidth / image.naturalHeight;
+        
+        this.updateCrop();
+
+        this.renderPartial('composition');
+    }
+
+    /**
+     * Event: Change crop preset
+     *
+     * @param {String} newValue
+     */
+    onChangeCropPreset(newValue) {
+        this.state.cropPreset = newValue || '';
+
+        this.updateCrop();
+
+        this.renderPartial('composition');
+    }
+
+    /**
+     * Event: Click composition image, which sets the focal point or moves the crop
+     *
+     * @param {MouseEvent} e
+     */
+    onClickComposition(e) {
+        if(this.model.isLocked || !this.state.aspectRatio) { return; }
+
+        let rect = e.currentTarget.getBoundingClientRect();
+        let x = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        let y = Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1);
+
+        if(this.state.cropPreset) {
+            this.setCrop(x, y, this.state.cropScale);
+        
+        } else {
+            this.model.focalPoint = { x: Math.round(x * 10000) / 10000, y: Math.round(y * 10000) / 10000 };
+            this.state.saveOptions.regenerateThumbnail = true;
+
+        }
+
+        this.updateCrop();
+
+        this.onChange();
+
+        this.renderPartial('composition');
+    }
+
+    /**
+     * Event: Change crop scale
+     *
+     * @param {Number} newValue
+     */
+    onChangeCropScale(newValue) {
+        if(!this.state.crop) { return; }
+
+        let scale = Math.min(Math.max(parseFloat(newValue) || 1, 0.1), 1);
+
+        this.setCrop(this.state.crop.x + this.state.crop.width / 2, this.state.crop.y + this.state.crop.height / 2, scale);
+        
+        this.updateCrop();
+
+        this.onChange();
+
+        this.renderPartial('composition');
+    }
+
+    /**
+     * Event: Click reset composition, which resets the selected crop or the focal point
+     */
+    onClickResetComposition() {
+        if(this.state.cropPreset) {
+            delete this.model.crops[this.state.cropPreset];
+        
+        } else {
+            this.model.focalPoint = null;
+            this.state.saveOptions.regenerateThumbnail = true;
+
+        }
+        
+        this.updateCrop();
+
+        this.onChange();
+
+        this.renderPartial('composition');
+    }
+
     /**
      * Event: Change folder
      */
@@ -21,6 +21,7 @@ class PublicationEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEdi
     prerender() {
         if(this.model) {
             this.state.getUrl = location.protocol + '//' + location.hostname + (location.port ? ':' + location.port : '') + HashBrown.Client.context.config.system.rootUrl + '/api/' + this.context.project.id + '/' + this.context.environment + '/publications/' + this.model.id + '/query';
+            this.state.graphqlUrl = this.state.getUrl.replace(/\/query$/, '/graphql');
 
             // Processor
             this.state.processorEditor = HashBrown.Entity.View.ProcessorEditor.ProcessorEditorBase.new({ model: this.model.processor || {} });
@@ -182,6 +183,15 @@ class PublicationEditor extends HashBrown.Entity.View.ResourceEditor.ResourceEdi
 
         UI.notifySmall('GET URL copied to clipboard', null, 3);
     }
+    
+    /**
+     * Event: Click copy GraphQL url
+     */
+    onClickCopyGraphqlUrl() {
+        copyToClipboard(this.state.graphqlUrl);
+
+        UI.notifySmall('GraphQL URL copied to clipboard', null, 3);
+    }
 }
 
 module.exports = PublicationEditor;
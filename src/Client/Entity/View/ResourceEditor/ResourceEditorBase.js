@@ -208,6 +208,15 @@ class ResourceEditorBase extends HashBrown.Entity.View.ViewBase {
         }
     }
 
+    /**
+     * Shows validation errors returned by the server, implemented by editors with fields
+     *
+     * @param {Array} errors
+     */
+    setValidationErrors(errors) {
+        checkParam(errors, 'errors', Array, true);
+    }
+
     /**
      * Event: Heartbeat
      */
@@ -319,8 +328,11 @@ class ResourceEditorBase extends HashBrown.Entity.View.ViewBase {
             UI.notifySmall(`"${this.state.title}" saved successfully`, null, 3);
         
             this.setDirty(false);
+            this.setValidationErrors([]);
 
         } catch(e) {
+            this.setValidationErrors(e.details && e.details.errors ? e.details.errors : []);
+
             UI.error(e);
 
         } finally {
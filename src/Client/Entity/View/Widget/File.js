@@ -96,6 +96,13 @@ class File extends HashBrown.Entity.View.Widget.WidgetBase {
 
         let files = this.getFiles();
 
+        // Raw files are passed on as they are, for instance to be uploaded in chunks
+        if(this.model.raw) {
+            this.model.onsubmit(files);
+
+            return false;
+        }
+
         for(let i in files) {
             files[i] = {
                 filename: files[i].name,
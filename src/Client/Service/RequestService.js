@@ -70,7 +70,7 @@ class RequestService {
                 }
 
                 if(data) {
-                    if(typeof data === 'object' && data instanceof FormData === false) {
+                    if(typeof data === 'object' && data instanceof FormData === false && data instanceof Blob === false) {
                         data = JSON.stringify(data);
                     }
                    
@@ -100,6 +100,22 @@ class RequestService {
 
                             error.code = xhr.status;
 
+                            // Structured errors carry details, such as failed validation rules
+                            if(xhr.responseText && xhr.responseText[0] === '{') {
+                                try {
+                                    let details = JSON.parse(xhr.responseText);
+
+                                    if(details && details.message) {
+                                        error.message = details.message;
+                                        error.details = details;
+                                    }
+
+                                } catch(e) {
+                                    // Not JSON, keep the raw response text
+
+                                }
+                            }
+
                             reject(error);
                         
                         }
@@ -72,6 +72,76 @@ async function initUsers() {
     }
 }
 
+/**
+ * Initialises the scheduled job views
+ */
+async function initJobs() {
+    if(!HashBrown.Client.context.user.isAdmin) { return; }
+
+    let jobList = document.querySelector('.page--dashboard__jobs__list');
+    let runList = document.querySelector('.page--dashboard__jobs__runs tbody');
+
+    if(!jobList || !runList) { return; }
+
+    let types = await HashBrown.Service.RequestService.request('get', 'tasks/types');
+
+    // Add job
+    let jobAddButton = document.querySelector('.page--dashboard__jobs__add');
+
+    if(jobAddButton) {
+        jobAddButton.onclick = onClickAddJob;
+    }
+
+    // Get jobs
+    let tasks = await HashBrown.Service.RequestService.request('get', 'tasks');
+
+    jobList.innerHTML = '';
+
+    for(let task of tasks || []) {
+        jobList.appendChild(
+            HashBrown.Entity.View.ListItem.Task.new({
+                model: task,
+                state: {
+                    types: types
+                }
+            })
+            .on('change', initJobs)
+            .element
+        );
+    }
+
+    if(jobAddButton) {
+        jobList.appendChild(jobAddButton);
+    }
+
+    // Get past runs
+    let runs = await HashBrown.Service.RequestService.request('get', 'tasks/runs');
+
+    runList.innerHTML = '';
+
+    for(let run of runs || []) {
+        let row = document.createElement('tr');
+
+        row.className = run.isSuccess ? 'success' : 'error';
+
+        for(let value of [
+            new Date(run.timestamp).toLocaleString(),
+            types[run.type] || run.type,
+            [ run.project, run.environment, run.content ].filter(Boolean).join(' / '),
+            (run.duration / 1000).toFixed(1) + 's',
+            run.isSuccess ? 'OK' : `Attempt ${run.attempt} failed: ${run.error}`
+        ]) {
+            let cell = document.createElement('td');
+
+            cell.textContent = value;
+
+            row.appendChild(cell);
+        }
+
+        runList.appendChild(row);
+    }
+}
+
 /**
  * Initialises the current user menu
  */
@@ -89,6 +159,14 @@ async function onClickAddUser() {
     .on('change', initUsers);
 }
 
+/**
+ * Event: Click add job
+ */
+async function onClickAddJob() {
+    HashBrown.Entity.View.Modal.CreateTask.new()
+    .on('change', initJobs);
+}
+
 /**
  * Event: Click create project
  */
@@ -114,6 +192,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Run init functions
     initProjects();
     initUsers();
+    initJobs();
     initUser();
 
     // Check for updates
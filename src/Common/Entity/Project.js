@@ -1,5 +1,13 @@
 'use strict';
 
+// The workflow used when a project enables workflow without defining its own states
+const DEFAULT_WORKFLOW_STATES = [
+    { id: 'draft', name: 'Draft', scope: '', transitions: [ 'review' ] },
+    { id: 'review', name: 'In review', scope: 'review', transitions: [ 'draft', 'approved' ] },
+    { id: 'approved', name: 'Approved', scope: 'approve', transitions: [ 'draft', 'review', 'published' ] },
+    { id: 'published', name: 'Published', scope: '', transitions: [ 'draft' ], isPublished: true }
+];
+
 /**
  * The Project class
  *
@@ -57,6 +65,7 @@ class Project extends HashBrown.Entity.EntityBase {
         this.def(Object, 'settings', {});
         this.def(Array, 'environments', []);
         this.def(Array, 'backups', []);
+        this.def(Object, 'backupStatus', {});
     }
 
     /**
@@ -198,6 +207,49 @@ class Project extends HashBrown.Entity.EntityBase {
 
         return locales;
     }
+
+    /**
+     * Gets the locale fallbacks, leaving out locales that aren't used in this project
+     *
+     * @return {Object} The fallback of each locale as { locale: fallback }
+     */
+    async getLocaleFallbacks() {
+        let fallbacks = await this.getSettings('localeFallbacks') || {};
+        let locales = await this.getLocales();
+        let result = {};
+
+        for(let locale of locales) {
+            let fallback = fallbacks[locale];
+
+            if(!fallback || fallback === locale || locales.indexOf(fallback) < 0) { continue; }
+
+            result[locale] = fallback;
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets the editorial workflow
+     *
+     * @return {Object} Workflow, or null if not enabled
+     */
+    async getWorkflow() {
+        let workflow = await this.getSettings('workflow') || {};
+
+        if(!workflow.enabled) { return null; }
+
+        if(!Array.isArray(workflow.states) || workflow.states.length < 1) {
+            workflow.states = JSON.parse(JSON.stringify(DEFAULT_WORKFLOW_STATES));
+        }
+
+        for(let state of workflow.states) {
+            state.scope = state.scope || '';
+            state.transitions = state.transitions || [];
+        }
+
+        return workflow;
+    }
     
     /**
      * Adds a new environment
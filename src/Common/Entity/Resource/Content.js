@@ -1,5 +1,24 @@
 'use strict';
 
+/**
+ * Gets a short checksum of a value, used to tell whether it has changed
+ *
+ * @param {*} value
+ *
+ * @return {String} Checksum
+ */
+function getChecksum(value) {
+    let string = JSON.stringify(value === undefined ? null : value);
+    let hash = 2166136261;
+
+    for(let i = 0; i < string.length; i++) {
+        hash ^= string.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return (hash >>> 0).toString(16);
+}
+
 /**
  * The base class for all Content types
  *
@@ -33,6 +52,14 @@ class Content extends HashBrown.Entity.Resource.ResourceBase {
         this.def(Array, 'publishIn', []);
         this.def(Date, 'unpublishOn');
         this.def(Boolean, 'isPublished');
+        this.def(Object, 'published', null);
+
+        // Workflow
+        this.def(String, 'workflowState');
+        this.def(Array, 'comments', []);
+
+        // Translation
+        this.def(Object, 'translations', {});
 
         // Extensible properties
         this.def(Object, 'properties', {});
@@ -92,6 +119,97 @@ class Content extends HashBrown.Entity.Resource.ResourceBase {
         }
     }
 
+    /**
+     * Gets the fields that make up a published snapshot
+     *
+     * @return {Object} Snapshot
+     */
+    getSnapshot() {
+        return JSON.parse(JSON.stringify({
+            schemaId: this.schemaId,
+            publishIn: this.publishIn,
+            properties: this.properties
+        }));
+    }
+
+    /**
+     * Gets whether the draft differs from the published snapshot
+     *
+     * @return {Boolean} Has unpublished changes
+     */
+    hasUnpublishedChanges() {
+        if(!this.isPublished || !this.published) { return false; }
+
+        return JSON.stringify(this.getSnapshot()) !== JSON.stringify({
+            schemaId: this.published.schemaId,
+            publishIn: this.published.publishIn,
+            properties: this.published.properties
+        });
+    }
+
+    /**
+     * Gets the current state of this content in a workflow
+     * Content that hasn't entered the workflow yet is in the first state
+     *
+     * @param {Object} workflow
+     *
+     * @return {Object} State
+     */
+    getWorkflowState(workflow) {
+        checkParam(workflow, 'workflow', Object, true);
+        checkParam(workflow.states, 'workflow.states', Array, true);
+
+        for(let state of workflow.states) {
+            if(state.id === this.workflowState) { return state; }
+        }
+
+        return workflow.states[0];
+    }
+
+    /**
+     * Gets the translation status of a localised field
+     *
+     * @param {String} path
+     * @param {String} locale
+     * @param {Object} values The values of the field by locale
+     *
+     * @return {String} Status, either "translated", "outdated" or null if never marked as translated
+     */
+    getTranslationStatus(path, locale, values) {
+        checkParam(path, 'path', String, true);
+        checkParam(locale, 'locale', String, true);
+        checkParam(values, 'values', Object);
+
+        let translation = ((this.translations || {})[path] || {})[locale];
+
+        if(!translation) { return null; }
+
+        return getChecksum((values || {})[translation.source]) === translation.checksum ? 'translated' : 'outdated';
+    }
+
+    /**
+     * Marks a localised field as translated from the current value in a source locale
+     *
+     * @param {String} path
+     * @param {String} locale
+     * @param {String} sourceLocale
+     * @param {Object} values The values of the field by locale
+     */
+    setTranslated(path, locale, sourceLocale, values) {
+        checkParam(path, 'path', String, true);
+        checkParam(locale, 'locale', String, true);
+        checkParam(sourceLocale, 'sourceLocale', String, true);
+        checkParam(values, 'values', Object);
+
+        if(!this.translations) { this.translations = {}; }
+
+        this.translations[path] = this.translations[path] || {};
+        this.translations[path][locale] = {
+            source: sourceLocale,
+            checksum: getChecksum((values || {})[sourceLocale])
+        };
+    }
+
     /**
      * Gets parent Content
      *
@@ -1,5 +1,11 @@
 'use strict';
 
+const CROP_PRESETS = {
+    hero: { label: 'Hero 16:9', ratio: [ 16, 9 ] },
+    square: { label: 'Square 1:1', ratio: [ 1, 1 ] },
+    portrait: { label: 'Portrait 3:4', ratio: [ 3, 4 ] }
+};
+
 /**
  * The base class for all Media objects
  *
@@ -20,6 +26,13 @@ class Media extends HashBrown.Entity.Resource.ResourceBase {
         this.def(Object, 'author', {});
         this.def(Object, 'copyrightHolder', {});
         this.def(Number, 'copyrightYear');
+
+        // Extracted from the file when uploaded
+        this.def(Object, 'metadata', {});
+        
+        // Composition, expressed as fractions of the image size, so it survives resizing
+        this.def(Object, 'focalPoint', null);
+        this.def(Object, 'crops', {});
     }
 
     /**
@@ -56,6 +69,82 @@ class Media extends HashBrown.Entity.Resource.ResourceBase {
         super.adopt(params);
     }
     
+    /**
+     * Gets the available crop presets
+     *
+     * @return {Object} Presets by name
+     */
+    static getCropPresets() {
+        return JSON.parse(JSON.stringify(CROP_PRESETS));
+    }
+
+    /**
+     * Gets the focal point, defaulting to the center
+     *
+     * @return {Object} Focal point { x, y }
+     */
+    getFocalPoint() {
+        if(!this.focalPoint || isNaN(this.focalPoint.x) || isNaN(this.focalPoint.y)) {
+            return { x: 0.5, y: 0.5 };
+        }
+
+        return {
+            x: Math.min(Math.max(this.focalPoint.x, 0), 1),
+            y: Math.min(Math.max(this.focalPoint.y, 0), 1)
+        };
+    }
+
+    /**
+     * Gets the default crop of a preset, which is the largest area with the preset ratio centered on the focal point
+     *
+     * @param {String} name
+     * @param {Number} aspectRatio The width of the image divided by its height
+     *
+     * @return {Object} Crop { x, y, width, height }, or null if the preset doesn't exist
+     */
+    getDefaultCrop(name, aspectRatio) {
+        checkParam(name, 'name', String, true);
+        checkParam(aspectRatio, 'aspectRatio', Number, true);
+
+        let preset = CROP_PRESETS[name];
+
+        if(!preset) { return null; }
+        
+        // The preset ratio, relative to the image ratio
+        let ratio = (preset.ratio[0] / preset.ratio[1]) / aspectRatio;
+        let width = ratio < 1 ? ratio : 1;
+        let height = ratio > 1 ? 1 / ratio : 1;
+        let focalPoint = this.getFocalPoint();
+
+        return {
+            x: Math.min(Math.max(focalPoint.x - width / 2, 0), 1 - width),
+            y: Math.min(Math.max(focalPoint.y - height / 2, 0), 1 - height),
+            width: width,
+            height: height
+        };
+    }
+
+    /**
+     * Gets a crop by preset name, falling back to the default crop if it hasn't been edited
+     *
+     * @param {String} name
+     * @param {Number} aspectRatio The width of the image divided by its height
+     *
+     * @return {Object} Crop { x, y, width, height }, or null if the preset doesn't exist
+     */
+    getCrop(name, aspectRatio) {
+        checkParam(name, 'name', String, true);
+        checkParam(aspectRatio, 'aspectRatio', Number, true);
+
+        if(!CROP_PRESETS[name]) { return null; }
+
+        if(this.crops && this.crops[name]) {
+            return Object.assign({}, this.crops[name]);
+        }
+
+        return this.getDefaultCrop(name, aspectRatio);
+    }
+
     /**
      * Gets the content type header
      *
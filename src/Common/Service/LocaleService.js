@@ -27,6 +27,58 @@ class LocaleService {
         return locale;
     }
 
+    /**
+     * Gets the locales to fall back to when a value is missing in a locale, in order
+     *
+     * @param {String} locale
+     * @param {Object} fallbacks The fallback of each locale as { locale: fallback }
+     *
+     * @return {Array} Locales
+     */
+    static getFallbackChain(locale, fallbacks = {}) {
+        checkParam(locale, 'locale', String, true);
+        checkParam(fallbacks, 'fallbacks', Object);
+
+        let chain = [];
+        let next = (fallbacks || {})[locale];
+
+        // Circular chains end where they would repeat themselves
+        while(next && next !== locale && chain.indexOf(next) < 0) {
+            chain.push(next);
+
+            next = fallbacks[next];
+        }
+
+        return chain;
+    }
+
+    /**
+     * Gets a localised value, following the fallback chain of the locale if the value is missing
+     *
+     * @param {Object} values Values by locale
+     * @param {String} locale
+     * @param {Object} fallbacks The fallback of each locale as { locale: fallback }
+     *
+     * @return {Object} Result as { value, locale }, where locale is the one the value was found in
+     */
+    static getLocalizedValue(values, locale, fallbacks = {}) {
+        checkParam(values, 'values', Object);
+        checkParam(locale, 'locale', String, true);
+        checkParam(fallbacks, 'fallbacks', Object);
+
+        values = values || {};
+
+        for(let candidate of [ locale ].concat(this.getFallbackChain(locale, fallbacks))) {
+            let value = values[candidate];
+
+            if(value === undefined || value === null || value === '') { continue; }
+
+            return { value: value, locale: candidate };
+        }
+
+        return { value: values[locale], locale: locale };
+    }
+
     /**
      * Gets all locales
      *
@@ -269,6 +269,7 @@ base.getMIMEType = (filename) => {
             
         // Image types
         case 'jpg':
+        case 'jpeg':
             return 'image/jpeg';
         case 'png':
             return 'image/png';
@@ -276,6 +277,10 @@ base.getMIMEType = (filename) => {
             return 'image/gif';
         case 'bmp':
             return 'image/bmp';
+        case 'webp':
+            return 'image/webp';
+        case 'avif':
+            return 'image/avif';
         
         // Audio types
         case 'm4a':
@@ -120,6 +120,11 @@ class AssetController extends HashBrown.Controller.ControllerBase {
 
     /**
      * Serves binary media data
+     *
+     * Images can be transformed on the fly, and the results are cached until the media is saved or removed
+     *
+     * @example GET /media/${project}/${environment}/${id}?width=800&height=600&fit=cover&focus=0.5,0.3&format=webp&quality=80
+     * @example GET /media/${project}/${environment}/${id}?crop=hero&width=1600
      */
     static async media(request, params, body, query, context) {
         let media = await HashBrown.Entity.Resource.Media.get(context, params.id);
@@ -127,6 +132,16 @@ class AssetController extends HashBrown.Controller.ControllerBase {
         if(!media) {
             return new HashBrown.Http.Response('Not found', 404);
         }
+        
+        let transform = params.filename ? null : HashBrown.Entity.Resource.Media.getTransform(query);
+
+        if(transform) {
+            let path = await media.getRendition(transform);
+
+            if(path) {
+                return new HashBrown.Http.Response(HashBrown.Service.FileService.readStream(path), 200, { 'Content-Type': getMIMEType(path) });
+            }
+        }
            
         let isThumbnail = ('thumbnail' in query) && !media.isSvg();
         let url = params.filename ? await media.getFileUrl(params.filename) : isThumbnail ? await media.getThumbnailUrl() : await media.getContentUrl();
@@ -135,6 +150,11 @@ class AssetController extends HashBrown.Controller.ControllerBase {
             return new HashBrown.Http.Response(`Media ${isThumbnail ? 'thumbnail' : 'content'} URL could not be resolved`, 404);
         }
 
+        // Remote storage, like S3 buckets, serves the file directly
+        if(url.indexOf('://') > -1) {
+            return new HashBrown.Http.Response(`You are being redirected to ${url}...`, 302, { 'Location': url });
+        }
+
         let data = HashBrown.Service.FileService.readStream(url);
         let type = isThumbnail ? 'image/jpeg' : media.getContentTypeHeader();
 
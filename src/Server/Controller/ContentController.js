@@ -18,6 +18,28 @@ class ContentController extends HashBrown.Controller.ResourceController {
                     scope: 'content'
                 }
             },
+            '/api/${project}/${environment}/content/bulk': {
+                handler: this.bulk,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/usage': {
+                handler: this.usage,
+                user: true
+            },
+            '/api/${project}/${environment}/content/translations': {
+                handler: this.translations,
+                user: true
+            },
+            '/api/${project}/${environment}/content/xliff': {
+                handler: this.importXliff,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
             ...super.routes,
             '/api/${project}/${environment}/content/${id}/insert': {
                 handler: this.insert,
@@ -25,45 +47,192 @@ class ContentController extends HashBrown.Controller.ResourceController {
                 user: {
                     scope: 'content'
                 }
+            },
+            '/api/${project}/${environment}/content/${id}/move': {
+                handler: this.move,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/duplicate': {
+                handler: this.duplicate,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/publish': {
+                handler: this.publish,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/unpublish': {
+                handler: this.unpublish,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/discard': {
+                handler: this.discard,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/transition': {
+                handler: this.transition,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/comments': {
+                handler: this.comments,
+                methods: [ 'GET', 'POST' ],
+                user: {
+                    scope: 'content'
+                }
+            },
+            '/api/${project}/${environment}/content/${id}/usage': {
+                handler: this.usage,
+                user: true
+            },
+            '/api/${project}/${environment}/content/${id}/xliff': {
+                handler: this.exportXliff,
+                user: true
+            },
+            '/api/${project}/${environment}/content/${id}/revisions': {
+                handler: this.revisions,
+                user: true
+            },
+            '/api/${project}/${environment}/content/${id}/revisions/${timestamp}': {
+                handler: this.revision,
+                user: true
+            },
+            '/api/${project}/${environment}/content/${id}/revisions/${timestamp}/diff': {
+                handler: this.diffRevisions,
+                user: true
+            },
+            '/api/${project}/${environment}/content/${id}/revisions/${timestamp}/restore': {
+                handler: this.restoreRevision,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'content'
+                }
             }
         };
     }
     
+    /**
+     * Clears the cache of all publications
+     *
+     * @param {HashBrown.Entity.Context} context
+     */
+    static async clearPublicationCache(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let publications = await HashBrown.Entity.Resource.Publication.list(context);
+
+        for(let publication of publications) {
+            await publication.clearCache();
+        }
+    }
+    
     /**
      * Republishes all content
      *
      * @example POST /api/${project}/${environment}/content/republish
      */
     static async republish(request, params, body, query, context) {
-        let contents = await HashBrown.Entity.Resource.Content.list(context);
         let publications = await HashBrown.Entity.Resource.Publication.list(context);
 
         for(let publication of publications) {
-            for(let content of contents) {
-                if(!content.isPublished) { continue; }
+            await publication.republish();
+        }
 
-                await publication.deployContent(content.id);
-            }
+        return new HashBrown.Http.Response('OK');
+    }
+    
+    /**
+     * Publishes, unpublishes or removes many content items at once
+     *
+     * Publishing and unpublishing continues past items that fail, while removing is done all at once or not at all
+     *
+     * @example POST /api/${project}/${environment}/content/bulk { action: publish|unpublish|remove, ids: [], removeChildren, references, replaceId }
+     *
+     * @return {Object} { succeeded: [ id ], failed: [ { id, message } ] }
+     */
+    static async bulk(request, params, body, query, context) {
+        if(!body || !Array.isArray(body.ids) || body.ids.length < 1) {
+            return new HashBrown.Http.Response('Parameter "ids" is required', 400);
         }
-        
-        // Clear publication cache
-        for(let publication of publications) {
-            await publication.clearCache();
+
+        let result = {
+            succeeded: [],
+            failed: []
+        };
+
+        switch(body.action) {
+            case 'publish':
+            case 'unpublish':
+                for(let id of body.ids) {
+                    try {
+                        let resource = await HashBrown.Entity.Resource.Content.get(context, id);
+
+                        if(!resource) {
+                            throw new Error('Not found');
+                        }
+
+                        await resource.checkRequiredScopes();
+
+                        await resource[body.action]();
+
+                        result.succeeded.push(id);
+
+                    } catch(e) {
+                        result.failed.push({ id: id, message: e.message });
+
+                    }
+                }
+                break;
+
+            case 'remove':
+                // Nothing is removed if any of the items can't be edited by this user
+                for(let id of await HashBrown.Entity.Resource.Content.getRemovedIds(context, body.ids, body.removeChildren === true || body.removeChildren === 'true')) {
+                    let resource = await HashBrown.Entity.Resource.Content.get(context, id);
+
+                    if(resource) {
+                        await resource.checkRequiredScopes();
+                    }
+                }
+
+                await HashBrown.Entity.Resource.Content.removeMany(context, body.ids, {
+                    removeChildren: body.removeChildren,
+                    references: body.references,
+                    replaceId: body.replaceId
+                });
+
+                result.succeeded = body.ids;
+                break;
+
+            default:
+                return new HashBrown.Http.Response(`Unknown action "${body.action}"`, 400);
         }
 
-        return new HashBrown.Http.Response('OK');
+        await this.clearPublicationCache(context);
+
+        return new HashBrown.Http.Response(result);
     }
     
     /**
      * @inheritdoc
      */
     static async pull(request, params, body, query, context) {
-        // Clear publication cache
-        let publications = await HashBrown.Entity.Resource.Publication.list(context);
-
-        for(let publication of publications) {
-            await publication.clearCache();
-        }
+        await this.clearPublicationCache(context);
 
         return await super.pull(request, params, body, query, context);
     }
@@ -72,13 +241,19 @@ class ContentController extends HashBrown.Controller.ResourceController {
      * @inheritdoc
      */
     static async resource(request, params, body, query, context) {
-        // Clear publication cache
         if(request.method === 'POST' || request.method === 'DELETE') {
-            let publications = await HashBrown.Entity.Resource.Publication.list(context);
+            await this.clearPublicationCache(context);
+        }
 
-            for(let publication of publications) {
-                await publication.clearCache();
-            }
+        // Publishing and workflow state can only be changed through their dedicated routes
+        if(request.method === 'POST' && body) {
+            delete body.isPublished;
+            delete body.published;
+            delete body.workflowState;
+            delete body.comments;
+
+            // Properties edited through the API are validated, as opposed to state changes made by the server
+            query.validate = true;
         }
 
         return await super.resource(request, params, body, query, context);
@@ -96,12 +271,356 @@ class ContentController extends HashBrown.Controller.ResourceController {
             return new HashBrown.Http.Response('Not found', 404);
         }
 
+        await resource.checkRequiredScopes();
+
         let parent = await HashBrown.Entity.Resource.Content.get(context, query.parentId);
 
         await resource.insert(parent, parseInt(query.position));
         
         return new HashBrown.Http.Response('OK');
     }
+    
+    /**
+     * Moves a content resource and its descendants to the end of another parent
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/move?parentId=XXX
+     */
+    static async move(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        let parent = null;
+
+        if(query.parentId) {
+            parent = await HashBrown.Entity.Resource.Content.get(context, query.parentId);
+
+            if(!parent) {
+                return new HashBrown.Http.Response(`Parent "${query.parentId}" not found`, 404);
+            }
+        }
+
+        await resource.move(parent);
+        
+        return new HashBrown.Http.Response('OK');
+    }
+    
+    /**
+     * Duplicates a content resource and its descendants
+     *
+     * Without a parent id, the copy is placed next to the original
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/duplicate?parentId=XXX
+     *
+     * @return {HashBrown.Entity.Resource.Content} The copy
+     */
+    static async duplicate(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        let parentId = query.parentId === undefined ? resource.parentId : query.parentId;
+        let parent = null;
+
+        if(parentId) {
+            parent = await HashBrown.Entity.Resource.Content.get(context, parentId);
+
+            if(!parent) {
+                return new HashBrown.Http.Response(`Parent "${parentId}" not found`, 404);
+            }
+        }
+
+        let copy = await resource.duplicate(parent);
+        
+        return new HashBrown.Http.Response(copy);
+    }
+    
+    /**
+     * Publishes the current draft of a content resource
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/publish
+     */
+    static async publish(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        await resource.publish();
+        
+        await this.clearPublicationCache(context);
+
+        return new HashBrown.Http.Response(resource);
+    }
+    
+    /**
+     * Unpublishes a content resource
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/unpublish
+     */
+    static async unpublish(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        await resource.unpublish();
+        
+        await this.clearPublicationCache(context);
+
+        return new HashBrown.Http.Response(resource);
+    }
+    
+    /**
+     * Gets the content referring to one or more content resources
+     *
+     * @example GET /api/${project}/${environment}/content/${id}/usage?removeChildren=true|false
+     * @example GET /api/${project}/${environment}/content/usage?ids=XXX,XXX&removeChildren=true|false
+     *
+     * @return {Array} Content as { id, name }, including references to descendants if "removeChildren" is true
+     */
+    static async usage(request, params, body, query, context) {
+        let ids = params.id ? [ params.id ] : (query.ids || '').split(',').filter(Boolean);
+
+        if(ids.length < 1) {
+            return new HashBrown.Http.Response('Parameter "ids" is required', 400);
+        }
+
+        ids = await HashBrown.Entity.Resource.Content.getRemovedIds(context, ids, query.removeChildren === 'true');
+
+        return new HashBrown.Http.Response(await HashBrown.Entity.Resource.Content.getInboundReferences(context, ids));
+    }
+    
+    /**
+     * Gets how much of each content resource is translated
+     *
+     * @example GET /api/${project}/${environment}/content/translations
+     */
+    static async translations(request, params, body, query, context) {
+        let completion = await HashBrown.Service.TranslationService.getCompletion(context);
+
+        return new HashBrown.Http.Response(completion, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Exports content and its descendants for translation as XLIFF 2.0
+     *
+     * @example GET /api/${project}/${environment}/content/${id}/xliff?locale=XXX&source=XXX
+     */
+    static async exportXliff(request, params, body, query, context) {
+        let xml = await HashBrown.Service.TranslationService.exportContent(context, params.id, query.locale || '', query.source || '');
+
+        return new HashBrown.Http.Response(xml, 200, {
+            'Content-Type': 'application/xliff+xml; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${params.id}.${query.locale}.xlf"`
+        });
+    }
+
+    /**
+     * Imports translations from an XLIFF 2.0 file
+     *
+     * @example POST /api/${project}/${environment}/content/xliff { files: [ { filename: XXX, base64: XXX } ] }
+     */
+    static async importXliff(request, params, body, query, context) {
+        if(!body.files || !body.files[0] || !body.files[0].base64) {
+            return new HashBrown.Http.Response('File was not provided', 400);
+        }
+
+        let xml = Buffer.from(body.files[0].base64, 'base64').toString('utf8');
+        let result = await HashBrown.Service.TranslationService.importContent(context, xml);
+
+        return new HashBrown.Http.Response(result);
+    }
+
+    /**
+     * Discards the draft of a content resource, reverting it to the published snapshot
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/discard
+     */
+    static async discard(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        await resource.discardChanges();
+
+        return new HashBrown.Http.Response(resource);
+    }
+    
+    /**
+     * Moves a content resource to another workflow state
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/transition { state: XXX, comment: XXX }
+     */
+    static async transition(request, params, body, query, context) {
+        if(!body.state) {
+            return new HashBrown.Http.Response('Parameter "state" is required', 400);
+        }
+
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.transition(body.state, body.comment || '');
+        
+        await this.clearPublicationCache(context);
+
+        return new HashBrown.Http.Response(resource);
+    }
+    
+    /**
+     * Lists or adds reviewer comments on a content resource
+     *
+     * @example GET|POST /api/${project}/${environment}/content/${id}/comments { text: XXX }
+     */
+    static async comments(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        if(request.method === 'POST') {
+            if(!body.text) {
+                return new HashBrown.Http.Response('Parameter "text" is required', 400);
+            }
+            
+            await resource.checkRequiredScopes();
+
+            resource.addComment(body.text);
+
+            await resource.save();
+        }
+
+        return new HashBrown.Http.Response(resource.comments);
+    }
+    
+    /**
+     * Lists all revisions of a content resource, without their snapshots
+     *
+     * @example GET /api/${project}/${environment}/content/${id}/revisions
+     */
+    static async revisions(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        let revisions = await resource.getRevisions();
+        let userNames = {};
+
+        for(let i in revisions) {
+            let userId = revisions[i].user;
+
+            if(userId && userNames[userId] === undefined) {
+                let user = await HashBrown.Entity.User.get(userId);
+
+                userNames[userId] = user ? user.getName() : userId;
+            }
+
+            revisions[i] = revisions[i].getObject();
+            revisions[i].userName = userNames[userId] || '';
+
+            delete revisions[i].data;
+        }
+
+        return new HashBrown.Http.Response(revisions);
+    }
+    
+    /**
+     * Gets a single revision of a content resource
+     *
+     * @example GET /api/${project}/${environment}/content/${id}/revisions/${timestamp}
+     */
+    static async revision(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        let revision = await resource.getRevision(parseInt(params.timestamp));
+        
+        if(!revision) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        return new HashBrown.Http.Response(revision);
+    }
+    
+    /**
+     * Compares two revisions of a content resource field by field
+     * If no "to" timestamp is specified, the revision is compared to the current state of the content
+     *
+     * @example GET /api/${project}/${environment}/content/${id}/revisions/${timestamp}/diff?to=XXX
+     */
+    static async diffRevisions(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        let from = await resource.getRevision(parseInt(params.timestamp));
+        let to = null;
+        
+        if(query.to) {
+            to = await resource.getRevision(parseInt(query.to));
+        
+        } else {
+            to = HashBrown.Entity.Revision.new({
+                content: resource.id,
+                data: resource.getObject()
+            });
+
+        }
+
+        if(!from || !to) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        return new HashBrown.Http.Response(from.diff(to));
+    }
+    
+    /**
+     * Restores a content resource to the state of a revision
+     *
+     * @example POST /api/${project}/${environment}/content/${id}/revisions/${timestamp}/restore
+     */
+    static async restoreRevision(request, params, body, query, context) {
+        let resource = await HashBrown.Entity.Resource.Content.get(context, params.id);
+
+        if(!resource) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        await resource.checkRequiredScopes();
+
+        await resource.restoreRevision(parseInt(params.timestamp));
+
+        return new HashBrown.Http.Response(resource);
+    }
 }
 
 module.exports = ContentController;
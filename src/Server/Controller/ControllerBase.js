@@ -175,7 +175,7 @@ class ControllerBase extends require('Common/Controller/ControllerBase') {
         
         debug.error(error, this);
 
-        return new HashBrown.Http.Response(error.message || 'Unexpected error', error.code || 500, error.headers || {});
+        return new HashBrown.Http.Response(error.data || error.message || 'Unexpected error', error.code || 500, error.headers || {});
     }
 
     /**
@@ -262,13 +262,15 @@ class ControllerBase extends require('Common/Controller/ControllerBase') {
     static async getRequestBody(request) {
         checkParam(request, 'request', HashBrown.Http.Request, true);
 
-        let body = '';
+        let chunks = [];
+        let length = 0;
 
         await new Promise((resolve, reject) => {
             request.on('data', (data) => {
-                body += data;
+                chunks.push(data);
+                length += data.length;
 
-                if(body.length > MAX_UPLOAD_SIZE) {
+                if(length > MAX_UPLOAD_SIZE) {
                     request.connection.destroy();
                     reject(new HashBrown.Http.Exception('Body exceeded maximum capacity', 413));
                 }
@@ -279,9 +281,16 @@ class ControllerBase extends require('Common/Controller/ControllerBase') {
             });
         });
 
-        if(!body) { return {}; }
+        if(length < 1) { return {}; }
 
         let contentType = (request.headers['Content-Type'] || request.headers['content-type'] || '').split(';').shift().trim();
+        
+        // Binary data, like upload chunks, is passed on as is
+        if(contentType === 'application/octet-stream') {
+            return Buffer.concat(chunks, length);
+        }
+
+        let body = Buffer.concat(chunks, length).toString('utf8');
 
         switch(contentType) {
             case 'application/json':
@@ -14,6 +14,12 @@ class InputController extends HashBrown.Controller.ControllerBase {
             'create-user': {
                 handler: this.createUser
             },
+            'export-project': {
+                handler: this.exportProject
+            },
+            'import-project': {
+                handler: this.importProject
+            },
             'make-user-admin': {
                 handler: this.makeUserAdmin
             },
@@ -76,6 +82,61 @@ class InputController extends HashBrown.Controller.ControllerBase {
         await HashBrown.Entity.User.create(args.u, args.p, { isAdmin: args.admin === 'true' });
     }
 
+    /**
+     * Exports a project as a portable archive
+     *
+     * @example export-project p=XXX f=XXX
+     */
+    static async exportProject(args) {
+        if(!args.p || !args.f) {
+            throw new Error('Usage: export-project p=PROJECT f=FILE');
+        }
+
+        let project = await HashBrown.Entity.Project.get(args.p);
+
+        if(!project) {
+            throw new Error(`Project "${args.p}" not found`);
+        }
+
+        let archive = await HashBrown.Service.ArchiveService.exportProject(project, args.f);
+
+        for(let warning of archive.warnings) {
+            debug.warning(warning, this);
+        }
+
+        debug.log(`Exported project "${project.getName()}" to ${args.f}`, this);
+    }
+
+    /**
+     * Imports a project archive, either as a new project or into an existing one
+     *
+     * @example import-project f=XXX n=XXX id=XXX into=XXX remap=true|false
+     */
+    static async importProject(args) {
+        if(!args.f) {
+            throw new Error('Usage: import-project f=FILE [n=NAME] [id=PROJECT_ID] [into=EXISTING_PROJECT] [remap=true|false]');
+        }
+
+        let source = HashBrown.Service.FileService.readStream(args.f);
+
+        if(!source) {
+            throw new Error(`File "${args.f}" not found`);
+        }
+
+        let result = await HashBrown.Service.ArchiveService.importProject(source, {
+            name: args.n || '',
+            id: args.id || '',
+            project: args.into || '',
+            remapIds: args.remap === 'true'
+        });
+
+        for(let warning of result.warnings) {
+            debug.warning(warning, this);
+        }
+
+        debug.log(`Imported ${result.resources} resources and ${result.mediaFiles} media files into project "${result.project}"`, this);
+    }
+
     /**
      * Makes an existing user an admin
      *
@@ -18,6 +18,35 @@ class MediaController extends HashBrown.Controller.ResourceController {
                 handler: this.renameFolder,
                 methods: [ 'POST' ]
             },
+            '/api/${project}/${environment}/media/uploads': {
+                handler: this.uploads,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'media'
+                }
+            },
+            '/api/${project}/${environment}/media/uploads/${id}': {
+                handler: this.upload,
+                methods: [ 'GET', 'PUT', 'DELETE' ],
+                user: {
+                    scope: 'media'
+                }
+            },
+            '/api/${project}/${environment}/media/uploads/${id}/finalize': {
+                handler: this.finalizeUpload,
+                methods: [ 'POST' ],
+                user: {
+                    scope: 'media'
+                }
+            },
+            '/api/${project}/${environment}/media/usage': {
+                handler: this.usage,
+                user: true
+            },
+            '/api/${project}/${environment}/media/${id}/usage': {
+                handler: this.usage,
+                user: true
+            },
             ...super.routes,
         };
     }        
@@ -59,6 +88,86 @@ class MediaController extends HashBrown.Controller.ResourceController {
         return new HashBrown.Http.Response('OK', 200);
     }
 
+    /**
+     * Starts a resumable upload
+     *
+     * @example POST /api/${project}/${environment}/media/uploads { filename: String, size: Number, folder: String, replaceId: String }
+     *
+     * @return {Object} Upload session { id, filename, size, offset }
+     */
+    static async uploads(request, params, body, query, context) {
+        let session = await HashBrown.Service.UploadService.createSession(context, body);
+
+        return new HashBrown.Http.Response(session);
+    }
+    
+    /**
+     * Gets, appends a chunk to or cancels a resumable upload
+     *
+     * @example GET|DELETE /api/${project}/${environment}/media/uploads/${id}
+     * @example PUT /api/${project}/${environment}/media/uploads/${id}?offset=XXX <Binary data as application/octet-stream>
+     *
+     * @return {Object} Upload session { id, filename, size, offset }
+     */
+    static async upload(request, params, body, query, context) {
+        if(request.method === 'DELETE') {
+            await HashBrown.Service.UploadService.removeSession(context, params.id);
+
+            return new HashBrown.Http.Response('OK', 200);
+        }
+
+        if(request.method === 'PUT') {
+            if(body instanceof Buffer === false) {
+                return new HashBrown.Http.Response('Chunks must be sent as application/octet-stream', 415);
+            }
+            
+            let offset = Number(query.offset);
+
+            if(!Number.isInteger(offset) || offset < 0) {
+                return new HashBrown.Http.Response('Parameter "offset" must be a whole number', 400);
+            }
+
+            return new HashBrown.Http.Response(await HashBrown.Service.UploadService.appendChunk(context, params.id, offset, body));
+        }
+
+        return new HashBrown.Http.Response(await HashBrown.Service.UploadService.getSession(context, params.id));
+    }
+    
+    /**
+     * Finalises a resumable upload, creating or replacing the media
+     *
+     * @example POST /api/${project}/${environment}/media/uploads/${id}/finalize
+     *
+     * @return {HashBrown.Entity.Resource.Media} Media
+     */
+    static async finalizeUpload(request, params, body, query, context) {
+        let media = await HashBrown.Service.UploadService.finalize(context, params.id);
+
+        return new HashBrown.Http.Response(media);
+    }
+
+    /**
+     * Gets the content using media, either for a single item or for all used media
+     *
+     * @example GET /api/${project}/${environment}/media/usage
+     * @example GET /api/${project}/${environment}/media/${id}/usage
+     *
+     * @return {Object|Array} Content as { id, name }, in a map by media id if no id was given
+     */
+    static async usage(request, params, body, query, context) {
+        if(!params.id) {
+            return new HashBrown.Http.Response(await HashBrown.Service.ReferenceService.getMediaUsage(context));
+        }
+        
+        let media = await HashBrown.Entity.Resource.Media.get(context, params.id);
+
+        if(!media) {
+            return new HashBrown.Http.Response('Not found', 404);
+        }
+
+        return new HashBrown.Http.Response(await media.getUsage());
+    }
+
     /**
      * @inheritdoc
      */
@@ -76,11 +185,12 @@ class MediaController extends HashBrown.Controller.ResourceController {
         let options = {
             full: body.full,
             filename: body.filename,
-            thumbnail: body.thumbnail
+            thumbnail: body.thumbnail,
+            regenerateThumbnail: body.regenerateThumbnail === true
         };
 
         if(!media) {
-            media = await HashBrown.Entity.Resource.Media.create(body, options);
+            media = await HashBrown.Entity.Resource.Media.create(context, body, options);
 
         } else {
             media.adopt(body);
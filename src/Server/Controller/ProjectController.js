@@ -1,6 +1,8 @@
 'use strict';
 
 const Path = require('path');
+const Crypto = require('crypto');
+const Stream = require('stream');
 
 /**
  * The controller for project related operations
@@ -28,6 +30,13 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
                     isAdmin: true
                 }
             },
+            '/api/projects/import': {
+                handler: this.importArchive,
+                methods: [ 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            },
             '/api/projects/${project}': {
                 handler: this.project,
                 methods: [ 'GET', 'DELETE' ],
@@ -42,7 +51,27 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
                     isAdmin: true
                 }
             },
-           
+            '/api/projects/${project}/promote': {
+                handler: this.promote,
+                methods: [ 'GET', 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/projects/${project}/promote/preview': {
+                handler: this.promotionPreview,
+                methods: [ 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/projects/${project}/promotions': {
+                handler: this.promotions,
+                user: {
+                    isAdmin: true
+                }
+            },
+
             // Settings
             '/api/projects/${project}/settings': {
                 handler: this.settings,
@@ -78,6 +107,14 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
                 user: true
             },
 
+            // Archives
+            '/api/projects/${project}/archive': {
+                handler: this.archive,
+                user: {
+                    isAdmin: true
+                }
+            },
+
             // Backups
             '/api/projects/${project}/backups': {
                 handler: this.backups,
@@ -92,6 +129,13 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
                     isAdmin: true
                 }
             },
+            '/api/projects/${project}/backups/policy': {
+                handler: this.backupPolicy,
+                methods: [ 'GET', 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            },
             '/api/projects/${project}/backups/new': {
                 handler: this.newBackup,
                 methods: [ 'POST' ],
@@ -220,6 +264,57 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
         return new HashBrown.Http.Response(project);
     }
    
+    /**
+     * Imports a project archive, either as a new project or into an existing one
+     *
+     * @example POST /api/projects/import { files: [ { filename: XXX, base64: XXX } ], name: XXX, id: XXX, project: XXX }
+     */
+    static async importArchive(request, params, body, query, context) {
+        if(!body.files || !body.files[0] || !body.files[0].base64) {
+            return new HashBrown.Http.Response('File was not provided', 400);
+        }
+
+        if(!body.project && context.config.system.canAddProjects === false) {
+            return new HashBrown.Http.Response('Adding projects has been disabled by the admin', 403);
+        }
+
+        let source = Stream.Readable.from([ Buffer.from(body.files[0].base64, 'base64') ]);
+
+        let result = await HashBrown.Service.ArchiveService.importProject(source, {
+            name: body.name || '',
+            id: body.id || '',
+            project: body.project || ''
+        });
+
+        return new HashBrown.Http.Response(result);
+    }
+
+    /**
+     * Downloads a project as a portable archive
+     *
+     * @example GET /api/projects/${project}/archive
+     */
+    static async archive(request, params, body, query, context) {
+        let path = Path.join(APP_ROOT, 'storage', context.project.id, 'archive', Crypto.randomBytes(8).toString('hex') + '.tar.gz');
+        let archive = await HashBrown.Service.ArchiveService.exportProject(context.project, path);
+
+        for(let warning of archive.warnings) {
+            debug.warning(warning, this);
+        }
+
+        let data = HashBrown.Service.FileService.readStream(path);
+
+        // The archive is only kept until it has been sent
+        data.on('close', () => {
+            HashBrown.Service.FileService.remove(path);
+        });
+
+        return new HashBrown.Http.Response(data, 200, {
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${context.project.id}.tar.gz"`
+        });
+    }
+
     /**
      * Gets a new sync token
      *
@@ -247,8 +342,21 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
                     return new HashBrown.Http.Response('Only admins can change project settings', 403);
                 }
 
+                let fallbacks = JSON.stringify(await context.project.getLocaleFallbacks());
+
                 await context.project.setSettings(body, params.section);
-        
+
+                // Cached queries were resolved with the old fallbacks
+                if(JSON.stringify(await context.project.getLocaleFallbacks()) !== fallbacks) {
+                    for(let environment of await context.project.getEnvironments()) {
+                        let environmentContext = HashBrown.Service.PromotionService.getEnvironmentContext(context, environment);
+
+                        for(let publication of await HashBrown.Entity.Resource.Publication.list(environmentContext)) {
+                            await publication.clearCache();
+                        }
+                    }
+                }
+
                 return new HashBrown.Http.Response('OK');
 
             case 'GET':
@@ -284,6 +392,46 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
         return new HashBrown.Http.Response('OK');
     }
 
+    /**
+     * Lists the resources that can be promoted, or promotes selected resources between environments
+     *
+     * @example GET /api/projects/${project}/promote?from=XXX&to=XXX
+     * @example POST /api/projects/${project}/promote { from: XXX, to: XXX, selection: { content: [ XXX ], media: [ XXX ], schemas: [ XXX ], publications: [ XXX ] } }
+     */
+    static async promote(request, params, body, query, context) {
+        if(request.method === 'GET') {
+            let candidates = await HashBrown.Service.PromotionService.getCandidates(context, query.from || '', query.to || '');
+
+            return new HashBrown.Http.Response(candidates, 200, { 'Cache-Control': 'no-store' });
+        }
+
+        let promotion = await HashBrown.Service.PromotionService.promote(context, body.from || '', body.to || '', body.selection || {});
+
+        return new HashBrown.Http.Response(promotion);
+    }
+
+    /**
+     * Previews what promoting selected resources will create and overwrite
+     *
+     * @example POST /api/projects/${project}/promote/preview { from: XXX, to: XXX, selection: { content: [ XXX ] } }
+     */
+    static async promotionPreview(request, params, body, query, context) {
+        let plan = await HashBrown.Service.PromotionService.getPlan(context, body.from || '', body.to || '', body.selection || {});
+
+        return new HashBrown.Http.Response(plan);
+    }
+
+    /**
+     * Lists past promotions
+     *
+     * @example GET /api/projects/${project}/promotions
+     */
+    static async promotions(request, params, body, query, context) {
+        let promotions = await HashBrown.Service.PromotionService.getHistory(context);
+
+        return new HashBrown.Http.Response(promotions, 200, { 'Cache-Control': 'no-store' });
+    }
+
     /**
      * Creates a new environment
      *
@@ -370,6 +518,23 @@ class ProjectController extends HashBrown.Controller.ControllerBase {
     }
 
 
+    /**
+     * Gets or sets the backup policy
+     *
+     * @example GET|POST /api/projects/{project}/backups/policy { frequency: daily|weekly, hour: XXX, weekday: XXX, keepLast: XXX, keepWeeks: XXX, deployer: { alias: XXX } }
+     */
+    static async backupPolicy(request, params, body, query, context) {
+        if(request.method === 'GET') {
+            let policy = await context.project.getBackupPolicy();
+
+            return new HashBrown.Http.Response(policy, 200, { 'Cache-Control': 'no-store' });
+        }
+
+        let policy = await context.project.setBackupPolicy(body);
+
+        return new HashBrown.Http.Response(policy);
+    }
+
     /**
      * Modifies a backup
      *
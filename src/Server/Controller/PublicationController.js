@@ -16,6 +16,10 @@ class PublicationController extends HashBrown.Controller.ResourceController {
             '/api/${project}/${environment}/publications/${id}/query': {
                 handler: this.query
             },
+            '/api/${project}/${environment}/publications/${id}/graphql': {
+                handler: this.graphql,
+                methods: [ 'GET', 'POST' ]
+            },
             ...super.routes,
         };
     }        
@@ -23,7 +27,9 @@ class PublicationController extends HashBrown.Controller.ResourceController {
     /**
      * Queries this publication for content
      *
-     * @example GET /api/${project}/${environment}/publications/${id}/query[?key=value]
+     * @example GET /api/${project}/${environment}/publications/${id}/query[?key=value][&key[$operator]=value][&sort=-key][&limit=10][&offset=0][&fields=key,key.subkey]
+     *
+     * @return {Object} Results as { total, offset, limit, items }
      */
     static async query(request, params, body, query, context) {
         let publication = await HashBrown.Entity.Resource.Publication.get(context, params.id);
@@ -34,6 +40,40 @@ class PublicationController extends HashBrown.Controller.ResourceController {
 
         return new HashBrown.Http.Response(results, 200, { 'Cache-Control': 'no-store', 'Content-Type': 'application/json' });
     }
+    
+    /**
+     * Queries this publication for content using GraphQL
+     *
+     * @example GET /api/${project}/${environment}/publications/${id}/graphql?query=...[&variables=...][&operationName=...]
+     * @example POST /api/${project}/${environment}/publications/${id}/graphql { query: String, variables: Object, operationName: String }
+     */
+    static async graphql(request, params, body, query, context) {
+        let publication = await HashBrown.Entity.Resource.Publication.get(context, params.id);
+
+        if(!publication) { return new HashBrown.Http.Response('Publication not found', 404); }
+
+        let input = request.method === 'POST' ? body : query;
+        let variables = input.variables || {};
+
+        if(!input.query) { return new HashBrown.Http.Response('Query is required', 400); }
+
+        if(typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+
+            } catch(e) {
+                return new HashBrown.Http.Response('Variables are not valid JSON', 400);
+
+            }
+        }
+
+        let result = await HashBrown.Service.GraphQLService.query(publication, input.query, variables, input.operationName || null);
+
+        // Errors without data mean the query itself was invalid
+        let code = result.errors && !result.data ? 400 : 200;
+
+        return new HashBrown.Http.Response(result, code, { 'Cache-Control': 'no-store', 'Content-Type': 'application/json' });
+    }
 }
 
 module.exports = PublicationController;
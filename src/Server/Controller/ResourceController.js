@@ -208,11 +208,13 @@ i
                 if(!context.user.hasScope(context.project.id, this.library)) {
                     return new HashBrown.Http.Response(`You do not have access to edit this ${this.library} resource`, 403);
                 }
-
+                
                 if(!resource) {
                     resource = await model.create(context, body, query);
 
                 } else {
+                    await resource.checkRequiredScopes();
+
                     resource.adopt(body);
                     
                     query.id = params.id; // Include the original id, in case it was changed
@@ -227,6 +229,8 @@ i
                     return new HashBrown.Http.Response(`You do not have access to remove this ${this.library} resource`, 403);
                 }
                 
+                await resource.checkRequiredScopes();
+
                 await resource.remove(query);
 
                 return new HashBrown.Http.Response('OK');
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * The controller for two-way sync with a remote
+ *
+ * @memberof HashBrown.Server.Controller
+ */
+class SyncController extends HashBrown.Controller.ControllerBase {
+    /**
+     * Routes
+     */
+    static get routes() {
+        return {
+            '/api/${project}/${environment}/sync': {
+                handler: this.status,
+                user: true
+            },
+            '/api/${project}/${environment}/sync/${library}/${id}': {
+                handler: this.resource,
+                methods: [ 'GET', 'POST' ],
+                user: true
+            }
+        };
+    }
+
+    /**
+     * Lists the resources that are ahead of, behind or in conflict with the remote
+     *
+     * @example GET /api/${project}/${environment}/sync
+     */
+    static async status(request, params, body, query, context) {
+        let status = await HashBrown.Service.SyncService.getStatus(context);
+
+        return new HashBrown.Http.Response(status, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Gets the fields that differ between the two ends of a resource, or resolves them
+     *
+     * @example GET|POST /api/${project}/${environment}/sync/${library}/${id} { resolution: local|remote|merge, fields: { XXX: local|remote } }
+     */
+    static async resource(request, params, body, query, context) {
+        if(request.method === 'GET') {
+            let conflict = await HashBrown.Service.SyncService.getConflict(context, params.library, params.id);
+
+            return new HashBrown.Http.Response(conflict, 200, { 'Cache-Control': 'no-store' });
+        }
+
+        if(!context.user.hasScope(context.project.id, params.library)) {
+            return new HashBrown.Http.Response(`You do not have access to edit this ${params.library} resource`, 403);
+        }
+
+        let resource = await HashBrown.Service.SyncService.resolve(context, params.library, params.id, body.resolution || '', body.fields || {});
+
+        if(params.library === 'content') {
+            await HashBrown.Controller.ContentController.clearPublicationCache(context);
+        }
+
+        return new HashBrown.Http.Response(resource || 'OK');
+    }
+}
+
+module.exports = SyncController;
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * The controller for scheduled tasks
+ *
+ * @memberof HashBrown.Server.Controller
+ */
+class TaskController extends HashBrown.Controller.ControllerBase {
+    /**
+     * Routes
+     */
+    static get routes() {
+        return {
+            '/api/tasks': {
+                handler: this.tasks,
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/tasks/types': {
+                handler: this.types,
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/tasks/runs': {
+                handler: this.runs,
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/tasks/new': {
+                handler: this.new,
+                methods: [ 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/tasks/${id}': {
+                handler: this.task,
+                methods: [ 'GET', 'POST', 'DELETE' ],
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/tasks/${id}/run': {
+                handler: this.run,
+                methods: [ 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            }
+        };
+    }
+
+    /**
+     * Lists all upcoming and failed tasks, soonest first
+     *
+     * @example GET /api/tasks
+     */
+    static async tasks(request, params, body, query, context) {
+        let tasks = await HashBrown.Entity.Task.list();
+
+        tasks.sort((a, b) => (a.date ? a.date.getTime() : 0) - (b.date ? b.date.getTime() : 0));
+
+        return new HashBrown.Http.Response(tasks, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Lists the task types that can be scheduled
+     *
+     * @example GET /api/tasks/types
+     */
+    static async types(request, params, body, query, context) {
+        return new HashBrown.Http.Response(HashBrown.Service.ScheduleService.getTypes());
+    }
+
+    /**
+     * Lists past runs of tasks, newest first
+     *
+     * @example GET /api/tasks/runs
+     */
+    static async runs(request, params, body, query, context) {
+        let runs = await HashBrown.Service.ScheduleService.getRuns();
+
+        return new HashBrown.Http.Response(runs, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Creates a task
+     *
+     * @example POST /api/tasks/new { type: XXX, project: XXX, environment: XXX, schedule: '0 3 * * *', date: XXX, maxAttempts: 3, data: {} }
+     */
+    static async new(request, params, body, query, context) {
+        let task = await HashBrown.Entity.Task.createJob(context.user, body);
+
+        return new HashBrown.Http.Response(task);
+    }
+
+    /**
+     * Gets, reschedules or removes a task
+     *
+     * Rescheduling a failed task makes it run again
+     *
+     * @example GET|POST|DELETE /api/tasks/${id} { schedule: '0 3 * * *', date: XXX, maxAttempts: 3 }
+     */
+    static async task(request, params, body, query, context) {
+        let task = await HashBrown.Entity.Task.getById(params.id);
+
+        if(!task) {
+            return new HashBrown.Http.Response(`Task ${params.id} not found`, 404);
+        }
+
+        switch(request.method) {
+            case 'POST':
+                task.setSchedule(body);
+
+                await task.save();
+                break;
+
+            case 'DELETE':
+                await task.remove();
+
+                return new HashBrown.Http.Response('OK');
+        }
+
+        return new HashBrown.Http.Response(task, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Runs a task now, regardless of its date
+     *
+     * @example POST /api/tasks/${id}/run
+     */
+    static async run(request, params, body, query, context) {
+        let task = await HashBrown.Entity.Task.getById(params.id);
+
+        if(!task) {
+            return new HashBrown.Http.Response(`Task ${params.id} not found`, 404);
+        }
+
+        await task.run(true);
+
+        // Successful one-off tasks are removed after running
+        task = await HashBrown.Entity.Task.getById(params.id);
+
+        return new HashBrown.Http.Response(task || 'OK');
+    }
+}
+
+module.exports = TaskController;
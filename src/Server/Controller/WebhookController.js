@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * The controller for webhooks
+ *
+ * @memberof HashBrown.Server.Controller
+ */
+class WebhookController extends HashBrown.Controller.ControllerBase {
+    /**
+     * Routes
+     */
+    static get routes() {
+        return {
+            '/api/webhooks/events': {
+                handler: this.events,
+                user: true
+            },
+            '/api/${project}/${environment}/webhooks/deliveries': {
+                handler: this.deliveries,
+                user: {
+                    isAdmin: true
+                }
+            },
+            '/api/${project}/${environment}/webhooks/test': {
+                handler: this.test,
+                methods: [ 'POST' ],
+                user: {
+                    isAdmin: true
+                }
+            }
+        };
+    }
+
+    /**
+     * Lists all webhook events
+     *
+     * @example GET /api/webhooks/events
+     */
+    static async events(request, params, body, query, context) {
+        return new HashBrown.Http.Response(HashBrown.Service.WebhookService.getEvents());
+    }
+
+    /**
+     * Lists the delivery log of an environment, newest first
+     *
+     * @example GET /api/${project}/${environment}/webhooks/deliveries?webhook=XXX
+     */
+    static async deliveries(request, params, body, query, context) {
+        let deliveries = await HashBrown.Service.WebhookService.getDeliveries(context, query.webhook || '');
+
+        return new HashBrown.Http.Response(deliveries, 200, { 'Cache-Control': 'no-store' });
+    }
+
+    /**
+     * Sends a test event to a webhook definition, saved or not
+     *
+     * @example POST /api/${project}/${environment}/webhooks/test { url: XXX, secret: XXX }
+     */
+    static async test(request, params, body, query, context) {
+        let delivery = await HashBrown.Service.WebhookService.test(context, body);
+
+        return new HashBrown.Http.Response(delivery);
+    }
+}
+
+module.exports = WebhookController;
@@ -13,8 +13,11 @@ namespace('Controller')
     .add(require('./MediaController'))
     .add(require('./SchemaController'))
     .add(require('./ServerController'))
+    .add(require('./SyncController'))
+    .add(require('./TaskController'))
     .add(require('./ProjectController'))
     .add(require('./ProcessorController'))
     .add(require('./PublicationController'))
     .add(require('./UserController'))
+    .add(require('./WebhookController'))
     .add(require('./ViewController'));
@@ -204,7 +204,26 @@ class DeployerBase extends HashBrown.Entity.EntityBase {
     setFile(path, content) {
         return Promise.reject(new Error('The "setFile" method should be overridden.'));
     }
-    
+
+    /**
+     * Sets a file from a local path
+     *
+     * Deployers that can stream should override this, instead of reading the whole file into memory
+     *
+     * @param {String} path
+     * @param {String} localPath
+     *
+     * @returns {Promise} Result
+     */
+    async setFileFromPath(path, localPath) {
+        checkParam(path, 'path', String, true);
+        checkParam(localPath, 'localPath', String, true);
+
+        let data = await HashBrown.Service.FileService.read(localPath);
+
+        await this.setFile(path, data.toString('base64'));
+    }
+
     /**
      * Gets a file
      *
@@ -108,6 +108,20 @@ class FileSystemDeployer extends HashBrown.Entity.Deployer.DeployerBase {
 
         await HashBrown.Service.FileService.write(fileData, path);
     }
+
+    /**
+     * Set file from a local path
+     *
+     * @param {String} path
+     * @param {String} localPath
+     */
+    async setFileFromPath(path, localPath) {
+        checkParam(path, 'path', String, true);
+        checkParam(localPath, 'localPath', String, true);
+
+        await HashBrown.Service.FileService.makeDirectory(Path.dirname(path));
+        await HashBrown.Service.FileService.copy(localPath, path);
+    }
    
     /**
      * Removes a file
@@ -0,0 +1,536 @@
+'use strict';
+
+const FileSystem = require('fs');
+const HTTP = require('http');
+const HTTPS = require('https');
+const Crypto = require('crypto');
+const Path = require('path');
+
+const MAX_KEYS = 1000;
+
+/**
+ * S3 deployer
+ *
+ * Works with any S3 compatible storage, using path style addressing and signature version 4
+ *
+ * @memberof HashBrown.Server.Entity.Deployer
+ */
+class S3Deployer extends HashBrown.Entity.Deployer.DeployerBase {
+    /**
+     * Structure
+     */
+    structure() {
+        super.structure();
+
+        this.def(String, 'endpoint');
+        this.def(String, 'region');
+        this.def(String, 'bucket');
+        this.def(String, 'prefix');
+        this.def(String, 'accessKeyId');
+        this.def(String, 'secretAccessKey');
+        this.def(String, 'publicUrl');
+    }
+
+    /**
+     * Gets the endpoint URL
+     *
+     * @returns {URL} Endpoint
+     */
+    getEndpoint() {
+        let endpoint = this.endpoint || `https://s3.${this.getRegion()}.amazonaws.com`;
+
+        if(endpoint.indexOf('://') < 0) {
+            endpoint = 'https://' + endpoint;
+        }
+
+        return new URL(endpoint);
+    }
+
+    /**
+     * Gets the region
+     *
+     * @returns {String} Region
+     */
+    getRegion() {
+        return this.region || 'us-east-1';
+    }
+
+    /**
+     * Gets the URL that keys are relative to
+     *
+     * @returns {String} Base URL
+     */
+    getBaseUrl() {
+        let url = this.publicUrl;
+
+        if(!url) {
+            let endpoint = this.getEndpoint();
+
+            url = `${endpoint.protocol}//${endpoint.host}${endpoint.pathname}/${this.bucket}`;
+        }
+
+        return url.replace(/\/+$/, '').replace(/:\/\/\/*/, '://').replace(/([^:])\/\/+/g, '$1/');
+    }
+
+    /**
+     * Gets the root path
+     *
+     * @returns {String} Root
+     */
+    getRootPath() {
+        let prefix = (this.prefix || '').split('/').filter(Boolean).join('/');
+
+        return prefix ? `${this.getBaseUrl()}/${prefix}` : this.getBaseUrl();
+    }
+
+    /**
+     * Gets the object key of a path
+     *
+     * @param {String} path
+     *
+     * @returns {String} Key
+     */
+    getKey(path) {
+        checkParam(path, 'path', String);
+
+        path = path || '';
+
+        let baseUrl = this.getBaseUrl();
+
+        if(path.indexOf(baseUrl) === 0) {
+            path = path.substring(baseUrl.length);
+        }
+
+        return path.split('/').filter(Boolean).join('/');
+    }
+
+    /**
+     * Gets the URL of a key, as returned by getFolder
+     *
+     * @param {String} key
+     *
+     * @returns {String} URL
+     */
+    getKeyUrl(key) {
+        checkParam(key, 'key', String, true);
+
+        return `${this.getBaseUrl()}/${key}`;
+    }
+
+    /**
+     * Encodes a URI component as specified by AWS
+     *
+     * @param {String} string
+     *
+     * @returns {String} Encoded string
+     */
+    encode(string) {
+        return encodeURIComponent(string).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    }
+
+    /**
+     * Gets the headers for a signed request
+     *
+     * @param {String} method
+     * @param {String} host
+     * @param {String} uri
+     * @param {Object} query
+     * @param {Object} headers
+     * @param {String} payloadHash
+     * @param {Date} date
+     *
+     * @returns {Object} Headers, including authorization
+     */
+    sign(method, host, uri, query = {}, headers = {}, payloadHash = '', date = new Date()) {
+        checkParam(method, 'method', String, true);
+        checkParam(host, 'host', String, true);
+        checkParam(uri, 'uri', String, true);
+
+        let hmac = (key, string) => Crypto.createHmac('sha256', key).update(string, 'utf8').digest();
+        let hash = (string) => Crypto.createHash('sha256').update(string, 'utf8').digest('hex');
+
+        let amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        let dateStamp = amzDate.substring(0, 8);
+        let scope = `${dateStamp}/${this.getRegion()}/s3/aws4_request`;
+
+        let signedHeaders = {};
+
+        for(let name in headers) {
+            signedHeaders[name.toLowerCase()] = headers[name].toString().trim();
+        }
+
+        signedHeaders['host'] = host;
+        signedHeaders['x-amz-content-sha256'] = payloadHash;
+        signedHeaders['x-amz-date'] = amzDate;
+
+        let headerNames = Object.keys(signedHeaders).sort();
+
+        let canonicalQuery = Object.keys(query).sort()
+            .map((key) => `${this.encode(key)}=${this.encode(query[key])}`)
+            .join('&');
+
+        let canonicalRequest = [
+            method,
+            uri,
+            canonicalQuery,
+            headerNames.map((name) => `${name}:${signedHeaders[name]}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        let stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            hash(canonicalRequest)
+        ].join('\n');
+
+        let signingKey = hmac(hmac(hmac(hmac('AWS4' + (this.secretAccessKey || ''), dateStamp), this.getRegion()), 's3'), 'aws4_request');
+        let signature = Crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+        signedHeaders['authorization'] = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+
+        return signedHeaders;
+    }
+
+    /**
+     * Makes a signed request to the bucket
+     *
+     * A readable stream can be sent instead of a body, with its length in "options.length"
+     * Its payload isn't hashed, as that would mean reading it twice
+     *
+     * @param {String} method
+     * @param {String} key
+     * @param {Object} options { body, stream, length, query, headers, allowNotFound }
+     *
+     * @returns {Object} Response as { statusCode, headers, body }
+     */
+    request(method, key = '', options = {}) {
+        checkParam(method, 'method', String, true);
+        checkParam(key, 'key', String);
+        checkParam(options, 'options', Object, true);
+
+        if(!this.bucket) {
+            return Promise.reject(new Error('S3 bucket is not specified'));
+        }
+
+        let endpoint = this.getEndpoint();
+        let body = options.body || Buffer.alloc(0);
+        let query = options.query || {};
+        let payloadHash = options.stream ? 'UNSIGNED-PAYLOAD' : Crypto.createHash('sha256').update(body).digest('hex');
+
+        let basePath = endpoint.pathname.replace(/\/+$/, '');
+        let uri = basePath + '/' + [ this.bucket ].concat(key.split('/').filter(Boolean)).map((part) => this.encode(part)).join('/');
+        let search = Object.keys(query).sort().map((name) => `${this.encode(name)}=${this.encode(query[name])}`).join('&');
+
+        let headers = this.sign(method, endpoint.host, uri, query, options.headers || {}, payloadHash);
+
+        headers['content-length'] = options.stream ? options.length : body.length;
+
+        return new Promise((resolve, reject) => {
+            let protocol = endpoint.protocol === 'http:' ? HTTP : HTTPS;
+
+            let req = protocol.request({
+                host: endpoint.hostname,
+                port: endpoint.port,
+                path: uri + (search ? '?' + search : ''),
+                method: method,
+                headers: headers
+            }, (res) => {
+                let chunks = [];
+
+                res.on('data', (chunk) => {
+                    chunks.push(chunk);
+                });
+
+                res.on('end', () => {
+                    let response = {
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body: Buffer.concat(chunks)
+                    };
+
+                    if(res.statusCode >= 400 && !(options.allowNotFound && res.statusCode === 404)) {
+                        let message = (response.body.toString('utf8').match(/<Message>([\s\S]*?)<\/Message>/) || [])[1] || `Status code ${res.statusCode}`;
+                        let error = new Error(`S3 request ${method} "${key}" failed: ${message}`);
+
+                        error.code = res.statusCode;
+
+                        return reject(error);
+                    }
+
+                    resolve(response);
+                });
+            });
+
+            req.on('error', (e) => {
+                reject(e);
+            });
+
+            if(options.stream) {
+                options.stream.on('error', (e) => {
+                    req.destroy();
+                    reject(e);
+                });
+
+                options.stream.pipe(req);
+
+            } else {
+                req.end(body);
+
+            }
+        });
+    }
+
+    /**
+     * Lists all keys below a prefix
+     *
+     * @param {String} prefix
+     *
+     * @returns {Array} Keys
+     */
+    async listKeys(prefix) {
+        checkParam(prefix, 'prefix', String);
+
+        let keys = [];
+        let token = null;
+
+        do {
+            let query = {
+                'list-type': '2',
+                'max-keys': MAX_KEYS.toString()
+            };
+
+            if(prefix) {
+                query.prefix = prefix;
+            }
+
+            if(token) {
+                query['continuation-token'] = token;
+            }
+
+            let response = await this.request('GET', '', { query: query });
+            let xml = response.body.toString('utf8');
+
+            for(let match of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+                keys.push(this.decodeXml(match[1]));
+            }
+
+            token = xml.indexOf('<IsTruncated>true</IsTruncated>') > -1 ? (xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/) || [])[1] : null;
+
+            if(token) {
+                token = this.decodeXml(token);
+            }
+
+        } while(token);
+
+        return keys;
+    }
+
+    /**
+     * Lists all keys matching a path, which may contain wildcards
+     *
+     * @param {String} path
+     *
+     * @returns {Array} Keys
+     */
+    async matchKeys(path) {
+        checkParam(path, 'path', String, true);
+
+        let key = this.getKey(path);
+
+        if(key.indexOf('*') < 0) { return [ key ]; }
+
+        let prefix = key.substring(0, key.indexOf('*'));
+        let pattern = new RegExp('^' + key.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$');
+
+        return (await this.listKeys(prefix)).filter((key) => pattern.test(key));
+    }
+
+    /**
+     * Decodes XML entities
+     *
+     * @param {String} string
+     *
+     * @returns {String} Decoded string
+     */
+    decodeXml(string) {
+        return string
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Tests this deployer
+     *
+     * @returns {Boolean} Result
+     */
+    async test() {
+        await this.request('GET', '', { query: { 'list-type': '2', 'max-keys': '1' } });
+
+        return true;
+    }
+
+    /**
+     * Gets a file
+     *
+     * @param {String} path
+     *
+     * @return {Object} File
+     */
+    async getFile(path) {
+        checkParam(path, 'path', String, true);
+
+        let response = await this.request('GET', this.getKey(path), { allowNotFound: true });
+
+        if(response.statusCode === 404) { return null; }
+
+        return {
+            name: Path.basename(path),
+            path: path,
+            data: response.body.toString('utf8')
+        };
+    }
+
+    /**
+     * Gets a folder
+     *
+     * @param {String} path
+     * @param {Number} recursions
+     *
+     * @returns {Array} URLs of the files at the given depth
+     */
+    async getFolder(path, recursions = 0) {
+        checkParam(path, 'path', String, true);
+        checkParam(recursions, 'recursions', Number, true);
+
+        let prefix = this.getKey(path);
+
+        if(prefix) {
+            prefix += '/';
+        }
+
+        let keys = await this.listKeys(prefix);
+        let urls = [];
+
+        for(let key of keys) {
+            let depth = key.substring(prefix.length).split('/').filter(Boolean).length;
+
+            if(depth !== recursions + 1) { continue; }
+
+            urls.push(this.getKeyUrl(key));
+        }
+
+        return urls;
+    }
+
+    /**
+     * Set file
+     *
+     * @param {String} path
+     * @param {String} base64
+     */
+    async setFile(path, base64) {
+        checkParam(path, 'path', String, true);
+        checkParam(base64, 'base64', String, true);
+
+        await this.request('PUT', this.getKey(path), {
+            body: Buffer.from(base64, 'base64'),
+            headers: {
+                'Content-Type': getMIMEType(path) || 'application/octet-stream'
+            }
+        });
+    }
+
+    /**
+     * Set file from a local path
+     *
+     * The file is streamed to the bucket, instead of being read into memory
+     *
+     * @param {String} path
+     * @param {String} localPath
+     */
+    async setFileFromPath(path, localPath) {
+        checkParam(path, 'path', String, true);
+        checkParam(localPath, 'localPath', String, true);
+
+        let stats = await HashBrown.Service.FileService.stat(localPath);
+
+        if(!stats) {
+            throw new Error(`File ${localPath} could not be found`);
+        }
+
+        await this.request('PUT', this.getKey(path), {
+            stream: FileSystem.createReadStream(localPath),
+            length: stats.size,
+            headers: {
+                'Content-Type': getMIMEType(path) || 'application/octet-stream'
+            }
+        });
+    }
+
+    /**
+     * Rename file
+     *
+     * @param {String} path
+     * @param {String} name
+     */
+    async renameFile(path, name) {
+        checkParam(path, 'path', String, true);
+        checkParam(name, 'name', String, true);
+
+        this.pathComponentCheck('name', name);
+
+        let oldKey = this.getKey(path);
+        let newKey = Path.posix.join(Path.posix.dirname(oldKey), name);
+
+        if(oldKey === newKey) { return; }
+
+        // S3 has no rename, so the object is copied and the original removed
+        await this.request('PUT', newKey, {
+            headers: {
+                'x-amz-copy-source': '/' + [ this.bucket ].concat(oldKey.split('/')).map((part) => this.encode(part)).join('/')
+            }
+        });
+
+        await this.request('DELETE', oldKey, { allowNotFound: true });
+    }
+
+    /**
+     * Removes a file
+     *
+     * @param {String} path
+     */
+    async removeFile(path) {
+        checkParam(path, 'path', String, true);
+
+        for(let key of await this.matchKeys(path)) {
+            await this.request('DELETE', key, { allowNotFound: true });
+        }
+    }
+
+    /**
+     * Removes a folder
+     *
+     * @param {String} path
+     */
+    async removeFolder(path) {
+        checkParam(path, 'path', String, true);
+
+        let prefix = this.getKey(path);
+
+        // Never empty the entire bucket
+        if(!prefix) {
+            throw new Error('Cannot remove the root of an S3 bucket');
+        }
+
+        for(let key of await this.listKeys(prefix + '/')) {
+            await this.request('DELETE', key, { allowNotFound: true });
+        }
+    }
+}
+
+module.exports = S3Deployer;
@@ -0,0 +1,549 @@
+'use strict';
+
+const Path = require('path');
+const Crypto = require('crypto');
+const SSH = require('ssh2');
+
+/**
+ * SFTP deployer
+ *
+ * Authenticates with either a private key or a password, and writes files below a remote root
+ *
+ * @memberof HashBrown.Server.Entity.Deployer
+ */
+class SftpDeployer extends HashBrown.Entity.Deployer.DeployerBase {
+    /**
+     * Structure
+     */
+    structure() {
+        super.structure();
+
+        this.def(String, 'host');
+        this.def(Number, 'port', 22);
+        this.def(String, 'username');
+        this.def(String, 'password');
+        this.def(String, 'privateKey');
+        this.def(String, 'passphrase');
+        this.def(String, 'hostFingerprint');
+        this.def(String, 'rootPath');
+        this.def(String, 'publicUrl');
+    }
+
+    /**
+     * Gets the remote root path
+     *
+     * @returns {String} Root
+     */
+    getRemoteRootPath() {
+        return Path.posix.join('/', this.rootPath || '/');
+    }
+
+    /**
+     * Gets the root path
+     *
+     * If a public URL is set, paths are expressed as URLs, so media can be served by the remote host
+     *
+     * @returns {String} Root
+     */
+    getRootPath() {
+        if(this.publicUrl) {
+            return this.publicUrl.replace(/\/+$/, '');
+        }
+
+        return this.getRemoteRootPath();
+    }
+
+    /**
+     * Converts a path to a path on the remote host
+     *
+     * @param {String} path
+     *
+     * @returns {String} Remote path
+     */
+    getRemotePath(path) {
+        checkParam(path, 'path', String, true);
+
+        let rootPath = this.getRootPath();
+
+        if(path.indexOf(rootPath) === 0) {
+            path = path.substring(rootPath.length);
+        }
+
+        path = Path.posix.join(this.getRemoteRootPath(), path);
+
+        if(path !== this.getRemoteRootPath() && path.indexOf(Path.posix.join(this.getRemoteRootPath(), '/')) !== 0) {
+            throw new Error(`Path "${path}" is outside of the remote root`);
+        }
+
+        return path;
+    }
+
+    /**
+     * Converts a path on the remote host back to a deployment path
+     *
+     * @param {String} remotePath
+     *
+     * @returns {String} Path
+     */
+    getLocalPath(remotePath) {
+        checkParam(remotePath, 'remotePath', String, true);
+
+        return this.getPath(Path.posix.relative(this.getRemoteRootPath(), remotePath));
+    }
+
+    /**
+     * Checks a host key against the configured fingerprint
+     *
+     * The fingerprint is expected in the OpenSSH format, as printed by "ssh-keygen -lf", e.g. "SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"
+     *
+     * @param {Buffer} key
+     *
+     * @returns {Boolean} Whether the key matches
+     */
+    verifyHostKey(key) {
+        checkParam(key, 'key', Buffer, true);
+
+        if(!this.hostFingerprint) { return false; }
+
+        let expected = this.hostFingerprint.trim().replace(/^SHA256:/, '').replace(/=+$/, '');
+        let actual = Crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+
+        return expected === actual;
+    }
+
+    /**
+     * Opens a connection and runs a task with an SFTP session
+     *
+     * @param {Function} task
+     *
+     * @returns {*} Result of the task
+     */
+    async connect(task) {
+        checkParam(task, 'task', Function, true);
+
+        if(!this.host) { throw new Error('SFTP host is not specified'); }
+        if(!this.username) { throw new Error('SFTP username is not specified'); }
+        if(!this.privateKey && !this.password) { throw new Error('SFTP private key or password is not specified'); }
+        if(!this.hostFingerprint) { throw new Error('SFTP host key fingerprint is not specified'); }
+
+        let client = new SSH.Client();
+
+        try {
+            let sftp = await new Promise((resolve, reject) => {
+                let isHostRejected = false;
+
+                client.on('error', (error) => {
+                    if(isHostRejected) {
+                        error = new Error(`SFTP host key of ${this.host} does not match the configured fingerprint`);
+                    }
+
+                    reject(error);
+                });
+
+                client.on('ready', () => {
+                    client.sftp((err, sftp) => {
+                        if(err) { return reject(err); }
+
+                        resolve(sftp);
+                    });
+                });
+
+                let options = {
+                    host: this.host,
+                    port: this.port || 22,
+                    username: this.username,
+                    readyTimeout: 20000,
+                    hostVerifier: (key) => {
+                        isHostRejected = !this.verifyHostKey(key);
+
+                        return !isHostRejected;
+                    }
+                };
+
+                if(this.privateKey) {
+                    options.privateKey = this.privateKey;
+
+                    if(this.passphrase) {
+                        options.passphrase = this.passphrase;
+                    }
+
+                } else {
+                    options.password = this.password;
+
+                }
+
+                client.connect(options);
+            });
+
+            return await task(this.promisify(sftp));
+
+        } finally {
+            client.end();
+
+        }
+    }
+
+    /**
+     * Wraps the callback based methods of an SFTP session in promises
+     *
+     * @param {Object} sftp
+     *
+     * @returns {Object} Promise based SFTP methods
+     */
+    promisify(sftp) {
+        let wrap = (method) => {
+            return (...args) => new Promise((resolve, reject) => {
+                sftp[method](...args, (err, result) => {
+                    if(err) { return reject(err); }
+
+                    resolve(result);
+                });
+            });
+        };
+
+        let api = {};
+
+        for(let method of [ 'readdir', 'readFile', 'writeFile', 'fastPut', 'stat', 'mkdir', 'rmdir', 'unlink', 'rename' ]) {
+            api[method] = wrap(method);
+        }
+
+        // Prefer the OpenSSH extension, which replaces the target in one step
+        api.replace = async (oldPath, newPath) => {
+            if(sftp._extensions && sftp._extensions['posix-rename@openssh.com']) {
+                return await wrap('ext_openssh_rename')(oldPath, newPath);
+            }
+
+            try {
+                await api.unlink(newPath);
+
+            } catch(e) {
+                // The target doesn't exist yet
+
+            }
+
+            await api.rename(oldPath, newPath);
+        };
+
+        api.exists = async (path) => {
+            try {
+                return await api.stat(path);
+
+            } catch(e) {
+                return null;
+
+            }
+        };
+
+        return api;
+    }
+
+    /**
+     * Makes a remote directory and its parents
+     *
+     * @param {Object} sftp
+     * @param {String} path
+     */
+    async makeDirectory(sftp, path) {
+        checkParam(sftp, 'sftp', Object, true);
+        checkParam(path, 'path', String, true);
+
+        let current = '/';
+
+        for(let part of path.split('/').filter(Boolean)) {
+            current = Path.posix.join(current, part);
+
+            let stats = await sftp.exists(current);
+
+            if(stats && stats.isDirectory()) { continue; }
+
+            await sftp.mkdir(current);
+        }
+    }
+
+    /**
+     * Lists remote paths matching a path, which may contain wildcards
+     *
+     * @param {Object} sftp
+     * @param {String} path
+     *
+     * @returns {Array} Remote paths
+     */
+    async matchPaths(sftp, path) {
+        checkParam(sftp, 'sftp', Object, true);
+        checkParam(path, 'path', String, true);
+
+        let paths = [ '/' ];
+
+        for(let part of path.split('/').filter(Boolean)) {
+            let next = [];
+
+            for(let parent of paths) {
+                if(part.indexOf('*') < 0) {
+                    next.push(Path.posix.join(parent, part));
+                    continue;
+                }
+
+                let pattern = new RegExp('^' + part.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+                let entries = [];
+
+                try {
+                    entries = await sftp.readdir(parent);
+
+                } catch(e) {
+                    continue;
+
+                }
+
+                for(let entry of entries) {
+                    if(!pattern.test(entry.filename)) { continue; }
+
+                    next.push(Path.posix.join(parent, entry.filename));
+                }
+            }
+
+            paths = next;
+        }
+
+        let result = [];
+
+        for(let path of paths) {
+            if(!await sftp.exists(path)) { continue; }
+
+            result.push(path);
+        }
+
+        return result;
+    }
+
+    /**
+     * Removes a remote path recursively
+     *
+     * @param {Object} sftp
+     * @param {String} path
+     */
+    async removePath(sftp, path) {
+        checkParam(sftp, 'sftp', Object, true);
+        checkParam(path, 'path', String, true);
+
+        if(path === this.getRemoteRootPath()) {
+            throw new Error('Cannot remove the remote root');
+        }
+
+        let stats = await sftp.exists(path);
+
+        if(!stats) { return; }
+
+        if(!stats.isDirectory()) {
+            await sftp.unlink(path);
+            return;
+        }
+
+        for(let entry of await sftp.readdir(path)) {
+            await this.removePath(sftp, Path.posix.join(path, entry.filename));
+        }
+
+        await sftp.rmdir(path);
+    }
+
+    /**
+     * Tests this deployer
+     *
+     * @returns {Boolean} Result
+     */
+    async test() {
+        await this.connect(async (sftp) => {
+            let stats = await sftp.exists(this.getRemoteRootPath());
+
+            if(!stats || !stats.isDirectory()) {
+                throw new Error(`Remote root "${this.getRemoteRootPath()}" is not a directory`);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Gets a file
+     *
+     * @param {String} path
+     *
+     * @return {Object} File
+     */
+    async getFile(path) {
+        checkParam(path, 'path', String, true);
+
+        let remotePath = this.getRemotePath(path);
+
+        return await this.connect(async (sftp) => {
+            if(!await sftp.exists(remotePath)) { return null; }
+
+            let data = await sftp.readFile(remotePath);
+
+            return {
+                name: Path.posix.basename(remotePath),
+                path: path,
+                data: data.toString('utf8')
+            };
+        });
+    }
+
+    /**
+     * Gets a folder
+     *
+     * @param {String} path
+     * @param {Number} recursions
+     *
+     * @returns {Array} Paths of the entries at the given depth
+     */
+    async getFolder(path, recursions = 0) {
+        checkParam(path, 'path', String, true);
+        checkParam(recursions, 'recursions', Number, true);
+
+        let remotePath = this.getRemotePath(path);
+
+        return await this.connect(async (sftp) => {
+            let paths = [ remotePath ];
+
+            for(let i = 0; i <= recursions; i++) {
+                let next = [];
+
+                for(let parent of paths) {
+                    let entries = [];
+
+                    try {
+                        entries = await sftp.readdir(parent);
+
+                    } catch(e) {
+                        continue;
+
+                    }
+
+                    for(let entry of entries) {
+                        // Skip partial uploads from setFile
+                        if(entry.filename.indexOf('.hashbrown-upload-') === 0) { continue; }
+
+                        next.push(Path.posix.join(parent, entry.filename));
+                    }
+                }
+
+                paths = next;
+            }
+
+            return paths.sort().map((path) => this.getLocalPath(path));
+        });
+    }
+
+    /**
+     * Set file
+     *
+     * The data is uploaded to a temporary file first, and then renamed, so readers never see a partial file
+     *
+     * @param {String} path
+     * @param {String} base64
+     */
+    async setFile(path, base64) {
+        checkParam(path, 'path', String, true);
+        checkParam(base64, 'base64', String, true);
+
+        let remotePath = this.getRemotePath(path);
+        let dirPath = Path.posix.dirname(remotePath);
+        let tempPath = Path.posix.join(dirPath, `.hashbrown-upload-${Crypto.randomBytes(6).toString('hex')}`);
+
+        await this.connect(async (sftp) => {
+            await this.makeDirectory(sftp, dirPath);
+            await sftp.writeFile(tempPath, Buffer.from(base64, 'base64'));
+
+            try {
+                await sftp.replace(tempPath, remotePath);
+
+            } catch(e) {
+                await sftp.unlink(tempPath).catch(() => {});
+
+                throw e;
+
+            }
+        });
+    }
+
+    /**
+     * Set file from a local path
+     *
+     * The file is streamed in parallel chunks, instead of being read into memory
+     *
+     * @param {String} path
+     * @param {String} localPath
+     */
+    async setFileFromPath(path, localPath) {
+        checkParam(path, 'path', String, true);
+        checkParam(localPath, 'localPath', String, true);
+
+        let remotePath = this.getRemotePath(path);
+        let dirPath = Path.posix.dirname(remotePath);
+        let tempPath = Path.posix.join(dirPath, `.hashbrown-upload-${Crypto.randomBytes(6).toString('hex')}`);
+
+        await this.connect(async (sftp) => {
+            await this.makeDirectory(sftp, dirPath);
+
+            try {
+                await sftp.fastPut(localPath, tempPath);
+                await sftp.replace(tempPath, remotePath);
+
+            } catch(e) {
+                await sftp.unlink(tempPath).catch(() => {});
+
+                throw e;
+
+            }
+        });
+    }
+
+    /**
+     * Rename file
+     *
+     * @param {String} path
+     * @param {String} name
+     */
+    async renameFile(path, name) {
+        checkParam(path, 'path', String, true);
+        checkParam(name, 'name', String, true);
+
+        this.pathComponentCheck('name', name);
+
+        let oldPath = this.getRemotePath(path);
+        let newPath = Path.posix.join(Path.posix.dirname(oldPath), name);
+
+        if(oldPath === newPath) { return; }
+
+        await this.connect(async (sftp) => {
+            await sftp.replace(oldPath, newPath);
+        });
+    }
+
+    /**
+     * Removes a file
+     *
+     * @param {String} path
+     */
+    async removeFile(path) {
+        checkParam(path, 'path', String, true);
+
+        let remotePath = this.getRemotePath(path);
+
+        await this.connect(async (sftp) => {
+            for(let match of await this.matchPaths(sftp, remotePath)) {
+                await this.removePath(sftp, match);
+            }
+        });
+    }
+
+    /**
+     * Removes a folder
+     *
+     * @param {String} path
+     */
+    async removeFolder(path) {
+        await this.removeFile(path);
+    }
+}
+
+module.exports = SftpDeployer;
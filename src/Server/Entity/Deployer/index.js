@@ -7,4 +7,6 @@ namespace('Entity.Deployer')
     .add(require('./DeployerBase'))
     .add(require('./ApiDeployer'))
     .add(require('./FileSystemDeployer'))
-    .add(require('./GitDeployer'));
+    .add(require('./GitDeployer'))
+    .add(require('./S3Deployer'))
+    .add(require('./SftpDeployer'));
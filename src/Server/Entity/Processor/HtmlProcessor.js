@@ -0,0 +1,107 @@
+'use strict';
+
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html lang="{{locale}}">
+    <head>
+        <meta charset="utf-8">
+        <title>{{title}}</title>
+    </head>
+    <body>
+        <h1>{{title}}</h1>
+    </body>
+</html>`;
+
+/**
+ * HTML processor
+ *
+ * Renders content through the template of the publication, where:
+ * - {{key}} inserts an escaped value
+ * - {{{key}}} inserts a raw value, like rich text
+ * - keys can be dotted paths, like {{hero.heading}}
+ *
+ * @memberof HashBrown.Server.Entity.Processor
+ */
+class HtmlProcessor extends HashBrown.Entity.Processor.JsonProcessor {
+    static get fileExtension() { return '.html'; }
+
+    /**
+     * Structure
+     */
+    structure() {
+        super.structure();
+
+        this.def(String, 'template', '');
+    }
+
+    /**
+     * Escapes a value for use in HTML
+     *
+     * @param {String} value
+     *
+     * @return {String} Escaped value
+     */
+    escape(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Renders the template with some data
+     *
+     * @param {String} template
+     * @param {Object} data
+     *
+     * @return {String} HTML
+     */
+    render(template, data) {
+        checkParam(template, 'template', String, true);
+        checkParam(data, 'data', Object, true);
+
+        return template.replace(/\{\{(\{)?\s*([a-zA-Z0-9_.$-]+)\s*\}?\}\}/g, (match, isRaw, path) => {
+            let value = data;
+
+            for(let key of path.split('.')) {
+                if(value === null || value === undefined) { break; }
+
+                value = value[key];
+            }
+
+            if(value === null || value === undefined) { return ''; }
+
+            if(value instanceof Date) {
+                value = value.toISOString();
+            
+            } else if(typeof value === 'object') {
+                value = JSON.stringify(value);
+
+            }
+
+            value = value.toString();
+
+            return isRaw ? value : this.escape(value);
+        });
+    }
+
+    /**
+     * Compiles content as HTML
+     *
+     * @param {Content} content
+     * @param {String} locale
+     *
+     * @returns {String} Result
+     */
+    async process(content, locale) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(locale, 'locale', String);
+
+        let data = await super.process(content, locale);
+
+        return this.render(this.template || DEFAULT_TEMPLATE, data);
+    }
+}
+
+module.exports = HtmlProcessor;
@@ -6,6 +6,56 @@
  * @memberof HashBrown.Server.Entity.Processor
  */
 class JsonProcessor extends HashBrown.Entity.Processor.ProcessorBase {
+    /**
+     * Collects the metadata of all media referenced in a value
+     *
+     * @param {*} value
+     * @param {String} schemaId
+     * @param {Object} config
+     * @param {Object} result Metadata by media id
+     */
+    async collectMediaMetadata(value, schemaId, config, result) {
+        checkParam(result, 'result', Object, true);
+
+        if(value === null || value === undefined || value === '' || !schemaId) { return; }
+
+        let schema = await HashBrown.Entity.Resource.FieldSchema.get(this.context, schemaId, { withParentFields: true });
+
+        if(!schema) { return; }
+        
+        config = Object.assign({}, schema.config || {}, config || {});
+
+        switch(schema.baseId) {
+            case 'array':
+                if(!Array.isArray(value)) { return; }
+
+                for(let item of value) {
+                    if(!item) { continue; }
+
+                    await this.collectMediaMetadata(item.value, item.schemaId, null, result);
+                }
+                break;
+
+            case 'struct':
+                for(let key in value) {
+                    if(!config.struct || !config.struct[key]) { continue; }
+
+                    await this.collectMediaMetadata(value[key], config.struct[key].schemaId, config.struct[key].config, result);
+                }
+                break;
+
+            case 'mediaReference':
+                if(typeof value !== 'string' || result[value]) { return; }
+
+                let media = await HashBrown.Entity.Resource.Media.get(this.context, value);
+
+                if(!media) { return; }
+
+                result[value] = Object.assign({ filename: media.filename }, media.metadata);
+                break;
+        }
+    }
+
     /**
      * Compiles content as JSON
      *
@@ -58,6 +108,18 @@ class JsonProcessor extends HashBrown.Entity.Processor.ProcessorBase {
             data[k] = meta[k];
         }
 
+        // Include the metadata of referenced media, like dimensions and dominant colours
+        let schema = await HashBrown.Entity.Resource.ContentSchema.get(this.context, content.schemaId, { withParentFields: true });
+        let mediaMetadata = {};
+
+        for(let key in (schema ? schema.config : null) || {}) {
+            await this.collectMediaMetadata(properties[key], schema.config[key].schemaId, schema.config[key].config, mediaMetadata);
+        }
+
+        if(Object.keys(mediaMetadata).length > 0) {
+            data.mediaMetadata = mediaMetadata;
+        }
+
         return data;
     }
 }
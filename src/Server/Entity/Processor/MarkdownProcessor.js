@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Markdown processor
+ *
+ * Scalar fields and meta data are written as YAML front matter,
+ * and a rich text field is converted to markdown as the body
+ *
+ * @memberof HashBrown.Server.Entity.Processor
+ */
+class MarkdownProcessor extends HashBrown.Entity.Processor.JsonProcessor {
+    static get fileExtension() { return '.md'; }
+
+    /**
+     * Structure
+     */
+    structure() {
+        super.structure();
+
+        this.def(String, 'bodyField', '');
+    }
+
+    /**
+     * Gets the key of the field to use as the body
+     * Falls back to the first rich text field in the schema
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     *
+     * @return {String} Key
+     */
+    async getBodyField(content) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+
+        if(this.bodyField) { return this.bodyField; }
+
+        let schema = await HashBrown.Entity.Resource.ContentSchema.get(this.context, content.schemaId, { withParentFields: true });
+
+        if(!schema) { return null; }
+
+        for(let key in schema.config || {}) {
+            let fieldSchema = await HashBrown.Entity.Resource.FieldSchema.get(this.context, schema.config[key].schemaId, { withParentFields: true });
+
+            if(fieldSchema && fieldSchema.editorId === 'RichTextEditor') { return key; }
+        }
+
+        return null;
+    }
+
+    /**
+     * Converts a scalar value to YAML
+     *
+     * @param {*} value
+     *
+     * @return {String} YAML value
+     */
+    toYaml(value) {
+        if(value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if(typeof value === 'number' || typeof value === 'boolean') {
+            return value.toString();
+        }
+
+        if(Array.isArray(value)) {
+            return '[' + value.map((item) => this.toYaml(item)).join(', ') + ']';
+        }
+
+        // JSON strings are valid double quoted YAML strings
+        return JSON.stringify(value.toString());
+    }
+
+    /**
+     * Checks whether a value can be written to front matter
+     *
+     * @param {*} value
+     *
+     * @return {Boolean} Is scalar
+     */
+    isScalar(value) {
+        if(value === null || value === undefined || value === '') { return false; }
+
+        if(value instanceof Date || [ 'string', 'number', 'boolean' ].indexOf(typeof value) > -1) { return true; }
+
+        if(Array.isArray(value)) {
+            return value.length > 0 && value.every((item) => [ 'string', 'number', 'boolean' ].indexOf(typeof item) > -1);
+        }
+
+        return false;
+    }
+
+    /**
+     * Compiles content as markdown with front matter
+     *
+     * @param {Content} content
+     * @param {String} locale
+     *
+     * @returns {String} Result
+     */
+    async process(content, locale) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(locale, 'locale', String);
+
+        let data = await super.process(content, locale);
+        let bodyField = await this.getBodyField(content);
+        let body = bodyField ? data[bodyField] : null;
+        let frontMatter = [];
+
+        for(let key in data) {
+            if(key === bodyField || !this.isScalar(data[key])) { continue; }
+
+            frontMatter.push(`${key}: ${this.toYaml(data[key])}`);
+        }
+
+        body = typeof body === 'string' ? HashBrown.Service.MarkdownService.toMarkdown(body) : '';
+
+        return `---\n${frontMatter.join('\n')}\n---\n\n${body}\n`;
+    }
+}
+
+module.exports = MarkdownProcessor;
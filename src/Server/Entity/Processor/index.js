@@ -6,4 +6,6 @@
 namespace('Entity.Processor')
     .add(require('./ProcessorBase'))
     .add(require('./JsonProcessor'))
-    .add(require('./UISchemaProcessor'));
+    .add(require('./UISchemaProcessor'))
+    .add(require('./MarkdownProcessor'))
+    .add(require('./HtmlProcessor'));
@@ -2,6 +2,17 @@
 
 const Path = require('path');
 
+const WEEK = 1000 * 60 * 60 * 24 * 7;
+const BACKUP_FREQUENCIES = [ '', 'daily', 'weekly' ];
+const DEFAULT_BACKUP_POLICY = {
+    frequency: '',
+    hour: 3,
+    weekday: 0,
+    keepLast: 0,
+    keepWeeks: 0,
+    deployer: null
+};
+
 /**
  * The project class
  *
@@ -65,6 +76,7 @@ class Project extends require('Common/Entity/Project') {
         project.environments = await project.getEnvironments();
         project.users = await project.getUsers();
         project.backups = await project.getBackups();
+        project.backupStatus = await project.getBackupStatus();
 
         return project;
     }
@@ -134,6 +146,9 @@ class Project extends require('Common/Entity/Project') {
         await HashBrown.Service.FileService.remove(storagePath);
 
         await HashBrown.Service.DatabaseService.dropDatabase(this.id);
+
+        await HashBrown.Service.DatabaseService.remove('system', 'backups', { project: this.id });
+        await HashBrown.Service.DatabaseService.remove('system', 'tasks', { project: this.id });
     }
 
     /**
@@ -251,33 +266,6 @@ class Project extends require('Common/Entity/Project') {
 
         }
 
-        // Test connection, disable if failed
-        try {
-            await HashBrown.Service.RequestService.request(
-                'get',
-                sync.url + '/api/user',
-                { token: sync.token }
-            );
-
-        } catch(e) {
-            debug.log(`Sync test failed (${e.message}), disabling...`, this);
-    
-            sync.enabled = false;
-        
-            await HashBrown.Service.DatabaseService.updateOne(
-                this.id,
-                'settings',
-                {
-                    environment: { $exists: false }
-                },
-                {
-                    sync: sync
-                }
-            );
-
-            return null;
-        }   
-
         return sync;
     }
 
@@ -306,11 +294,15 @@ class Project extends require('Common/Entity/Project') {
         
         // Attempt remote fetch of project settings
         if(sync) {
-            let remoteSettings = await HashBrown.Service.RequestService.request(
-                'get',
-                sync.url + '/api/projects/' + sync.project + '/settings',
-                { token: sync.token }
-            );
+            let remoteSettings = null;
+
+            try {
+                remoteSettings = await HashBrown.Service.SyncService.request(sync, 'get', 'projects/' + sync.project + '/settings');
+
+            } catch(e) {
+                debug.warning(`Could not get settings from remote: ${e.message}`, this);
+
+            }
 
             if(remoteSettings) {
                 delete remoteSettings.name;
@@ -441,7 +433,261 @@ class Project extends require('Common/Entity/Project') {
 
         await HashBrown.Service.FileService.write(path, data);
     }
-    
+
+    /**
+     * Gets the backup policy
+     *
+     * @return {Object} Policy { frequency, hour, weekday, keepLast, keepWeeks, deployer }
+     */
+    async getBackupPolicy() {
+        let settings = await HashBrown.Service.DatabaseService.findOne(
+            this.id,
+            'settings',
+            {
+                environment: { $exists: false }
+            }
+        );
+
+        return Object.assign({}, DEFAULT_BACKUP_POLICY, settings ? settings.backups : {});
+    }
+
+    /**
+     * Sets the backup policy, and schedules the backup task accordingly
+     *
+     * @param {Object} policy { frequency, hour, weekday, keepLast, keepWeeks, deployer }
+     *
+     * @return {Object} Policy
+     */
+    async setBackupPolicy(policy) {
+        checkParam(policy, 'policy', Object, true);
+
+        policy = Object.assign({}, DEFAULT_BACKUP_POLICY, policy);
+
+        if(BACKUP_FREQUENCIES.indexOf(policy.frequency) < 0) {
+            throw new HashBrown.Http.Exception(`Backup frequency must be one of "${BACKUP_FREQUENCIES.join('", "')}"`, 400);
+        }
+
+        let limits = { hour: 23, weekday: 6, keepLast: null, keepWeeks: null };
+
+        for(let key in limits) {
+            let value = parseInt(policy[key]);
+
+            if(isNaN(value) || value < 0 || (limits[key] !== null && value > limits[key])) {
+                throw new HashBrown.Http.Exception(`Backup policy parameter "${key}" must be a whole number from 0${limits[key] !== null ? ' to ' + limits[key] : ''}`, 400);
+            }
+
+            policy[key] = value;
+        }
+
+        if(policy.deployer && !policy.deployer.alias) {
+            policy.deployer = null;
+        }
+
+        if(policy.deployer && !HashBrown.Entity.Deployer.DeployerBase.getByAlias(policy.deployer.alias)) {
+            throw new HashBrown.Http.Exception(`Unknown deployer "${policy.deployer.alias}"`, 400);
+        }
+
+        await HashBrown.Service.DatabaseService.updateOne(
+            this.id,
+            'settings',
+            {
+                environment: { $exists: false }
+            },
+            {
+                backups: policy
+            },
+            {
+                upsert: true
+            }
+        );
+
+        // Keep a single recurring task per project in line with the policy
+        let tasks = await HashBrown.Entity.Task.list({ type: 'backup', project: this.id, 'data.isPolicy': true });
+        let task = tasks[0];
+
+        if(!policy.frequency) {
+            if(task) {
+                await task.remove();
+            }
+
+            return policy;
+        }
+
+        if(!task) {
+            task = HashBrown.Entity.Task.new({
+                id: HashBrown.Entity.EntityBase.createId(),
+                type: 'backup',
+                project: this.id,
+                data: { isPolicy: true }
+            });
+        }
+
+        let schedule = `0 ${policy.hour} * * ${policy.frequency === 'weekly' ? policy.weekday : '*'}`;
+
+        if(task.schedule !== schedule) {
+            task.setSchedule({ schedule: schedule });
+        }
+
+        await task.save();
+
+        return policy;
+    }
+
+    /**
+     * Gets the result of the latest scheduled backups
+     *
+     * @return {Object} Status { lastSuccess: { date, timestamp }, lastFailure: { date, message } }
+     */
+    async getBackupStatus() {
+        let status = await HashBrown.Service.DatabaseService.findOne('system', 'backups', { project: this.id });
+
+        if(!status) { return {}; }
+
+        delete status._id;
+        delete status.project;
+
+        return status;
+    }
+
+    /**
+     * Creates a backup according to the backup policy
+     *
+     * The backup is copied off-site if a deployer is configured, and old backups are removed according to the retention rules
+     * The outcome is recorded, so it can be seen in the project list
+     *
+     * @return {String} Timestamp
+     */
+    async createScheduledBackup() {
+        let status = {};
+
+        try {
+            let policy = await this.getBackupPolicy();
+            let timestamp = await this.createBackup();
+
+            if(policy.deployer) {
+                await this.copyBackup(timestamp, policy.deployer);
+            }
+
+            await this.removeExpiredBackups(policy);
+
+            status.lastSuccess = { date: new Date(), timestamp: timestamp };
+
+            return timestamp;
+
+        } catch(e) {
+            status.lastFailure = { date: new Date(), message: e.message };
+
+            throw e;
+
+        } finally {
+            status.project = this.id;
+
+            await HashBrown.Service.DatabaseService.updateOne('system', 'backups', { project: this.id }, status, { upsert: true });
+
+        }
+    }
+
+    /**
+     * Copies a backup off-site using a deployer
+     *
+     * @param {String} timestamp
+     * @param {Object} deployer
+     */
+    async copyBackup(timestamp, deployer) {
+        checkParam(timestamp, 'timestamp', String, true);
+        checkParam(deployer, 'deployer', Object, true);
+
+        if(this.environments.length < 1) {
+            throw new Error(`Project ${this.getName()} needs an environment to copy backups off-site`);
+        }
+
+        let context = new HashBrown.Entity.Context({
+            project: this,
+            environment: this.environments[0],
+            config: await HashBrown.Service.ConfigService.get()
+        });
+
+        deployer = HashBrown.Entity.Deployer.DeployerBase.new(Object.assign({}, deployer, { context: context }));
+        deployer.ensureRootPath('backups');
+
+        let localPath = Path.join(APP_ROOT, 'storage', this.id, 'dump', timestamp + '.hba');
+
+        await deployer.setFileFromPath(deployer.getPath(this.id, timestamp + '.hba'), localPath);
+    }
+
+    /**
+     * Removes the local backups that the retention rules of a policy don't keep
+     *
+     * @param {Object} policy
+     *
+     * @return {Array} Removed timestamps
+     */
+    async removeExpiredBackups(policy) {
+        checkParam(policy, 'policy', Object, true);
+
+        let expired = this.constructor.getExpiredBackups(await this.getBackups(), policy);
+
+        for(let timestamp of expired) {
+            await this.removeBackup(timestamp);
+        }
+
+        return expired;
+    }
+
+    /**
+     * Gets the backups that the retention rules of a policy don't keep
+     *
+     * The latest "keepLast" backups are kept, along with the latest backup of each of the last "keepWeeks" weeks
+     * If there are no retention rules, all backups are kept
+     *
+     * @param {Array} timestamps
+     * @param {Object} policy
+     * @param {Date} now
+     *
+     * @return {Array} Expired timestamps
+     */
+    static getExpiredBackups(timestamps, policy, now = new Date()) {
+        checkParam(timestamps, 'timestamps', Array, true);
+        checkParam(policy, 'policy', Object, true);
+        checkParam(now, 'now', Date, true);
+
+        if(!policy.keepLast && !policy.keepWeeks) { return []; }
+
+        let sorted = timestamps.filter((timestamp) => !isNaN(timestamp)).sort((a, b) => parseInt(b) - parseInt(a));
+        let kept = sorted.slice(0, policy.keepLast || 0);
+
+        for(let week = 0; week < (policy.keepWeeks || 0); week++) {
+            let end = now.getTime() - week * WEEK;
+            let start = end - WEEK;
+            let latest = sorted.find((timestamp) => timestamp > start && timestamp <= end);
+
+            if(latest && kept.indexOf(latest) < 0) {
+                kept.push(latest);
+            }
+        }
+
+        return sorted.filter((timestamp) => kept.indexOf(timestamp) < 0);
+    }
+
+    /**
+     * Checks whether a name can be used for an environment
+     *
+     * Environment names are part of collection names and storage paths, so they can't contain dots or slashes
+     *
+     * @param {String} name
+     */
+    static checkEnvironmentName(name) {
+        checkParam(name, 'name', String, true);
+
+        if(name.length < 2) {
+            throw new Error('Environment name must be at least 2 characters long');
+        }
+
+        if(/[.\/\\$]/.test(name)) {
+            throw new Error(`Environment name "${name}" can't contain dots, slashes or dollar signs`);
+        }
+    }
+
     /**
      * Adds a new environment
      *
@@ -457,9 +703,7 @@ class Project extends require('Common/Entity/Project') {
             throw new Error('Cannot add environments to synced projects');
         }
 
-        if(name.length < 2) {
-            throw new Error('Environment name must be at least 2 characters long');
-        }
+        this.constructor.checkEnvironmentName(name);
 
         let environments = await this.getEnvironments();
 
@@ -506,7 +750,7 @@ class Project extends require('Common/Entity/Project') {
             let resources = await HashBrown.Service.DatabaseService.find(this.id, `${from}.${library}`);
 
             for(let resource of resources) {
-                HashBrown.Service.DatabaseService.updateOne(this.id, `${to}.${library}`, { id: resource.id }, resource, { upsert: true });
+                await HashBrown.Service.DatabaseService.updateOne(this.id, `${to}.${library}`, { id: resource.id }, resource, { upsert: true });
             }
         }
     }
@@ -527,11 +771,13 @@ class Project extends require('Common/Entity/Project') {
         let sync = await this.getSyncSettings();
 
         if(sync) {
-            settings = await HashBrown.Service.RequestService.request(
-                'get',
-                sync.url + '/api/projects/' + sync.project + '/environments/' + environment,
-                { token: sync.token }
-            );
+            try {
+                settings = await HashBrown.Service.SyncService.request(sync, 'get', 'projects/' + sync.project + '/environments/' + environment);
+
+            } catch(e) {
+                debug.warning(`Could not get settings for environment ${environment} from remote: ${e.message}`, this);
+
+            }
         }
 
         if(!settings) {
@@ -646,11 +892,13 @@ class Project extends require('Common/Entity/Project') {
         let sync = await this.getSyncSettings();
 
         if(sync) {
-            return await HashBrown.Service.RequestService.request(
-                'get',
-                sync.url + '/api/projects/' + sync.project + '/environments',
-                { token: sync.token }
-            );
+            try {
+                return await HashBrown.Service.SyncService.request(sync, 'get', 'projects/' + sync.project + '/environments');
+
+            } catch(e) {
+                debug.warning(`Could not get environments from remote: ${e.message}`, this);
+
+            }
         }
 
         let collections = await HashBrown.Service.DatabaseService.find(
@@ -721,6 +969,33 @@ class Project extends require('Common/Entity/Project') {
         report(`Remove backup ${timestamp} from project ${project.getName()}`);
     
         await project.removeBackup(timestamp);
+
+        report('Get expired backups with retention rules');
+
+        let now = new Date('2020-06-30T12:00:00Z');
+        let day = WEEK / 7;
+        let ages = [ 0, 1, 2, 8, 9, 15, 30 ];
+        let backups = ages.map((days) => now.getTime() - days * day);
+
+        let expect = (policy, expectedAges) => {
+            let expired = this.getExpiredBackups(backups, policy, now).map((backup) => (now.getTime() - backup) / day);
+
+            if(JSON.stringify(expired) !== JSON.stringify(expectedAges)) {
+                throw new Error(`Expected backups aged ${expectedAges.join(', ')} days to expire with ${JSON.stringify(policy)}, got ${expired.join(', ')}`);
+            }
+        };
+
+        // The latest two backups are kept
+        expect({ keepLast: 2 }, [ 2, 8, 9, 15, 30 ]);
+
+        // The latest backup of each of the last three weeks is kept
+        expect({ keepWeeks: 3 }, [ 1, 2, 9, 30 ]);
+
+        // Both rules keep their backups
+        expect({ keepLast: 2, keepWeeks: 3 }, [ 2, 9, 30 ]);
+
+        // Without rules, nothing expires
+        expect({}, []);
     }
 }
 
@@ -21,6 +21,15 @@ class Content extends require('Common/Entity/Resource/Content') {
         checkParam(data.schemaId, 'data.schemaId', String, true);
         checkParam(options, 'options', Object, true);
 
+        // New content always starts out as an unpublished draft
+        delete data.isPublished;
+        delete data.published;
+        delete data.comments;
+
+        let workflow = await context.project.getWorkflow();
+
+        data.workflowState = workflow ? workflow.states[0].id : '';
+
         let siblings = []
 
         if(data.parentId) {
@@ -53,23 +62,190 @@ class Content extends require('Common/Entity/Resource/Content') {
             data.sort = (siblings.pop().sort || siblings.length - 1) + 1;
         }
         
-        return await super.create(context, data, options);
+        let content = await super.create(context, data, options);
+
+        await HashBrown.Entity.Revision.create(context, content);
+
+        return content;
+    }
+
+    /**
+     * Removes many content items at once
+     *
+     * References between the removed items are ignored, so they can be removed together
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Array} ids
+     * @param {Object} options { removeChildren, force, references, replaceId }
+     */
+    static async removeMany(context, ids, options = {}) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(ids, 'ids', Array, true);
+        checkParam(options, 'options', Object, true);
+
+        let removeChildren = options.removeChildren === true || options.removeChildren === 'true';
+        let force = options.force === true || options.force === 'true';
+
+        if(!force) {
+            let removedIds = await this.getRemovedIds(context, ids, removeChildren);
+
+            await this.resolveReferences(context, removedIds, options, `The ${ids.length} selected content item${ids.length > 1 ? 's are' : ' is'}`);
+        }
+
+        for(let id of ids) {
+            // The content is fetched for each removal, as removing the other items may have moved or removed it
+            let current = await this.get(context, id);
+
+            if(!current) { continue; }
+
+            await current.remove({ removeChildren: removeChildren, force: true });
+        }
+    }
+
+    /**
+     * Gets the ids of all content that would be removed along with the given content
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Array} ids
+     * @param {Boolean} removeChildren
+     *
+     * @return {Array} Ids
+     */
+    static async getRemovedIds(context, ids, removeChildren) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(ids, 'ids', Array, true);
+        checkParam(removeChildren, 'removeChildren', Boolean, true);
+
+        let removedIds = [];
+
+        for(let id of ids) {
+            let content = await this.get(context, id);
+
+            if(!content) {
+                throw new HashBrown.Http.Exception(`Content "${id}" not found`, 404);
+            }
+
+            if(removedIds.indexOf(content.id) < 0) {
+                removedIds.push(content.id);
+            }
+
+            if(!removeChildren) { continue; }
+
+            for(let descendant of await content.getDescendants()) {
+                if(removedIds.indexOf(descendant.id) > -1) { continue; }
+
+                removedIds.push(descendant.id);
+            }
+        }
+
+        return removedIds;
+    }
+
+    /**
+     * Gets the content referring to any of the given content, not including the content itself
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Array} ids
+     *
+     * @return {Array} Content as { id, name }
+     */
+    static async getInboundReferences(context, ids) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(ids, 'ids', Array, true);
+
+        let usage = await HashBrown.Service.ReferenceService.getUsage(context, 'content', ids);
+        let result = [];
+
+        for(let id in usage) {
+            for(let referrer of usage[id]) {
+                if(ids.indexOf(referrer.id) > -1) { continue; }
+                if(result.some((item) => item.id === referrer.id)) { continue; }
+
+                result.push(referrer);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Deals with the references to content about to be removed
+     *
+     * "options.references" decides what happens to them:
+     * - "keep": leave them as they are
+     * - "clear": remove them from the referring content
+     * - "replace": point them to the content in "options.replaceId" instead
+     *
+     * If it's not set and there are references, the removal is refused
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Array} ids The ids of all content being removed
+     * @param {Object} options { references, replaceId }
+     * @param {String} subject The start of the error message, like '"My page" is'
+     */
+    static async resolveReferences(context, ids, options, subject) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(ids, 'ids', Array, true);
+        checkParam(options, 'options', Object, true);
+        checkParam(subject, 'subject', String, true);
+
+        let usage = await this.getInboundReferences(context, ids);
+
+        if(usage.length < 1) { return; }
+
+        switch(options.references) {
+            case 'keep':
+                break;
+
+            case 'clear':
+                await HashBrown.Service.ReferenceService.replaceContentReferences(context, ids);
+                break;
+
+            case 'replace':
+                if(!options.replaceId || ids.indexOf(options.replaceId) > -1) {
+                    throw new HashBrown.Http.Exception('References must be replaced with content that is not being removed', 400);
+                }
+
+                if(!await this.get(context, options.replaceId)) {
+                    throw new HashBrown.Http.Exception(`Content "${options.replaceId}" not found`, 404);
+                }
+
+                await HashBrown.Service.ReferenceService.replaceContentReferences(context, ids, options.replaceId);
+                break;
+
+            default:
+                let message = `${subject} referred to by ${usage.length} content item${usage.length > 1 ? 's' : ''}`;
+
+                throw new HashBrown.Http.Exception(message, 409, {}, { message: message, usage: usage });
+        }
     }
     
     /**
      * Removes this entity
      *
-     * @param {HashBrown.Entity.Context} context
-     * @param {Object} options
+     * Content referred to by other content is only removed when "options.force" is set, or when "options.references" says what to do with the references
+     *
+     * @param {Object} options { removeChildren, force, references, replaceId }
      */
     async remove(options = {}) {
         checkParam(options, 'options', Object, true);
+
+        // Options may come straight from a query string
+        let removeChildren = options.removeChildren === true || options.removeChildren === 'true';
+        let force = options.force === true || options.force === 'true';
+
+        if(!force) {
+            let ids = await this.constructor.getRemovedIds(this.context, [ this.id ], removeChildren);
+
+            await this.constructor.resolveReferences(this.context, ids, options, `"${this.getName()}" is`);
+        }
         
         let children = await this.getChildren();
 
         for(let child of children) {
-            if(options.removeChildren) {
-                await child.remove(options);
+            if(removeChildren) {
+                // The references to the whole tree were handled above
+                await child.remove({ removeChildren: true, force: true });
             
             } else {
                 child.parentId = this.parentId;
@@ -78,15 +254,19 @@ class Content extends require('Common/Entity/Resource/Content') {
             }
         }
 
-        await this.unpublish();
+        await this.redact();
 
         await super.remove(options);
+
+        await HashBrown.Entity.Revision.removeAll(this.context, this.id);
     }
     
     /**
      * Saves the current state of this entity
      *
-     * @param {Object} options
+     * Properties are only validated when "options.validate" is set, so changes to the state of content that breaks newer rules still go through
+     *
+     * @param {Object} options { validate }
      */
     async save(options = {}) {
         checkParam(options, 'options', Object, true);
@@ -95,13 +275,17 @@ class Content extends require('Common/Entity/Resource/Content') {
             throw new Error('Schema id is required');
         }
 
-        await super.save(options);
+        let errors = options.validate === true ? await HashBrown.Service.ValidationService.validateContent(this) : [];
 
-        if(this.isPublished) {
-            await this.publish();
-        } else {
-            await this.unpublish();
+        if(errors.length > 0) {
+            let message = `"${this.getName()}" has ${errors.length} invalid field${errors.length > 1 ? 's' : ''}`;
+
+            throw new HashBrown.Http.Exception(message, 400, {}, { message: message, errors: errors });
         }
+
+        await super.save(options);
+
+        await HashBrown.Entity.Revision.create(this.context, this);
             
         // Update publish task
         let publishTask = await HashBrown.Entity.Task.get(this.context, this.id, 'publish');
@@ -111,7 +295,7 @@ class Content extends require('Common/Entity/Resource/Content') {
                 publishTask = await HashBrown.Entity.Task.create(this.context, this.id, 'publish');
             }
             
-            publishTask.date = new Date(this.publishOn);
+            publishTask.reschedule(new Date(this.publishOn));
 
             await publishTask.save();
         
@@ -128,7 +312,7 @@ class Content extends require('Common/Entity/Resource/Content') {
                 unpublishTask = await HashBrown.Entity.Task.create(this.context, this.id, 'unpublish');
             }
 
-            unpublishTask.date = new Date(this.unpublishOn);
+            unpublishTask.reschedule(new Date(this.unpublishOn));
 
             await unpublishTask.save();
         
@@ -139,9 +323,240 @@ class Content extends require('Common/Entity/Resource/Content') {
     }
 
     /**
-     * Publishes this content
+     * Gets all revisions of this content, newest first
+     *
+     * @return {Array} Revisions
+     */
+    async getRevisions() {
+        return await HashBrown.Entity.Revision.list(this.context, this.id);
+    }
+
+    /**
+     * Gets a revision of this content
+     *
+     * @param {Number} timestamp
+     *
+     * @return {HashBrown.Entity.Revision} Revision
+     */
+    async getRevision(timestamp) {
+        checkParam(timestamp, 'timestamp', Number, true);
+
+        return await HashBrown.Entity.Revision.get(this.context, this.id, timestamp);
+    }
+
+    /**
+     * Restores this content to the state of a revision
+     *
+     * @param {Number} timestamp
+     */
+    async restoreRevision(timestamp) {
+        checkParam(timestamp, 'timestamp', Number, true);
+
+        let revision = await this.getRevision(timestamp);
+
+        if(!revision) {
+            throw new HashBrown.Http.Exception(`Revision ${timestamp} of content ${this.id} could not be found`, 404);
+        }
+
+        let data = revision.data;
+
+        delete data.id;
+        delete data.isLocked;
+        delete data.sync;
+        delete data.isPublished;
+        delete data.published;
+        delete data.workflowState;
+        delete data.comments;
+
+        this.adopt(data);
+
+        await this.save();
+    }
+
+    /**
+     * Gets the scopes required by the current workflow state
+     *
+     * @return {Array} Scopes
+     */
+    async getRequiredScopes() {
+        let workflow = await this.context.project.getWorkflow();
+
+        if(!workflow) { return []; }
+
+        let state = this.getWorkflowState(workflow);
+
+        return state.scope ? [ state.scope ] : [];
+    }
+
+    /**
+     * Checks whether the current user can move this content to another workflow state
+     *
+     * @param {Object} workflow
+     * @param {String} stateId
+     *
+     * @return {Object} The new state
+     */
+    checkTransition(workflow, stateId) {
+        checkParam(workflow, 'workflow', Object, true);
+        checkParam(stateId, 'stateId', String, true);
+
+        let from = this.getWorkflowState(workflow);
+        let to = workflow.states.filter((state) => state.id === stateId)[0];
+
+        if(!to) {
+            throw new HashBrown.Http.Exception(`Workflow state "${stateId}" could not be found`, 404);
+        }
+
+        if(from.transitions.indexOf(to.id) < 0) {
+            throw new HashBrown.Http.Exception(`Content cannot go from "${from.name}" to "${to.name}"`, 400);
+        }
+
+        if(from.scope && this.context.user && !this.context.user.hasScope(this.context.project.id, from.scope)) {
+            throw new HashBrown.Http.Exception(`You need the "${from.scope}" scope to move content out of "${from.name}"`, 403);
+        }
+
+        return to;
+    }
+
+    /**
+     * Moves this content to another workflow state
+     *
+     * @param {String} stateId
+     * @param {String} comment
+     */
+    async transition(stateId, comment = '') {
+        checkParam(stateId, 'stateId', String, true);
+        checkParam(comment, 'comment', String);
+        
+        let workflow = await this.context.project.getWorkflow();
+
+        if(!workflow) {
+            throw new HashBrown.Http.Exception('Workflow is not enabled for this project', 400);
+        }
+
+        let to = this.checkTransition(workflow, stateId);
+
+        if(comment) {
+            this.addComment(comment, to.id);
+        }
+
+        if(to.isPublished) {
+            await this.publish();
+        
+        } else {
+            this.workflowState = to.id;
+
+            await this.save();
+
+        }
+    }
+
+    /**
+     * Adds a reviewer comment
+     *
+     * @param {String} text
+     * @param {String} stateId
+     */
+    addComment(text, stateId = '') {
+        checkParam(text, 'text', String, true);
+        checkParam(stateId, 'stateId', String);
+
+        this.comments.push({
+            user: this.context.user ? this.context.user.id : '',
+            author: this.context.user ? this.context.user.getName() : '',
+            date: new Date(),
+            state: stateId || this.workflowState,
+            text: text
+        });
+    }
+
+    /**
+     * Publishes the current draft of this content
+     * If workflow is enabled, the content must be in a state that leads to a published state
      */
     async publish() {
+        let workflow = await this.context.project.getWorkflow();
+
+        if(workflow) {
+            let publishedState = workflow.states.filter((state) => state.isPublished)[0];
+
+            if(!publishedState) {
+                throw new HashBrown.Http.Exception('The workflow has no published state', 400);
+            }
+
+            this.checkTransition(workflow, publishedState.id);
+            
+            this.workflowState = publishedState.id;
+        }
+
+        this.published = this.getSnapshot();
+        this.isPublished = true;
+
+        await this.save();
+        await this.deploy();
+
+        HashBrown.Service.WebhookService.trigger(this, 'published');
+    }
+    
+    /**
+     * Unpublishes this content
+     */
+    async unpublish() {
+        let workflow = await this.context.project.getWorkflow();
+
+        if(workflow) {
+            this.workflowState = workflow.states[0].id;
+        }
+
+        this.published = null;
+        this.isPublished = false;
+
+        await this.save();
+        await this.redact();
+
+        HashBrown.Service.WebhookService.trigger(this, 'unpublished');
+    }
+    
+    /**
+     * Reverts the draft of this content to the published snapshot
+     */
+    async discardChanges() {
+        if(!this.isPublished || !this.published) {
+            throw new HashBrown.Http.Exception(`Content ${this.id} has no published snapshot to revert to`, 400);
+        }
+
+        let snapshot = JSON.parse(JSON.stringify(this.published));
+
+        this.schemaId = snapshot.schemaId;
+        this.publishIn = snapshot.publishIn || [];
+        this.properties = snapshot.properties || {};
+
+        await this.save();
+    }
+
+    /**
+     * Gets the published version of this content
+     *
+     * @return {HashBrown.Entity.Resource.Content} Published content
+     */
+    getPublished() {
+        // Content published before drafts were separated gets its snapshot from a migration, so the draft is never served
+        if(!this.isPublished || !this.published) { return null; }
+        
+        let published = this.clone();
+        let snapshot = JSON.parse(JSON.stringify(this.published));
+        
+        published.schemaId = snapshot.schemaId;
+        published.publishIn = snapshot.publishIn || [];
+        published.properties = snapshot.properties || {};
+
+        return published;
+    }
+
+    /**
+     * Deploys the published version of this content to all publications
+     */
+    async deploy() {
         let publications = await HashBrown.Entity.Resource.Publication.list(this.context);
         
         for(let publication of publications) {
@@ -150,9 +565,9 @@ class Content extends require('Common/Entity/Resource/Content') {
     }
     
     /**
-     * Unpublishes this content
+     * Removes this content from all publications
      */
-    async unpublish() {
+    async redact() {
         let publications = await HashBrown.Entity.Resource.Publication.list(this.context);
         
         for(let publication of publications) {
@@ -226,6 +641,41 @@ class Content extends require('Common/Entity/Resource/Content') {
         return children;
     }
     
+    /**
+     * Gets all descendants
+     *
+     * @return {Array} Descendants
+     */
+    async getDescendants() {
+        let allContent = await this.constructor.list(this.context);
+        let descendants = [];
+        let parentIds = [ this.id ];
+
+        while(parentIds.length > 0) {
+            let children = allContent.filter((content) => parentIds.indexOf(content.parentId) > -1);
+
+            descendants = descendants.concat(children);
+            parentIds = children.map((content) => content.id);
+        }
+
+        return descendants;
+    }
+
+    /**
+     * Gets the content referring to this content
+     *
+     * @param {Boolean} includeDescendants Whether to include references to descendants, for when the whole tree is removed
+     *
+     * @return {Array} Content as { id, name }, not including the content itself or its descendants
+     */
+    async getUsage(includeDescendants = false) {
+        checkParam(includeDescendants, 'includeDescendants', Boolean, true);
+
+        let ids = await this.constructor.getRemovedIds(this.context, [ this.id ], includeDescendants);
+
+        return await this.constructor.getInboundReferences(this.context, ids);
+    }
+
     /**
      * Gets whether this content is allowed at the root
      *
@@ -335,6 +785,121 @@ class Content extends require('Common/Entity/Resource/Content') {
         }
     }
 
+    /**
+     * Moves this content and its descendants to the end of another parent
+     *
+     * @param {HashBrown.Entity.Resource.Content} parent The new parent, or null for the root
+     */
+    async move(parent) {
+        checkParam(parent, 'parent', HashBrown.Entity.Resource.Content);
+
+        let siblings = parent ? await parent.getChildren([ this.id ]) : await this.constructor.getOrphans(this.context, [ this.id ]);
+
+        await this.insert(parent || null, siblings.length);
+    }
+
+    /**
+     * Duplicates this content and its descendants
+     *
+     * The copies get new ids, and references between the copied items are pointed to the copies
+     * They are unpublished drafts, placed at the end of the given parent
+     * If any of them can't be created, the ones already created are removed again
+     *
+     * @param {HashBrown.Entity.Resource.Content} parent The parent of the copy, or null for the root
+     *
+     * @return {HashBrown.Entity.Resource.Content} The copy of this content
+     */
+    async duplicate(parent) {
+        checkParam(parent, 'parent', HashBrown.Entity.Resource.Content);
+
+        if(parent && (parent.id === this.id || await parent.isDescendantOf(this))) {
+            throw new HashBrown.Http.Exception('Content cannot be duplicated into itself', 400);
+        }
+
+        if(parent ? !await this.isAllowedAsChildOf(parent) : !await this.isAllowedAtRoot()) {
+            throw new HashBrown.Http.Exception('This type of content is not allowed here', 400);
+        }
+
+        let originals = [ this ].concat(await this.getDescendants());
+        let newIds = {};
+
+        for(let original of originals) {
+            newIds[original.id] = this.constructor.createId();
+        }
+
+        // Siblings are copied in their original order
+        originals.sort((a, b) => a.sort - b.sort);
+
+        // The queue goes through the tree level by level, so parents are created before their children
+        let queue = [ this ];
+        let schemas = {};
+        let created = [];
+
+        try {
+            while(queue.length > 0) {
+                let original = queue.shift();
+                
+                let properties = await HashBrown.Service.ReferenceService.mapProperties(original, (type, id) => {
+                    if(type !== 'content' || !newIds[id]) { return; }
+
+                    return newIds[id];
+                }, schemas);
+
+                properties = JSON.parse(JSON.stringify(properties));
+
+                if(original === this) {
+                    properties.title = this.getCopyTitle(properties.title);
+                }
+
+                created.push(await this.constructor.create(this.context, {
+                    id: newIds[original.id],
+                    parentId: original === this ? (parent ? parent.id : null) : newIds[original.parentId],
+                    schemaId: original.schemaId,
+                    publishIn: original.publishIn,
+                    properties: properties
+                }));
+
+                queue = queue.concat(originals.filter((content) => content.parentId === original.id));
+            }
+
+        } catch(e) {
+            // Remove the copies made so far, children first, so a failed copy doesn't leave a partial tree behind
+            for(let content of created.reverse()) {
+                await content.remove({ force: true });
+            }
+
+            throw e;
+
+        }
+
+        return created[0];
+    }
+
+    /**
+     * Gets the title for a copy of this content
+     *
+     * @param {*} title A plain or localised title
+     *
+     * @return {*} Title
+     */
+    getCopyTitle(title) {
+        if(typeof title === 'string' && title) {
+            return title + ' (copy)';
+        }
+
+        if(title && title.constructor === Object) {
+            let result = {};
+
+            for(let locale in title) {
+                result[locale] = this.getCopyTitle(title[locale]);
+            }
+
+            return result;
+        }
+
+        return title;
+    }
+
     /**
      * Checks if a schema type is allowed as a child of this content
      *
@@ -355,6 +920,8 @@ class Content extends require('Common/Entity/Resource/Content') {
     /**
      * Returns all properties in a given locale
      *
+     * Missing values are taken from the fallback chain of the locale
+     *
      * @param {String} locale
      *
      * @returns {Object} properties
@@ -362,9 +929,10 @@ class Content extends require('Common/Entity/Resource/Content') {
     async getLocalizedProperties(locale) {
         let localized = JSON.parse(JSON.stringify(this.properties));
 
-        if(!locale) { return properties; }
-    
+        if(!locale) { return localized; }
+
         let schema = await HashBrown.Entity.Resource.ContentSchema.get(this.context, this.schemaId, { withParentFields: true });
+        let fallbacks = await this.context.project.getLocaleFallbacks();
 
         let recurse = async (properties, config) => {
             if(
@@ -385,7 +953,7 @@ class Content extends require('Common/Entity/Resource/Content') {
                     definition &&
                     definition.isLocalized
                 ) {
-                    properties[key] = properties[key][locale];
+                    properties[key] = HashBrown.Service.LocaleService.getLocalizedValue(property, locale, fallbacks).value;
                 
                 // Recurse into structs
                 } else if(
@@ -442,6 +1010,32 @@ class Content extends require('Common/Entity/Resource/Content') {
         content.properties.title += ' (updated)';
         await content.save();
             
+        report(`Get revisions of content ${content.getName()}`);
+
+        let revisions = await content.getRevisions();
+
+        report(`Diff revisions of content ${content.getName()}`);
+
+        revisions[revisions.length - 1].diff(revisions[0]);
+
+        report(`Restore first revision of content ${content.getName()}`);
+
+        await content.restoreRevision(revisions[revisions.length - 1].timestamp);
+            
+        report(`Publish content ${content.getName()}`);
+
+        await content.publish();
+
+        report(`Discard changes to content ${content.getName()}`);
+        
+        content.properties.title += ' (draft)';
+        await content.save();
+        await content.discardChanges();
+
+        report(`Unpublish content ${content.getName()}`);
+
+        await content.unpublish();
+
         report('Get all content');
         
         await this.list(context);
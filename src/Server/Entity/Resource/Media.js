@@ -1,6 +1,11 @@
 'use strict';
 
 const Path = require('path');
+const Crypto = require('crypto');
+
+const RENDITION_FITS = [ 'contain', 'cover', 'fill' ];
+const RENDITION_FORMATS = { jpeg: 'jpg', jpg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+const RENDITION_MAX_SIZE = 4000;
 
 /**
  * The media resource
@@ -71,6 +76,8 @@ class Media extends require('Common/Entity/Resource/Media') {
     /**
      * Creates a new instance of this entity type
      *
+     * The file is given either as base64 data in "options.full", or as a local path in "options.source"
+     *
      * @param {HashBrown.Entity.Context} context
      * @param {Object} data
      * @param {Object} options
@@ -82,7 +89,12 @@ class Media extends require('Common/Entity/Resource/Media') {
         checkParam(data, 'data', Object, true);
         checkParam(data.filename, 'data.filename', String, true);
         checkParam(options, 'options', Object, true);
-        checkParam(options.full, 'options.full', String, true);
+
+        if(options.source) {
+            checkParam(options.source, 'options.source', String, true);
+        } else {
+            checkParam(options.full, 'options.full', String, true);
+        }
         
         let deployer = await this.getDeployer(context);
 
@@ -90,18 +102,31 @@ class Media extends require('Common/Entity/Resource/Media') {
             throw new Error('No media deployer configured');
         }
 
-        let resource = await super.create(context, data, options);
+        let filename = options.filename || data.filename;
+        let source = options.source || await this.writeTempFile(context, filename, options.full);
 
-        await deployer.removeFolder(deployer.getPath(resource.id));
-        await deployer.setFile(deployer.getPath(resource.id, options.filename), options.full);
+        try {
+            data.metadata = await this.prepareUpload(context, filename, source);
 
-        let thumbnail = await this.generateThumbnail(context, options.filename, Buffer.from(options.full, 'base64'));
-       
-        if(thumbnail) {
-            await deployer.setFile(deployer.getPath(resource.id, 'thumbnail.jpg'), thumbnail.toString('base64'));
-        }
+            let resource = await super.create(context, data, options);
 
-        return resource;
+            await deployer.removeFolder(deployer.getPath(resource.id));
+            await deployer.setFileFromPath(deployer.getPath(resource.id, filename), source);
+
+            let thumbnail = await this.generateThumbnail(context, filename, source);
+           
+            if(thumbnail) {
+                await deployer.setFile(deployer.getPath(resource.id, 'thumbnail.jpg'), thumbnail.toString('base64'));
+            }
+
+            return resource;
+
+        } finally {
+            if(source !== options.source) {
+                await HashBrown.Service.FileService.remove(source);
+            }
+
+        }
     }
     
     /**
@@ -287,14 +312,37 @@ class Media extends require('Common/Entity/Resource/Media') {
         return resources;
     }
     
+    /**
+     * Gets the content using this media
+     *
+     * @return {Array} Content as { id, name }
+     */
+    async getUsage() {
+        let usage = await HashBrown.Service.ReferenceService.getUsage(this.context, 'media', [ this.id ]);
+
+        return usage[this.id] || [];
+    }
+
     /**
      * Removes this entity
      *
+     * Media used by content is only removed when "options.force" is set
+     *
      * @param {Object} options
      */
     async remove(options = {}) {
         checkParam(options, 'options', Object, true);
 
+        if(options.force !== true && options.force !== 'true') {
+            let usage = await this.getUsage();
+
+            if(usage.length > 0) {
+                let message = `"${this.getName()}" is used by ${usage.length} content item${usage.length > 1 ? 's' : ''}`;
+
+                throw new HashBrown.Http.Exception(message, 409, {}, { message: message, usage: usage });
+            }
+        }
+
         await super.remove(options);
         
         let deployer = await this.constructor.getDeployer(this.context);
@@ -302,11 +350,15 @@ class Media extends require('Common/Entity/Resource/Media') {
         if(deployer) {
             await deployer.removeFolder(deployer.getPath(this.id));
         }
+
+        await this.removeRenditions();
     }
 
     /**
      * Saves the current state of this entity
      *
+     * A new file can be given either as base64 data in "options.full", or as a local path in "options.source"
+     *
      * @param {Object} options
      */
     async save(options = {}) {
@@ -318,68 +370,610 @@ class Media extends require('Common/Entity/Resource/Media') {
             throw new Error('No media deployer configured');
         }
 
-        if(this.filename && options.full) {
-            await deployer.removeFolder(deployer.getPath(this.id));
-            await deployer.setFile(deployer.getPath(this.id, options.filename), options.full);
+        let filename = options.filename || this.filename;
+        let source = options.source || null;
+
+        if(this.filename && options.full && !source) {
+            source = await this.constructor.writeTempFile(this.context, filename, options.full);
         }
 
-        // Remove thumbnail if specified
-        if(options.thumbnail === false) {
-            await deployer.removeFile(deployer.getPath(this.id, 'thumbnail.jpg'));
+        try {
+            if(this.filename && source) {
+                this.metadata = await this.constructor.prepareUpload(this.context, filename, source);
+
+                await deployer.removeFolder(deployer.getPath(this.id));
+                await deployer.setFileFromPath(deployer.getPath(this.id, filename), source);
+            }
 
-        // Save thumbnail if specified
-        } else if(options.thumbnail) {
-            await deployer.setFile(deployer.getPath(this.id, 'thumbnail.jpg'), options.thumbnail);
+            // Remove thumbnail if specified
+            if(options.thumbnail === false) {
+                await deployer.removeFile(deployer.getPath(this.id, 'thumbnail.jpg'));
+
+            // Save thumbnail if specified
+            } else if(options.thumbnail) {
+                await deployer.setFile(deployer.getPath(this.id, 'thumbnail.jpg'), options.thumbnail);
+            
+            // If no thumbnail was specified, attempt to generate one
+            } else if(this.filename && source) {
+                let thumbnail = await this.constructor.generateThumbnail(this.context, filename, source, 200, 200, this.focalPoint);
+               
+                if(thumbnail) {
+                    await deployer.setFile(deployer.getPath(this.id, 'thumbnail.jpg'), thumbnail.toString('base64'));
+                }
+            
+            // Regenerate the thumbnail from the current file, if the focal point was changed
+            } else if(options.regenerateThumbnail && this.isImage() && !this.isSvg()) {
+                let path = await this.getRendition({ width: 200, height: 200, fit: this.focalPoint ? 'cover' : 'contain', format: 'jpg' });
+                let thumbnail = path ? await HashBrown.Service.FileService.read(path) : null;
+               
+                if(thumbnail) {
+                    await deployer.setFile(deployer.getPath(this.id, 'thumbnail.jpg'), thumbnail.toString('base64'));
+                }
+            }
         
-        // If no thumbnail was specified, attempt to generate one
-        } else if(options.full && options.filename) {
-            let thumbnail = await this.constructor.generateThumbnail(this.context, options.filename, Buffer.from(options.full, 'base64'));
-           
-            if(thumbnail) {
-                await deployer.setFile(deployer.getPath(this.id, 'thumbnail.jpg'), thumbnail.toString('base64'));
+        } finally {
+            if(source && source !== options.source) {
+                await HashBrown.Service.FileService.remove(source);
             }
+
         }
 
         await super.save(options);
+        
+        await this.removeRenditions();
+    }
+
+    /**
+     * Parses image transformation parameters from a query
+     *
+     * @param {Object} query { width, height, crop, fit, focus, format, quality }
+     *
+     * @return {Object} Transform, or null if no transformation was requested
+     */
+    static getTransform(query = {}) {
+        checkParam(query, 'query', Object, true);
+
+        let isSet = (key) => query[key] !== undefined && query[key] !== null && query[key] !== '';
+
+        if(!isSet('width') && !isSet('height') && !isSet('crop') && !isSet('format') && !isSet('quality')) { return null; }
+
+        let transform = {
+            width: 0,
+            height: 0,
+            crop: '',
+            fit: 'contain',
+            focus: null,
+            format: '',
+            quality: 0
+        };
+
+        let parseInteger = (key, min, max) => {
+            let value = Number(query[key]);
+
+            if(!Number.isInteger(value) || value < min || value > max) {
+                throw new HashBrown.Http.Exception(`Parameter "${key}" must be a whole number between ${min} and ${max}`, 400);
+            }
+
+            return value;
+        };
+
+        if(isSet('width')) {
+            transform.width = parseInteger('width', 1, RENDITION_MAX_SIZE);
+        }
+
+        if(isSet('height')) {
+            transform.height = parseInteger('height', 1, RENDITION_MAX_SIZE);
+        }
+
+        if(isSet('quality')) {
+            transform.quality = parseInteger('quality', 1, 100);
+        }
+
+        if(isSet('crop')) {
+            let presets = this.getCropPresets();
+
+            if(!presets[query.crop]) {
+                throw new HashBrown.Http.Exception(`Parameter "crop" must be one of ${Object.keys(presets).join(', ')}`, 400);
+            }
+
+            transform.crop = query.crop;
+        }
+
+        if(isSet('fit')) {
+            if(RENDITION_FITS.indexOf(query.fit) < 0) {
+                throw new HashBrown.Http.Exception(`Parameter "fit" must be one of ${RENDITION_FITS.join(', ')}`, 400);
+            }
+
+            transform.fit = query.fit;
+        }
+
+        if(isSet('focus')) {
+            let focus = String(query.focus).split(',').map((value) => value.trim() ? Number(value) : NaN);
+
+            if(focus.length !== 2 || focus.some((value) => isNaN(value) || value < 0 || value > 1)) {
+                throw new HashBrown.Http.Exception('Parameter "focus" must be two numbers between 0 and 1, like "0.5,0.5"', 400);
+            }
+
+            transform.focus = focus;
+        }
+
+        if(isSet('format')) {
+            transform.format = RENDITION_FORMATS[String(query.format).toLowerCase()];
+
+            if(!transform.format) {
+                throw new HashBrown.Http.Exception(`Parameter "format" must be one of ${Object.keys(RENDITION_FORMATS).join(', ')}`, 400);
+            }
+        }
+
+        return transform;
+    }
+
+    /**
+     * Gets the folder containing the cached renditions of this media
+     *
+     * @return {String} Path
+     */
+    getRenditionFolder() {
+        return Path.join(APP_ROOT, 'storage', this.context.project.id, this.context.environment, 'renditions', this.id);
+    }
+
+    /**
+     * Removes all cached renditions of this media
+     */
+    async removeRenditions() {
+        await HashBrown.Service.FileService.remove(this.getRenditionFolder());
+    }
+
+    /**
+     * Gets a transformed rendition of this image, generating it if it isn't cached
+     *
+     * @param {Object} transform
+     *
+     * @return {String} Path to the rendition, or null if this media can't be transformed
+     */
+    async getRendition(transform) {
+        checkParam(transform, 'transform', Object, true);
+
+        if(!this.isImage() || this.isSvg()) { return null; }
+
+        let url = await this.getContentUrl();
+
+        if(!url) { return null; }
+
+        let focalPoint = this.getFocalPoint();
+
+        transform = Object.assign({}, transform);
+        transform.focus = transform.focus || [ focalPoint.x, focalPoint.y ];
+
+        let sourceExtension = Path.extname(this.filename || url).toLowerCase().replace(/[^.a-z0-9]/g, '');
+        let extension = transform.format || sourceExtension.replace('.', '') || 'jpg';
+        
+        // Crops are part of the key, since they aren't always expressed in the parameters
+        let key = Crypto.createHash('sha1').update(JSON.stringify([ transform, this.crops ])).digest('hex').substring(0, 16);
+
+        let folder = this.getRenditionFolder();
+        let path = Path.join(folder, key + '.' + extension);
+
+        if(HashBrown.Service.FileService.exists(path)) { return path; }
+
+        // Work on temporary files, so concurrent requests never serve a partial rendition
+        let suffix = Crypto.randomBytes(4).toString('hex');
+        let sourcePath = Path.join(folder, `source-${key}-${suffix}${sourceExtension}`);
+        let tempPath = Path.join(folder, `temp-${key}-${suffix}.${extension}`);
+
+        await HashBrown.Service.FileService.makeDirectory(folder);
+
+        try {
+            await HashBrown.Service.FileService.copy(url, sourcePath);
+            
+            let args = [ `"${sourcePath}"`, '-auto-orient' ];
+            let { width, height, crop, fit, focus, quality } = transform;
+            let size = null;
+
+            if(crop || (fit === 'cover' && width && height)) {
+                size = await this.constructor.getImageSize(sourcePath);
+            }
+
+            // Cut out the crop first, and treat it as the source from there
+            if(crop) {
+                let region = this.getCrop(crop, size[0] / size[1]);
+                let regionX = Math.round(region.x * size[0]);
+                let regionY = Math.round(region.y * size[1]);
+                let regionWidth = Math.max(1, Math.round(region.width * size[0]));
+                let regionHeight = Math.max(1, Math.round(region.height * size[1]));
+
+                args.push(`-crop ${regionWidth}x${regionHeight}+${regionX}+${regionY}`, '+repage');
+
+                focus = [
+                    Math.min(Math.max((focus[0] * size[0] - regionX) / regionWidth, 0), 1),
+                    Math.min(Math.max((focus[1] * size[1] - regionY) / regionHeight, 0), 1)
+                ];
+
+                size = [ regionWidth, regionHeight ];
+            }
+
+            // Fill the box and crop the overflow around the focal point
+            if(fit === 'cover' && width && height) {
+                args = args.concat(this.constructor.getCoverArguments(size, width, height, focus));
+            
+            // Stretch to the exact size
+            } else if(fit === 'fill' && width && height) {
+                args.push(`-resize ${width}x${height}!`);
+
+            // Fit inside the box, without upscaling
+            } else if(width || height) {
+                args.push(`-resize ${width || ''}x${height || ''}\\>`);
+
+            }
+
+            // JPEG has no alpha channel
+            if(extension === 'jpg') {
+                args.push('-background white -flatten');
+            }
+
+            if(quality) {
+                args.push(`-quality ${quality}`);
+            }
+
+            args.push('-strip', `"${tempPath}"`);
+
+            await HashBrown.Service.AppService.exec('convert ' + args.join(' '));
+            await HashBrown.Service.FileService.move(tempPath, path);
+        
+        } finally {
+            await HashBrown.Service.FileService.remove(sourcePath);
+            await HashBrown.Service.FileService.remove(tempPath);
+        
+        }
+
+        return path;
+    }
+
+    /**
+     * Gets a path for a temporary file
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} prefix
+     * @param {String} filename The original filename, from which the extension is kept
+     *
+     * @return {String} Path
+     */
+    static getTempPath(context, prefix, filename) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(prefix, 'prefix', String, true);
+        checkParam(filename, 'filename', String, true);
+
+        let extension = Path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+        
+        return Path.join(APP_ROOT, 'storage', context.project.id, context.environment, 'tmp', `${prefix}-${Crypto.randomBytes(4).toString('hex')}${extension}`);
+    }
+
+    /**
+     * Writes base64 data to a temporary file
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} filename
+     * @param {String} base64
+     *
+     * @return {String} Path
+     */
+    static async writeTempFile(context, filename, base64) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(filename, 'filename', String, true);
+        checkParam(base64, 'base64', String, true);
+
+        let path = this.getTempPath(context, 'upload', filename);
+
+        await HashBrown.Service.FileService.makeDirectory(Path.dirname(path));
+        await HashBrown.Service.FileService.write(Buffer.from(base64, 'base64'), path);
+
+        return path;
+    }
+
+    /**
+     * Extracts the metadata of an uploaded file, and strips its location in place if the environment is configured to do so
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} filename
+     * @param {String} path
+     *
+     * @return {Object} Metadata
+     */
+    static async prepareUpload(context, filename, path) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(filename, 'filename', String, true);
+        checkParam(path, 'path', String, true);
+
+        let metadata = await this.extractMetadata(context, filename, path);
+
+        if(metadata.location && await context.project.getEnvironmentSettings(context.environment, 'mediaStripLocation')) {
+            await this.stripMetadata(context, filename, path);
+            
+            delete metadata.location;
+            
+            let stats = await HashBrown.Service.FileService.stat(path);
+
+            if(stats) {
+                metadata.size = stats.size;
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Extracts metadata from a file
+     *
+     * Missing tools or unreadable files only result in less metadata, so uploads never fail because of it
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} filename
+     * @param {String} path
+     *
+     * @return {Object} Metadata { type, size, width, height, duration, dateTaken, camera, location, color }
+     */
+    static async extractMetadata(context, filename, path) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(filename, 'filename', String, true);
+        checkParam(path, 'path', String, true);
+
+        let type = getMIMEType(filename.toLowerCase());
+        let stats = await HashBrown.Service.FileService.stat(path);
+        let metadata = {
+            type: type,
+            size: stats ? stats.size : 0
+        };
+
+        let isImage = type.indexOf('image') > -1 && type.indexOf('svg') < 0;
+        let isTimed = type.indexOf('audio') > -1 || type.indexOf('video') > -1;
+
+        if(!isImage && !isTimed) { return metadata; }
+        
+        let run = async (cmd) => {
+            try {
+                return await HashBrown.Service.AppService.exec(cmd);
+
+            } catch(e) {
+                debug.log(`Could not read metadata of "${filename}": ${e.message}`, this);
+
+                return '';
+
+            }
+        };
+        
+        if(isImage) {
+            let size = (await run(`convert "${path}[0]" -auto-orient -format "%w %h" info:`)).trim().split(' ').map(Number);
+
+            if(size[0] > 0 && size[1] > 0) {
+                metadata.width = size[0];
+                metadata.height = size[1];
+            }
+
+            let exif = {};
+
+            for(let line of (await run(`identify -format "%[EXIF:*]" "${path}[0]"`)).split('\n')) {
+                let match = line.match(/^exif:([^=]+)=(.*)$/);
+
+                if(match) {
+                    exif[match[1]] = match[2].trim();
+                }
+            }
+
+            Object.assign(metadata, this.parseExif(exif));
+
+            // The most common colour after reducing the palette
+            let histogram = await run(`convert "${path}[0]" -resize 64x64 +dither -colors 8 -format %c histogram:info:-`);
+            let count = 0;
+
+            for(let line of histogram.split('\n')) {
+                let match = line.match(/^\s*(\d+):.*?#([0-9A-Fa-f]{6})/);
+
+                if(!match || parseInt(match[1]) <= count) { continue; }
+
+                count = parseInt(match[1]);
+                metadata.color = '#' + match[2].toLowerCase();
+            }
+        }
+
+        if(isTimed) {
+            let probe = {};
+
+            try {
+                probe = JSON.parse(await run(`ffprobe -v error -show_entries format=duration:stream=width,height -of json "${path}"`));
+
+            } catch(e) {
+                // Nothing could be read
+
+            }
+
+            let duration = parseFloat(probe.format ? probe.format.duration : NaN);
+
+            if(!isNaN(duration)) {
+                metadata.duration = Math.round(duration * 1000) / 1000;
+            }
+
+            for(let stream of probe.streams || []) {
+                if(!stream.width || !stream.height) { continue; }
+
+                metadata.width = stream.width;
+                metadata.height = stream.height;
+                break;
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Parses EXIF properties
+     *
+     * @param {Object} exif EXIF properties by name, as read by ImageMagick
+     *
+     * @return {Object} Metadata { dateTaken, camera, location }
+     */
+    static parseExif(exif) {
+        checkParam(exif, 'exif', Object, true);
+
+        let metadata = {};
+
+        // Dates are formatted like "2020:05:01 12:34:56", in the local time of the camera
+        let date = (exif.DateTimeOriginal || exif.DateTime || '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+
+        if(date) {
+            metadata.dateTaken = `${date[1]}-${date[2]}-${date[3]}T${date[4]}:${date[5]}:${date[6]}`;
+        }
+
+        let camera = [ exif.Make, exif.Model ].filter(Boolean).join(' ').trim();
+
+        // The model name often includes the make already
+        if(exif.Make && exif.Model && exif.Model.indexOf(exif.Make) === 0) {
+            camera = exif.Model;
+        }
+
+        if(camera) {
+            metadata.camera = camera;
+        }
+
+        // Coordinates are formatted as rationals, like "51/1, 30/1, 1234/100"
+        let toDegrees = (value, ref) => {
+            let parts = (value || '').split(',').map((part) => {
+                part = part.trim().split('/').map(Number);
+
+                return part[0] / (part.length > 1 ? part[1] : 1);
+            });
+
+            if(parts.length !== 3 || parts.some(isNaN)) { return NaN; }
+
+            let degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+
+            if(ref === 'S' || ref === 'W') {
+                degrees = -degrees;
+            }
+
+            return Math.round(degrees * 1000000) / 1000000;
+        };
+
+        let latitude = toDegrees(exif.GPSLatitude, exif.GPSLatitudeRef);
+        let longitude = toDegrees(exif.GPSLongitude, exif.GPSLongitudeRef);
+
+        if(!isNaN(latitude) && !isNaN(longitude)) {
+            metadata.location = {
+                latitude: latitude,
+                longitude: longitude
+            };
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Strips all embedded metadata, like EXIF and GPS, from an image file in place
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} filename
+     * @param {String} path
+     */
+    static async stripMetadata(context, filename, path) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(filename, 'filename', String, true);
+        checkParam(path, 'path', String, true);
+
+        // The orientation is applied first, since it's stored as metadata too
+        await HashBrown.Service.AppService.exec(`convert "${path}" -auto-orient -strip "${path}"`);
+    }
+
+    /**
+     * Gets the size of an image file, after orientation
+     *
+     * @param {String} path
+     *
+     * @return {Array} Width and height
+     */
+    static async getImageSize(path) {
+        checkParam(path, 'path', String, true);
+
+        let size = await HashBrown.Service.AppService.exec(`convert "${path}[0]" -auto-orient -format "%w %h" info:`);
+
+        return size.trim().split(' ').map(Number);
+    }
+
+    /**
+     * Gets the ImageMagick arguments for scaling an image to cover a box, cropping the overflow around a focal point
+     *
+     * @param {Array} size The width and height of the source
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Array} focus The focal point, as fractions of the source size
+     *
+     * @return {Array} Arguments
+     */
+    static getCoverArguments(size, width, height, focus) {
+        checkParam(size, 'size', Array, true);
+        checkParam(width, 'width', Number, true);
+        checkParam(height, 'height', Number, true);
+        checkParam(focus, 'focus', Array, true);
+
+        let scale = Math.max(width / size[0], height / size[1]);
+        let scaledWidth = Math.max(width, Math.round(size[0] * scale));
+        let scaledHeight = Math.max(height, Math.round(size[1] * scale));
+        let x = Math.round(Math.min(Math.max(focus[0] * scaledWidth - width / 2, 0), scaledWidth - width));
+        let y = Math.round(Math.min(Math.max(focus[1] * scaledHeight - height / 2, 0), scaledHeight - height));
+
+        return [ `-resize ${scaledWidth}x${scaledHeight}!`, `-crop ${width}x${height}+${x}+${y}`, '+repage' ];
     }
 
     /**
      * Generates a thumbnail, if possible
      *
+     * If a focal point is given, the thumbnail is cropped to the exact size around it
+     *
      * @param {HashBrown.Entity.Context} context
      * @param {String} filename
-     * @param {Buffer} data
+     * @param {String} path
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Object} focalPoint
      *
      * @return {Buffer} Thumbnail
      */
-    static async generateThumbnail(context, filename, data, width = 200, height = 200) {
+    static async generateThumbnail(context, filename, path, width = 200, height = 200, focalPoint = null) {
         checkParam(context, 'context', HashBrown.Entity.Context, true);
         checkParam(filename, 'filename', String, true);
-        checkParam(data, 'data', Buffer, true);
+        checkParam(path, 'path', String, true);
+        checkParam(focalPoint, 'focalPoint', Object);
 
-        let type = getMIMEType(filename);
+        let type = getMIMEType(filename.toLowerCase());
         
         // If not an image, or SVG, we won't be generating anything
         if(type.indexOf('image') < 0 || type.indexOf('svg') > -1) { return null; }
 
-        let tempFolder = Path.join(APP_ROOT, 'storage', context.project.id, context.environment, 'tmp');
-        let tempFile = Path.join(tempFolder, 'thumbnail' + Path.extname(filename));
+        let tempFile = this.getTempPath(context, 'thumbnail', filename);
         
-        // Write the temporary file of the full source
-        await HashBrown.Service.FileService.makeDirectory(tempFolder);
-
-        await HashBrown.Service.FileService.write(data, tempFile);
+        // Copy the full source to a temporary file
+        await HashBrown.Service.FileService.makeDirectory(Path.dirname(tempFile));
+        await HashBrown.Service.FileService.copy(path, tempFile);
    
-        // Scale down the image
-        await HashBrown.Service.AppService.exec('convert ' + tempFile + ' -auto-orient -resize ' + width + (height ? 'x' + height : '') + '\\> ' + tempFile);
-       
-        // Read the scaled down image
-        data = await HashBrown.Service.FileService.read(tempFile);
-        
-        // Remove the temporary folder
-        await HashBrown.Service.FileService.remove(tempFolder);
+        try {
+            // Crop the image around the focal point
+            if(focalPoint && width && height) {
+                let size = await this.getImageSize(tempFile);
+                let args = this.getCoverArguments(size, width, height, [ focalPoint.x, focalPoint.y ]);
+
+                await HashBrown.Service.AppService.exec('convert ' + tempFile + ' -auto-orient ' + args.join(' ') + ' ' + tempFile);
+
+            // Scale down the image
+            } else {
+                await HashBrown.Service.AppService.exec('convert ' + tempFile + ' -auto-orient -resize ' + width + (height ? 'x' + height : '') + '\\> ' + tempFile);
+
+            }
+           
+            // Read the scaled down image
+            return await HashBrown.Service.FileService.read(tempFile);
         
-        return data;
+        } finally {
+            await HashBrown.Service.FileService.remove(tempFile);
+
+        }
     }
 }
 
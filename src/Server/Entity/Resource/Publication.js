@@ -1,10 +1,16 @@
 'use strict';
 
-const QueryString = require('querystring');
+const Crypto = require('crypto');
 const Path = require('path');
 
 const MAX_CACHE_TIME = 1000 * 60 * 60 * 24 * 10 // 10 days
 
+// Query parameters that aren't used for filtering
+const QUERY_OPTIONS = [ 'locale', 'nocache', 'sort', 'limit', 'offset', 'fields' ];
+
+// Supported filter operators, "$eq" is implied when none is given
+const QUERY_OPERATORS = [ '$eq', '$in', '$gt', '$lt', '$contains', '$exists' ];
+
 /**
  * The publication class
  *
@@ -64,7 +70,211 @@ class Publication extends require('Common/Entity/Resource/Publication') {
     }
 
     /**
-     * Gets whether a query matches some data
+     * Normalises a query, so equivalent queries look the same
+     *
+     * Filters can be written as "key=value", "key[$operator]=value" or { key: { $operator: value } },
+     * where keys are dotted paths into the content, like "hero.heading"
+     *
+     * @param {Object} query
+     *
+     * @return {Object} Query as { filter, sort, limit, offset, fields, locale }
+     */
+    normalizeQuery(query = {}) {
+        checkParam(query, 'query', Object, true);
+
+        let filter = {};
+
+        for(let key in query) {
+            if(QUERY_OPTIONS.indexOf(key) > -1) { continue; }
+
+            filter[key] = query[key];
+        }
+
+        let fields = query.fields || [];
+
+        if(!Array.isArray(fields)) {
+            fields = fields.toString().split(',');
+        }
+
+        return {
+            filter: this.normalizeFilter(filter),
+            sort: this.normalizeSort(query.sort),
+            limit: Math.max(parseInt(query.limit) || 0, 0),
+            offset: Math.max(parseInt(query.offset) || 0, 0),
+            fields: fields.map((field) => field.trim()).filter(Boolean).sort(),
+            locale: query.locale || null
+        };
+    }
+
+    /**
+     * Normalises a filter into { path: { $operator: value } }
+     *
+     * @param {Object} filter
+     *
+     * @return {Object} Filter
+     */
+    normalizeFilter(filter = {}) {
+        checkParam(filter, 'filter', Object, true);
+
+        let normalized = {};
+
+        for(let key of Object.keys(filter).sort()) {
+            let value = filter[key];
+            let operators = {};
+            let match = key.match(/^(.+)\[(\$[a-zA-Z]+)\]$/);
+
+            if(match) {
+                key = match[1];
+                operators[match[2]] = value;
+
+            } else if(value && value.constructor === Object) {
+                operators = value;
+
+            } else {
+                operators.$eq = value;
+
+            }
+
+            if(!normalized[key]) { normalized[key] = {}; }
+
+            for(let name of Object.keys(operators).sort()) {
+                // GraphQL doesn't allow "$" in object keys, so the prefix is optional
+                let operator = name[0] === '$' ? name : '$' + name;
+
+                if(QUERY_OPERATORS.indexOf(operator) < 0) {
+                    throw new HashBrown.Http.Exception(`Unknown query operator "${operator}" for "${key}"`, 400);
+                }
+
+                normalized[key][operator] = operators[name];
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Normalises a sort parameter, like "-date,title", into [ { key, direction } ]
+     *
+     * @param {String|Array} sort
+     *
+     * @return {Array} Sort
+     */
+    normalizeSort(sort) {
+        if(!sort) { return []; }
+
+        if(!Array.isArray(sort)) {
+            sort = sort.toString().split(',');
+        }
+
+        let normalized = [];
+
+        for(let key of sort) {
+            if(!key) { continue; }
+
+            if(key.constructor === Object) {
+                normalized.push({ key: key.key, direction: key.direction < 0 ? -1 : 1 });
+                continue;
+            }
+
+            key = key.toString().trim();
+
+            if(!key || key === '-') { continue; }
+
+            normalized.push({
+                key: key.replace(/^-/, ''),
+                direction: key[0] === '-' ? -1 : 1
+            });
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Gets the data used for matching and sorting a content entity
+     * Localised properties are available both at the top level and under "properties", meta fields take precedence
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {Object} properties
+     *
+     * @return {Object} Data
+     */
+    getQueryData(content, properties) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(properties, 'properties', Object, true);
+
+        let data = {};
+
+        for(let key in properties) {
+            data[key] = properties[key];
+        }
+
+        let meta = content.getObject();
+
+        delete meta.published;
+        delete meta.properties;
+
+        for(let key in meta) {
+            data[key] = meta[key];
+        }
+
+        data.properties = properties;
+
+        return data;
+    }
+
+    /**
+     * Gets a value from some data by a dotted path
+     *
+     * @param {Object} data
+     * @param {String} path
+     *
+     * @return {*} Value
+     */
+    getQueryValue(data, path) {
+        checkParam(path, 'path', String, true);
+
+        let value = data;
+
+        for(let key of path.split('.')) {
+            if(value === null || value === undefined || typeof value !== 'object') { return undefined; }
+
+            value = value[key];
+        }
+
+        return value;
+    }
+
+    /**
+     * Compares two values for sorting and range queries
+     * Numbers and dates are compared as such, everything else as text
+     *
+     * @param {*} a
+     * @param {*} b
+     *
+     * @return {Number} Comparison
+     */
+    compareQueryValues(a, b) {
+        if(a instanceof Date) { a = a.toISOString(); }
+        if(b instanceof Date) { b = b.toISOString(); }
+
+        let isNumeric = (value) => value !== '' && value !== null && !isNaN(Number(value));
+
+        if(isNumeric(a) && isNumeric(b)) {
+            return Number(a) - Number(b);
+        }
+
+        let dateA = Date.parse(a);
+        let dateB = Date.parse(b);
+
+        if(!isNaN(dateA) && !isNaN(dateB)) {
+            return dateA - dateB;
+        }
+
+        return String(a).localeCompare(String(b));
+    }
+
+    /**
+     * Gets whether a query filter matches some data
      *
      * @param {Object} query
      * @param {Object} data
@@ -72,14 +282,142 @@ class Publication extends require('Common/Entity/Resource/Publication') {
      * @return {Boolean} Match
      */
     isQueryMatch(query, data) {
-        for(let key in data) {
-            if(query[key] && query[key] != data[key]) {
-                return false;
+        checkParam(query, 'query', Object, true);
+
+        let filter = this.normalizeFilter(query);
+        let isEmpty = (value) => value === undefined || value === null || value === '';
+        let isEqual = (a, b) => {
+            if(a instanceof Date) { a = a.toISOString(); }
+
+            return !isEmpty(a) && String(a) === String(b);
+        };
+
+        for(let path in filter) {
+            let value = this.getQueryValue(data, path);
+
+            for(let operator in filter[path]) {
+                let expected = filter[path][operator];
+                let isMatch = false;
+
+                switch(operator) {
+                    case '$eq':
+                        isMatch = isEqual(value, expected);
+                        break;
+
+                    case '$in':
+                        if(!Array.isArray(expected)) {
+                            expected = String(expected).split(',');
+                        }
+
+                        isMatch = expected.some((item) => isEqual(value, item));
+                        break;
+
+                    case '$gt':
+                        isMatch = !isEmpty(value) && this.compareQueryValues(value, expected) > 0;
+                        break;
+
+                    case '$lt':
+                        isMatch = !isEmpty(value) && this.compareQueryValues(value, expected) < 0;
+                        break;
+
+                    case '$contains':
+                        // Array items can be plain values or { schemaId, value }
+                        if(Array.isArray(value)) {
+                            isMatch = value.some((item) => isEqual(item && item.constructor === Object ? item.value : item, expected));
+
+                        } else if(typeof value === 'string') {
+                            isMatch = value.toLowerCase().indexOf(String(expected).toLowerCase()) > -1;
+
+                        }
+                        break;
+
+                    case '$exists':
+                        isMatch = isEmpty(value) !== (expected === true || expected === 'true');
+                        break;
+                }
+
+                if(!isMatch) { return false; }
             }
         }
 
         return true;
     }
+
+    /**
+     * Sorts entries by their query data
+     *
+     * @param {Array} entries
+     * @param {Array} sort
+     * @param {Function} getData
+     *
+     * @return {Array} Entries
+     */
+    sortQueryResults(entries, sort, getData) {
+        checkParam(entries, 'entries', Array, true);
+        checkParam(sort, 'sort', Array, true);
+        checkParam(getData, 'getData', Function, true);
+
+        if(sort.length < 1) { return entries; }
+
+        return entries.sort((a, b) => {
+            for(let rule of sort) {
+                let valueA = this.getQueryValue(getData(a), rule.key);
+                let valueB = this.getQueryValue(getData(b), rule.key);
+
+                // Empty values go last
+                if(valueA === undefined || valueA === null) {
+                    if(valueB === undefined || valueB === null) { continue; }
+
+                    return 1;
+                }
+                
+                if(valueB === undefined || valueB === null) { return -1; }
+
+                let comparison = this.compareQueryValues(valueA, valueB);
+
+                if(comparison !== 0) { return comparison * rule.direction; }
+            }
+
+            return 0;
+        });
+    }
+
+    /**
+     * Picks a set of dotted paths from some data
+     *
+     * @param {Object} data
+     * @param {Array} fields
+     *
+     * @return {Object} Projected data
+     */
+    projectQueryFields(data, fields) {
+        checkParam(fields, 'fields', Array, true);
+
+        if(fields.length < 1 || !data || typeof data !== 'object') { return data; }
+
+        let result = {};
+
+        for(let path of fields) {
+            let value = this.getQueryValue(data, path);
+
+            if(value === undefined) { continue; }
+
+            let keys = path.split('.');
+            let target = result;
+
+            for(let i = 0; i < keys.length - 1; i++) {
+                if(!target[keys[i]] || typeof target[keys[i]] !== 'object') {
+                    target[keys[i]] = {};
+                }
+
+                target = target[keys[i]];
+            }
+
+            target[keys[keys.length - 1]] = value;
+        }
+
+        return result;
+    }
     
     /**
      * Checks whether content can be deployed
@@ -101,6 +439,8 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         await super.save(options);
 
         await this.clearCache();
+
+        HashBrown.Service.GraphQLService.clearSchemas(this.context, this.id);
     }
     
     /**
@@ -114,6 +454,8 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         await super.remove(options);
 
         await this.clearCache();
+
+        HashBrown.Service.GraphQLService.clearSchemas(this.context, this.id);
     }
 
     /**
@@ -128,6 +470,13 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         
         let content = await HashBrown.Entity.Resource.Content.get(this.context, contentId);
 
+        if(!content) { return; }
+
+        // Only the published snapshot is deployed, never the draft
+        content = content.getPublished();
+
+        if(!content) { return; }
+
         let locales = content.publishIn;
 
         if(!locales || locales.length < 1) {
@@ -169,12 +518,97 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         await this.deployer.removeFile(this.deployer.getPath('*', contentId + extension));
     }
 
+    /**
+     * Deploys all published content again, and clears the cache
+     */
+    async republish() {
+        let contents = await HashBrown.Entity.Resource.Content.list(this.context);
+
+        for(let content of contents) {
+            if(!content.isPublished) { continue; }
+
+            await this.deployContent(content.id);
+        }
+
+        await this.clearCache();
+    }
+
+    /**
+     * Gets the locale to use for a query, falling back to the first project locale
+     *
+     * @param {String} locale
+     *
+     * @return {String} Locale
+     */
+    async getLocale(locale = null) {
+        checkParam(locale, 'locale', String);
+
+        if(locale) { return locale; }
+
+        let locales = await this.context.project.getLocales();
+
+        return locales[0] || 'en';
+    }
+
+    /**
+     * Checks whether published content is included in this publication
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {String} locale
+     *
+     * @return {Boolean} Is included
+     */
+    async includesContent(content, locale) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(locale, 'locale', String, true);
+
+        if(content.publishIn.length > 0 && content.publishIn.indexOf(locale) < 0) { return false; }
+
+        if(this.allowedSchemas && this.allowedSchemas.length > 0 && this.allowedSchemas.indexOf(content.schemaId) < 0) { return false; }
+        
+        if(this.rootContents && this.rootContents.length > 0 && (!this.includeRoot || this.rootContents.indexOf(content.id) < 0)) {
+            for(let rootContent of this.rootContents) {
+                let isDescendant = await content.isDescendantOf(rootContent);
+
+                if(isDescendant) { return true; }
+            }
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets the published versions of all content included in this publication
+     *
+     * @param {String} locale
+     *
+     * @return {Array} Content
+     */
+    async getPublishedContent(locale) {
+        checkParam(locale, 'locale', String, true);
+
+        let items = await HashBrown.Entity.Resource.Content.list(this.context);
+        let result = [];
+
+        for(let item of items) {
+            item = item.getPublished();
+
+            if(!item || !await this.includesContent(item, locale)) { continue; }
+
+            result.push(item);
+        }
+
+        return result;
+    }
+
     /**
      * Gets content in published format
      *
      * @param {Object} query
      *
-     * @return {Array} Items
+     * @return {Object|FileSystem.ReadStream} Results as { total, offset, limit, items }
      */
     async getContent(query = {}) {
         checkParam(query, 'query', Object, true);
@@ -183,61 +617,46 @@ class Publication extends require('Common/Entity/Resource/Publication') {
             throw new HashBrown.Http.Exception('Processor not specified', 500);
         }
 
-        let locale = query.locale;
+        let normalized = this.normalizeQuery(query);
+        let locale = await this.getLocale(normalized.locale);
+        let cacheQuery = Object.assign({}, query, { locale: locale });
 
-        if(!locale) {
-            let locales = await this.context.project.getLocales();
-
-            locale = locales[0] || 'en';
-        }
-
-        if(!query.nocache) {
-            let cache = await this.getCache(query);
+        if(query.nocache !== true && query.nocache !== 'true') {
+            let cache = await this.getCache(cacheQuery);
 
             if(cache) { return cache; }
         }
-       
-        delete query.nocache;
 
-        let items = await HashBrown.Entity.Resource.Content.list(this.context);
-        let result = [];
+        let matches = [];
 
-        for(let item of items) {
-            if(
-                !item.isPublished ||
-                (
-                    item.publishIn.length > 0 &&
-                    item.publishIn.indexOf(locale) < 0
-                )
-            ) { continue; }
-
-            if(this.allowedSchemas && this.allowedSchemas.length > 0 && this.allowedSchemas.indexOf(item.schemaId) < 0) { continue; }
-            
-            if(this.rootContents && this.rootContents.length > 0 && (!this.includeRoot || this.rootContents.indexOf(item.id) < 0)) {
-                let isDescendant = false;
-                
-                for(let rootContent of this.rootContents) {
-                    let isThisDescendant = await item.isDescendantOf(rootContent);
+        for(let item of await this.getPublishedContent(locale)) {
+            let properties = await item.getLocalizedProperties(locale) || {};
+            let data = this.getQueryData(item, properties);
 
-                    if(!isThisDescendant) { continue; }
+            if(!this.isQueryMatch(normalized.filter, data)) { continue; }
 
-                    isDescendant = true;
-                    break;
-                }
+            matches.push({ item: item, data: data });
+        }
 
-                if(!isDescendant) { continue; }
-            }
-           
-            let isMatch = this.isQueryMatch(query, item);
+        this.sortQueryResults(matches, normalized.sort, (match) => match.data);
 
-            if(!isMatch) { continue; }
-            
-            let output = await this.processor.process(item, locale);
+        let end = normalized.limit > 0 ? normalized.offset + normalized.limit : matches.length;
+        let items = [];
+
+        for(let match of matches.slice(normalized.offset, end)) {
+            let output = await this.processor.process(match.item, locale);
 
-            result.push(output);
+            items.push(this.projectQueryFields(output, normalized.fields));
         }
 
-        await this.setCache(query, result);
+        let result = {
+            total: matches.length,
+            offset: normalized.offset,
+            limit: normalized.limit,
+            items: items
+        };
+
+        await this.setCache(cacheQuery, result);
 
         return result;
     }
@@ -251,17 +670,32 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         await HashBrown.Service.FileService.remove(cacheFolder);
     }
 
+    /**
+     * Gets the cache key for a query
+     *
+     * @param {Object} query
+     *
+     * @return {String} Key
+     */
+    getCacheKey(query) {
+        checkParam(query, 'query', Object, true);
+
+        let normalized = this.normalizeQuery(query);
+
+        return Crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+    }
+
     /**
      * Sets a cache object
      *
      * @param {Object} query
-     * @param {Array} data
+     * @param {Object} data
      */
     async setCache(query, data) {
         checkParam(query, 'query', Object, true);
-        checkParam(data, 'data', Array, true);
+        checkParam(data, 'data', Object, true);
         
-        let key = Buffer.from(`${this.context.project.id}-${this.context.environment}-${QueryString.encode(query)}`).toString('base64');
+        let key = this.getCacheKey(query);
         let cacheFolder = Path.join(APP_ROOT, 'storage', this.context.project.id, this.context.environment, 'publications', this.id);
         let cacheFile = Path.join(cacheFolder, key + '.json');
 
@@ -279,12 +713,12 @@ class Publication extends require('Common/Entity/Resource/Publication') {
      *
      * @param {Object} query
      * 
-     * @return {Array|FileSystem.ReadStream} Data
+     * @return {FileSystem.ReadStream} Data
      */
     async getCache(query) {
         checkParam(query, 'query', Object, true);
         
-        let key = Buffer.from(`${this.context.project.id}-${this.context.environment}-${QueryString.encode(query)}`).toString('base64');
+        let key = this.getCacheKey(query);
         let cacheFolder = Path.join(APP_ROOT, 'storage', this.context.project.id, this.context.environment, 'publications', this.id);
         let cacheFile = Path.join(cacheFolder, key + '.json');
 
@@ -309,7 +743,7 @@ class Publication extends require('Common/Entity/Resource/Publication') {
 
         report('Create publication');
         
-        let publication = await this.create(context, { name: 'Test publication' });
+        let publication = await this.create(context, { name: 'Test publication', processor: { alias: 'json' } });
         
         report(`Get publication ${publication.getName()}`);
         
@@ -324,6 +758,69 @@ class Publication extends require('Common/Entity/Resource/Publication') {
         
         await this.list(context);
 
+        report(`Publish test content for publication ${publication.getName()}`);
+
+        let contents = [];
+
+        for(let title of [ 'Test query A', 'Test query B', 'Test query C' ]) {
+            let content = await HashBrown.Entity.Resource.Content.create(context, { schemaId: 'contentBase', properties: { title: title } });
+
+            await content.publish();
+
+            contents.push(content);
+        }
+
+        let ids = contents.map((content) => content.id).join(',');
+
+        let expect = (result, expected) => {
+            let actual = {
+                total: result.total,
+                offset: result.offset,
+                limit: result.limit,
+                titles: (result.items || []).map((item) => item.title)
+            };
+
+            if(JSON.stringify(actual) !== JSON.stringify(expected)) {
+                throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+            }
+        };
+
+        try {
+            report(`Sort content in publication ${publication.getName()}`);
+
+            expect(
+                await publication.getContent({ 'id[$in]': ids, sort: '-title', nocache: true }),
+                { total: 3, offset: 0, limit: 0, titles: [ 'Test query C', 'Test query B', 'Test query A' ] }
+            );
+
+            report(`Filter content with operators in publication ${publication.getName()}`);
+
+            expect(
+                await publication.getContent({ 'id[$in]': ids, 'title[$gt]': 'Test query A', sort: 'title', nocache: true }),
+                { total: 2, offset: 0, limit: 0, titles: [ 'Test query B', 'Test query C' ] }
+            );
+
+            expect(
+                await publication.getContent({ 'id[$in]': ids, 'title[$contains]': 'query b', nocache: true }),
+                { total: 1, offset: 0, limit: 0, titles: [ 'Test query B' ] }
+            );
+
+            report(`Page content in publication ${publication.getName()}`);
+
+            expect(
+                await publication.getContent({ 'id[$in]': ids, sort: 'title', offset: 1, limit: 1, nocache: true }),
+                { total: 3, offset: 1, limit: 1, titles: [ 'Test query B' ] }
+            );
+
+        } finally {
+            report(`Remove test content for publication ${publication.getName()}`);
+
+            for(let content of contents) {
+                await content.remove();
+            }
+
+        }
+
         report(`Remove publication ${publication.getName()}`);
         
         await publication.remove();
@@ -79,13 +79,20 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
             let sync = await context.project.getSyncSettings();
 
             if(sync) {
-                options.token = sync.token;
+                try {
+                    resource = await HashBrown.Service.SyncService.request(
+                        sync,
+                        'get',
+                        sync.project + '/' + context.environment + '/' + this.library + '/' + id,
+                        options
+                    );
+
+                } catch(e) {
+                    if(e.code !== 404) {
+                        debug.warning(`Could not get ${this.library}/${id} from remote: ${e.message}`, this);
+                    }
 
-                resource = await HashBrown.Service.RequestService.request(
-                    'get',
-                    sync.url + '/api/' + sync.project + '/' + context.environment + '/' + this.library + '/' + id,
-                    options
-                );
+                }
 
                 if(resource) {
                     resource.isLocked = true;
@@ -147,13 +154,21 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
                     allResources[resource.id] = resource;
                 }
 
-                options.token = sync.token;
+                let remoteResources = [];
+
+                // If the remote can't be reached, the local resources are listed on their own
+                try {
+                    remoteResources = await HashBrown.Service.SyncService.request(
+                        sync,
+                        'get',
+                        sync.project + '/' + context.environment + '/' + this.library,
+                        options
+                    );
 
-                let remoteResources = await HashBrown.Service.RequestService.request(
-                    'get',
-                    sync.url + '/api/' + sync.project + '/' + context.environment + '/' + this.library,
-                    options
-                );
+                } catch(e) {
+                    debug.warning(`Could not list ${this.library} from remote: ${e.message}`, this);
+
+                }
 
                 for(let resource of remoteResources) {
                     if(!resource || !resource.id || allResources[resource.id]) { continue; }
@@ -236,6 +251,8 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
             resource.getObject()
         );
 
+        HashBrown.Service.WebhookService.trigger(resource, 'created');
+
         return resource;
     }
     
@@ -284,6 +301,8 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
                 upsert: true
             }
         );
+
+        HashBrown.Service.WebhookService.trigger(this, 'saved');
     }
     
     /**
@@ -301,6 +320,8 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
                 id: this.id
             }
         );
+
+        HashBrown.Service.WebhookService.trigger(this, 'removed');
     }
     
     /**
@@ -313,10 +334,10 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
             throw new Error('Sync not enabled or unconfigured for this project');
         }
 
-        let resource = await HashBrown.Service.RequestService.request(
+        let resource = await HashBrown.Service.SyncService.request(
+            sync,
             'get',
-            sync.url + '/api/' + sync.project + '/' + this.context.environment + '/' + this.library + '/' + this.id,
-            { token: sync.token }
+            sync.project + '/' + this.context.environment + '/' + this.library + '/' + this.id
         );
         
         if(!resource) {
@@ -326,6 +347,8 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
         this.adopt(resource);
         
         await this.save();
+
+        await HashBrown.Service.SyncService.setBase(this.context, this.library, this.id, resource);
     }
     
     /**
@@ -338,13 +361,37 @@ class ResourceBase extends require('Common/Entity/Resource/ResourceBase') {
             throw new Error('Sync not enabled or unconfigured for this project');
         }
 
-        await HashBrown.Service.RequestService.request(
+        await HashBrown.Service.SyncService.request(
+            sync,
             'post',
-            sync.url + '/api/' + sync.project + '/' + this.context.environment + '/' + this.library + '/' + this.id + '?token=' + sync.token + '&create=true',
+            sync.project + '/' + this.context.environment + '/' + this.library + '/' + this.id + '?create=true',
             this.getObject()
         );
 
-        await this.remove();
+        // The local copy is kept, so both ends can continue to change it
+        await HashBrown.Service.SyncService.setBase(this.context, this.library, this.id, this.getObject());
+    }
+    
+    /**
+     * Gets the scopes a user needs in addition to the library scope in order to modify this resource
+     *
+     * @return {Array} Scopes
+     */
+    async getRequiredScopes() {
+        return [];
+    }
+
+    /**
+     * Checks whether the current user has the scopes required to modify this resource
+     */
+    async checkRequiredScopes() {
+        if(!this.context.user) { return; }
+
+        for(let scope of await this.getRequiredScopes()) {
+            if(this.context.user.hasScope(this.context.project.id, scope)) { continue; }
+
+            throw new HashBrown.Http.Exception(`You need the "${scope}" scope to edit this ${this.library} resource in its current state`, 403);
+        }
     }
     
     /**
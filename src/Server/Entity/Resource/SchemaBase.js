@@ -42,7 +42,11 @@ class SchemaBase extends require('Common/Entity/Resource/SchemaBase') {
         data.customIcon = parent.icon;
         data.type = parent.type;
 
-        return await super.create(context, data, options);
+        let schema = await super.create(context, data, options);
+
+        HashBrown.Service.GraphQLService.clearSchemas(context);
+
+        return schema;
     }
     
     /**
@@ -245,6 +249,21 @@ class SchemaBase extends require('Common/Entity/Resource/SchemaBase') {
         for(let child of await this.getChildren()) {
             await child.save();
         }
+
+        HashBrown.Service.GraphQLService.clearSchemas(this.context);
+    }
+
+    /**
+     * Removes this entity
+     *
+     * @param {Object} options
+     */
+    async remove(options = {}) {
+        checkParam(options, 'options', Object, true);
+
+        await super.remove(options);
+
+        HashBrown.Service.GraphQLService.clearSchemas(this.context);
     }
     
     /**
@@ -0,0 +1,237 @@
+'use strict';
+
+// Fields that change without the content itself changing
+const IGNORED_FIELDS = [ 'id', 'createdBy', 'createdOn', 'updatedBy', 'updatedOn', 'viewedBy', 'viewedOn', 'isLocked', 'sync', 'published', 'workflowState', 'comments' ];
+
+// How many revisions are kept of each content resource, older ones are removed
+const MAX_REVISIONS = 100;
+
+/**
+ * A snapshot of a content resource at the time it was saved
+ *
+ * @memberof HashBrown.Server.Entity
+ */
+class Revision extends HashBrown.Entity.EntityBase {
+    structure() {
+        this.def(String, 'content');
+        this.def(Number, 'timestamp');
+        this.def(String, 'user');
+        this.def(Object, 'data', {});
+    }
+
+    /**
+     * Gets a revision
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} content
+     * @param {Number} timestamp
+     *
+     * @return {HashBrown.Entity.Revision} Revision
+     */
+    static async get(context, content, timestamp) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(content, 'content', String, true);
+        checkParam(timestamp, 'timestamp', Number, true);
+
+        let revision = await HashBrown.Service.DatabaseService.findOne(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content,
+                timestamp: timestamp
+            }
+        );
+
+        if(!revision) { return null; }
+
+        return this.new(revision);
+    }
+
+    /**
+     * Gets all revisions of a content resource, newest first
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} content
+     *
+     * @return {Array} Revisions
+     */
+    static async list(context, content) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(content, 'content', String, true);
+
+        let revisions = await HashBrown.Service.DatabaseService.find(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content
+            },
+            {},
+            {
+                timestamp: -1
+            }
+        );
+
+        for(let i in revisions) {
+            revisions[i] = this.new(revisions[i]);
+        }
+
+        return revisions;
+    }
+
+    /**
+     * Creates a revision from the current state of a content resource
+     * If nothing changed since the latest revision, that revision is returned instead
+     * Only the latest revisions are kept, up to MAX_REVISIONS
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {HashBrown.Entity.Resource.Content} content
+     *
+     * @return {HashBrown.Entity.Revision} Revision
+     */
+    static async create(context, content) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+
+        let revision = this.new({
+            content: content.id,
+            timestamp: Date.now(),
+            user: context.user ? context.user.id : '',
+            data: content.getObject()
+        });
+
+        // The published snapshot is tracked on the content itself
+        delete revision.data.published;
+
+        let latest = await HashBrown.Service.DatabaseService.find(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content.id
+            },
+            {},
+            {
+                timestamp: -1
+            },
+            1
+        );
+
+        if(latest[0]) {
+            latest = this.new(latest[0]);
+
+            if(latest.diff(revision).length < 1) { return latest; }
+        }
+
+        await HashBrown.Service.DatabaseService.insertOne(
+            context.project.id,
+            context.environment + '.revisions',
+            revision.getObject()
+        );
+
+        await this.prune(context, content.id);
+
+        return revision;
+    }
+
+    /**
+     * Removes the revisions of a content resource beyond the latest MAX_REVISIONS
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} content
+     */
+    static async prune(context, content) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(content, 'content', String, true);
+
+        // Only the timestamps are needed, not the snapshots
+        let timestamps = await HashBrown.Service.DatabaseService.find(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content
+            },
+            {
+                timestamp: 1
+            },
+            {
+                timestamp: -1
+            }
+        );
+
+        if(timestamps.length <= MAX_REVISIONS) { return; }
+
+        await HashBrown.Service.DatabaseService.remove(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content,
+                timestamp: { $lt: timestamps[MAX_REVISIONS - 1].timestamp }
+            }
+        );
+    }
+
+    /**
+     * Removes all revisions of a content resource
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} content
+     */
+    static async removeAll(context, content) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(content, 'content', String, true);
+
+        await HashBrown.Service.DatabaseService.remove(
+            context.project.id,
+            context.environment + '.revisions',
+            {
+                content: content
+            }
+        );
+    }
+
+    /**
+     * Compares this revision to another one field by field
+     *
+     * @param {HashBrown.Entity.Revision} revision
+     *
+     * @return {Array} Changed fields as { key, isProperty, before, after }
+     */
+    diff(revision) {
+        checkParam(revision, 'revision', HashBrown.Entity.Revision, true);
+
+        let changes = [];
+
+        let compare = (before, after, isProperty) => {
+            before = before || {};
+            after = after || {};
+
+            let keys = Object.keys(before);
+
+            for(let key of Object.keys(after)) {
+                if(keys.indexOf(key) < 0) { keys.push(key); }
+            }
+
+            for(let key of keys) {
+                if(!isProperty && (key === 'properties' || IGNORED_FIELDS.indexOf(key) > -1)) { continue; }
+
+                let beforeValue = before[key] === undefined ? null : before[key];
+                let afterValue = after[key] === undefined ? null : after[key];
+
+                if(JSON.stringify(beforeValue) === JSON.stringify(afterValue)) { continue; }
+
+                changes.push({
+                    key: key,
+                    isProperty: isProperty,
+                    before: beforeValue,
+                    after: afterValue
+                });
+            }
+        };
+
+        compare(this.data, revision.data, false);
+        compare(this.data.properties, revision.data.properties, true);
+
+        return changes;
+    }
+}
+
+module.exports = Revision;
@@ -1,73 +1,299 @@
 'use strict';
 
+const RETRY_DELAY = 1000 * 60; // One minute
+const MAX_ERRORS = 10;
+
 /**
  * The base class for all tasks
  *
+ * Tasks either run once at their date, or recur on a cron style schedule (see HashBrown.Server.Service.ScheduleService)
+ * When a task fails, it's retried with an increasing delay until it runs out of attempts
+ * A failed one-off task is kept with its errors, so it can be inspected and run again
+ *
+ * For "publish" and "unpublish" tasks, the content field holds the content id
+ * For "webhook" tasks, the content field holds the delivery id, and the data field the delivery to retry
+ * For "republish" and "purgeCache" tasks, the data field may hold the id of a single publication as "publication"
+ * For "backup" tasks, the data field holds "isPolicy" if the task is kept in line with the backup policy of the project
+ *
  * @memberof HashBrown.Server.Entity
  */
 class Task extends HashBrown.Entity.EntityBase {
+    /**
+     * Gets the names of the built-in task types that can be scheduled
+     *
+     * @return {Object} Names by type
+     */
+    static get types() {
+        return {
+            republish: 'Republish publications',
+            backup: 'Create a backup',
+            purgeCache: 'Purge publication caches'
+        };
+    }
+
     structure() {
+        this.def(String, 'id');
         this.def(String, 'type');
         this.def(Date, 'date');
         this.def(String, 'content');
         this.def(String, 'project');
         this.def(String, 'environment');
         this.def(String, 'user');
+        this.def(Object, 'data', {});
+        this.def(String, 'schedule');
+        this.def(Number, 'attempts', 0);
+        this.def(Number, 'maxAttempts', 3);
+        this.def(Array, 'errors', []);
+        this.def(Boolean, 'isFailed', false);
     }
 
     /**
-     * Gets the content
+     * Gets the database query that identifies this task
      *
-     * @return {HashBrown.Entity.Resource.Content} Content
+     * Tasks created before they had ids are identified by their type and content
+     *
+     * @return {Object} Query
      */
-    async getContent() {
-        let context = new HashBrown.Entity.Context({
-            project: await HashBrown.Entity.Project.get(this.project),
+    getQuery() {
+        if(this.id) {
+            return { id: this.id };
+        }
+
+        return {
+            type: this.type,
+            content: this.content,
+            project: this.project,
+            environment: this.environment
+        };
+    }
+
+    /**
+     * Gets the context this task runs in
+     *
+     * @return {HashBrown.Entity.Context} Context
+     */
+    async getContext() {
+        let project = this.project ? await HashBrown.Entity.Project.get(this.project) : null;
+
+        if(this.project && !project) {
+            throw new Error(`Project ${this.project} not found`);
+        }
+
+        return new HashBrown.Entity.Context({
+            project: project,
             environment: this.environment,
-            user: await HashBrown.Entity.User.get(this.user),
+            user: this.user ? await HashBrown.Entity.User.get(this.user) : null,
             config: await HashBrown.Service.ConfigService.get()
         });
+    }
+
+    /**
+     * Gets the content
+     *
+     * @return {HashBrown.Entity.Resource.Content} Content
+     */
+    async getContent() {
+        let context = await this.getContext();
 
         return await HashBrown.Entity.Resource.Content.get(context, this.content);
     }
 
     /**
-     * Runs this task
+     * Gets the publications this task applies to
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Array} Publications
      */
-    async run() {
-        if(!this.isOverdue()) { return; }
+    async getPublications(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let publications = await HashBrown.Entity.Resource.Publication.list(context);
+
+        if(!this.data.publication) { return publications; }
+
+        publications = publications.filter((publication) => publication.id === this.data.publication);
+
+        if(publications.length < 1) {
+            throw new Error(`Publication ${this.data.publication} not found`);
+        }
+
+        return publications;
+    }
+
+    /**
+     * Runs this task, logging the result and rescheduling or removing it
+     *
+     * @param {Boolean} isForced Whether to run the task even if it isn't due yet
+     */
+    async run(isForced = false) {
+        if(!isForced && !this.isOverdue()) { return; }
+
+        debug.log(`Running ${this.type} task ${this.id || this.content}...`, this);
+
+        if(this.type === 'webhook') {
+            try {
+                await HashBrown.Service.WebhookService.retry(this);
+
+            } catch(e) {
+                debug.log(e.message + ', removing task...', this);
+
+                await this.remove();
 
-        debug.log(`Running ${this.type} task for ${this.content}...`, this);
-                
-        try {
-            let content = await this.getContent();
-            
-            if(!content) {
-                throw new Error(`Content ${this.content} not found`);
             }
 
-            switch(this.type) {
-                case 'publish':
-                    await content.publish();
-                    content.isPublished = true;
+            return;
+        }
+
+        let entry = {
+            task: this.id,
+            type: this.type,
+            content: this.content,
+            project: this.project,
+            environment: this.environment,
+            attempt: this.attempts + 1,
+            timestamp: Date.now(),
+            duration: 0,
+            isSuccess: false,
+            error: ''
+        };
+
+        try {
+            await this.execute();
+
+            entry.isSuccess = true;
+
+        } catch(e) {
+            debug.log(e.message, this);
+
+            entry.error = e.message;
+
+        }
+
+        entry.duration = Date.now() - entry.timestamp;
+
+        await HashBrown.Service.ScheduleService.log(entry);
+
+        if(entry.isSuccess) {
+            await this.succeed();
+
+        } else {
+            await this.fail(entry.error);
+
+        }
+    }
+
+    /**
+     * Performs the job of this task
+     */
+    async execute() {
+        let context = await this.getContext();
+
+        switch(this.type) {
+            case 'publish':
+            case 'unpublish':
+                let content = await this.getContent();
+
+                if(!content) {
+                    throw new Error(`Content ${this.content} not found`);
+                }
+
+                if(this.type === 'publish') {
                     content.publishOn = null;
-                    await content.save();
-                    break;
+                    await content.publish();
 
-                case 'unpublish':
-                    await content.unpublish();
-                    content.isPublished = false;
+                } else {
                     content.unpublishOn = null;
-                    await content.save();
-                    break;
-            }
+                    await content.unpublish();
 
-        } catch(e) {
-            debug.log(e.message + ', removing task...', this);
-        
-        } finally {
+                }
+                break;
+
+            case 'republish':
+                for(let publication of await this.getPublications(context)) {
+                    await publication.republish();
+                }
+                break;
+
+            case 'purgeCache':
+                for(let publication of await this.getPublications(context)) {
+                    await publication.clearCache();
+                }
+                break;
+
+            case 'backup':
+                await context.project.createScheduledBackup();
+                break;
+
+            default:
+                let job = HashBrown.Service.ScheduleService.getJob(this.type);
+
+                if(!job) {
+                    throw new Error(`Unknown task type "${this.type}"`);
+                }
+
+                await job.handler(this, context);
+                break;
+        }
+    }
+
+    /**
+     * Handles a successful run, scheduling the next one or removing this task
+     */
+    async succeed() {
+        this.attempts = 0;
+        this.isFailed = false;
+
+        if(!this.schedule) {
             await this.remove();
+            return;
         }
+
+        this.date = HashBrown.Service.ScheduleService.getNextDate(this.schedule);
+
+        await this.save();
+    }
+
+    /**
+     * Handles a failed run, scheduling a retry if there are attempts left
+     *
+     * @param {String} error
+     */
+    async fail(error) {
+        checkParam(error, 'error', String, true);
+
+        this.attempts++;
+        this.errors = this.errors.concat([ { date: new Date(), message: error } ]).slice(-MAX_ERRORS);
+
+        if(this.attempts < this.maxAttempts) {
+            this.date = new Date(Date.now() + RETRY_DELAY * Math.pow(4, this.attempts - 1));
+
+        } else if(this.schedule) {
+            // Recurring tasks give up on this occurrence, but not on the next
+            this.attempts = 0;
+            this.date = HashBrown.Service.ScheduleService.getNextDate(this.schedule);
+
+        } else {
+            this.isFailed = true;
+
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Sets a new date for this task, giving it a fresh set of attempts if the date changed
+     *
+     * @param {Date} date
+     */
+    reschedule(date) {
+        checkParam(date, 'date', Date, true);
+
+        if(this.date && this.date.getTime() === date.getTime()) { return; }
+
+        this.date = date;
+        this.attempts = 0;
+        this.isFailed = false;
     }
 
     /**
@@ -77,12 +303,7 @@ class Task extends HashBrown.Entity.EntityBase {
         await HashBrown.Service.DatabaseService.remove(
             'system',
             'tasks',
-            {
-                type: this.type,
-                content: this.content,
-                project: this.project,
-                environment: this.environment
-            }
+            this.getQuery()
         );
     }
 
@@ -93,13 +314,11 @@ class Task extends HashBrown.Entity.EntityBase {
         await HashBrown.Service.DatabaseService.updateOne(
             'system',
             'tasks',
+            this.getQuery(),
+            this.getObject(),
             {
-                type: this.type,
-                content: this.content,
-                project: this.project,
-                environment: this.environment
-            },
-            this.getObject()
+                upsert: true
+            }
         );
     }
 
@@ -109,11 +328,13 @@ class Task extends HashBrown.Entity.EntityBase {
      * @returns {Boolean} Overdue
      */
     isOverdue() {
+        if(this.isFailed) { return false; }
+
         if(!this.date || isNaN(this.date.getTime()) || this.date.getFullYear() == 1970) {
             debug.log('Task in "' + this.project + '/' + this.environment + '" for content "' + this.content + '" has an invalid date', this);
             return false;
         }
-       
+
         return this.date <= new Date();
     }
 
@@ -146,7 +367,24 @@ class Task extends HashBrown.Entity.EntityBase {
 
         return this.new(task);
     }
-    
+
+    /**
+     * Gets a task by id
+     *
+     * @param {String} id
+     *
+     * @return {HashBrown.Entity.Task} Task
+     */
+    static async getById(id) {
+        checkParam(id, 'id', String, true);
+
+        let task = await HashBrown.Service.DatabaseService.findOne('system', 'tasks', { id: id });
+
+        if(!task) { return null; }
+
+        return this.new(task);
+    }
+
     /**
      * Creates a task
      *
@@ -162,6 +400,7 @@ class Task extends HashBrown.Entity.EntityBase {
         checkParam(type, 'type', String, true);
 
         let task = this.new({
+            id: HashBrown.Entity.EntityBase.createId(),
             type: type,
             content: content,
             project: context.project.id,
@@ -178,20 +417,128 @@ class Task extends HashBrown.Entity.EntityBase {
         return task;
     }
 
+    /**
+     * Creates a job, which is a task of a type that can be scheduled by admins
+     *
+     * @param {HashBrown.Entity.User} user
+     * @param {Object} params { type, project, environment, schedule, date, maxAttempts, data }
+     *
+     * @return {HashBrown.Entity.Task} Task
+     */
+    static async createJob(user, params) {
+        checkParam(user, 'user', HashBrown.Entity.User, true);
+        checkParam(params, 'params', Object, true);
+
+        if(!HashBrown.Service.ScheduleService.getTypes()[params.type]) {
+            throw new HashBrown.Http.Exception(`Unknown task type "${params.type}"`, 400);
+        }
+
+        let task = this.new({
+            id: HashBrown.Entity.EntityBase.createId(),
+            type: params.type,
+            project: params.project || '',
+            environment: params.environment || '',
+            user: user.id,
+            data: params.data || {}
+        });
+
+        task.setSchedule(params);
+
+        // Registered jobs decide for themselves what they need
+        if(this.types[task.type] && !task.project) {
+            throw new HashBrown.Http.Exception(`Tasks of type "${task.type}" need a project`, 400);
+        }
+
+        if(this.types[task.type] && task.type !== 'backup' && !task.environment) {
+            throw new HashBrown.Http.Exception(`Tasks of type "${task.type}" need an environment`, 400);
+        }
+
+        if(task.project) {
+            let project = await HashBrown.Entity.Project.get(task.project);
+
+            if(!project) {
+                throw new HashBrown.Http.Exception(`Project ${task.project} not found`, 404);
+            }
+
+            if(task.environment && !await project.hasEnvironment(task.environment)) {
+                throw new HashBrown.Http.Exception(`Environment ${task.environment} not found in project ${task.project}`, 404);
+            }
+        }
+
+        await HashBrown.Service.DatabaseService.insertOne(
+            'system',
+            'tasks',
+            task.getObject()
+        );
+
+        return task;
+    }
+
+    /**
+     * Sets the schedule, date and attempts of this task
+     *
+     * @param {Object} params { schedule, date, maxAttempts }
+     */
+    setSchedule(params) {
+        checkParam(params, 'params', Object, true);
+
+        this.schedule = (params.schedule || '').trim();
+
+        if(this.schedule) {
+            this.date = HashBrown.Service.ScheduleService.getNextDate(this.schedule);
+
+        } else if(params.date) {
+            let date = new Date(params.date);
+
+            if(isNaN(date.getTime())) {
+                throw new HashBrown.Http.Exception(`Invalid date "${params.date}"`, 400);
+            }
+
+            this.date = date;
+
+        } else {
+            this.date = new Date();
+
+        }
+
+        if(params.maxAttempts !== undefined) {
+            let maxAttempts = parseInt(params.maxAttempts);
+
+            if(isNaN(maxAttempts) || maxAttempts < 1) {
+                throw new HashBrown.Http.Exception('Parameter "maxAttempts" must be a positive whole number', 400);
+            }
+
+            this.maxAttempts = maxAttempts;
+        }
+
+        this.attempts = 0;
+        this.isFailed = false;
+    }
+
     /**
      * Gets all tasks
      *
+     * Tasks created before they had ids are given one
+     *
      * @param {Object} options
      *
      * @returns {Array} Tasks
      */
     static async list(options = {}) {
         checkParam(options, 'options', Object, true);
-        
+
         let tasks = await HashBrown.Service.DatabaseService.find('system', 'tasks', options);
-        
+
         for(let i in tasks) {
             tasks[i] = this.new(tasks[i]);
+
+            if(tasks[i].id) { continue; }
+
+            let query = tasks[i].getQuery();
+
+            tasks[i].id = HashBrown.Entity.EntityBase.createId();
+
+            await HashBrown.Service.DatabaseService.updateOne('system', 'tasks', query, tasks[i].getObject());
         }
 
         return tasks;
@@ -7,6 +7,7 @@ namespace('Entity')
     .add(require('./EntityBase'))
     .add(require('Common/Entity/Context'))
     .add(require('./Project'))
+    .add(require('./Revision'))
     .add(require('./Task'))
     .add(require('./User'));
 
@@ -6,11 +6,20 @@
  * @memberof HashBrown.Server.Http
  */
 class Exception extends Error {
-    constructor(message, code, headers) {
+    /**
+     * Constructor
+     *
+     * @param {String} message
+     * @param {Number} code
+     * @param {Object} headers
+     * @param {Object} data Structured details, sent instead of the message when present
+     */
+    constructor(message, code, headers, data) {
         super(message);
 
         this.code = code || 500;
         this.headers = headers || {};
+        this.data = data || null;
     }
 }
 
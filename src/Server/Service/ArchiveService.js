@@ -0,0 +1,723 @@
+'use strict';
+
+const Path = require('path');
+const Zlib = require('zlib');
+const Crypto = require('crypto');
+const Stream = require('stream');
+const FileSystem = require('fs');
+
+// The version of the archive layout, increased when it changes in a way older versions can't read
+const ARCHIVE_VERSION = 1;
+
+// The size of tar headers and data blocks
+const BLOCK_SIZE = 512;
+
+/**
+ * A helper class for exporting and importing projects as portable archives
+ *
+ * Unlike backups, archives aren't tied to a project id or a database, and include the media files.
+ * Archives are streamed to and from disk, so only one media file is handled at a time.
+ * An archive is a gzipped tar file with this layout:
+ * - manifest.json: the archive version, the HashBrown version and what the archive contains, written last
+ * - settings.json: the project settings, without sync settings
+ * - environments/{environment}/settings.json: the environment settings
+ * - environments/{environment}/{library}.json: the resources of each library
+ * - environments/{environment}/media/{id}/{filename}: the media files
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class ArchiveService {
+    /**
+     * Creates the tar header of a file
+     *
+     * @param {String} name
+     * @param {Number} size
+     *
+     * @return {Buffer} Header
+     */
+    static createTarHeader(name, size) {
+        checkParam(name, 'name', String, true);
+        checkParam(size, 'size', Number, true);
+
+        let header = Buffer.alloc(BLOCK_SIZE);
+        let prefix = '';
+
+        // Long paths are split into a prefix and a name, as defined by the ustar format
+        if(Buffer.byteLength(name) > 100) {
+            let index = -1;
+
+            for(let i = name.indexOf('/'); i > -1; i = name.indexOf('/', i + 1)) {
+                if(Buffer.byteLength(name.substring(0, i)) > 155 || Buffer.byteLength(name.substring(i + 1)) > 100) { continue; }
+
+                index = i;
+                break;
+            }
+
+            if(index < 0) {
+                throw new Error(`The path "${name}" is too long to be archived`);
+            }
+
+            prefix = name.substring(0, index);
+            name = name.substring(index + 1);
+        }
+
+        header.write(name, 0, 100);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+        header.write(Math.floor(Date.now() / 1000).toString(8).padStart(11, '0') + '\0', 136);
+        header.write('        ', 148);
+        header.write('0', 156);
+        header.write('ustar\0' + '00', 257);
+        header.write(prefix, 345, 155);
+
+        let checksum = 0;
+
+        for(let byte of header) {
+            checksum += byte;
+        }
+
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+        return header;
+    }
+
+    /**
+     * Gets whether a path in an archive is one of the JSON files of the layout, as opposed to a media file
+     *
+     * @param {String} name
+     *
+     * @return {Boolean} Is JSON
+     */
+    static isJsonEntry(name) {
+        checkParam(name, 'name', String, true);
+
+        return /^(manifest|settings)\.json$/.test(name) || /^environments\/[^/]+\/[^/]+\.json$/.test(name);
+    }
+
+    /**
+     * Reads the files in a gzipped tar archive
+     *
+     * The JSON files of the layout are kept in memory, and all other files are written to a temporary folder as they are read
+     *
+     * @param {Stream.Readable} source
+     * @param {String} temp A folder for temporary files
+     *
+     * @return {Object} File data by path, as a Buffer for JSON files and a temporary path for others
+     */
+    static async readTar(source, temp) {
+        checkParam(source, 'source', Stream.Readable, true);
+        checkParam(temp, 'temp', String, true);
+
+        await HashBrown.Service.FileService.makeDirectory(temp);
+
+        let files = {};
+        let longName = null;
+        let entry = null;
+        let buffer = Buffer.alloc(0);
+        let isEnded = false;
+        let gunzip = Zlib.createGunzip();
+
+        source.on('error', (e) => gunzip.destroy(e));
+        source.pipe(gunzip);
+
+        let readString = (header, start, length) => {
+            let value = header.slice(start, start + length).toString('utf8');
+            let end = value.indexOf('\0');
+
+            return end > -1 ? value.substring(0, end) : value;
+        };
+
+        try {
+            for await (let chunk of gunzip) {
+                buffer = Buffer.concat([ buffer, chunk ]);
+
+                while(!isEnded) {
+                    // Read the header of the next entry
+                    if(!entry) {
+                        if(buffer.length < BLOCK_SIZE) { break; }
+
+                        let header = buffer.slice(0, BLOCK_SIZE);
+                        let name = readString(header, 0, 100);
+
+                        buffer = buffer.slice(BLOCK_SIZE);
+
+                        if(!name) {
+                            isEnded = true;
+                            break;
+                        }
+
+                        let size = parseInt(readString(header, 124, 12).trim(), 8);
+                        let type = readString(header, 156, 1);
+                        let prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+
+                        if(isNaN(size) || size < 0) {
+                            throw new HashBrown.Http.Exception('The archive is damaged or not a tar file', 400);
+                        }
+
+                        entry = {
+                            name: longName || (prefix ? prefix + '/' + name : name),
+                            type: type,
+                            remaining: size,
+                            padding: Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE - size,
+                            chunks: [],
+                            path: null,
+                            file: null
+                        };
+
+                        // Long paths written by GNU tar are stored in an entry of their own before the file
+                        if(type !== 'L') {
+                            longName = null;
+                        }
+
+                        if((type === '0' || type === '') && !this.isJsonEntry(entry.name)) {
+                            entry.path = Path.join(temp, Crypto.randomBytes(8).toString('hex'));
+                            entry.file = await FileSystem.promises.open(entry.path, 'w');
+                        }
+
+                        continue;
+                    }
+
+                    // Read the content of the entry
+                    if(entry.remaining > 0) {
+                        if(buffer.length < 1) { break; }
+
+                        let part = buffer.slice(0, Math.min(entry.remaining, buffer.length));
+
+                        buffer = buffer.slice(part.length);
+                        entry.remaining -= part.length;
+
+                        if(entry.file) {
+                            await entry.file.write(part);
+
+                        } else {
+                            entry.chunks.push(part);
+
+                        }
+
+                        continue;
+                    }
+
+                    // Skip the padding at the end of the last block
+                    if(buffer.length < entry.padding) { break; }
+
+                    buffer = buffer.slice(entry.padding);
+
+                    if(entry.file) {
+                        await entry.file.close();
+
+                        entry.file = null;
+                    }
+
+                    if(entry.type === 'L') {
+                        longName = Buffer.concat(entry.chunks).toString('utf8').replace(/\0+$/, '');
+
+                    } else if(entry.type === '0' || entry.type === '') {
+                        files[entry.name] = entry.path || Buffer.concat(entry.chunks);
+
+                    }
+
+                    entry = null;
+                }
+
+                if(isEnded) { break; }
+            }
+
+        } catch(e) {
+            if(e instanceof HashBrown.Http.Exception) { throw e; }
+
+            throw new HashBrown.Http.Exception(`The archive could not be unpacked: ${e.message}`, 400);
+
+        } finally {
+            if(entry && entry.file) {
+                await entry.file.close();
+            }
+
+            source.unpipe(gunzip);
+            gunzip.destroy();
+
+        }
+
+        if(entry) {
+            throw new HashBrown.Http.Exception('The archive is damaged or not a tar file', 400);
+        }
+
+        return files;
+    }
+
+    /**
+     * Passes every string in a value, including object keys, through a handler
+     *
+     * @param {*} value
+     * @param {Function} handler
+     *
+     * @return {*} Value
+     */
+    static mapStrings(value, handler) {
+        checkParam(handler, 'handler', Function, true);
+
+        if(typeof value === 'string') {
+            return handler(value);
+        }
+
+        if(Array.isArray(value)) {
+            return value.map((item) => this.mapStrings(item, handler));
+        }
+
+        if(value && value.constructor === Object) {
+            let result = {};
+
+            for(let key in value) {
+                result[handler(key)] = this.mapStrings(value[key], handler);
+            }
+
+            return result;
+        }
+
+        return value;
+    }
+
+    /**
+     * Replaces resource ids in a value, including ids inside strings like URLs and rich text
+     *
+     * @param {*} value
+     * @param {Object} ids New ids by old id
+     *
+     * @return {*} Value
+     */
+    static remapIds(value, ids) {
+        checkParam(ids, 'ids', Object, true);
+
+        let oldIds = Object.keys(ids).filter((id) => id && ids[id] !== id);
+
+        if(oldIds.length < 1) { return value; }
+
+        // Longer ids go first, so an id that contains another is replaced as a whole
+        oldIds.sort((a, b) => b.length - a.length);
+
+        let pattern = new RegExp('(?<![\\w-])(' + oldIds.map((id) => id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')(?![\\w-])', 'g');
+
+        return this.mapStrings(value, (string) => string.replace(pattern, (id) => ids[id]));
+    }
+
+    /**
+     * Gets a local path to a media file from a deployer, downloading it if needed
+     *
+     * @param {String} file A local path or a URL
+     * @param {String} temp A folder for temporary files
+     *
+     * @return {String} Local path
+     */
+    static async getMediaFile(file, temp) {
+        checkParam(file, 'file', String, true);
+        checkParam(temp, 'temp', String, true);
+
+        if(file.indexOf('://') < 0) {
+            if(!await HashBrown.Service.FileService.stat(file)) {
+                throw new Error('The files are not stored locally or at a URL');
+            }
+
+            return file;
+        }
+
+        let tempPath = Path.join(temp, Crypto.randomBytes(8).toString('hex'));
+
+        await HashBrown.Service.FileService.makeDirectory(temp);
+        await HashBrown.Service.FileService.copy(file, tempPath);
+
+        return tempPath;
+    }
+
+    /**
+     * Exports a project as an archive
+     *
+     * @param {HashBrown.Entity.Project} project
+     * @param {String} path The path to write the gzipped tar archive to
+     *
+     * @return {Object} The media that couldn't be included, as { warnings }
+     */
+    static async exportProject(project, path) {
+        checkParam(project, 'project', HashBrown.Entity.Project, true);
+        checkParam(path, 'path', String, true);
+
+        let environments = await project.getEnvironments();
+        let temp = Path.join(APP_ROOT, 'storage', project.id, 'archive', Crypto.randomBytes(8).toString('hex'));
+
+        await HashBrown.Service.FileService.makeDirectory(Path.dirname(path));
+
+        let gzip = Zlib.createGzip();
+        let output = Stream.promises.pipeline(gzip, FileSystem.createWriteStream(path));
+
+        // Failures are thrown from the writes, or when the output is awaited at the end
+        output.catch(() => {});
+
+        let write = (data) => {
+            return new Promise((resolve, reject) => {
+                gzip.write(data, (e) => e ? reject(e) : resolve());
+            });
+        };
+
+        let addFile = async (name, source) => {
+            let size = Buffer.isBuffer(source) ? source.length : (await HashBrown.Service.FileService.stat(source)).size;
+
+            await write(this.createTarHeader(name, size));
+
+            if(Buffer.isBuffer(source)) {
+                await write(source);
+
+            } else {
+                let written = 0;
+
+                for await (let chunk of HashBrown.Service.FileService.readStream(source)) {
+                    written += chunk.length;
+
+                    if(written > size) { break; }
+
+                    await write(chunk);
+                }
+
+                if(written !== size) {
+                    throw new Error(`The file "${source}" changed while it was being archived`);
+                }
+            }
+
+            if(size % BLOCK_SIZE > 0) {
+                await write(Buffer.alloc(BLOCK_SIZE - size % BLOCK_SIZE));
+            }
+        };
+
+        let addJson = async (name, value) => {
+            await addFile(name, Buffer.from(JSON.stringify(value, null, 4)));
+        };
+
+        let manifest = {
+            format: 'hashbrown-project',
+            version: ARCHIVE_VERSION,
+            hashbrown: require(APP_ROOT + '/package.json').version || '',
+            exportedOn: new Date(),
+            project: {
+                id: project.id,
+                name: project.getName()
+            },
+            environments: {},
+            warnings: []
+        };
+
+        try {
+            let settings = await HashBrown.Service.DatabaseService.findOne(project.id, 'settings', { environment: { $exists: false } }) || {};
+
+            delete settings.sync;
+
+            await addJson('settings.json', settings);
+
+            for(let environment of environments) {
+                let folder = `environments/${environment}`;
+                let context = new HashBrown.Entity.Context({ project: project, environment: environment });
+                let environmentSettings = await HashBrown.Service.DatabaseService.findOne(project.id, 'settings', { environment: environment }) || { environment: environment };
+
+                await addJson(`${folder}/settings.json`, environmentSettings);
+
+                manifest.environments[environment] = { resources: {}, mediaFiles: 0 };
+
+                for(let library of HashBrown.Service.LibraryService.getAliases()) {
+                    let docs = await HashBrown.Service.DatabaseService.find(project.id, `${environment}.${library}`);
+
+                    await addJson(`${folder}/${library}.json`, docs);
+
+                    manifest.environments[environment].resources[library] = docs.length;
+
+                    if(library !== 'media' || docs.length < 1) { continue; }
+
+                    let deployer = await HashBrown.Entity.Resource.Media.getDeployer(context);
+
+                    if(!deployer) {
+                        manifest.warnings.push(`The ${environment} environment has no media storage, so its media files aren't included`);
+                        continue;
+                    }
+
+                    for(let doc of docs) {
+                        let mediaFiles = [];
+
+                        // Media that can't be read is left out, instead of failing the whole export
+                        try {
+                            for(let file of await deployer.getFolder(deployer.getPath(doc.id)) || []) {
+                                mediaFiles.push({
+                                    name: `${folder}/media/${doc.id}/${Path.basename(file)}`,
+                                    path: await this.getMediaFile(file, temp)
+                                });
+                            }
+
+                        } catch(e) {
+                            manifest.warnings.push(`The files of media "${doc.id}" in ${environment} could not be read: ${e.message}`);
+                            mediaFiles = [];
+
+                        }
+
+                        for(let mediaFile of mediaFiles) {
+                            await addFile(mediaFile.name, mediaFile.path);
+
+                            manifest.environments[environment].mediaFiles++;
+                        }
+
+                        // Downloaded files are removed as soon as they're archived
+                        await HashBrown.Service.FileService.remove(temp);
+                    }
+                }
+            }
+
+            // The manifest goes last, as it lists the media files that were included
+            await addJson('manifest.json', manifest);
+
+            // The archive ends with two empty blocks
+            await write(Buffer.alloc(BLOCK_SIZE * 2));
+
+            gzip.end();
+
+            await output;
+
+        } catch(e) {
+            gzip.destroy(e);
+
+            await output.catch(() => {});
+            await HashBrown.Service.FileService.remove(path);
+
+            throw e;
+
+        } finally {
+            await HashBrown.Service.FileService.remove(temp);
+
+        }
+
+        return {
+            warnings: manifest.warnings
+        };
+    }
+
+    /**
+     * Imports an archive as a new project, or into an existing one
+     *
+     * When importing into an existing project, every resource gets a new id, so nothing is overwritten.
+     * References between the imported resources are updated to the new ids.
+     *
+     * @param {Stream.Readable} source Gzipped tar archive
+     * @param {Object} options
+     * @param {String} options.name The name of a new project, defaults to the name in the archive
+     * @param {String} options.id The id of a new project, defaults to a random id
+     * @param {String} options.project The id of an existing project to import into
+     * @param {Boolean} options.remapIds Whether to give resources new ids in a new project too
+     *
+     * @return {Object} Result as { project, resources, mediaFiles, warnings }
+     */
+    static async importProject(source, options = {}) {
+        checkParam(source, 'source', Stream.Readable, true);
+        checkParam(options, 'options', Object, true);
+
+        let temp = Path.join(APP_ROOT, 'storage', 'archive', Crypto.randomBytes(8).toString('hex'));
+
+        try {
+            let files = await this.readTar(source, temp);
+
+            return await this.importFiles(files, options);
+
+        } finally {
+            await HashBrown.Service.FileService.remove(temp);
+
+        }
+    }
+
+    /**
+     * Imports the files read from an archive
+     *
+     * @param {Object} files File data by path, as returned by readTar
+     * @param {Object} options See importProject
+     *
+     * @return {Object} Result as { project, resources, mediaFiles, warnings }
+     */
+    static async importFiles(files, options = {}) {
+        checkParam(files, 'files', Object, true);
+        checkParam(options, 'options', Object, true);
+
+        let readJson = (name, fallback) => {
+            if(!files[name]) { return fallback; }
+
+            try {
+                return JSON.parse(files[name].toString('utf8'));
+
+            } catch(e) {
+                throw new HashBrown.Http.Exception(`The file "${name}" in the archive is not valid JSON`, 400);
+
+            }
+        };
+
+        let readArray = (name) => {
+            let value = readJson(name, []);
+
+            if(!Array.isArray(value)) {
+                throw new HashBrown.Http.Exception(`The file "${name}" in the archive is not a list`, 400);
+            }
+
+            return value;
+        };
+
+        let manifest = readJson('manifest.json', null);
+
+        if(!manifest || manifest.format !== 'hashbrown-project') {
+            throw new HashBrown.Http.Exception('The file is not a HashBrown project archive', 400);
+        }
+
+        if(!manifest.project || typeof manifest.project.id !== 'string') {
+            throw new HashBrown.Http.Exception('The archive manifest has no project', 400);
+        }
+
+        if(manifest.version > ARCHIVE_VERSION) {
+            throw new HashBrown.Http.Exception(`The archive was made by a newer version of HashBrown (${manifest.hashbrown}), and can't be imported here`, 400);
+        }
+
+        let environments = Object.keys(manifest.environments || {});
+
+        // Environment names and media paths end up in collection names and file paths, so they and the resource lists are checked before anything is written
+        let mediaFiles = {};
+        let isSafe = (part) => !!part && part !== '.' && part !== '..' && part.indexOf('\\') < 0;
+
+        for(let environment of environments) {
+            try {
+                HashBrown.Entity.Project.checkEnvironmentName(environment);
+
+            } catch(e) {
+                throw new HashBrown.Http.Exception(`The archive has an invalid environment: ${e.message}`, 400);
+
+            }
+
+            for(let library of HashBrown.Service.LibraryService.getAliases()) {
+                readArray(`environments/${environment}/${library}.json`);
+            }
+
+            let folder = `environments/${environment}/media/`;
+            let mediaIds = readArray(`environments/${environment}/media.json`).map((doc) => doc && doc.id);
+
+            mediaFiles[environment] = [];
+
+            for(let name of Object.keys(files)) {
+                if(name.indexOf(folder) !== 0) { continue; }
+
+                let parts = name.substring(folder.length).split('/');
+                let id = parts[0];
+                let filename = parts[1];
+
+                if(parts.length !== 2 || !isSafe(id) || !isSafe(filename) || mediaIds.indexOf(id) < 0) {
+                    throw new HashBrown.Http.Exception(`The archive has an invalid media file "${name}"`, 400);
+                }
+
+                mediaFiles[environment].push({ name: name, id: id, filename: filename });
+            }
+        }
+
+        let settings = readJson('settings.json', {});
+        let result = { project: null, resources: 0, mediaFiles: 0, warnings: (manifest.warnings || []).slice() };
+        let project = null;
+        let isRemapping = options.remapIds === true || options.remapIds === 'true';
+
+        if(options.project) {
+            project = await HashBrown.Entity.Project.get(options.project);
+
+            if(!project) {
+                throw new HashBrown.Http.Exception(`Project "${options.project}" could not be found`, 404);
+            }
+
+            isRemapping = true;
+
+            let existingEnvironments = await project.getEnvironments();
+
+            for(let environment of environments) {
+                if(existingEnvironments.indexOf(environment) > -1) { continue; }
+
+                await project.addEnvironment(environment);
+            }
+
+        } else {
+            project = await HashBrown.Entity.Project.create(options.name || settings.name || manifest.project.name, options.id || '', environments, settings.locales || []);
+
+            delete settings._id;
+            delete settings.name;
+
+            await HashBrown.Service.DatabaseService.mergeOne(project.id, 'settings', { environment: { $exists: false } }, settings);
+
+            for(let environment of environments) {
+                let environmentSettings = readJson(`environments/${environment}/settings.json`, {});
+
+                delete environmentSettings._id;
+
+                environmentSettings.environment = environment;
+
+                await HashBrown.Service.DatabaseService.mergeOne(project.id, 'settings', { environment: environment }, environmentSettings);
+            }
+
+        }
+
+        result.project = project.id;
+
+        // Resources keep their ids across environments, so they get the same new id in each of them
+        let ids = {};
+
+        for(let environment of environments) {
+            for(let library of HashBrown.Service.LibraryService.getAliases()) {
+                for(let doc of readArray(`environments/${environment}/${library}.json`)) {
+                    if(!doc || !doc.id || ids[doc.id]) { continue; }
+
+                    ids[doc.id] = isRemapping ? HashBrown.Entity.EntityBase.createId() : doc.id;
+                }
+            }
+        }
+
+        // Media URLs include the project id, like "/media/${project}/${environment}/${id}"
+        let projectPattern = new RegExp('/media/' + manifest.project.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/', 'g');
+
+        for(let environment of environments) {
+            let folder = `environments/${environment}`;
+            let context = new HashBrown.Entity.Context({ project: project, environment: environment });
+
+            for(let library of HashBrown.Service.LibraryService.getAliases()) {
+                for(let doc of readArray(`${folder}/${library}.json`)) {
+                    if(!doc || !doc.id) { continue; }
+
+                    delete doc._id;
+
+                    doc = this.remapIds(doc, ids);
+
+                    if(manifest.project.id !== project.id) {
+                        doc = this.mapStrings(doc, (string) => string.replace(projectPattern, `/media/${project.id}/`));
+                    }
+
+                    await HashBrown.Service.DatabaseService.updateOne(project.id, `${environment}.${library}`, { id: doc.id }, doc, { upsert: true });
+
+                    result.resources++;
+                }
+            }
+
+            if(mediaFiles[environment].length < 1) { continue; }
+
+            let deployer = await HashBrown.Entity.Resource.Media.getDeployer(context);
+
+            if(!deployer) {
+                result.warnings.push(`The ${environment} environment has no media storage, so its ${mediaFiles[environment].length} media files were skipped`);
+                continue;
+            }
+
+            for(let file of mediaFiles[environment]) {
+                await deployer.setFileFromPath(deployer.getPath(ids[file.id] || file.id, file.filename), files[file.name]);
+
+                result.mediaFiles++;
+            }
+        }
+
+        // Archives made by other versions may need to be migrated
+        if(manifest.hashbrown !== (require(APP_ROOT + '/package.json').version || '')) {
+            await HashBrown.Service.MigrationService.migrate(false);
+        }
+
+        return result;
+    }
+}
+
+module.exports = ArchiveService;
@@ -361,15 +361,17 @@ class DatabaseService {
      * @param {Object} query
      * @param {Object} projection
      * @param {Object} sort
+     * @param {Number} limit
      *
      * @return {Array} Documents
      */
-    static async find(databaseName, collectionName, query = {}, projection = {}, sort = null) {
+    static async find(databaseName, collectionName, query = {}, projection = {}, sort = null, limit = 0) {
         checkParam(databaseName, 'databaseName', String, true);
         checkParam(collectionName, 'collectionName', String, true);
         checkParam(query, 'query', Object, true);
         checkParam(projection, 'projection', Object, true);
         checkParam(sort, 'sort', Object);
+        checkParam(limit, 'limit', Number);
 
         // If _id was specified as the only projection parameter, return all fields
         if(projection._id) {
@@ -395,6 +397,10 @@ class DatabaseService {
             docs = await docs.sort(sort);
         }
 
+        if(limit) {
+            docs = await docs.limit(limit);
+        }
+
         docs = await docs.toArray();
 
         return docs;
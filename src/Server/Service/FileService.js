@@ -8,6 +8,9 @@ const HTTPS = require('https');
 
 const Glob = require('glob');
 
+// How many redirects are followed when copying from a URL
+const MAX_REDIRECTS = 5;
+
 /**
  * A helper class for handling file system operations
  *
@@ -261,7 +264,7 @@ class FileService {
     /**
      * Copies a file
      *
-     * @param {String} from
+     * @param {String} from A file system path or a URL
      * @param {String} to
      */
     static async copy(from, to) {
@@ -269,33 +272,58 @@ class FileService {
         checkParam(to, 'to', String);
 
         await new Promise((resolve, reject) => {
-            // Copy from a URL
+            // Copy from a URL, keeping its query string, as signed URLs depend on it
             if(from.indexOf('://') > -1) {
-                let url = new URL(from);
+                let get = (from, redirects) => {
+                    let url = new URL(from);
+                    let protocol = url.protocol === 'https:' ? HTTPS : HTTP;
 
-                let options = {
-                    host: url.hostname,
-                    port: url.port,
-                    path: url.pathname
-                };
+                    let options = {
+                        host: url.hostname,
+                        port: url.port,
+                        path: url.pathname + url.search
+                    };
 
-                let file = FileSystem.createWriteStream(to);
-                let protocol = from.indexOf('https://') > -1 ? HTTPS : HTTP;
+                    protocol.get(options, (res) => {
+                        if(res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                            res.resume();
 
-                protocol.get(options, (res) => {
-                    res.on('data', (data) => {
-                        file.write(data);
-                    });
+                            return get(new URL(res.headers.location, url).toString(), redirects - 1);
+                        }
 
-                    res.on('end', () => {
-                        file.end();
-                        resolve();
-                    });
+                        // The query string is left out of the message, as it may contain credentials
+                        if(res.statusCode < 200 || res.statusCode >= 300) {
+                            let error = new Error(`Could not copy ${url.origin}${url.pathname}: Status code ${res.statusCode}`);
+
+                            error.code = res.statusCode;
+
+                            res.resume();
+
+                            return reject(error);
+                        }
+
+                        let file = FileSystem.createWriteStream(to);
 
-                    res.on('error', (e) => {
+                        res.on('error', (e) => {
+                            reject(e);
+                        });
+
+                        file.on('error', (e) => {
+                            reject(e);
+                        });
+
+                        file.on('finish', () => {
+                            resolve();
+                        });
+
+                        res.pipe(file);
+                    })
+                    .on('error', (e) => {
                         reject(e);
                     });
-                });
+                };
+
+                get(from, MAX_REDIRECTS);
 
             // Copy from a file system path
             } else {
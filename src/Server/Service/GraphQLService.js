@@ -0,0 +1,745 @@
+'use strict';
+
+const GraphQL = require('graphql');
+
+// Type names used by the generated schema itself
+const RESERVED_TYPE_NAMES = [ 'Query', 'Content', 'Media', 'JSON', 'String', 'Int', 'Float', 'Boolean', 'ID' ];
+
+// Limits for queries, as relations make it possible to nest and repeat them endlessly
+const MAX_QUERY_DEPTH = 10;
+const MAX_QUERY_ALIASES = 20;
+
+// Generated schemas by "${project}/${environment}/${publication}"
+const schemas = {};
+
+/**
+ * A helper for querying publications with GraphQL
+ *
+ * Types are generated from the content and field schemas of the project:
+ * - content schemas become object types implementing the "Content" interface
+ * - structs become object types
+ * - arrays become lists
+ * - content references are resolved as relations
+ * - media references are resolved as media objects with URLs
+ *
+ * Generated schemas are cached until a schema or the publication changes.
+ * Queries are public, so their depth and number of aliases are limited.
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class GraphQLService {
+    /**
+     * Executes a GraphQL query against a publication
+     *
+     * @param {HashBrown.Entity.Resource.Publication} publication
+     * @param {String} source
+     * @param {Object} variables
+     * @param {String} operationName
+     *
+     * @return {Object} Result as { data, errors }
+     */
+    static async query(publication, source, variables = {}, operationName = null) {
+        checkParam(publication, 'publication', HashBrown.Entity.Resource.Publication, true);
+        checkParam(source, 'source', String, true);
+        checkParam(variables, 'variables', Object);
+        checkParam(operationName, 'operationName', String);
+
+        let schema = await this.getCachedSchema(publication);
+        let document = null;
+
+        try {
+            document = GraphQL.parse(source);
+
+        } catch(e) {
+            return { errors: [ e ] };
+
+        }
+
+        let rules = GraphQL.specifiedRules.concat([
+            this.createDepthRule(MAX_QUERY_DEPTH),
+            this.createAliasRule(MAX_QUERY_ALIASES)
+        ]);
+
+        let errors = GraphQL.validate(schema, document, rules);
+
+        if(errors.length > 0) {
+            return { errors: errors };
+        }
+
+        return await GraphQL.execute({
+            schema: schema,
+            document: document,
+            variableValues: variables,
+            operationName: operationName,
+            contextValue: {
+                publication: publication,
+                nodes: {}
+            }
+        });
+    }
+
+    /**
+     * Creates a validation rule that rejects queries nested deeper than a limit
+     *
+     * Introspection fields are left out, as their depth is fixed by the GraphQL specification
+     *
+     * @param {Number} maxDepth
+     *
+     * @return {Function} Rule
+     */
+    static createDepthRule(maxDepth) {
+        checkParam(maxDepth, 'maxDepth', Number, true);
+
+        let getDepth = (context, selectionSet, fragments) => {
+            let depth = 0;
+
+            for(let selection of selectionSet ? selectionSet.selections : []) {
+                if(selection.kind === GraphQL.Kind.FIELD) {
+                    if(selection.name.value.indexOf('__') === 0) { continue; }
+
+                    depth = Math.max(depth, 1 + getDepth(context, selection.selectionSet, fragments));
+
+                } else if(selection.kind === GraphQL.Kind.INLINE_FRAGMENT) {
+                    depth = Math.max(depth, getDepth(context, selection.selectionSet, fragments));
+
+                } else if(selection.kind === GraphQL.Kind.FRAGMENT_SPREAD) {
+                    let name = selection.name.value;
+                    let fragment = context.getFragment(name);
+
+                    // Fragment cycles are reported by the standard rules
+                    if(!fragment || fragments.indexOf(name) > -1) { continue; }
+
+                    depth = Math.max(depth, getDepth(context, fragment.selectionSet, fragments.concat([ name ])));
+
+                }
+            }
+
+            return depth;
+        };
+
+        return (context) => {
+            return {
+                OperationDefinition: (operation) => {
+                    let depth = getDepth(context, operation.selectionSet, []);
+
+                    if(depth <= maxDepth) { return; }
+
+                    context.reportError(new GraphQL.GraphQLError(`The query is ${depth} levels deep, but at most ${maxDepth} are allowed`, { nodes: operation }));
+                }
+            };
+        };
+    }
+
+    /**
+     * Creates a validation rule that rejects documents with more aliases than a limit
+     *
+     * @param {Number} maxAliases
+     *
+     * @return {Function} Rule
+     */
+    static createAliasRule(maxAliases) {
+        checkParam(maxAliases, 'maxAliases', Number, true);
+
+        return (context) => {
+            let aliases = 0;
+
+            return {
+                Field: (field) => {
+                    if(field.alias) {
+                        aliases++;
+                    }
+                },
+                Document: {
+                    leave: (document) => {
+                        if(aliases <= maxAliases) { return; }
+
+                        context.reportError(new GraphQL.GraphQLError(`The query has ${aliases} aliases, but at most ${maxAliases} are allowed`, { nodes: document }));
+                    }
+                }
+            };
+        };
+    }
+
+    /**
+     * Gets the GraphQL schema of a publication, generating it if it isn't cached
+     *
+     * @param {HashBrown.Entity.Resource.Publication} publication
+     *
+     * @return {GraphQL.GraphQLSchema} Schema
+     */
+    static async getCachedSchema(publication) {
+        checkParam(publication, 'publication', HashBrown.Entity.Resource.Publication, true);
+
+        let key = `${publication.context.project.id}/${publication.context.environment}/${publication.id}`;
+
+        if(!schemas[key]) {
+            schemas[key] = await this.getSchema(publication);
+        }
+
+        return schemas[key];
+    }
+
+    /**
+     * Clears the cached GraphQL schemas of an environment
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} publicationId Only clear the schema of this publication
+     */
+    static clearSchemas(context, publicationId = null) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(publicationId, 'publicationId', String);
+
+        let prefix = `${context.project.id}/${context.environment}/`;
+
+        for(let key in schemas) {
+            if(key.indexOf(prefix) !== 0) { continue; }
+            if(publicationId && key !== prefix + publicationId) { continue; }
+
+            delete schemas[key];
+        }
+    }
+
+    /**
+     * Generates a GraphQL schema for a publication
+     *
+     * @param {HashBrown.Entity.Resource.Publication} publication
+     *
+     * @return {GraphQL.GraphQLSchema} Schema
+     */
+    static async getSchema(publication) {
+        checkParam(publication, 'publication', HashBrown.Entity.Resource.Publication, true);
+
+        let context = publication.context;
+        let types = {};
+        let structs = {};
+        let fields = {};
+        let names = {};
+
+        let json = new GraphQL.GraphQLScalarType({
+            name: 'JSON',
+            description: 'Any JSON value',
+            serialize: (value) => value,
+            parseValue: (value) => value,
+            // Literal objects are created without a prototype, so they're copied into plain ones
+            parseLiteral: (ast, variables) => {
+                let value = GraphQL.valueFromASTUntyped(ast, variables);
+
+                return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+            }
+        });
+
+        let media = new GraphQL.GraphQLObjectType({
+            name: 'Media',
+            fields: {
+                id: { type: GraphQL.GraphQLID },
+                name: { type: GraphQL.GraphQLString, resolve: (media) => media.filename },
+                caption: { type: GraphQL.GraphQLString },
+                contentType: { type: GraphQL.GraphQLString, resolve: (media) => media.getContentTypeHeader() },
+                url: { type: GraphQL.GraphQLString, resolve: (media) => media.getContentUrl(true) },
+                thumbnailUrl: { type: GraphQL.GraphQLString, resolve: (media) => media.getThumbnailUrl(true) },
+                author: { type: json },
+                copyrightHolder: { type: json },
+                copyrightYear: { type: GraphQL.GraphQLInt }
+            }
+        });
+
+        let content = new GraphQL.GraphQLInterfaceType({
+            name: 'Content',
+            fields: () => this.getMetaFields(json),
+            resolveType: (node) => this.getTypeName(node.content.schemaId, names)
+        });
+
+        let scope = {
+            context: context,
+            types: types,
+            structs: structs,
+            fields: fields,
+            names: names,
+            json: json,
+            media: media,
+            content: content
+        };
+
+        // Create a type for every content schema first, so relations can refer to them
+        let schemas = await HashBrown.Entity.Resource.ContentSchema.list(context, { withParentFields: true });
+
+        for(let schema of schemas) {
+            let name = this.getTypeName(schema.id, names);
+
+            fields[name] = this.getMetaFields(json);
+
+            types[schema.id] = new GraphQL.GraphQLObjectType({
+                name: name,
+                description: schema.name,
+                interfaces: [ content ],
+                fields: () => fields[name]
+            });
+        }
+
+        // Then populate their fields
+        for(let schema of schemas) {
+            let name = this.getTypeName(schema.id, names);
+
+            for(let key in schema.config || {}) {
+                if(!this.isValidName(key) || fields[name][key]) { continue; }
+
+                let field = await this.getField(scope, schema.config[key], this.getUniqueName(`${name}.${key}`, name + '_' + this.toPascalCase(key), names));
+
+                fields[name][key] = {
+                    type: field.type,
+                    description: schema.config[key].description || schema.config[key].label,
+                    resolve: (node) => field.resolve(node.properties[key], node.locale)
+                };
+            }
+        }
+
+        // Build root query fields
+        let listArgs = {
+            filter: { type: json, description: 'Values to match, like { title: "Hello", date: { gt: "2020-01-01" } }' },
+            sort: { type: GraphQL.GraphQLString, description: 'Comma separated fields to sort by, prefixed with "-" for descending order' },
+            limit: { type: GraphQL.GraphQLInt },
+            offset: { type: GraphQL.GraphQLInt },
+            locale: { type: GraphQL.GraphQLString }
+        };
+
+        let singleArgs = {
+            id: { type: new GraphQL.GraphQLNonNull(GraphQL.GraphQLID) },
+            locale: { type: GraphQL.GraphQLString }
+        };
+
+        let query = {
+            content: {
+                type: content,
+                args: singleArgs,
+                resolve: (root, args, request) => this.resolveContent(request, args.id, args.locale)
+            },
+            contents: {
+                type: new GraphQL.GraphQLList(content),
+                args: {
+                    schemaId: { type: GraphQL.GraphQLString },
+                    ...listArgs
+                },
+                resolve: (root, args, request) => this.resolveContents(request, args)
+            }
+        };
+
+        for(let schema of schemas) {
+            let name = this.getTypeName(schema.id, names);
+
+            // Only schemas allowed in the publication can be queried directly
+            if(publication.allowedSchemas && publication.allowedSchemas.length > 0 && publication.allowedSchemas.indexOf(schema.id) < 0) { continue; }
+
+            let fieldName = name[0].toLowerCase() + name.substring(1);
+
+            if(query[fieldName] || query[fieldName + 'List']) { continue; }
+
+            query[fieldName] = {
+                type: types[schema.id],
+                args: singleArgs,
+                resolve: async (root, args, request) => {
+                    let node = await this.resolveContent(request, args.id, args.locale);
+
+                    if(!node || node.content.schemaId !== schema.id) { return null; }
+
+                    return node;
+                }
+            };
+
+            query[fieldName + 'List'] = {
+                type: new GraphQL.GraphQLList(types[schema.id]),
+                args: listArgs,
+                resolve: (root, args, request) => this.resolveContents(request, { schemaId: schema.id, ...args })
+            };
+        }
+
+        return new GraphQL.GraphQLSchema({
+            query: new GraphQL.GraphQLObjectType({
+                name: 'Query',
+                fields: query
+            }),
+            types: Object.values(types)
+        });
+    }
+
+    /**
+     * Gets the fields shared by all content types
+     *
+     * @param {GraphQL.GraphQLScalarType} json
+     *
+     * @return {Object} Fields
+     */
+    static getMetaFields(json) {
+        let date = (value) => value instanceof Date ? value.toISOString() : value || null;
+
+        return {
+            id: { type: new GraphQL.GraphQLNonNull(GraphQL.GraphQLID), resolve: (node) => node.content.id },
+            parentId: { type: GraphQL.GraphQLID, resolve: (node) => node.content.parentId || null },
+            schemaId: { type: GraphQL.GraphQLString, resolve: (node) => node.content.schemaId },
+            createdOn: { type: GraphQL.GraphQLString, resolve: (node) => date(node.content.createdOn) },
+            updatedOn: { type: GraphQL.GraphQLString, resolve: (node) => date(node.content.updatedOn) },
+            createdBy: { type: GraphQL.GraphQLString, resolve: async (node) => { let user = await node.content.getCreatedBy(); return user ? user.getName() : null; } },
+            updatedBy: { type: GraphQL.GraphQLString, resolve: async (node) => { let user = await node.content.getUpdatedBy(); return user ? user.getName() : null; } },
+            locale: { type: GraphQL.GraphQLString, resolve: (node) => node.locale },
+            output: { type: json, description: 'The content as shaped by the publication processor', resolve: (node, args, request) => this.resolveOutput(request, node) }
+        };
+    }
+
+    /**
+     * Gets the GraphQL type and resolver for a field definition
+     *
+     * @param {Object} scope
+     * @param {Object} definition
+     * @param {String} name
+     *
+     * @return {Object} Field as { type, resolve(value, locale) }
+     */
+    static async getField(scope, definition, name) {
+        checkParam(scope, 'scope', Object, true);
+        checkParam(name, 'name', String, true);
+
+        let json = { type: scope.json, resolve: (value) => value === undefined ? null : value };
+
+        if(!definition || !definition.schemaId) { return json; }
+
+        let schema = await HashBrown.Entity.Resource.FieldSchema.get(scope.context, definition.schemaId, { withParentFields: true });
+
+        if(!schema) { return json; }
+
+        // Custom field schemas carry their own config
+        let config = schema.parentId !== 'fieldBase' ? schema.config || {} : definition.config || {};
+        let scalar = (type, parse = (value) => value) => {
+            return {
+                type: type,
+                resolve: (value) => value === undefined || value === null || value === '' ? null : parse(value)
+            };
+        };
+
+        switch(schema.editorId) {
+            case 'StringEditor':
+            case 'RichTextEditor':
+            case 'UrlEditor':
+            case 'DateEditor':
+            case 'DropdownEditor':
+            case 'ContentSchemaReferenceEditor':
+                return scalar(GraphQL.GraphQLString, (value) => value.toString());
+
+            case 'NumberEditor':
+                return scalar(GraphQL.GraphQLFloat, parseFloat);
+
+            case 'BooleanEditor':
+                return scalar(GraphQL.GraphQLBoolean, (value) => value === true || value === 'true');
+
+            case 'TagsEditor':
+                return scalar(new GraphQL.GraphQLList(GraphQL.GraphQLString), (value) => value.toString().split(',').filter(Boolean));
+
+            case 'LocaleEditor':
+                if(config.isMultiple) {
+                    return scalar(new GraphQL.GraphQLList(GraphQL.GraphQLString), (value) => Array.isArray(value) ? value : [ value ]);
+                }
+
+                return scalar(GraphQL.GraphQLString);
+
+            case 'MediaReferenceEditor':
+                return {
+                    type: scope.media,
+                    resolve: async (value) => {
+                        if(!value || typeof value !== 'string') { return null; }
+
+                        return await HashBrown.Entity.Resource.Media.get(scope.context, value);
+                    }
+                };
+
+            case 'ContentReferenceEditor':
+                let allowedSchemas = config.allowedSchemas || [];
+
+                return {
+                    type: allowedSchemas.length === 1 && scope.types[allowedSchemas[0]] ? scope.types[allowedSchemas[0]] : scope.content,
+                    resolve: (value, locale) => {
+                        if(!value || typeof value !== 'string') { return null; }
+
+                        return this.resolveRelation(scope.context, value, locale);
+                    }
+                };
+
+            case 'ArrayEditor': {
+                let itemSchemas = config.allowedSchemas || [];
+
+                // Lists of a single item schema are typed, mixed lists are left as JSON
+                if(itemSchemas.length !== 1) {
+                    return {
+                        type: new GraphQL.GraphQLList(scope.json),
+                        resolve: (value) => Array.isArray(value) ? value.map((item) => item ? item.value : null) : null
+                    };
+                }
+
+                let item = await this.getField(scope, { schemaId: itemSchemas[0] }, name + '_Item');
+
+                return {
+                    type: new GraphQL.GraphQLList(item.type),
+                    resolve: async (value, locale) => {
+                        if(!Array.isArray(value)) { return null; }
+
+                        let items = [];
+
+                        for(let entry of value) {
+                            if(!entry || entry.schemaId !== itemSchemas[0]) { continue; }
+
+                            items.push(await item.resolve(entry.value, locale));
+                        }
+
+                        return items;
+                    }
+                };
+            }
+
+            case 'StructEditor': {
+                if(!config.struct) { return json; }
+
+                // Named struct schemas share one type
+                if(schema.parentId !== 'fieldBase') {
+                    name = this.getTypeName(schema.id + ' struct', scope.names);
+                }
+
+                let struct = {
+                    type: scope.structs[name],
+                    resolve: (value, locale) => value && value.constructor === Object ? { value: value, locale: locale } : null
+                };
+
+                if(struct.type) { return struct; }
+
+                scope.fields[name] = {};
+
+                struct.type = scope.structs[name] = new GraphQL.GraphQLObjectType({
+                    name: name,
+                    description: schema.name,
+                    fields: () => scope.fields[name]
+                });
+
+                for(let key in config.struct) {
+                    if(!this.isValidName(key)) { continue; }
+
+                    let field = await this.getField(scope, config.struct[key], this.getUniqueName(`${name}.${key}`, name + '_' + this.toPascalCase(key), scope.names));
+
+                    scope.fields[name][key] = {
+                        type: field.type,
+                        description: config.struct[key].description || config.struct[key].label,
+                        resolve: (source) => field.resolve(source.value[key], source.locale)
+                    };
+                }
+
+                // Object types need at least one field
+                if(Object.keys(scope.fields[name]).length < 1) {
+                    scope.fields[name]._value = { type: scope.json, resolve: (source) => source.value };
+                }
+
+                return struct;
+            }
+        }
+
+        return json;
+    }
+
+    /**
+     * Resolves a single content node
+     *
+     * @param {Object} request
+     * @param {String} id
+     * @param {String} locale
+     *
+     * @return {Object} Node
+     */
+    static async resolveContent(request, id, locale) {
+        locale = await request.publication.getLocale(locale);
+
+        let content = await HashBrown.Entity.Resource.Content.get(request.publication.context, id);
+
+        if(!content) { return null; }
+
+        content = content.getPublished();
+
+        if(!content || !await request.publication.includesContent(content, locale)) { return null; }
+
+        return await this.getNode(content, locale);
+    }
+
+    /**
+     * Resolves a related content node
+     * Relations only need to be published, they don't have to be included in the publication
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     * @param {String} locale
+     *
+     * @return {Object} Node
+     */
+    static async resolveRelation(context, id, locale) {
+        let content = await HashBrown.Entity.Resource.Content.get(context, id);
+
+        if(!content) { return null; }
+
+        content = content.getPublished();
+
+        if(!content || (content.publishIn.length > 0 && content.publishIn.indexOf(locale) < 0)) { return null; }
+
+        return await this.getNode(content, locale);
+    }
+
+    /**
+     * Resolves a filtered, sorted and paginated list of content nodes
+     *
+     * @param {Object} request
+     * @param {Object} args
+     *
+     * @return {Array} Nodes
+     */
+    static async resolveContents(request, args) {
+        let publication = request.publication;
+        let locale = await publication.getLocale(args.locale);
+        let nodes = [];
+
+        for(let content of await publication.getPublishedContent(locale)) {
+            if(args.schemaId && content.schemaId !== args.schemaId) { continue; }
+
+            let node = await this.getNode(content, locale);
+
+            node.data = publication.getQueryData(content, node.properties);
+
+            if(args.filter && !publication.isQueryMatch(args.filter, node.data)) { continue; }
+
+            nodes.push(node);
+        }
+
+        publication.sortQueryResults(nodes, publication.normalizeSort(args.sort), (node) => node.data);
+
+        let offset = Math.max(args.offset || 0, 0);
+        let limit = args.limit > 0 ? args.limit : nodes.length;
+
+        return nodes.slice(offset, offset + limit);
+    }
+
+    /**
+     * Resolves the processor output of a content node
+     *
+     * @param {Object} request
+     * @param {Object} node
+     *
+     * @return {*} Output
+     */
+    static async resolveOutput(request, node) {
+        if(!request.publication.processor) { return null; }
+
+        let key = node.content.id + ':' + node.locale;
+
+        if(!request.nodes[key]) {
+            request.nodes[key] = request.publication.processor.process(node.content, node.locale);
+        }
+
+        return await request.nodes[key];
+    }
+
+    /**
+     * Gets a content node with its localised properties
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {String} locale
+     *
+     * @return {Object} Node as { content, locale, properties }
+     */
+    static async getNode(content, locale) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(locale, 'locale', String, true);
+
+        return {
+            content: content,
+            locale: locale,
+            properties: await content.getLocalizedProperties(locale) || {}
+        };
+    }
+
+    /**
+     * Converts a schema id into a GraphQL type name
+     *
+     * @param {String} id
+     * @param {Object} names The type names given so far by key
+     *
+     * @return {String} Type name
+     */
+    static getTypeName(id, names) {
+        checkParam(id, 'id', String, true);
+        checkParam(names, 'names', Object, true);
+
+        let name = this.toPascalCase(id);
+
+        // Ids without any letters, like "123", get a prefix
+        if(!name) {
+            name = this.toPascalCase('schema ' + id);
+        }
+
+        if(RESERVED_TYPE_NAMES.indexOf(name) > -1) {
+            name += 'Schema';
+        }
+
+        return this.getUniqueName(id, name, names);
+    }
+
+    /**
+     * Gets a type name that isn't used by anything else, by adding a number if needed
+     * Different ids can end up with the same name, like "my-page" and "myPage"
+     *
+     * @param {String} key What the name is for
+     * @param {String} name
+     * @param {Object} names The type names given so far by key
+     *
+     * @return {String} Type name
+     */
+    static getUniqueName(key, name, names) {
+        checkParam(key, 'key', String, true);
+        checkParam(name, 'name', String, true);
+        checkParam(names, 'names', Object, true);
+
+        if(names[key]) { return names[key]; }
+
+        let used = Object.values(names);
+        let unique = name;
+
+        for(let i = 2; used.indexOf(unique) > -1 || RESERVED_TYPE_NAMES.indexOf(unique) > -1; i++) {
+            unique = name + i;
+        }
+
+        names[key] = unique;
+
+        return unique;
+    }
+
+    /**
+     * Converts a string to PascalCase, leaving out characters not allowed in GraphQL names
+     *
+     * @param {String} string
+     *
+     * @return {String} PascalCase string
+     */
+    static toPascalCase(string) {
+        checkParam(string, 'string', String, true);
+
+        string = string
+            .replace(/[^a-zA-Z0-9]+(.)?/g, (match, letter) => letter ? letter.toUpperCase() : '')
+            .replace(/^[0-9]+/, '');
+
+        if(!string) { return ''; }
+
+        return string[0].toUpperCase() + string.substring(1);
+    }
+
+    /**
+     * Checks whether a key can be used as a GraphQL field name
+     *
+     * @param {String} key
+     *
+     * @return {Boolean} Is valid
+     */
+    static isValidName(key) {
+        return /^[_a-zA-Z][_a-zA-Z0-9]*$/.test(key) && key.indexOf('__') !== 0;
+    }
+}
+
+module.exports = GraphQLService;
@@ -0,0 +1,544 @@
+'use strict';
+
+const Path = require('path');
+
+// Fields that differ between environments without the resource itself changing
+const IGNORED_FIELDS = [ '_id', 'id', 'createdBy', 'createdOn', 'updatedBy', 'updatedOn', 'viewedBy', 'viewedOn', 'isLocked', 'sync' ];
+
+// The libraries that can be promoted
+const LIBRARIES = [ 'content', 'media', 'schemas', 'publications' ];
+
+/**
+ * A helper class for promoting selected resources from one environment to another
+ *
+ * Selected resources are promoted along with what they depend on:
+ * - content: its schema, referenced media and any ancestors missing in the destination
+ * - schemas: parent schemas and the field schemas used in their config
+ * - publications: their allowed schemas
+ *
+ * Every promotion is recorded in the "promotions" collection of the project
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class PromotionService {
+    /**
+     * Gets a context for an environment
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} environment
+     *
+     * @return {HashBrown.Entity.Context} Context
+     */
+    static getEnvironmentContext(context, environment) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(environment, 'environment', String, true);
+
+        return new HashBrown.Entity.Context({
+            project: context.project,
+            user: context.user,
+            config: context.config,
+            i18n: context.i18n,
+            locales: context.locales,
+            environment: environment
+        });
+    }
+
+    /**
+     * Checks that resources can be promoted between two environments
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} from
+     * @param {String} to
+     */
+    static async checkEnvironments(context, from, to) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(from, 'from', String, true);
+        checkParam(to, 'to', String, true);
+
+        if(from === to) {
+            throw new HashBrown.Http.Exception('Cannot promote resources to the same environment', 400);
+        }
+
+        let environments = await context.project.getEnvironments();
+
+        for(let environment of [ from, to ]) {
+            if(environments.indexOf(environment) > -1) { continue; }
+
+            throw new HashBrown.Http.Exception(`Environment ${environment} could not be found`, 404);
+        }
+
+        if(await context.project.getSyncSettings()) {
+            throw new HashBrown.Http.Exception('Cannot promote resources on synced projects', 400);
+        }
+    }
+
+    /**
+     * Gets all resources of an environment from the database
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} environment
+     *
+     * @return {Object} Documents by id, by library
+     */
+    static async getResources(context, environment) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(environment, 'environment', String, true);
+
+        let resources = {};
+
+        for(let library of LIBRARIES) {
+            resources[library] = {};
+
+            let docs = await HashBrown.Service.DatabaseService.find(context.project.id, `${environment}.${library}`);
+
+            for(let doc of docs) {
+                resources[library][doc.id] = doc;
+            }
+        }
+
+        return resources;
+    }
+
+    /**
+     * Gets the human readable name of a resource
+     *
+     * @param {String} library
+     * @param {Object} doc
+     *
+     * @return {String} Name
+     */
+    static getName(library, doc) {
+        checkParam(library, 'library', String, true);
+        checkParam(doc, 'doc', Object, true);
+
+        let name = null;
+
+        switch(library) {
+            case 'content':
+                name = doc.properties ? doc.properties.title : null;
+
+                if(name && name.constructor === Object) {
+                    name = Object.values(name).filter(Boolean)[0];
+                }
+                break;
+
+            case 'media':
+                name = doc.filename;
+                break;
+
+            default:
+                name = doc.name;
+                break;
+        }
+
+        return typeof name === 'string' && name ? name : doc.id;
+    }
+
+    /**
+     * Compares two versions of a resource field by field
+     *
+     * Content properties are compared one by one, with their keys prefixed by "properties."
+     *
+     * @param {Object} before
+     * @param {Object} after
+     *
+     * @return {Array} Changed fields as { key, before, after }
+     */
+    static getChanges(before, after) {
+        checkParam(before, 'before', Object, true);
+        checkParam(after, 'after', Object, true);
+
+        let changes = [];
+
+        let compare = (before, after, prefix) => {
+            before = before || {};
+            after = after || {};
+
+            let keys = Object.keys(before);
+
+            for(let key of Object.keys(after)) {
+                if(keys.indexOf(key) < 0) { keys.push(key); }
+            }
+
+            for(let key of keys) {
+                if(!prefix && (key === 'properties' || IGNORED_FIELDS.indexOf(key) > -1)) { continue; }
+
+                let beforeValue = before[key] === undefined ? null : before[key];
+                let afterValue = after[key] === undefined ? null : after[key];
+
+                if(JSON.stringify(beforeValue) === JSON.stringify(afterValue)) { continue; }
+
+                changes.push({
+                    key: prefix + key,
+                    before: beforeValue,
+                    after: afterValue
+                });
+            }
+        };
+
+        compare(before, after, '');
+        compare(before.properties, after.properties, 'properties.');
+
+        return changes;
+    }
+
+    /**
+     * Gets the ids of the schemas referred to in a schema or publication
+     *
+     * @param {*} value
+     * @param {Array} ids
+     *
+     * @return {Array} Ids
+     */
+    static getSchemaIds(value, ids = []) {
+        checkParam(ids, 'ids', Array, true);
+
+        if(Array.isArray(value)) {
+            for(let item of value) {
+                this.getSchemaIds(item, ids);
+            }
+
+        } else if(value && value.constructor === Object) {
+            for(let key in value) {
+                if(key === 'schemaId' && typeof value[key] === 'string') {
+                    ids.push(value[key]);
+
+                } else if(key === 'allowedSchemas' && Array.isArray(value[key])) {
+                    ids.push(...value[key].filter((id) => typeof id === 'string'));
+
+                } else {
+                    this.getSchemaIds(value[key], ids);
+
+                }
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Gets the dependencies of a resource
+     *
+     * @param {HashBrown.Entity.Context} fromContext
+     * @param {String} library
+     * @param {Object} doc
+     * @param {Object} source All resources in the source environment
+     * @param {Object} target All resources in the destination environment
+     *
+     * @return {Object} { dependencies: [ { library, id } ], references: [ { library, id } ] }
+     */
+    static async getDependencies(fromContext, library, doc, source, target) {
+        checkParam(fromContext, 'fromContext', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(doc, 'doc', Object, true);
+        checkParam(source, 'source', Object, true);
+        checkParam(target, 'target', Object, true);
+
+        let dependencies = [];
+        let references = [];
+
+        switch(library) {
+            case 'content':
+                dependencies.push({ library: 'schemas', id: doc.schemaId });
+
+                // Promoted content would be orphaned without its parent
+                if(doc.parentId && !target.content[doc.parentId]) {
+                    dependencies.push({ library: 'content', id: doc.parentId });
+                }
+
+                let content = HashBrown.Entity.Resource.Content.new(Object.assign({}, JSON.parse(JSON.stringify(doc)), { context: fromContext }));
+                let contentReferences = await HashBrown.Service.ReferenceService.getContentReferences(content);
+
+                for(let id of contentReferences.media) {
+                    dependencies.push({ library: 'media', id: id });
+                }
+
+                for(let id of contentReferences.content) {
+                    references.push({ library: 'content', id: id });
+                }
+                break;
+
+            case 'schemas':
+                dependencies.push({ library: 'schemas', id: doc.parentId });
+
+                for(let id of this.getSchemaIds(doc.config)) {
+                    dependencies.push({ library: 'schemas', id: id });
+                }
+                break;
+
+            case 'publications':
+                for(let id of doc.allowedSchemas || []) {
+                    dependencies.push({ library: 'schemas', id: id });
+                }
+
+                for(let id of doc.rootContents || []) {
+                    references.push({ library: 'content', id: id });
+                }
+                break;
+        }
+
+        return {
+            // Built-in schemas and rich text candidates that aren't resources are not dependencies
+            dependencies: dependencies.filter((dependency) => dependency.id && source[dependency.library][dependency.id]),
+            references: references
+        };
+    }
+
+    /**
+     * Gets the resources that can be promoted, and whether they differ in the destination
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} from
+     * @param {String} to
+     *
+     * @return {Object} Arrays of { id, name, status } by library, where status is "new", "changed" or "unchanged"
+     */
+    static async getCandidates(context, from, to) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(from, 'from', String, true);
+        checkParam(to, 'to', String, true);
+
+        await this.checkEnvironments(context, from, to);
+
+        let source = await this.getResources(context, from);
+        let target = await this.getResources(context, to);
+        let candidates = {};
+
+        for(let library of LIBRARIES) {
+            candidates[library] = [];
+
+            for(let id in source[library]) {
+                let doc = source[library][id];
+                let status = 'new';
+
+                if(target[library][id]) {
+                    status = this.getChanges(target[library][id], doc).length > 0 ? 'changed' : 'unchanged';
+                }
+
+                candidates[library].push({ id: id, name: this.getName(library, doc), status: status });
+            }
+
+            candidates[library].sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Gets a preview of what a promotion will create and overwrite
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} from
+     * @param {String} to
+     * @param {Object} selection Arrays of ids by library
+     *
+     * @return {Object} { items: [ { library, id, name, action, reason, changes } ], warnings: [ String ] }
+     */
+    static async getPlan(context, from, to, selection) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(from, 'from', String, true);
+        checkParam(to, 'to', String, true);
+        checkParam(selection, 'selection', Object, true);
+
+        await this.checkEnvironments(context, from, to);
+
+        let fromContext = this.getEnvironmentContext(context, from);
+        let source = await this.getResources(context, from);
+        let target = await this.getResources(context, to);
+        let items = [];
+        let references = [];
+
+        let add = async (library, id, reason) => {
+            if(items.some((item) => item.library === library && item.id === id)) { return; }
+
+            let doc = source[library][id];
+            let before = target[library][id] || null;
+            let name = this.getName(library, doc);
+            let changes = before ? this.getChanges(before, doc) : [];
+
+            items.push({
+                library: library,
+                id: id,
+                name: name,
+                action: !before ? 'create' : changes.length > 0 ? 'overwrite' : 'unchanged',
+                reason: reason,
+                changes: changes
+            });
+
+            let result = await this.getDependencies(fromContext, library, doc, source, target);
+
+            for(let reference of result.references) {
+                references.push(Object.assign({ name: name }, reference));
+            }
+
+            for(let dependency of result.dependencies) {
+                await add(dependency.library, dependency.id, `Required by "${name}"`);
+            }
+        };
+
+        for(let library of LIBRARIES) {
+            for(let id of selection[library] || []) {
+                if(!source[library][id]) {
+                    throw new HashBrown.Http.Exception(`Resource "${id}" could not be found in ${library} of ${from}`, 404);
+                }
+
+                await add(library, id, 'Selected');
+            }
+        }
+
+        if(items.length < 1) {
+            throw new HashBrown.Http.Exception('No resources were selected', 400);
+        }
+
+        let warnings = [];
+
+        // Referenced content is not promoted along, as that could cascade through the whole site
+        for(let reference of references) {
+            if(target[reference.library][reference.id]) { continue; }
+            if(items.some((item) => item.library === reference.library && item.id === reference.id)) { continue; }
+
+            let warning = `"${reference.name}" refers to content "${reference.id}", which is not in ${to}`;
+
+            if(warnings.indexOf(warning) > -1) { continue; }
+
+            warnings.push(warning);
+        }
+
+        return {
+            items: items,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Copies the files of a media item to another environment
+     *
+     * @param {HashBrown.Entity.Context} fromContext
+     * @param {HashBrown.Entity.Context} toContext
+     * @param {String} id
+     */
+    static async copyMediaFiles(fromContext, toContext, id) {
+        checkParam(fromContext, 'fromContext', HashBrown.Entity.Context, true);
+        checkParam(toContext, 'toContext', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+
+        let source = await HashBrown.Entity.Resource.Media.getDeployer(fromContext);
+        let target = await HashBrown.Entity.Resource.Media.getDeployer(toContext);
+
+        if(!source || !target) { return; }
+
+        // Environments sharing the same storage already have the files
+        if(source.alias === target.alias && source.getPath(id) === target.getPath(id)) { return; }
+
+        let files = await source.getFolder(source.getPath(id)) || [];
+
+        for(let file of files) {
+            if(await HashBrown.Service.FileService.stat(file)) { continue; }
+
+            throw new HashBrown.Http.Exception(`The files of media "${id}" are not stored locally, so they can't be copied to ${toContext.environment}`, 400);
+        }
+
+        // Files of a previous version may have had another name
+        await target.removeFolder(target.getPath(id));
+
+        for(let file of files) {
+            await target.setFileFromPath(target.getPath(id, Path.basename(file)), file);
+        }
+    }
+
+    /**
+     * Promotes selected resources and their dependencies from one environment to another
+     *
+     * Media files are copied first, as they are the most likely to fail, so the database is left untouched if they do
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} from
+     * @param {String} to
+     * @param {Object} selection Arrays of ids by library
+     *
+     * @return {Object} The record of the promotion
+     */
+    static async promote(context, from, to, selection) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(from, 'from', String, true);
+        checkParam(to, 'to', String, true);
+        checkParam(selection, 'selection', Object, true);
+
+        let plan = await this.getPlan(context, from, to, selection);
+        let items = plan.items.filter((item) => item.action !== 'unchanged');
+        let warnings = plan.warnings.slice();
+        let fromContext = this.getEnvironmentContext(context, from);
+        let toContext = this.getEnvironmentContext(context, to);
+
+        for(let item of items) {
+            if(item.library !== 'media') { continue; }
+
+            await this.copyMediaFiles(fromContext, toContext, item.id);
+        }
+
+        for(let item of items) {
+            let doc = await HashBrown.Service.DatabaseService.findOne(context.project.id, `${from}.${item.library}`, { id: item.id });
+
+            await HashBrown.Service.DatabaseService.replaceOne(context.project.id, `${to}.${item.library}`, { id: item.id }, doc, { upsert: true });
+        }
+
+        // Keep the history of promoted content, and deploy it if it's published
+        for(let item of items) {
+            if(item.library !== 'content') { continue; }
+
+            let content = await HashBrown.Entity.Resource.Content.get(toContext, item.id);
+
+            if(!content) { continue; }
+
+            await HashBrown.Entity.Revision.create(toContext, content);
+
+            if(!content.isPublished) { continue; }
+
+            try {
+                await content.deploy();
+
+            } catch(e) {
+                warnings.push(`"${item.name}" could not be deployed: ${e.message}`);
+
+            }
+        }
+
+        let record = {
+            id: HashBrown.Entity.EntityBase.createId(),
+            from: from,
+            to: to,
+            user: context.user.id,
+            userName: context.user.getName(),
+            date: new Date(),
+            items: items.map((item) => {
+                return {
+                    library: item.library,
+                    id: item.id,
+                    name: item.name,
+                    action: item.action,
+                    reason: item.reason
+                };
+            }),
+            warnings: warnings
+        };
+
+        await HashBrown.Service.DatabaseService.insertOne(context.project.id, 'promotions', record);
+
+        return record;
+    }
+
+    /**
+     * Gets the record of past promotions, newest first
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Array} Promotions
+     */
+    static async getHistory(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        return await HashBrown.Service.DatabaseService.find(context.project.id, 'promotions', {}, {}, { date: -1 });
+    }
+}
+
+module.exports = PromotionService;
@@ -0,0 +1,413 @@
+'use strict';
+
+/**
+ * A helper for finding out which resources content refers to, and where resources are used
+ *
+ * References are read from the draft and published properties of content:
+ * - media: "mediaReference" fields, and media embedded in rich text
+ * - content: "contentReference" fields
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class ReferenceService {
+    /**
+     * Gets the references of a content resource
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {Object} schemas A cache of schemas by id, for reuse across calls
+     *
+     * @return {Object} Referenced ids { media, content }
+     */
+    static async getContentReferences(content, schemas = {}) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(schemas, 'schemas', Object, true);
+
+        let references = {
+            media: [],
+            content: []
+        };
+
+        let versions = [ content ];
+        let published = content.getPublished();
+
+        if(published && published !== content) {
+            versions.push(published);
+        }
+
+        for(let version of versions) {
+            await this.mapProperties(version, (type, id) => {
+                // Links to itself aren't references to keep track of
+                if(type === 'content' && id === content.id) { return; }
+
+                this.addReference(references[type], id);
+            }, schemas);
+        }
+
+        return references;
+    }
+
+    /**
+     * Passes all references in the properties of content through a handler, replacing the values with what it returns
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {Function} handler A function receiving the type ("media" or "content") and id, returning a new id, null to clear the reference or undefined to keep it
+     * @param {Object} schemas
+     *
+     * @return {Object} Properties
+     */
+    static async mapProperties(content, handler, schemas = {}) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(handler, 'handler', Function, true);
+        checkParam(schemas, 'schemas', Object, true);
+
+        let properties = Object.assign({}, content.properties || {});
+        let schema = await this.getSchema(content.context, HashBrown.Entity.Resource.ContentSchema, content.schemaId, schemas);
+
+        if(!schema) { return properties; }
+
+        for(let key in schema.config || {}) {
+            if(properties[key] === undefined) { continue; }
+
+            properties[key] = await this.mapReferences(content.context, schema.config[key], properties[key], handler, schemas);
+        }
+
+        return properties;
+    }
+
+    /**
+     * Gets a schema with its parent fields, using a cache
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Function} type
+     * @param {String} id
+     * @param {Object} schemas
+     *
+     * @return {HashBrown.Entity.Resource.SchemaBase} Schema
+     */
+    static async getSchema(context, type, id, schemas) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(type, 'type', Function, true);
+        checkParam(schemas, 'schemas', Object, true);
+
+        if(!id) { return null; }
+
+        if(schemas[id] === undefined) {
+            schemas[id] = await type.get(context, id, { withParentFields: true }) || null;
+        }
+
+        return schemas[id];
+    }
+
+    /**
+     * Passes the references in a value through a handler
+     *
+     * Media embedded in rich text is only reported, the HTML is never rewritten
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} definition
+     * @param {*} value
+     * @param {Function} handler
+     * @param {Object} schemas
+     *
+     * @return {*} Value
+     */
+    static async mapReferences(context, definition, value, handler, schemas) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(handler, 'handler', Function, true);
+        checkParam(schemas, 'schemas', Object, true);
+
+        if(!definition || !definition.schemaId || value === null || value === undefined || value === '') { return value; }
+
+        let schema = await this.getSchema(context, HashBrown.Entity.Resource.FieldSchema, definition.schemaId, schemas);
+
+        if(!schema) { return value; }
+
+        // Custom field schemas carry their own config, like on the client
+        let config = schema.parentId !== 'fieldBase' ? schema.config || {} : definition.config || {};
+
+        if(definition.isLocalized && value.constructor === Object) {
+            let values = {};
+
+            for(let locale in value) {
+                values[locale] = await this.mapValue(context, schema.editorId, config, value[locale], handler, schemas);
+            }
+
+            return values;
+        }
+
+        return await this.mapValue(context, schema.editorId, config, value, handler, schemas);
+    }
+
+    /**
+     * Passes the references in a single value through a handler
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} editorId
+     * @param {Object} config
+     * @param {*} value
+     * @param {Function} handler
+     * @param {Object} schemas
+     *
+     * @return {*} Value
+     */
+    static async mapValue(context, editorId, config, value, handler, schemas) {
+        if(value === null || value === undefined || value === '') { return value; }
+
+        switch(editorId) {
+            case 'MediaReferenceEditor':
+            case 'ContentReferenceEditor':
+                if(typeof value !== 'string') { break; }
+
+                let result = handler(editorId === 'MediaReferenceEditor' ? 'media' : 'content', value);
+
+                return result === undefined ? value : result;
+
+            case 'RichTextEditor':
+                if(typeof value !== 'string') { break; }
+
+                for(let id of this.getEmbeddedMediaIds(value)) {
+                    handler('media', id);
+                }
+                break;
+
+            case 'ArrayEditor':
+                if(!Array.isArray(value)) { break; }
+
+                let items = [];
+
+                for(let item of value) {
+                    if(item && item.schemaId) {
+                        item = Object.assign({}, item, {
+                            value: await this.mapReferences(context, { schemaId: item.schemaId }, item.value, handler, schemas)
+                        });
+                    }
+
+                    items.push(item);
+                }
+
+                return items;
+
+            case 'StructEditor':
+                if(!config.struct || value.constructor !== Object) { break; }
+
+                let struct = Object.assign({}, value);
+
+                for(let key in config.struct) {
+                    if(struct[key] === undefined) { continue; }
+
+                    struct[key] = await this.mapReferences(context, config.struct[key], struct[key], handler, schemas);
+                }
+
+                return struct;
+        }
+
+        return value;
+    }
+
+    /**
+     * Gets the ids of media embedded in rich text
+     *
+     * Media is embedded with a source like "/media/${project}/${environment}/${id}" or "${mediaPath}/${id}/${filename}",
+     * so every path segment without a file extension is a candidate
+     *
+     * @param {String} html
+     *
+     * @return {Array} Candidate ids
+     */
+    static getEmbeddedMediaIds(html) {
+        checkParam(html, 'html', String, true);
+
+        let ids = [];
+        let pattern = /\s(?:src|href)="([^"]+)"/g;
+        let match = null;
+
+        while((match = pattern.exec(html)) !== null) {
+            let path = match[1].split(/[?#]/)[0];
+
+            for(let part of path.split('/')) {
+                if(!part || part.indexOf('.') > -1 || part.indexOf(':') > -1) { continue; }
+
+                this.addReference(ids, part);
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Adds a reference to a list, if it isn't in it already
+     *
+     * @param {Array} list
+     * @param {String} id
+     */
+    static addReference(list, id) {
+        checkParam(list, 'list', Array, true);
+        checkParam(id, 'id', String, true);
+
+        if(list.indexOf(id) > -1) { return; }
+
+        list.push(id);
+    }
+
+    /**
+     * Gets where resources are used
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} type "media" or "content"
+     * @param {Array} ids The ids of the resources to look for
+     *
+     * @return {Object} Usage as arrays of { id, name } by resource id, only including used resources
+     */
+    static async getUsage(context, type, ids) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(type, 'type', String, true);
+        checkParam(ids, 'ids', Array, true);
+
+        let contents = await HashBrown.Entity.Resource.Content.list(context);
+        let locales = await context.project.getLocales();
+        let schemas = {};
+        let usage = {};
+
+        for(let id of ids) {
+            usage[id] = [];
+        }
+
+        for(let content of contents) {
+            let references = await this.getContentReferences(content, schemas);
+
+            for(let id of references[type] || []) {
+                // Rich text candidates that aren't media are ignored here
+                if(!usage[id]) { continue; }
+
+                usage[id].push({ id: content.id, name: content.prop('title', locales[0]) || content.id });
+            }
+        }
+
+        for(let id in usage) {
+            if(usage[id].length > 0) { continue; }
+
+            delete usage[id];
+        }
+
+        return usage;
+    }
+
+    /**
+     * Gets where each media item is used
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Object} Usage as arrays of { id, name } by media id, only including used media
+     */
+    static async getMediaUsage(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let media = await HashBrown.Entity.Resource.Media.list(context);
+
+        return await this.getUsage(context, 'media', media.map((item) => item.id));
+    }
+
+    /**
+     * Gets which content links to each content item
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Object} Usage as arrays of { id, name } by content id, only including referenced content
+     */
+    static async getContentUsage(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let contents = await HashBrown.Entity.Resource.Content.list(context);
+
+        return await this.getUsage(context, 'content', contents.map((item) => item.id));
+    }
+
+    /**
+     * Replaces or clears the references to content in all other content
+     *
+     * Both the drafts and the published versions are changed, and every changed version is validated before any of them are saved, so the references are either all replaced or not at all
+     * Content with a changed published version is deployed again, so publications stop linking to the removed content
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Array} ids The ids of the content to stop referring to
+     * @param {String} replacementId The id of the content to refer to instead, or null to clear the references
+     *
+     * @return {Array} Changed content
+     */
+    static async replaceContentReferences(context, ids, replacementId = null) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(ids, 'ids', Array, true);
+        checkParam(replacementId, 'replacementId', String);
+
+        let contents = await HashBrown.Entity.Resource.Content.list(context);
+        let schemas = {};
+        let changed = [];
+        let redeployed = [];
+        let validated = [];
+
+        for(let content of contents) {
+            // Content synced from a remote is changed on the remote
+            if(ids.indexOf(content.id) > -1 || content.isLocked) { continue; }
+
+            let isChanged = false;
+
+            let replace = (type, id) => {
+                if(type !== 'content' || ids.indexOf(id) < 0) { return; }
+
+                isChanged = true;
+
+                return replacementId || null;
+            };
+
+            let properties = await this.mapProperties(content, replace, schemas);
+            let isDraftChanged = isChanged;
+
+            isChanged = false;
+
+            let published = content.getPublished();
+            let publishedProperties = published ? await this.mapProperties(published, replace, schemas) : null;
+            let isPublishedChanged = isChanged;
+
+            if(isDraftChanged) {
+                content.properties = properties;
+
+                validated.push(content);
+            }
+
+            if(isPublishedChanged) {
+                content.published.properties = publishedProperties;
+
+                validated.push(content.getPublished());
+                redeployed.push(content);
+            }
+
+            if(isDraftChanged || isPublishedChanged) {
+                changed.push(content);
+            }
+        }
+
+        let locales = await context.project.getLocales();
+
+        for(let content of validated) {
+            let errors = await HashBrown.Service.ValidationService.validateContent(content);
+
+            if(errors.length < 1) { continue; }
+
+            let message = `Changing the references would make "${content.prop('title', locales[0]) || content.id}" invalid`;
+
+            throw new HashBrown.Http.Exception(message, 400, {}, { message: message, errors: errors });
+        }
+
+        for(let content of changed) {
+            await content.save();
+        }
+
+        for(let content of redeployed) {
+            await content.deploy();
+        }
+
+        return changed;
+    }
+}
+
+module.exports = ReferenceService;
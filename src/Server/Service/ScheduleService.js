@@ -1,10 +1,36 @@
 'use strict';
 
 const WATCH_INTERVAL = 1000 * 60; // One minute
+const MAX_LOG_ENTRIES = 200;
+
+// The ranges of the fields in a schedule
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Shorthands for common schedules
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
 
 /**
  * A helper class for scheduling tasks
  *
+ * Recurring tasks use cron style schedules of five fields: minute, hour, day of month, month and day of week
+ * Each field is either "*", a number, a range like "1-5", a step like "*\/15" or "1-30/2", or a comma separated list of those
+ *
+ * Plugins can register their own jobs, which can then be scheduled like any other task:
+ *
+ * HashBrown.Service.ScheduleService.registerJob('myJob', 'My job', async (task, context) => { ... });
+ *
  * @memberof HashBrown.Server.Service
  */
 class ScheduleService {
@@ -12,24 +38,239 @@ class ScheduleService {
      * Starts wathing for tasks
      */
     static startWatching() {
-        setInterval(this.checkTasks, WATCH_INTERVAL);
+        setInterval(() => { this.checkTasks(); }, WATCH_INTERVAL);
 
         this.checkTasks();
     }
-        
+
     /**
      * Checks for potential tasks to do
      *
+     * A check is skipped while the previous one is still running, so slow tasks are never run twice
+     *
      * @returns {Promise} Promise
      */
     static async checkTasks() {
-        let tasks = await HashBrown.Entity.Task.list();
+        if(this.isChecking) { return; }
+
+        this.isChecking = true;
+
+        try {
+            let tasks = await HashBrown.Entity.Task.list();
+
+            for(let task of tasks) {
+                if(!task || !task.isOverdue()) { continue; }
+
+                await task.run();
+            }
+
+        } catch(e) {
+            debug.error(e, this);
+
+        } finally {
+            this.isChecking = false;
+
+        }
+    }
+
+    /**
+     * Registers a job, which can be scheduled as a task of the same type
+     *
+     * @param {String} type
+     * @param {String} name
+     * @param {Function} handler A function receiving the task and its context, throwing an error if the job failed
+     */
+    static registerJob(type, name, handler) {
+        checkParam(type, 'type', String, true);
+        checkParam(name, 'name', String, true);
+        checkParam(handler, 'handler', Function, true);
+
+        if(!this.jobs) {
+            this.jobs = {};
+        }
+
+        if(this.jobs[type] || HashBrown.Entity.Task.types[type]) {
+            throw new Error(`A job of type "${type}" has already been registered`);
+        }
+
+        this.jobs[type] = {
+            type: type,
+            name: name,
+            handler: handler
+        };
+    }
+
+    /**
+     * Gets a registered job
+     *
+     * @param {String} type
+     *
+     * @return {Object} Job
+     */
+    static getJob(type) {
+        checkParam(type, 'type', String, true);
+
+        return (this.jobs || {})[type] || null;
+    }
+
+    /**
+     * Gets the names of all task types that can be scheduled, including registered jobs
+     *
+     * @return {Object} Names by type
+     */
+    static getTypes() {
+        let types = Object.assign({}, HashBrown.Entity.Task.types);
+
+        for(let type in this.jobs || {}) {
+            types[type] = this.jobs[type].name;
+        }
+
+        return types;
+    }
+
+    /**
+     * Parses a schedule
+     *
+     * @param {String} schedule
+     *
+     * @return {Array} The allowed values of each field
+     */
+    static parseSchedule(schedule) {
+        checkParam(schedule, 'schedule', String, true);
 
-        for(let task of tasks) {
-            if(!task || !task.isOverdue()) { continue; }
+        let fields = (ALIASES[schedule.trim()] || schedule).trim().split(/\s+/);
 
-            await task.run();
+        if(fields.length !== FIELDS.length) {
+            throw new HashBrown.Http.Exception(`Schedule "${schedule}" must have ${FIELDS.length} fields: ${FIELDS.map((field) => field.name).join(', ')}`, 400);
         }
+
+        return fields.map((value, i) => {
+            let field = FIELDS[i];
+            let values = [];
+
+            for(let part of value.split(',')) {
+                let match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+                if(!match) {
+                    throw new HashBrown.Http.Exception(`Invalid ${field.name} "${part}" in schedule "${schedule}"`, 400);
+                }
+
+                let from = match[1] === '*' ? field.min : parseInt(match[2]);
+                let to = match[1] === '*' ? field.max : match[3] !== undefined ? parseInt(match[3]) : from;
+                let step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+                // A single value with a step, like "5/15", runs from that value to the end of the range
+                if(match[1] !== '*' && match[3] === undefined && match[4] !== undefined) {
+                    to = field.max;
+                }
+
+                if(from < field.min || to > field.max || from > to || step < 1) {
+                    throw new HashBrown.Http.Exception(`Invalid ${field.name} "${part}" in schedule "${schedule}"`, 400);
+                }
+
+                for(let n = from; n <= to; n += step) {
+                    // Sunday is both 0 and 7
+                    values.push(field.name === 'day of week' && n === 7 ? 0 : n);
+                }
+            }
+
+            return values;
+        });
+    }
+
+    /**
+     * Gets the next date a schedule is due
+     *
+     * Like cron, a date matches if either the day of month or the day of week matches, when both are restricted
+     *
+     * @param {String} schedule
+     * @param {Date} after
+     *
+     * @return {Date} Date
+     */
+    static getNextDate(schedule, after = new Date()) {
+        checkParam(schedule, 'schedule', String, true);
+        checkParam(after, 'after', Date, true);
+
+        let [ minutes, hours, days, months, weekdays ] = this.parseSchedule(schedule);
+        let fields = (ALIASES[schedule.trim()] || schedule).trim().split(/\s+/);
+        let isDayRestricted = fields[2] !== '*';
+        let isWeekdayRestricted = fields[4] !== '*';
+
+        let isDayMatch = (date) => {
+            let isDay = days.indexOf(date.getDate()) > -1;
+            let isWeekday = weekdays.indexOf(date.getDay()) > -1;
+
+            if(isDayRestricted && isWeekdayRestricted) { return isDay || isWeekday; }
+
+            return isDay && isWeekday;
+        };
+
+        let date = new Date(after.getTime());
+
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        // Schedules like "0 0 30 2 *" never match, so give up after a few years
+        let limit = new Date(after.getTime());
+
+        limit.setFullYear(limit.getFullYear() + 5);
+
+        while(date < limit) {
+            if(months.indexOf(date.getMonth() + 1) < 0) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+                continue;
+            }
+
+            if(!isDayMatch(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+                continue;
+            }
+
+            if(hours.indexOf(date.getHours()) < 0) {
+                date.setHours(date.getHours() + 1, 0);
+                continue;
+            }
+
+            if(minutes.indexOf(date.getMinutes()) < 0) {
+                date.setMinutes(date.getMinutes() + 1);
+                continue;
+            }
+
+            return date;
+        }
+
+        throw new HashBrown.Http.Exception(`Schedule "${schedule}" never occurs`, 400);
+    }
+
+    /**
+     * Logs a run of a task
+     *
+     * @param {Object} entry
+     */
+    static async log(entry) {
+        checkParam(entry, 'entry', Object, true);
+
+        await HashBrown.Service.DatabaseService.insertOne('system', 'taskRuns', entry);
+
+        let entries = await HashBrown.Service.DatabaseService.find('system', 'taskRuns', {}, {}, { timestamp: -1 });
+
+        if(entries.length <= MAX_LOG_ENTRIES) { return; }
+
+        await HashBrown.Service.DatabaseService.remove('system', 'taskRuns', {
+            timestamp: { $lt: entries[MAX_LOG_ENTRIES - 1].timestamp }
+        });
+    }
+
+    /**
+     * Gets the log of past task runs, newest first
+     *
+     * @return {Array} Log entries
+     */
+    static async getRuns() {
+        return await HashBrown.Service.DatabaseService.find('system', 'taskRuns', {}, {}, { timestamp: -1 });
     }
 }
 
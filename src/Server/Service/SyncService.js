@@ -0,0 +1,581 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+// Fields that change without the resource itself changing, or that are only changed through dedicated routes on each end
+const IGNORED_FIELDS = [ '_id', 'id', 'context', 'createdBy', 'createdOn', 'updatedBy', 'updatedOn', 'viewedBy', 'viewedOn', 'isLocked', 'sync', 'isPublished', 'published', 'workflowState', 'comments' ];
+
+// The libraries that can be synced
+const LIBRARIES = [ 'content', 'schemas', 'publications' ];
+
+/**
+ * A helper class for syncing resources both ways between a project and its remote
+ *
+ * When a resource is pulled, pushed or resolved, the version both ends agreed on is stored
+ * as a "base" in the "{environment}.sync" collection. Comparing the checksums of each end
+ * with the base tells which end changed since then:
+ * - ahead: only the local resource changed
+ * - behind: only the remote resource changed
+ * - conflict: both changed, or the resource was made on both ends independently
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class SyncService {
+    /**
+     * Gets a checksum of a value, regardless of the order of its keys
+     *
+     * @param {*} value
+     *
+     * @return {String} Checksum
+     */
+    static getChecksum(value) {
+        let stringify = (value) => {
+            if(Array.isArray(value)) {
+                return '[' + value.map(stringify).join(',') + ']';
+            }
+
+            if(value instanceof Date) {
+                return JSON.stringify(value.toISOString());
+            }
+
+            if(value && typeof value === 'object') {
+                return '{' + Object.keys(value).sort().filter((key) => value[key] !== undefined).map((key) => JSON.stringify(key) + ':' + stringify(value[key])).join(',') + '}';
+            }
+
+            return JSON.stringify(value === undefined ? null : value);
+        };
+
+        return Crypto.createHash('sha1').update(stringify(value)).digest('hex');
+    }
+
+    /**
+     * Gets the synced fields of a resource
+     *
+     * Content properties are listed one by one, with their keys prefixed by "properties."
+     *
+     * @param {Object} doc
+     *
+     * @return {Object} Values by path
+     */
+    static getFields(doc) {
+        checkParam(doc, 'doc', Object, true);
+
+        let fields = {};
+
+        for(let key in doc) {
+            if(IGNORED_FIELDS.indexOf(key) > -1 || doc[key] === undefined) { continue; }
+
+            if(key === 'properties' && doc.properties && doc.properties.constructor === Object) {
+                for(let property in doc.properties) {
+                    fields['properties.' + property] = doc.properties[property];
+                }
+
+            } else {
+                fields[key] = doc[key];
+
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Normalises a resource document, so local and remote documents compare equally
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     * @param {Object} doc
+     *
+     * @return {Object} Document
+     */
+    static normalize(context, library, doc) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(doc, 'doc', Object, true);
+
+        let model = HashBrown.Service.LibraryService.getClass(library, HashBrown.Entity.Resource.ResourceBase);
+        let resource = model.new(Object.assign({}, doc, { context: context }));
+
+        return resource.getObject();
+    }
+
+    /**
+     * Gets the sync settings of a project
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Object} Settings
+     */
+    static async getSettings(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let sync = await context.project.getSyncSettings();
+
+        if(!sync) {
+            throw new HashBrown.Http.Exception('Sync not enabled or unconfigured for this project', 400);
+        }
+
+        return sync;
+    }
+
+    /**
+     * Makes a request to the remote of a project
+     *
+     * @param {Object} sync
+     * @param {String} method
+     * @param {String} path
+     * @param {Object} data
+     *
+     * @return {*} Response
+     */
+    static async request(sync, method, path, data = null) {
+        checkParam(sync, 'sync', Object, true);
+        checkParam(method, 'method', String, true);
+        checkParam(path, 'path', String, true);
+        checkParam(data, 'data', Object);
+
+        let url = sync.url + '/api/' + path;
+
+        if(method.toLowerCase() === 'get') {
+            data = Object.assign({}, data, { token: sync.token });
+
+        } else {
+            url += (url.indexOf('?') > -1 ? '&' : '?') + 'token=' + sync.token;
+
+        }
+
+        try {
+            return await HashBrown.Service.RequestService.request(method, url, data);
+
+        } catch(e) {
+            // Errors from the remote keep their status code, while connection errors are reported as a bad gateway
+            throw new HashBrown.Http.Exception(`Request to the remote at ${sync.url} failed: ${e.message}`, typeof e.code === 'number' ? e.code : 502);
+
+        }
+    }
+
+    /**
+     * Gets the local resources of a library
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     *
+     * @return {Object} Normalised documents by id
+     */
+    static async getLocalResources(context, library) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+
+        let resources = {};
+        let docs = await HashBrown.Service.DatabaseService.find(context.project.id, `${context.environment}.${library}`);
+
+        for(let doc of docs) {
+            if(!doc || !doc.id) { continue; }
+
+            resources[doc.id] = this.normalize(context, library, doc);
+        }
+
+        return resources;
+    }
+
+    /**
+     * Gets the remote resources of a library
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} sync
+     * @param {String} library
+     *
+     * @return {Object} Normalised documents by id
+     */
+    static async getRemoteResources(context, sync, library) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(sync, 'sync', Object, true);
+        checkParam(library, 'library', String, true);
+
+        let resources = {};
+        let docs = await this.request(sync, 'get', `${sync.project}/${context.environment}/${library}`);
+
+        for(let doc of docs || []) {
+            // Locked resources are read from disk on the remote, and exist on every instance
+            if(!doc || !doc.id || doc.isLocked) { continue; }
+
+            resources[doc.id] = this.normalize(context, library, doc);
+        }
+
+        return resources;
+    }
+
+    /**
+     * Gets the base records of a library
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     *
+     * @return {Object} Base records by id
+     */
+    static async getBases(context, library) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+
+        let bases = {};
+        let docs = await HashBrown.Service.DatabaseService.find(context.project.id, `${context.environment}.sync`, { library: library });
+
+        for(let doc of docs) {
+            bases[doc.id] = doc;
+        }
+
+        return bases;
+    }
+
+    /**
+     * Records the version of a resource that both ends agree on
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     * @param {String} id
+     * @param {Object} doc The resource, or null if it was removed on both ends
+     */
+    static async setBase(context, library, id, doc) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+        checkParam(doc, 'doc', Object);
+
+        let query = { library: library, id: id };
+
+        if(!doc) {
+            return await HashBrown.Service.DatabaseService.removeOne(context.project.id, `${context.environment}.sync`, query);
+        }
+
+        doc = this.normalize(context, library, doc);
+
+        let fields = this.getFields(doc);
+
+        await HashBrown.Service.DatabaseService.updateOne(
+            context.project.id,
+            `${context.environment}.sync`,
+            query,
+            {
+                library: library,
+                id: id,
+                checksum: this.getChecksum(fields),
+                fields: Object.keys(fields).map((path) => {
+                    return { path: path, checksum: this.getChecksum(fields[path]) };
+                }),
+                syncedOn: new Date()
+            },
+            {
+                upsert: true
+            }
+        );
+    }
+
+    /**
+     * Compares the local and remote versions of a resource with their base
+     *
+     * @param {String} library
+     * @param {String} id
+     * @param {Object} local
+     * @param {Object} remote
+     * @param {Object} base
+     *
+     * @return {Object} Item as { library, id, name, status, local, remote }, where each end is { exists, change, updatedOn, updatedBy }, or null if neither end has the resource
+     */
+    static compare(library, id, local, remote, base) {
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+        checkParam(local, 'local', Object);
+        checkParam(remote, 'remote', Object);
+        checkParam(base, 'base', Object);
+
+        if(!local && !remote) { return null; }
+
+        let localChecksum = local ? this.getChecksum(this.getFields(local)) : null;
+        let remoteChecksum = remote ? this.getChecksum(this.getFields(remote)) : null;
+        let status = 'synced';
+
+        if(localChecksum !== remoteChecksum) {
+            let isLocalChanged = !base || localChecksum !== base.checksum;
+            let isRemoteChanged = !base || remoteChecksum !== base.checksum;
+
+            if(isLocalChanged && isRemoteChanged) {
+                status = local && remote ? 'conflict' : local ? 'ahead' : 'behind';
+
+                // A resource removed on one end and changed on the other is a conflict
+                if(base && (!local || !remote)) {
+                    status = 'conflict';
+                }
+
+            } else if(isLocalChanged) {
+                status = 'ahead';
+
+            } else {
+                status = 'behind';
+
+            }
+        }
+
+        let getSummary = (doc) => {
+            if(!doc) { return { exists: false, change: base ? 'removed' : 'missing' }; }
+
+            return {
+                exists: true,
+                change: !base ? 'created' : this.getChecksum(this.getFields(doc)) !== base.checksum ? 'modified' : null,
+                updatedOn: doc.updatedOn || null,
+                updatedBy: doc.updatedBy || null
+            };
+        };
+
+        return {
+            library: library,
+            id: id,
+            name: HashBrown.Service.PromotionService.getName(library, local || remote),
+            status: status,
+            local: getSummary(local),
+            remote: getSummary(remote)
+        };
+    }
+
+    /**
+     * Gets the sync status of every resource in an environment
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Object} Status as { items, ahead, behind, conflicts }
+     */
+    static async getStatus(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let sync = await this.getSettings(context);
+        let status = { items: [], ahead: 0, behind: 0, conflicts: 0 };
+
+        for(let library of LIBRARIES) {
+            let local = await this.getLocalResources(context, library);
+            let remote = await this.getRemoteResources(context, sync, library);
+            let bases = await this.getBases(context, library);
+            let ids = Object.keys(Object.assign({}, bases, remote, local));
+
+            for(let id of ids) {
+                let item = this.compare(library, id, local[id] || null, remote[id] || null, bases[id] || null);
+
+                if(!item || item.status === 'synced') { continue; }
+
+                if(item.status === 'ahead') { status.ahead++; }
+                if(item.status === 'behind') { status.behind++; }
+                if(item.status === 'conflict') { status.conflicts++; }
+
+                status.items.push(item);
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Gets both versions of a resource
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     * @param {String} id
+     *
+     * @return {Object} Versions as { sync, local, remote, base }
+     */
+    static async getVersions(context, library, id) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+
+        if(LIBRARIES.indexOf(library) < 0) {
+            throw new HashBrown.Http.Exception(`The library ${library} cannot be synced`, 400);
+        }
+
+        let sync = await this.getSettings(context);
+
+        let local = await HashBrown.Service.DatabaseService.findOne(context.project.id, `${context.environment}.${library}`, { id: id });
+        let remote = null;
+
+        try {
+            remote = await this.request(sync, 'get', `${sync.project}/${context.environment}/${library}/${id}`);
+
+        } catch(e) {
+            if(e.code !== 404) { throw e; }
+
+        }
+
+        if(remote && remote.isLocked) {
+            remote = null;
+        }
+
+        let base = await HashBrown.Service.DatabaseService.findOne(context.project.id, `${context.environment}.sync`, { library: library, id: id });
+
+        return {
+            sync: sync,
+            local: local ? this.normalize(context, library, local) : null,
+            remote: remote ? this.normalize(context, library, remote) : null,
+            base: base
+        };
+    }
+
+    /**
+     * Gets the fields of a resource that differ between the two ends
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     * @param {String} id
+     *
+     * @return {Object} Conflict as { library, id, name, status, local, remote, fields }
+     */
+    static async getConflict(context, library, id) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+
+        let versions = await this.getVersions(context, library, id);
+        let item = this.compare(library, id, versions.local, versions.remote, versions.base);
+
+        if(!item) {
+            throw new HashBrown.Http.Exception(`Resource ${library}/${id} could not be found on either end`, 404);
+        }
+
+        let baseFields = {};
+
+        for(let field of (versions.base ? versions.base.fields : null) || []) {
+            baseFields[field.path] = field.checksum;
+        }
+
+        let localFields = versions.local ? this.getFields(versions.local) : {};
+        let remoteFields = versions.remote ? this.getFields(versions.remote) : {};
+
+        item.fields = [];
+
+        for(let path of Object.keys(Object.assign({}, localFields, remoteFields))) {
+            let localChecksum = this.getChecksum(localFields[path]);
+            let remoteChecksum = this.getChecksum(remoteFields[path]);
+
+            if(localChecksum === remoteChecksum) { continue; }
+
+            item.fields.push({
+                path: path,
+                local: localFields[path] === undefined ? null : localFields[path],
+                remote: remoteFields[path] === undefined ? null : remoteFields[path],
+                isLocalChanged: !versions.base || baseFields[path] !== localChecksum,
+                isRemoteChanged: !versions.base || baseFields[path] !== remoteChecksum
+            });
+        }
+
+        return item;
+    }
+
+    /**
+     * Resolves the difference between the two ends of a resource
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} library
+     * @param {String} id
+     * @param {String} resolution "local", "remote" or "merge"
+     * @param {Object} fields The end to keep for each field path when merging, as "local" or "remote"
+     *
+     * @return {Object} The resolved resource, or null if it was removed
+     */
+    static async resolve(context, library, id, resolution, fields = {}) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(library, 'library', String, true);
+        checkParam(id, 'id', String, true);
+        checkParam(resolution, 'resolution', String, true);
+        checkParam(fields, 'fields', Object, true);
+
+        let versions = await this.getVersions(context, library, id);
+        let result = null;
+
+        switch(resolution) {
+            case 'local':
+                result = versions.local;
+                break;
+
+            case 'remote':
+                result = versions.remote;
+                break;
+
+            case 'merge':
+                if(!versions.local || !versions.remote) {
+                    throw new HashBrown.Http.Exception('Only resources that exist on both ends can be merged', 400);
+                }
+
+                result = JSON.parse(JSON.stringify(versions.local));
+
+                let conflict = await this.getConflict(context, library, id);
+
+                for(let field of conflict.fields) {
+                    let end = fields[field.path];
+
+                    // Fields without a choice are taken from the end that changed them
+                    if(end !== 'local' && end !== 'remote') {
+                        end = field.isRemoteChanged && !field.isLocalChanged ? 'remote' : 'local';
+                    }
+
+                    if(end === 'local') { continue; }
+
+                    let target = result;
+                    let key = field.path;
+
+                    if(key.indexOf('properties.') === 0) {
+                        result.properties = result.properties || {};
+                        target = result.properties;
+                        key = key.substring('properties.'.length);
+                    }
+
+                    if(field.remote === null) {
+                        delete target[key];
+
+                    } else {
+                        target[key] = field.remote;
+
+                    }
+                }
+                break;
+
+            default:
+                throw new HashBrown.Http.Exception(`Unknown resolution "${resolution}"`, 400);
+        }
+
+        let model = HashBrown.Service.LibraryService.getClass(library, HashBrown.Entity.Resource.ResourceBase);
+        let local = await model.get(context, id, { localOnly: true });
+        let path = `${versions.sync.project}/${context.environment}/${library}/${id}`;
+
+        // Apply the result locally first, so validation errors stop the resolution before the remote is touched
+        if(!result) {
+            if(local) {
+                await local.remove({ force: true });
+            }
+
+        } else if(resolution !== 'local' || !local) {
+            if(!local) {
+                local = model.new(Object.assign({}, result, { context: context }));
+
+            } else {
+                local.adopt(result);
+
+            }
+
+            await local.save({ validate: true });
+
+            result = local.getObject();
+        }
+
+        if(!result) {
+            if(versions.remote) {
+                await this.request(versions.sync, 'delete', path);
+            }
+
+        } else if(resolution !== 'remote') {
+            await this.request(versions.sync, 'post', path + '?create=true', result);
+
+        }
+
+        await this.setBase(context, library, id, result);
+
+        return result;
+    }
+}
+
+module.exports = SyncService;
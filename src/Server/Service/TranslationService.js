@@ -0,0 +1,390 @@
+'use strict';
+
+/**
+ * A helper for translating the localised fields of content outside of HashBrown
+ *
+ * A translatable unit is a text value inside a localised field, identified by its path without the locale
+ * For a localised field, the locale is the next key after the field, as in "title.en" or "seo.en.description"
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class TranslationService {
+    /**
+     * Gets the translatable units of a content resource
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     * @param {String} sourceLocale
+     * @param {String} targetLocale
+     * @param {Object} schemas A cache of schemas by id, for reuse across calls
+     *
+     * @return {Array} Units as { path, keys, localeIndex, editorId, source, target }
+     */
+    static async getUnits(content, sourceLocale, targetLocale, schemas = {}) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+        checkParam(sourceLocale, 'sourceLocale', String, true);
+        checkParam(targetLocale, 'targetLocale', String, true);
+        checkParam(schemas, 'schemas', Object, true);
+
+        let schema = await HashBrown.Service.ReferenceService.getSchema(content.context, HashBrown.Entity.Resource.ContentSchema, content.schemaId, schemas);
+        let options = { sourceLocale: sourceLocale, targetLocale: targetLocale, units: [], schemas: schemas };
+
+        if(!schema) { return options.units; }
+
+        for(let key in schema.config || {}) {
+            await this.collectUnits(content.context, schema.config[key], (content.properties || {})[key], undefined, [ key ], -1, options);
+        }
+
+        return options.units;
+    }
+
+    /**
+     * Collects the translatable units in a value
+     *
+     * Until a localised field is reached, the source is the value itself and there is no target
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} definition
+     * @param {*} source
+     * @param {*} target
+     * @param {Array} keys
+     * @param {Number} localeIndex Where the locale goes in the keys, or -1 outside of localised fields
+     * @param {Object} options { sourceLocale, targetLocale, units, schemas }
+     */
+    static async collectUnits(context, definition, source, target, keys, localeIndex, options) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(keys, 'keys', Array, true);
+        checkParam(localeIndex, 'localeIndex', Number, true);
+        checkParam(options, 'options', Object, true);
+
+        if(!definition || !definition.schemaId) { return; }
+
+        let schema = await HashBrown.Service.ReferenceService.getSchema(context, HashBrown.Entity.Resource.FieldSchema, definition.schemaId, options.schemas);
+
+        if(!schema) { return; }
+
+        // Custom field schemas carry their own config, like on the client
+        let config = schema.parentId !== 'fieldBase' ? schema.config || {} : definition.config || {};
+
+        if(localeIndex < 0 && definition.isLocalized) {
+            let values = source && source.constructor === Object ? source : {};
+
+            source = values[options.sourceLocale];
+            target = values[options.targetLocale];
+            localeIndex = keys.length;
+        }
+
+        if(source === null || source === undefined || source === '') { return; }
+
+        switch(schema.editorId) {
+            // Text that translators work on
+            case 'StringEditor':
+            case 'RichTextEditor':
+                if(localeIndex < 0 || typeof source !== 'string' || !source.trim()) { break; }
+
+                options.units.push({
+                    path: keys.join('.'),
+                    keys: keys,
+                    localeIndex: localeIndex,
+                    editorId: schema.editorId,
+                    source: source,
+                    target: typeof target === 'string' ? target : ''
+                });
+                break;
+
+            case 'ArrayEditor':
+                if(!Array.isArray(source)) { break; }
+
+                for(let i = 0; i < source.length; i++) {
+                    let item = source[i];
+
+                    if(!item || !item.schemaId) { continue; }
+
+                    // Only items of the same type at the same position are considered translations of each other
+                    let targetItem = Array.isArray(target) && target[i] && target[i].schemaId === item.schemaId ? target[i].value : undefined;
+
+                    await this.collectUnits(context, { schemaId: item.schemaId }, item.value, targetItem, keys.concat([ i, 'value' ]), localeIndex, options);
+                }
+                break;
+
+            case 'StructEditor':
+                if(!config.struct || source.constructor !== Object) { break; }
+
+                for(let key in config.struct) {
+                    let targetValue = target && target.constructor === Object ? target[key] : undefined;
+
+                    await this.collectUnits(context, config.struct[key], source[key], targetValue, keys.concat([ key ]), localeIndex, options);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Sets the translation of a unit in a set of properties
+     *
+     * Missing structures in the target locale are copied from the source locale
+     *
+     * @param {Object} properties
+     * @param {Object} unit
+     * @param {String} sourceLocale
+     * @param {String} targetLocale
+     * @param {String} value
+     */
+    static setUnitValue(properties, unit, sourceLocale, targetLocale, value) {
+        checkParam(properties, 'properties', Object, true);
+        checkParam(unit, 'unit', Object, true);
+        checkParam(sourceLocale, 'sourceLocale', String, true);
+        checkParam(targetLocale, 'targetLocale', String, true);
+        checkParam(value, 'value', String);
+
+        let sourcePath = unit.keys.slice();
+        let targetPath = unit.keys.slice();
+
+        sourcePath.splice(unit.localeIndex, 0, sourceLocale);
+        targetPath.splice(unit.localeIndex, 0, targetLocale);
+
+        let node = properties;
+        let sourceNode = properties;
+
+        for(let i = 0; i < targetPath.length - 1; i++) {
+            let key = targetPath[i];
+
+            sourceNode = sourceNode && typeof sourceNode === 'object' ? sourceNode[sourcePath[i]] : undefined;
+
+            if(!node[key] || typeof node[key] !== 'object') {
+                node[key] = sourceNode && typeof sourceNode === 'object' ? JSON.parse(JSON.stringify(sourceNode)) : {};
+            }
+
+            node = node[key];
+        }
+
+        node[targetPath[targetPath.length - 1]] = value;
+    }
+
+    /**
+     * Gets the locales used for translation, checking that they belong to the project
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} sourceLocale
+     * @param {String} targetLocale
+     *
+     * @return {Object} Locales { source, target }
+     */
+    static async getLocales(context, sourceLocale, targetLocale) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let locales = await context.project.getLocales();
+
+        sourceLocale = sourceLocale || locales[0];
+
+        for(let locale of [ sourceLocale, targetLocale ]) {
+            if(!locale) {
+                throw new HashBrown.Http.Exception('A target locale is required', 400);
+            }
+
+            if(locales.indexOf(locale) < 0) {
+                throw new HashBrown.Http.Exception(`The locale "${locale}" is not used in this project`, 400);
+            }
+        }
+
+        if(sourceLocale === targetLocale) {
+            throw new HashBrown.Http.Exception('The source and target locales must be different', 400);
+        }
+
+        return { source: sourceLocale, target: targetLocale };
+    }
+
+    /**
+     * Exports content and its descendants as an XLIFF document
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     * @param {String} targetLocale
+     * @param {String} sourceLocale Defaults to the first locale of the project
+     *
+     * @return {String} XML
+     */
+    static async exportContent(context, id, targetLocale, sourceLocale = '') {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+        checkParam(targetLocale, 'targetLocale', String);
+        checkParam(sourceLocale, 'sourceLocale', String);
+
+        let locales = await this.getLocales(context, sourceLocale, targetLocale);
+        let content = await HashBrown.Entity.Resource.Content.get(context, id);
+
+        if(!content) {
+            throw new HashBrown.Http.Exception(`Content ${id} not found`, 404);
+        }
+
+        let contents = [ content ].concat(await content.getDescendants());
+        let schemas = {};
+        let files = [];
+
+        for(let item of contents) {
+            let units = await this.getUnits(item, locales.source, locales.target, schemas);
+
+            if(units.length < 1) { continue; }
+
+            files.push({
+                original: item.id,
+                notes: [ item.getName() ],
+                units: units.map((unit) => HashBrown.Service.XliffService.createUnit(unit.path, unit.source, unit.target, unit.editorId === 'RichTextEditor'))
+            });
+        }
+
+        return HashBrown.Service.XliffService.serialize({
+            srcLang: locales.source,
+            trgLang: locales.target,
+            files: files
+        });
+    }
+
+    /**
+     * Imports translations from an XLIFF document
+     *
+     * Units are only imported if their field still exists and its source text hasn't changed since the export
+     * Content that fails validation with the translations applied isn't saved
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} xml
+     *
+     * @return {Object} Result { locale, updated: [ { id, name, units } ], warnings }
+     */
+    static async importContent(context, xml) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(xml, 'xml', String, true);
+
+        let document = HashBrown.Service.XliffService.parse(xml);
+        let locales = await this.getLocales(context, document.srcLang, document.trgLang);
+        let schemas = {};
+        let result = { locale: locales.target, updated: [], warnings: [] };
+
+        for(let file of document.files) {
+            let content = file.original ? await HashBrown.Entity.Resource.Content.get(context, file.original) : null;
+
+            if(!content) {
+                result.warnings.push(`Content ${file.original} no longer exists`);
+                continue;
+            }
+
+            let name = content.getName();
+
+            if(content.isLocked) {
+                result.warnings.push(`${name}: The content is locked`);
+                continue;
+            }
+
+            try {
+                await content.checkRequiredScopes();
+
+            } catch(e) {
+                result.warnings.push(`${name}: ${e.message}`);
+                continue;
+
+            }
+
+            let units = await this.getUnits(content, locales.source, locales.target, schemas);
+            let properties = JSON.parse(JSON.stringify(content.properties || {}));
+            let changes = 0;
+
+            for(let fileUnit of file.units) {
+                let unit = units.find((unit) => unit.path === fileUnit.name);
+
+                if(!unit) {
+                    result.warnings.push(`${name}: "${fileUnit.name}" is no longer a translatable field`);
+                    continue;
+                }
+
+                let isHtml = unit.editorId === 'RichTextEditor';
+
+                try {
+                    let segmented = HashBrown.Service.XliffService.segment(unit.source, isHtml);
+                    let source = HashBrown.Service.XliffService.getText(segmented, 'source', isHtml);
+
+                    if(HashBrown.Service.XliffService.getText(fileUnit, 'source', isHtml) !== source) {
+                        result.warnings.push(`${name}: The source text of "${unit.path}" has changed since the export`);
+                        continue;
+                    }
+
+                    // Placeholders in the target may only stand for markup from the current source, never for data supplied by the file
+                    let target = HashBrown.Service.XliffService.getText({ data: segmented.data, parts: fileUnit.parts }, 'target', isHtml);
+
+                    // Untranslated units are left alone
+                    if(target === null || target === unit.target) { continue; }
+
+                    this.setUnitValue(properties, unit, locales.source, locales.target, target);
+
+                    changes++;
+
+                } catch(e) {
+                    result.warnings.push(`${name}: "${unit.path}" could not be read (${e.message})`);
+
+                }
+            }
+
+            if(changes < 1) { continue; }
+
+            let original = content.properties;
+
+            content.properties = properties;
+
+            try {
+                await content.save({ validate: true });
+
+                result.updated.push({ id: content.id, name: name, units: changes });
+
+            } catch(e) {
+                content.properties = original;
+
+                let errors = e.data && e.data.errors ? e.data.errors.map((error) => `${error.path}${error.locale ? ' (' + error.locale + ')' : ''}: ${error.message}`) : [ e.message ];
+
+                result.warnings.push(`${name}: The translations weren't saved, because ${errors.join(', ')}`);
+
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets how much of each content resource is translated
+     *
+     * Content without translatable text is left out, as is everything in projects with a single locale
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {Object} Completion by content id as { total, translated: { locale: count } }
+     */
+    static async getCompletion(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let locales = await context.project.getLocales();
+        let completion = {};
+
+        if(locales.length < 2) { return completion; }
+
+        let contents = await HashBrown.Entity.Resource.Content.list(context);
+        let schemas = {};
+
+        for(let content of contents) {
+            let entry = { total: 0, translated: {} };
+
+            for(let locale of locales.slice(1)) {
+                let units = await this.getUnits(content, locales[0], locale, schemas);
+
+                entry.total = units.length;
+                entry.translated[locale] = units.filter((unit) => !!unit.target.trim()).length;
+            }
+
+            if(entry.total < 1) { continue; }
+
+            entry.translated[locales[0]] = entry.total;
+
+            completion[content.id] = entry;
+        }
+
+        return completion;
+    }
+}
+
+module.exports = TranslationService;
@@ -0,0 +1,320 @@
+'use strict';
+
+const FileSystem = require('fs');
+const Path = require('path');
+
+const SESSION_LIFETIME = 1000 * 60 * 60 * 24; // One day
+
+// The pending operation of each upload session, keyed by session id
+const queues = new Map();
+
+/**
+ * A helper class for resumable media uploads
+ *
+ * An upload session is created with the filename and size of the file, after which chunks are appended at their offsets
+ * When all bytes have been received, the session is finalised into a new or replaced media resource
+ * Sessions are stored per environment in the "uploads" collection, and their data in the storage folder
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class UploadService {
+    /**
+     * Gets the folder containing the data of all upload sessions in an environment
+     *
+     * @param {HashBrown.Entity.Context} context
+     *
+     * @return {String} Path
+     */
+    static getFolder(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        return Path.join(APP_ROOT, 'storage', context.project.id, context.environment, 'uploads');
+    }
+
+    /**
+     * Gets the path to the data of an upload session
+     *
+     * The extension of the file is kept, so tools reading it can recognise the format
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} session
+     *
+     * @return {String} Path
+     */
+    static getPath(context, session) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(session, 'session', Object, true);
+
+        let extension = Path.extname(session.filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+
+        return Path.join(this.getFolder(context), session.id + extension);
+    }
+
+    /**
+     * Runs a task after all pending tasks of an upload session have completed
+     *
+     * @param {String} id
+     * @param {Function} task
+     *
+     * @return {*} Result of the task
+     */
+    static async queue(id, task) {
+        checkParam(id, 'id', String, true);
+        checkParam(task, 'task', Function, true);
+
+        let previous = queues.get(id) || Promise.resolve();
+        let current = previous.catch(() => {}).then(task);
+
+        queues.set(id, current);
+
+        try {
+            return await current;
+
+        } finally {
+            if(queues.get(id) === current) {
+                queues.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Creates an upload session
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} params { filename, size, folder, replaceId }
+     *
+     * @return {Object} Session
+     */
+    static async createSession(context, params) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(params, 'params', Object, true);
+
+        let filename = Path.basename(String(params.filename || '').replace(/\\/g, '/')).trim();
+        let size = Number(params.size);
+
+        if(!filename) {
+            throw new HashBrown.Http.Exception('Parameter "filename" is required', 400);
+        }
+
+        if(!Number.isInteger(size) || size < 1) {
+            throw new HashBrown.Http.Exception('Parameter "size" must be a positive whole number', 400);
+        }
+
+        if(params.replaceId && !await HashBrown.Entity.Resource.Media.get(context, params.replaceId)) {
+            throw new HashBrown.Http.Exception(`Media "${params.replaceId}" not found`, 404);
+        }
+
+        await this.removeExpiredSessions(context);
+
+        let session = {
+            id: HashBrown.Entity.EntityBase.createId(),
+            filename: filename,
+            size: size,
+            folder: params.folder || '/',
+            replaceId: params.replaceId || null,
+            user: context.user.id,
+            createdOn: Date.now()
+        };
+
+        await HashBrown.Service.FileService.makeDirectory(this.getFolder(context));
+        await HashBrown.Service.FileService.write(Buffer.alloc(0), this.getPath(context, session));
+
+        await HashBrown.Service.DatabaseService.insertOne(
+            context.project.id,
+            context.environment + '.uploads',
+            session
+        );
+
+        session.offset = 0;
+
+        return session;
+    }
+
+    /**
+     * Gets an upload session, including the amount of bytes received so far as "offset"
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     *
+     * @return {Object} Session
+     */
+    static async getSession(context, id) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+
+        let session = await HashBrown.Service.DatabaseService.findOne(
+            context.project.id,
+            context.environment + '.uploads',
+            { id: id }
+        );
+
+        // Sessions belong to the user who started them
+        if(!session || session.user !== context.user.id) {
+            throw new HashBrown.Http.Exception(`Upload session "${id}" not found`, 404);
+        }
+
+        let stats = await HashBrown.Service.FileService.stat(this.getPath(context, session));
+
+        if(!stats) {
+            throw new HashBrown.Http.Exception(`The data of upload session "${id}" is missing`, 410);
+        }
+
+        session.offset = stats.size;
+
+        return session;
+    }
+
+    /**
+     * Appends a chunk to an upload session
+     *
+     * Chunks of the same session are written one at a time, and the offset must match the amount of bytes already received, so chunks are never duplicated or skipped
+     * If it doesn't, the client can resume from the offset given in the error data
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     * @param {Number} offset
+     * @param {Buffer} chunk
+     *
+     * @return {Object} Session
+     */
+    static async appendChunk(context, id, offset, chunk) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+        checkParam(offset, 'offset', Number, true);
+        checkParam(chunk, 'chunk', Buffer, true);
+
+        return await this.queue(id, async () => {
+            let session = await this.getSession(context, id);
+
+            if(offset !== session.offset) {
+                let message = `Expected offset ${session.offset}, got ${offset}`;
+
+                throw new HashBrown.Http.Exception(message, 409, {}, { message: message, offset: session.offset });
+            }
+
+            if(chunk.length < 1) {
+                throw new HashBrown.Http.Exception('Chunk is empty', 400);
+            }
+
+            if(session.offset + chunk.length > session.size) {
+                throw new HashBrown.Http.Exception(`Chunk exceeds the size of the file, which is ${session.size} bytes`, 400);
+            }
+
+            let file = await FileSystem.promises.open(this.getPath(context, session), 'r+');
+
+            try {
+                await file.write(chunk, 0, chunk.length, offset);
+
+            } finally {
+                await file.close();
+
+            }
+
+            session.offset += chunk.length;
+
+            return session;
+        });
+    }
+
+    /**
+     * Finalises an upload session, creating or replacing the media
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     *
+     * @return {HashBrown.Entity.Resource.Media} Media
+     */
+    static async finalize(context, id) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+
+        return await this.queue(id, async () => {
+            let session = await this.getSession(context, id);
+
+            if(session.offset !== session.size) {
+                let message = `Upload is incomplete, ${session.offset} of ${session.size} bytes were received`;
+
+                throw new HashBrown.Http.Exception(message, 409, {}, { message: message, offset: session.offset });
+            }
+
+            let source = this.getPath(context, session);
+            let media = null;
+
+            if(session.replaceId) {
+                media = await HashBrown.Entity.Resource.Media.get(context, session.replaceId);
+
+                if(!media) {
+                    throw new HashBrown.Http.Exception(`Media "${session.replaceId}" not found`, 404);
+                }
+
+                media.filename = session.filename;
+
+                // The composition of the previous file doesn't apply to the new one
+                media.focalPoint = null;
+                media.crops = {};
+
+                await media.save({ source: source, filename: session.filename });
+
+            } else {
+                media = await HashBrown.Entity.Resource.Media.create(
+                    context,
+                    { filename: session.filename, folder: session.folder },
+                    { source: source, filename: session.filename }
+                );
+
+            }
+
+            await this.removeSession(context, id);
+
+            return media;
+        });
+    }
+
+    /**
+     * Removes an upload session and its data
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} id
+     */
+    static async removeSession(context, id) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(id, 'id', String, true);
+
+        let session = await this.getSession(context, id);
+
+        await HashBrown.Service.FileService.remove(this.getPath(context, session));
+
+        await HashBrown.Service.DatabaseService.removeOne(
+            context.project.id,
+            context.environment + '.uploads',
+            { id: id }
+        );
+    }
+
+    /**
+     * Removes sessions that were abandoned before being finalised
+     *
+     * @param {HashBrown.Entity.Context} context
+     */
+    static async removeExpiredSessions(context) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+
+        let sessions = await HashBrown.Service.DatabaseService.find(
+            context.project.id,
+            context.environment + '.uploads',
+            { createdOn: { $lt: Date.now() - SESSION_LIFETIME } }
+        );
+
+        for(let session of sessions) {
+            await HashBrown.Service.FileService.remove(this.getPath(context, session));
+
+            await HashBrown.Service.DatabaseService.removeOne(
+                context.project.id,
+                context.environment + '.uploads',
+                { id: session.id }
+            );
+        }
+    }
+}
+
+module.exports = UploadService;
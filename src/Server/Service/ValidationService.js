@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * A helper for validating content against its schema
+ *
+ * Field definitions and field schema configs can use these rules:
+ * - isRequired (definition): the value can't be empty, for localised fields only the first project locale is required
+ * - minLength/maxLength/pattern (strings, rich text and URLs)
+ * - minValue/maxValue (numbers, each bound applies on its own)
+ * - minItems/maxItems (arrays)
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class ValidationService {
+    /**
+     * Validates the properties of a content resource
+     *
+     * @param {HashBrown.Entity.Resource.Content} content
+     *
+     * @return {Array} Errors as { path, locale, message }
+     */
+    static async validateContent(content) {
+        checkParam(content, 'content', HashBrown.Entity.Resource.Content, true);
+
+        let context = content.context;
+        let schema = await HashBrown.Entity.Resource.ContentSchema.get(context, content.schemaId, { withParentFields: true });
+
+        if(!schema) { return []; }
+
+        let locales = await context.project.getLocales();
+        let errors = [];
+
+        for(let key in schema.config || {}) {
+            await this.validateField(context, schema.config[key], (content.properties || {})[key], key, locales, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a value against a field definition
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} definition
+     * @param {*} value
+     * @param {String} path
+     * @param {Array} locales
+     * @param {Array} errors
+     */
+    static async validateField(context, definition, value, path, locales, errors) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(path, 'path', String, true);
+        checkParam(locales, 'locales', Array, true);
+        checkParam(errors, 'errors', Array, true);
+
+        if(!definition || !definition.schemaId) { return; }
+
+        let schema = await HashBrown.Entity.Resource.FieldSchema.get(context, definition.schemaId, { withParentFields: true });
+
+        if(!schema) { return; }
+
+        // Custom field schemas carry their own config, like on the client
+        let config = schema.parentId !== 'fieldBase' ? schema.config || {} : definition.config || {};
+
+        if(definition.isLocalized) {
+            let values = value && value.constructor === Object ? value : {};
+
+            if(definition.isRequired && this.isEmpty(values[locales[0]])) {
+                errors.push({ path: path, locale: locales[0], message: 'This field is required' });
+            }
+
+            for(let locale in values) {
+                await this.validateValue(context, schema.editorId, config, values[locale], path, locale, locales, errors);
+            }
+
+            return;
+        }
+
+        if(definition.isRequired && this.isEmpty(value)) {
+            errors.push({ path: path, message: 'This field is required' });
+            return;
+        }
+
+        await this.validateValue(context, schema.editorId, config, value, path, null, locales, errors);
+    }
+
+    /**
+     * Validates a single value against the rules of its editor
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} editorId
+     * @param {Object} config
+     * @param {*} value
+     * @param {String} path
+     * @param {String} locale
+     * @param {Array} locales
+     * @param {Array} errors
+     */
+    static async validateValue(context, editorId, config, value, path, locale, locales, errors) {
+        if(value === null || value === undefined || value === '') { return; }
+
+        let fail = (message) => {
+            let error = { path: path, message: message };
+
+            if(locale) {
+                error.locale = locale;
+            }
+
+            errors.push(error);
+        };
+
+        switch(editorId) {
+            case 'StringEditor':
+            case 'RichTextEditor':
+            case 'UrlEditor':
+                if(typeof value !== 'string') {
+                    fail('Value must be text');
+                    break;
+                }
+
+                if(config.minLength > 0 && value.length < config.minLength) {
+                    fail(`Value must be at least ${config.minLength} characters long`);
+                }
+
+                if(config.maxLength > 0 && value.length > config.maxLength) {
+                    fail(`Value must be at most ${config.maxLength} characters long`);
+                }
+
+                if(config.pattern) {
+                    let pattern = null;
+
+                    try {
+                        pattern = new RegExp(config.pattern);
+
+                    } catch(e) {
+                        debug.warning(`Invalid pattern "${config.pattern}" for field ${path}`, this);
+
+                    }
+
+                    if(pattern && !pattern.test(value)) {
+                        fail(config.patternMessage || `Value must match the pattern ${config.pattern}`);
+                    }
+                }
+                break;
+
+            case 'NumberEditor':
+                value = parseFloat(value);
+
+                if(isNaN(value)) {
+                    fail('Value must be a number');
+                    break;
+                }
+
+                // A bound is only unset when it's null, as 0 is a valid bound
+                if(config.minValue !== null && config.minValue !== undefined && value < config.minValue) {
+                    fail(`Value must be at least ${config.minValue}`);
+                }
+
+                if(config.maxValue !== null && config.maxValue !== undefined && value > config.maxValue) {
+                    fail(`Value must be at most ${config.maxValue}`);
+                }
+                break;
+
+            case 'ArrayEditor':
+                if(!Array.isArray(value)) {
+                    fail('Value must be a list');
+                    break;
+                }
+
+                if(config.minItems > 0 && value.length < config.minItems) {
+                    fail(`List must have at least ${config.minItems} item${config.minItems > 1 ? 's' : ''}`);
+                }
+
+                if(config.maxItems > 0 && value.length > config.maxItems) {
+                    fail(`List must have at most ${config.maxItems} item${config.maxItems > 1 ? 's' : ''}`);
+                }
+
+                for(let i = 0; i < value.length; i++) {
+                    let item = value[i];
+
+                    if(!item || !item.schemaId) { continue; }
+
+                    await this.validateField(context, { schemaId: item.schemaId }, item.value, `${path}.${i}`, locales, errors);
+                }
+                break;
+
+            case 'StructEditor':
+                if(!config.struct) { break; }
+
+                if(value.constructor !== Object) {
+                    fail('Value must be an object');
+                    break;
+                }
+
+                for(let key in config.struct) {
+                    await this.validateField(context, config.struct[key], value[key], `${path}.${key}`, locales, errors);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Checks whether a value is considered empty
+     *
+     * @param {*} value
+     *
+     * @return {Boolean} Is empty
+     */
+    static isEmpty(value) {
+        if(value === null || value === undefined || value === '') { return true; }
+        if(Array.isArray(value)) { return value.length < 1; }
+        if(value.constructor === Object) { return Object.keys(value).length < 1; }
+
+        return false;
+    }
+}
+
+module.exports = ValidationService;
@@ -0,0 +1,416 @@
+'use strict';
+
+const HTTP = require('http');
+const HTTPS = require('https');
+const Crypto = require('crypto');
+
+const EVENTS = [
+    'content.created', 'content.saved', 'content.removed', 'content.published', 'content.unpublished',
+    'media.created', 'media.saved', 'media.removed',
+    'schema.created', 'schema.saved', 'schema.removed',
+    'publication.created', 'publication.saved', 'publication.removed'
+];
+
+const RESOURCE_TYPES = {
+    content: 'content',
+    media: 'media',
+    schemas: 'schema',
+    publications: 'publication'
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 1000 * 60; // One minute, multiplied by 4 for every attempt
+const REQUEST_TIMEOUT = 1000 * 10;
+const MAX_LOG_ENTRIES = 50;
+
+/**
+ * A helper class for notifying external services about resource changes
+ *
+ * Webhooks are defined per environment in the "webhooks" settings section as { id, url, secret, events, isEnabled }
+ * Payloads are signed with HMAC SHA256 using the secret, and sent in the "X-HashBrown-Signature" header
+ * Failed deliveries are retried with a backoff as "webhook" tasks
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class WebhookService {
+    /**
+     * Gets all available events
+     *
+     * @return {Array} Events
+     */
+    static getEvents() {
+        return EVENTS.slice();
+    }
+
+    /**
+     * Gets the event name of a resource action
+     *
+     * @param {HashBrown.Entity.Resource.ResourceBase} resource
+     * @param {String} action
+     *
+     * @return {String} Event
+     */
+    static getEvent(resource, action) {
+        checkParam(resource, 'resource', HashBrown.Entity.Resource.ResourceBase, true);
+        checkParam(action, 'action', String, true);
+
+        let library = resource.constructor.library;
+
+        return `${RESOURCE_TYPES[library] || library}.${action}`;
+    }
+
+    /**
+     * Gets the webhooks of an environment
+     *
+     * @param {HashBrown.Entity.Project} project
+     * @param {String} environment
+     *
+     * @return {Array} Webhooks
+     */
+    static async getWebhooks(project, environment) {
+        checkParam(project, 'project', HashBrown.Entity.Project, true);
+        checkParam(environment, 'environment', String, true);
+
+        let webhooks = await project.getEnvironmentSettings(environment, 'webhooks');
+
+        return Array.isArray(webhooks) ? webhooks : [];
+    }
+
+    /**
+     * Checks whether a webhook listens to an event
+     *
+     * @param {Object} webhook
+     * @param {String} event
+     *
+     * @return {Boolean} Is listening
+     */
+    static isListening(webhook, event) {
+        checkParam(webhook, 'webhook', Object, true);
+        checkParam(event, 'event', String, true);
+
+        if(!webhook.isEnabled || !webhook.url) { return false; }
+
+        let events = webhook.events || [];
+
+        // No filter means all events
+        if(events.length < 1) { return true; }
+
+        for(let filter of events) {
+            if(filter === '*' || filter === event) { return true; }
+
+            // Filters like "content.*"
+            if(filter.slice(-2) === '.*' && event.indexOf(filter.slice(0, -1)) === 0) { return true; }
+        }
+
+        return false;
+    }
+
+    /**
+     * Notifies all webhooks listening to a resource action
+     * This doesn't wait for the deliveries, so saving resources isn't slowed down by external services
+     *
+     * @param {HashBrown.Entity.Resource.ResourceBase} resource
+     * @param {String} action
+     */
+    static trigger(resource, action) {
+        checkParam(resource, 'resource', HashBrown.Entity.Resource.ResourceBase, true);
+        checkParam(action, 'action', String, true);
+
+        let event = this.getEvent(resource, action);
+        let context = resource.context;
+
+        let data = resource.getObject();
+
+        delete data.context;
+
+        this.dispatch(context.project, context.environment, event, data)
+            .catch((e) => {
+                debug.error(e, this);
+            });
+    }
+
+    /**
+     * Sends an event to all listening webhooks of an environment
+     *
+     * @param {HashBrown.Entity.Project} project
+     * @param {String} environment
+     * @param {String} event
+     * @param {Object} data
+     */
+    static async dispatch(project, environment, event, data) {
+        checkParam(project, 'project', HashBrown.Entity.Project, true);
+        checkParam(environment, 'environment', String, true);
+        checkParam(event, 'event', String, true);
+        checkParam(data, 'data', Object);
+
+        let webhooks = await this.getWebhooks(project, environment);
+
+        for(let webhook of webhooks) {
+            if(!this.isListening(webhook, event)) { continue; }
+
+            await this.deliver(project.id, environment, webhook, {
+                id: HashBrown.Entity.EntityBase.createId(),
+                event: event,
+                project: project.id,
+                environment: environment,
+                timestamp: new Date().toISOString(),
+                data: data
+            });
+        }
+    }
+
+    /**
+     * Sends a test event to a webhook, without retrying
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {Object} webhook
+     *
+     * @return {Object} Log entry
+     */
+    static async test(context, webhook) {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(webhook, 'webhook', Object, true);
+
+        if(!webhook.url) {
+            throw new HashBrown.Http.Exception('Webhook URL is required', 400);
+        }
+
+        return await this.deliver(context.project.id, context.environment, webhook, {
+            id: HashBrown.Entity.EntityBase.createId(),
+            event: 'webhook.test',
+            project: context.project.id,
+            environment: context.environment,
+            timestamp: new Date().toISOString(),
+            data: null
+        }, 1, false);
+    }
+
+    /**
+     * Signs a payload
+     *
+     * @param {String} body
+     * @param {String} secret
+     *
+     * @return {String} Signature
+     */
+    static sign(body, secret) {
+        checkParam(body, 'body', String, true);
+        checkParam(secret, 'secret', String);
+
+        return 'sha256=' + Crypto.createHmac('sha256', secret || '').update(body, 'utf8').digest('hex');
+    }
+
+    /**
+     * Attempts a delivery, logs it and schedules a retry if it failed
+     *
+     * @param {String} project
+     * @param {String} environment
+     * @param {Object} webhook
+     * @param {Object} payload
+     * @param {Number} attempt
+     * @param {Boolean} canRetry
+     *
+     * @return {Object} Log entry
+     */
+    static async deliver(project, environment, webhook, payload, attempt = 1, canRetry = true) {
+        checkParam(project, 'project', String, true);
+        checkParam(environment, 'environment', String, true);
+        checkParam(webhook, 'webhook', Object, true);
+        checkParam(payload, 'payload', Object, true);
+        checkParam(attempt, 'attempt', Number, true);
+        checkParam(canRetry, 'canRetry', Boolean, true);
+
+        let body = JSON.stringify(payload);
+
+        let entry = {
+            id: payload.id,
+            webhook: webhook.id || '',
+            event: payload.event,
+            url: webhook.url,
+            attempt: attempt,
+            timestamp: Date.now(),
+            statusCode: 0,
+            error: '',
+            isSuccess: false,
+            nextAttempt: null
+        };
+
+        try {
+            entry.statusCode = await this.post(webhook.url, body, {
+                'X-HashBrown-Event': payload.event,
+                'X-HashBrown-Delivery': payload.id,
+                'X-HashBrown-Signature': this.sign(body, webhook.secret || '')
+            });
+
+            entry.isSuccess = entry.statusCode >= 200 && entry.statusCode < 300;
+
+            if(!entry.isSuccess) {
+                entry.error = `Unexpected status code ${entry.statusCode}`;
+            }
+
+        } catch(e) {
+            entry.error = e.message;
+
+        }
+
+        if(!entry.isSuccess && canRetry && attempt < MAX_ATTEMPTS) {
+            let task = HashBrown.Entity.Task.new({
+                id: HashBrown.Entity.EntityBase.createId(),
+                type: 'webhook',
+                content: payload.id,
+                date: new Date(Date.now() + RETRY_DELAY * Math.pow(4, attempt - 1)),
+                project: project,
+                environment: environment,
+                data: {
+                    webhook: webhook.id,
+                    attempt: attempt + 1,
+                    payload: payload
+                }
+            });
+
+            await task.save();
+
+            entry.nextAttempt = task.date;
+        }
+
+        await this.log(project, environment, entry);
+
+        return entry;
+    }
+
+    /**
+     * Runs a retry task
+     *
+     * @param {HashBrown.Entity.Task} task
+     */
+    static async retry(task) {
+        checkParam(task, 'task', HashBrown.Entity.Task, true);
+
+        await task.remove();
+
+        let project = await HashBrown.Entity.Project.get(task.project);
+
+        if(!project) { return; }
+
+        let data = task.data || {};
+        let webhooks = await this.getWebhooks(project, task.environment);
+        let webhook = webhooks.filter((webhook) => webhook.id === data.webhook)[0];
+
+        // The webhook was removed or disabled since the first attempt
+        if(!webhook || !data.payload || !this.isListening(webhook, data.payload.event)) { return; }
+
+        await this.deliver(project.id, task.environment, webhook, data.payload, data.attempt || MAX_ATTEMPTS);
+    }
+
+    /**
+     * Posts a JSON body to a URL
+     *
+     * @param {String} url
+     * @param {String} body
+     * @param {Object} headers
+     *
+     * @return {Number} Status code
+     */
+    static post(url, body, headers = {}) {
+        checkParam(url, 'url', String, true);
+        checkParam(body, 'body', String, true);
+        checkParam(headers, 'headers', Object, true);
+
+        return new Promise((resolve, reject) => {
+            url = new URL(url);
+
+            if(url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return reject(new Error(`Unsupported protocol ${url.protocol}`));
+            }
+
+            let protocol = url.protocol === 'https:' ? HTTPS : HTTP;
+
+            let req = protocol.request({
+                host: url.hostname,
+                port: url.port,
+                path: url.pathname + url.search,
+                method: 'POST',
+                timeout: REQUEST_TIMEOUT,
+                headers: Object.assign({
+                    'Content-Type': 'application/json; charset=utf-8',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'HashBrown CMS'
+                }, headers)
+            }, (res) => {
+                // The response body is not used, but must be consumed
+                res.resume();
+
+                res.on('end', () => {
+                    resolve(res.statusCode);
+                });
+            });
+
+            req.on('timeout', () => {
+                req.destroy(new Error('Request timed out'));
+            });
+
+            req.on('error', (e) => {
+                reject(e);
+            });
+
+            req.end(body);
+        });
+    }
+
+    /**
+     * Adds an entry to the delivery log, and removes old ones
+     *
+     * @param {String} project
+     * @param {String} environment
+     * @param {Object} entry
+     */
+    static async log(project, environment, entry) {
+        checkParam(project, 'project', String, true);
+        checkParam(environment, 'environment', String, true);
+        checkParam(entry, 'entry', Object, true);
+
+        let collection = environment + '.webhookDeliveries';
+
+        await HashBrown.Service.DatabaseService.insertOne(project, collection, entry);
+
+        let entries = await HashBrown.Service.DatabaseService.find(project, collection, { webhook: entry.webhook }, {}, { timestamp: -1 });
+
+        if(entries.length <= MAX_LOG_ENTRIES) { return; }
+
+        await HashBrown.Service.DatabaseService.remove(project, collection, {
+            webhook: entry.webhook,
+            timestamp: { $lt: entries[MAX_LOG_ENTRIES - 1].timestamp }
+        });
+    }
+
+    /**
+     * Gets the delivery log of an environment, newest first
+     *
+     * @param {HashBrown.Entity.Context} context
+     * @param {String} webhook
+     *
+     * @return {Array} Log entries
+     */
+    static async getDeliveries(context, webhook = '') {
+        checkParam(context, 'context', HashBrown.Entity.Context, true);
+        checkParam(webhook, 'webhook', String);
+
+        let query = {};
+
+        if(webhook) {
+            query.webhook = webhook;
+        }
+
+        return await HashBrown.Service.DatabaseService.find(
+            context.project.id,
+            context.environment + '.webhookDeliveries',
+            query,
+            {},
+            {
+                timestamp: -1
+            }
+        );
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,566 @@
+'use strict';
+
+const NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Tags that separate segments in rich text, everything else stays inline as placeholders
+const BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+];
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: '\u00A0'
+};
+
+/**
+ * A helper for reading and writing XLIFF 2.0 documents
+ *
+ * A document is represented as { srcLang, trgLang, files: [ { original, notes, units } ] }
+ * A unit is represented as { name, data, parts }, where "data" holds the original inline markup by id,
+ * and "parts" are segments and ignorables as { type, source, target }
+ * The source and target of a part are lists of text and placeholders as { dataRef }
+ *
+ * @memberof HashBrown.Server.Service
+ */
+class XliffService {
+    /**
+     * Creates a unit from a text
+     *
+     * Rich text is split into a segment per block, with block tags as ignorables and inline tags as placeholders
+     *
+     * @param {String} name
+     * @param {String} source
+     * @param {String} target
+     * @param {Boolean} isHtml
+     *
+     * @return {Object} Unit
+     */
+    static createUnit(name, source, target, isHtml) {
+        checkParam(name, 'name', String, true);
+        checkParam(source, 'source', String, true);
+        checkParam(isHtml, 'isHtml', Boolean, true);
+
+        let unit = this.segment(source, isHtml);
+
+        unit.name = name;
+
+        // Targets can only be matched with the source when they have the same segments
+        if(target) {
+            let translated = this.segment(target, isHtml);
+            let segments = unit.parts.filter((part) => part.type === 'segment');
+            let translatedSegments = translated.parts.filter((part) => part.type === 'segment');
+
+            if(segments.length === translatedSegments.length) {
+                for(let i = 0; i < segments.length; i++) {
+                    segments[i].target = this.mapDataRefs(translatedSegments[i].source, translated.data, unit.data);
+                }
+            }
+        }
+
+        return unit;
+    }
+
+    /**
+     * Splits a text into parts
+     *
+     * @param {String} text
+     * @param {Boolean} isHtml
+     *
+     * @return {Object} Unit { data, parts }
+     */
+    static segment(text, isHtml) {
+        checkParam(text, 'text', String);
+        checkParam(isHtml, 'isHtml', Boolean, true);
+
+        if(!isHtml) {
+            return {
+                data: {},
+                parts: [ { type: 'segment', source: [ text ] } ]
+            };
+        }
+
+        let data = {};
+        let parts = [];
+        let run = [];
+
+        let addData = (markup) => {
+            let id = 'd' + (Object.keys(data).length + 1);
+
+            data[id] = markup;
+
+            return { dataRef: id };
+        };
+
+        let addPart = (type, pieces) => {
+            let previous = parts[parts.length - 1];
+
+            if(type === 'ignorable' && previous && previous.type === 'ignorable') {
+                previous.source = previous.source.concat(pieces);
+            } else {
+                parts.push({ type: type, source: pieces });
+            }
+        };
+
+        let flush = () => {
+            if(run.length < 1) { return; }
+
+            let hasText = run.some((piece) => typeof piece === 'string' && piece.trim().length > 0);
+
+            addPart(hasText ? 'segment' : 'ignorable', run);
+
+            run = [];
+        };
+
+        for(let token of text.match(/<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>|[^<]+|</g) || []) {
+            let tag = token.match(/^<\/?([a-zA-Z][a-zA-Z0-9]*)/);
+
+            if(tag && BLOCK_TAGS.indexOf(tag[1].toLowerCase()) > -1) {
+                flush();
+                addPart('ignorable', [ addData(token) ]);
+
+            } else if(tag || token.indexOf('<!--') === 0) {
+                run.push(addData(token));
+
+            } else {
+                run.push(this.decodeEntities(token));
+
+            }
+        }
+
+        flush();
+
+        return { data: data, parts: parts };
+    }
+
+    /**
+     * Points the placeholders of a list of pieces to the same markup in another set of data
+     *
+     * @param {Array} pieces
+     * @param {Object} from
+     * @param {Object} to
+     *
+     * @return {Array} Pieces
+     */
+    static mapDataRefs(pieces, from, to) {
+        checkParam(pieces, 'pieces', Array, true);
+        checkParam(from, 'from', Object, true);
+        checkParam(to, 'to', Object, true);
+
+        let used = [];
+
+        return pieces.map((piece) => {
+            if(typeof piece === 'string') { return piece; }
+
+            let id = Object.keys(to).find((id) => to[id] === from[piece.dataRef] && used.indexOf(id) < 0);
+
+            if(!id) {
+                id = 'd' + (Object.keys(to).length + 1);
+                to[id] = from[piece.dataRef];
+            }
+
+            used.push(id);
+
+            return { dataRef: id };
+        });
+    }
+
+    /**
+     * Gets the text of a unit
+     *
+     * @param {Object} unit
+     * @param {String} which "source" or "target"
+     * @param {Boolean} isHtml
+     *
+     * @return {String} Text, or null if a segment has no target
+     */
+    static getText(unit, which, isHtml) {
+        checkParam(unit, 'unit', Object, true);
+        checkParam(which, 'which', String, true);
+        checkParam(isHtml, 'isHtml', Boolean, true);
+
+        let text = '';
+
+        for(let part of unit.parts) {
+            let pieces = part[which];
+
+            // Ignorables are left untranslated by most tools
+            if(!pieces && part.type === 'ignorable') {
+                pieces = part.source;
+            }
+
+            if(!pieces) { return null; }
+
+            for(let piece of pieces) {
+                if(typeof piece === 'string') {
+                    text += isHtml ? this.encodeEntities(piece) : piece;
+                    continue;
+                }
+
+                if(unit.data[piece.dataRef] === undefined) {
+                    throw new Error(`Unknown placeholder "${piece.dataRef}"`);
+                }
+
+                text += unit.data[piece.dataRef];
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Serialises a document
+     *
+     * @param {Object} document { srcLang, trgLang, files }
+     *
+     * @return {String} XML
+     */
+    static serialize(document) {
+        checkParam(document, 'document', Object, true);
+        checkParam(document.srcLang, 'document.srcLang', String, true);
+        checkParam(document.trgLang, 'document.trgLang', String, true);
+        checkParam(document.files, 'document.files', Array, true);
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+        xml += `<xliff xmlns="${NAMESPACE}" version="2.0" srcLang="${this.escape(document.srcLang)}" trgLang="${this.escape(document.trgLang)}">\n`;
+
+        for(let i = 0; i < document.files.length; i++) {
+            let file = document.files[i];
+
+            xml += `  <file id="f${i + 1}" original="${this.escape(file.original)}">\n`;
+
+            if(file.notes && file.notes.length > 0) {
+                xml += '    <notes>\n';
+
+                for(let note of file.notes) {
+                    xml += `      <note>${this.escape(note)}</note>\n`;
+                }
+
+                xml += '    </notes>\n';
+            }
+
+            for(let j = 0; j < file.units.length; j++) {
+                let unit = file.units[j];
+                let dataIds = Object.keys(unit.data);
+
+                xml += `    <unit id="u${j + 1}" name="${this.escape(unit.name)}">\n`;
+
+                if(dataIds.length > 0) {
+                    xml += '      <originalData>\n';
+
+                    for(let id of dataIds) {
+                        xml += `        <data id="${id}">${this.escape(unit.data[id])}</data>\n`;
+                    }
+
+                    xml += '      </originalData>\n';
+                }
+
+                let placeholders = 0;
+                let serializePieces = (pieces) => pieces.map((piece) => {
+                    if(typeof piece === 'string') { return this.escape(piece); }
+
+                    return `<ph id="${++placeholders}" dataRef="${piece.dataRef}"/>`;
+                }).join('');
+
+                for(let part of unit.parts) {
+                    let state = part.type === 'segment' ? ` state="${part.target ? 'translated' : 'initial'}"` : '';
+
+                    xml += `      <${part.type}${state}>`;
+                    xml += `<source xml:space="preserve">${serializePieces(part.source)}</source>`;
+
+                    if(part.target) {
+                        xml += `<target xml:space="preserve">${serializePieces(part.target)}</target>`;
+                    }
+
+                    xml += `</${part.type}>\n`;
+                }
+
+                xml += '    </unit>\n';
+            }
+
+            xml += '  </file>\n';
+        }
+
+        xml += '</xliff>\n';
+
+        return xml;
+    }
+
+    /**
+     * Parses a document
+     *
+     * @param {String} xml
+     *
+     * @return {Object} Document { srcLang, trgLang, files }
+     */
+    static parse(xml) {
+        checkParam(xml, 'xml', String, true);
+
+        let root = this.parseXml(xml).children.find((child) => typeof child !== 'string');
+
+        if(!root || root.name !== 'xliff') {
+            throw new HashBrown.Http.Exception('The file is not an XLIFF document', 400);
+        }
+
+        if((root.attributes.version || '').indexOf('2.') !== 0) {
+            throw new HashBrown.Http.Exception(`XLIFF version "${root.attributes.version}" is not supported, only 2.0 is`, 400);
+        }
+
+        if(!root.attributes.srcLang || !root.attributes.trgLang) {
+            throw new HashBrown.Http.Exception('The XLIFF document needs both a source and a target language', 400);
+        }
+
+        let document = {
+            srcLang: root.attributes.srcLang,
+            trgLang: root.attributes.trgLang,
+            files: []
+        };
+
+        for(let file of this.getElements(root, 'file')) {
+            let units = [];
+
+            // Units may be nested in groups
+            let collectUnits = (element) => {
+                for(let child of this.getElements(element)) {
+                    if(child.name === 'group') {
+                        collectUnits(child);
+
+                    } else if(child.name === 'unit') {
+                        units.push(this.parseUnit(child));
+
+                    }
+                }
+            };
+
+            collectUnits(file);
+
+            document.files.push({
+                original: file.attributes.original || '',
+                notes: [],
+                units: units
+            });
+        }
+
+        return document;
+    }
+
+    /**
+     * Parses a unit element
+     *
+     * @param {Object} element
+     *
+     * @return {Object} Unit
+     */
+    static parseUnit(element) {
+        checkParam(element, 'element', Object, true);
+
+        let unit = {
+            name: element.attributes.name || element.attributes.id || '',
+            data: {},
+            parts: []
+        };
+
+        for(let originalData of this.getElements(element, 'originalData')) {
+            for(let data of this.getElements(originalData, 'data')) {
+                unit.data[data.attributes.id] = this.getTextContent(data);
+            }
+        }
+
+        // Placeholders may only have an id, which is the same as in the source
+        let dataRefs = {};
+
+        let parsePieces = (element) => {
+            let pieces = [];
+
+            for(let child of element.children) {
+                if(typeof child === 'string') {
+                    pieces.push(child);
+
+                } else if(child.name === 'ph') {
+                    let dataRef = child.attributes.dataRef || dataRefs[child.attributes.id];
+
+                    if(child.attributes.id && dataRef) {
+                        dataRefs[child.attributes.id] = dataRef;
+                    }
+
+                    pieces.push({ dataRef: dataRef });
+
+                } else {
+                    // Markers like "mrk" and "pc" are added by translation tools, their text is kept
+                    pieces = pieces.concat(parsePieces(child));
+
+                }
+            }
+
+            return pieces;
+        };
+
+        for(let child of this.getElements(element)) {
+            if(child.name !== 'segment' && child.name !== 'ignorable') { continue; }
+
+            let source = this.getElements(child, 'source')[0];
+            let target = this.getElements(child, 'target')[0];
+
+            unit.parts.push({
+                type: child.name,
+                source: source ? parsePieces(source) : [],
+                target: target ? parsePieces(target) : null
+            });
+        }
+
+        return unit;
+    }
+
+    /**
+     * Gets the child elements of an element
+     *
+     * @param {Object} element
+     * @param {String} name
+     *
+     * @return {Array} Elements
+     */
+    static getElements(element, name = '') {
+        checkParam(element, 'element', Object, true);
+        checkParam(name, 'name', String);
+
+        return element.children.filter((child) => typeof child !== 'string' && (!name || child.name === name));
+    }
+
+    /**
+     * Gets the text content of an element
+     *
+     * @param {Object} element
+     *
+     * @return {String} Text
+     */
+    static getTextContent(element) {
+        checkParam(element, 'element', Object, true);
+
+        return element.children.map((child) => typeof child === 'string' ? child : this.getTextContent(child)).join('');
+    }
+
+    /**
+     * Parses XML into a tree of elements as { name, attributes, children }
+     *
+     * Namespace prefixes are removed from element names
+     *
+     * @param {String} xml
+     *
+     * @return {Object} Root
+     */
+    static parseXml(xml) {
+        checkParam(xml, 'xml', String, true);
+
+        let root = { name: '', attributes: {}, children: [] };
+        let stack = [ root ];
+        let pattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([a-zA-Z_][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+        let match;
+
+        while((match = pattern.exec(xml)) !== null) {
+            let parent = stack[stack.length - 1];
+            let [ token, cdata, isClosing, name, attributes, isSelfClosing, text ] = match;
+
+            if(cdata !== undefined) {
+                parent.children.push(cdata);
+
+            } else if(text !== undefined) {
+                parent.children.push(this.decodeEntities(text));
+
+            } else if(name) {
+                name = name.split(':').pop();
+
+                if(isClosing) {
+                    if(parent.name !== name || stack.length < 2) {
+                        throw new HashBrown.Http.Exception(`Malformed XML: unexpected closing tag "${name}"`, 400);
+                    }
+
+                    stack.pop();
+                    continue;
+                }
+
+                let element = { name: name, attributes: {}, children: [] };
+
+                for(let attribute of attributes.match(/[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []) {
+                    let separator = attribute.indexOf('=');
+                    let key = attribute.substring(0, separator).trim();
+                    let value = attribute.substring(separator + 1).trim().slice(1, -1);
+
+                    element.attributes[key] = this.decodeEntities(value);
+                }
+
+                parent.children.push(element);
+
+                if(!isSelfClosing) {
+                    stack.push(element);
+                }
+
+            } else if(token === '<') {
+                throw new HashBrown.Http.Exception('Malformed XML: unexpected "<"', 400);
+
+            }
+        }
+
+        if(stack.length > 1) {
+            throw new HashBrown.Http.Exception(`Malformed XML: "${stack[stack.length - 1].name}" is never closed`, 400);
+        }
+
+        return root;
+    }
+
+    /**
+     * Escapes a string for use in XML
+     *
+     * @param {String} string
+     *
+     * @return {String} Escaped string
+     */
+    static escape(string) {
+        return (string || '').toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Encodes the characters of a text that have a meaning in HTML
+     *
+     * @param {String} text
+     *
+     * @return {String} HTML
+     */
+    static encodeEntities(text) {
+        return (text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\u00A0/g, '&nbsp;');
+    }
+
+    /**
+     * Decodes entities in XML or HTML
+     *
+     * @param {String} text
+     *
+     * @return {String} Text
+     */
+    static decodeEntities(text) {
+        return (text || '').replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+            if(name[0] === '#') {
+                let code = name[1] === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1));
+
+                return String.fromCodePoint(code);
+            }
+
+            return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+        });
+    }
+}
+
+module.exports = XliffService;
@@ -5,15 +5,25 @@
  */
 namespace('Service')
     .add(require('./AppService'))
+    .add(require('./ArchiveService'))
     .add(require('./ConfigService'))
     .add(require('./DatabaseService'))
     .add(require('./DebugService'))
     .add(require('./FileService'))
+    .add(require('./GraphQLService'))
     .add(require('./LocaleService'))
     .add(require('../../Common/Service/MarkdownService'))
     .add(require('./MigrationService'))
     .add(require('../../Common/Service/LibraryService'))
     .add(require('./PluginService'))
+    .add(require('./PromotionService'))
+    .add(require('./ReferenceService'))
     .add(require('./RequestService'))
     .add(require('./ScheduleService'))
+    .add(require('./SyncService'))
+    .add(require('./TranslationService'))
+    .add(require('./UploadService'))
+    .add(require('./ValidationService'))
+    .add(require('./WebhookService'))
+    .add(require('./XliffService'))
     .add(require('../../Common/Service/EventService'));
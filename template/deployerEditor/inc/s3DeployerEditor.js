@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = (_, model, state) => [
+
+_.field({label: 'Endpoint', description: 'Leave empty to use Amazon S3'},
+    _.text({value: model.endpoint, placeholder: 'e.g. http://localhost:9000', onchange: _.onChangeEndpoint})
+),
+_.field({label: 'Region'},
+    _.text({value: model.region, placeholder: 'us-east-1', onchange: _.onChangeRegion})
+),
+_.field({label: 'Bucket'},
+    _.text({value: model.bucket, placeholder: 'e.g. my-bucket', onchange: _.onChangeBucket})
+),
+_.field({label: 'Prefix', description: 'The folder inside the bucket to write files to'},
+    _.text({value: model.prefix, placeholder: 'e.g. media', onchange: _.onChangePrefix})
+),
+_.field({label: 'Access key id'},
+    _.text({value: model.accessKeyId, onchange: _.onChangeAccessKeyId})
+),
+_.field({label: 'Secret access key'},
+    _.text({value: model.secretAccessKey, type: 'password', onchange: _.onChangeSecretAccessKey})
+),
+_.field({label: 'Public URL', description: 'The URL the bucket is publicly readable from, such as a CDN. Media files are served from here'},
+    _.text({value: model.publicUrl, placeholder: 'e.g. https://cdn.example.com', onchange: _.onChangePublicUrl})
+)
+
+]
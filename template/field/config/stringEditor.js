@@ -1,7 +1,21 @@
 'use strict';
 
-module.exports = (_, model, state) => 
+module.exports = (_, model, state) => [
 
 _.field({label: 'Is multiple lines'},
     _.checkbox({disabled: model.isLocked, name: 'isMultiLine', value: model.config.isMultiLine || false, onchange: _.onChangeConfig})
+),
+_.field({label: 'Min. length'},
+    _.number({disabled: model.isLocked, min: 0, name: 'minLength', value: model.config.minLength || 0, onchange: _.onChangeConfig})
+),
+_.field({label: 'Max. length'},
+    _.number({disabled: model.isLocked, min: 0, name: 'maxLength', value: model.config.maxLength || 0, onchange: _.onChangeConfig})
+),
+_.field({label: 'Pattern', description: 'A regular expression the value must match'},
+    _.text({disabled: model.isLocked, name: 'pattern', value: model.config.pattern, onchange: _.onChangeConfig})
+),
+_.field({label: 'Pattern message', description: 'Shown when the value doesn\'t match the pattern'},
+    _.text({disabled: model.isLocked, name: 'patternMessage', value: model.config.patternMessage, onchange: _.onChangeConfig})
 )
+
+]
@@ -2,7 +2,7 @@
 
 module.exports = (_, model, state) =>
 
-_.div({class: `field ${state.className || ''} ${model.separator !== false ? 'separator' : ''} ${state.isFullscreen ? 'fullscreen' : ''}`},
+_.div({class: `field ${state.className || ''} ${model.separator !== false ? 'separator' : ''} ${state.isFullscreen ? 'fullscreen' : ''} ${state.inheritedFrom ? 'inherited' : ''} ${state.translationStatus === 'outdated' ? 'outdated' : ''} ${state.validationMessages && state.validationMessages.length > 0 ? 'invalid' : ''}`},
     state.name === 'error' ? [
         state.message
     
@@ -12,6 +12,9 @@ _.div({class: `field ${state.className || ''} ${model.separator !== false ? 'sep
                 _[model.size ? `h${model.size}` : 'div']({localized: model.localized, class: 'field__key__label'},
                     model.label,
                     model.isLocalized ? _.span({localized: true, class: 'field__key__label__icon fa fa-flag', title: 'This field is localised'}) : null,
+                    state.inheritedFrom ? _.span({class: 'field__key__label__inherited', title: 'This value is missing in the current locale, and is shown from a fallback'}, HashBrown.Service.LocaleService.getLocaleName(state.inheritedFrom)) : null,
+                    state.translationStatus === 'translated' ? _.span({localized: true, class: 'field__key__label__icon fa fa-check', title: 'Translated'}) : null,
+                    state.translationStatus === 'outdated' ? _.span({localized: true, class: 'field__key__label__outdated', title: 'The source has changed since this was marked as translated'}, 'Source changed') : null,
                 ),
                 _.div({localized: model.localized, class: 'field__key__description'}, model.description)
             )
@@ -47,10 +50,31 @@ _.div({class: `field ${state.className || ''} ${model.separator !== false ? 'sep
                 ] : state.name === 'config' ? [
                     _.include(state.configTemplate)
 
+                ] : state.sourceField ? [
+                    _.div({class: 'field__value__translation'},
+                        _.div({class: 'field__value__translation__source'},
+                            _.div({class: 'field__value__translation__locale'}, HashBrown.Service.LocaleService.getLocaleName(state.translation.sourceLocale)),
+                            state.sourceField.element
+                        ),
+                        _.div({class: 'field__value__translation__target'},
+                            _.div({class: 'field__value__translation__locale'}, HashBrown.Service.LocaleService.getLocaleName(HashBrown.Client.locale)),
+                            _.include(state.editorTemplate)
+                        )
+                    )
+
                 ] : [
                     _.include(state.editorTemplate)
 
-                ]
+                ],
+
+                state.validationMessages && state.validationMessages.length > 0 ? [
+                    _.div({class: 'field__value__errors'},
+                        _.each(state.validationMessages, (i, message) =>
+                            _.div({class: 'field__value__errors__error', localized: false}, message)
+                        )
+                    )
+
+                ] : null
             )
         )
     ]
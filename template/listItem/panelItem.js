@@ -2,9 +2,9 @@
 
 module.exports = (_, model, state) =>
         
-_.div({class: `list-item--panel-item ${model.type || ''} ${state.isActive ? 'active' : ''}`, 'data-sort': model.sort, id: model.id},
+_.div({class: `list-item--panel-item ${model.type || ''} ${state.isActive ? 'active' : ''} ${state.isSelected ? 'selected' : ''}`, 'data-sort': model.sort, id: model.id},
     _.div({class: 'list-item--panel-item__inner', name: 'inner', draggable: model.isDraggable, ondragstart: _.onDragStart, ondragend: _.onDragEnd,  ondragover: _.onDragOver, ondragleave: _.onDragLeave, ondrop: _.onDrop},
-        _[model.isDisabled ? 'div' : 'a']({href: model.isDisabled ? null : `#/${model.library}/${model.id}`, class: 'list-item--panel-item__name', oncontextmenu: _.onClickContext},
+        _[model.isDisabled ? 'div' : 'a']({href: model.isDisabled ? null : `#/${model.library}/${model.id}`, class: 'list-item--panel-item__name', onclick: _.onClickName, oncontextmenu: _.onClickContext},
             model.icon && !model.image ? [
                 _.span({class: `list-item--panel-item__icon fa fa-${model.icon}`})
             ] : null,
@@ -22,6 +22,10 @@ _.div({class: `list-item--panel-item ${model.type || ''} ${state.isActive ? 'act
 
             model.message ? [
                 _.div({class: 'list-item--panel-item__property fa fa-exclamation-triangle', title: model.message})
+            ] : null,
+
+            model.completion ? [
+                _.div({class: 'list-item--panel-item__property list-item--panel-item__completion', title: model.completion.title}, model.completion.label)
             ] : null
         ),
         _.div({class: 'list-item--panel-item__actions'},
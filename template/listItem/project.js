@@ -13,6 +13,7 @@ _.div({class: 'list-item--project'},
                 options: {
                     'Settings': _.onClickSettings,
                     'Backups': _.onClickBackups,
+                    'Export': _.onClickExport,
                     'Delete': _.onClickRemove
                 }
             })
@@ -25,7 +26,19 @@ _.div({class: 'list-item--project'},
                 _.span({localized: true, class: 'list-item--project__info__icon fa fa-flag', title: 'Locales'}),
                 model.settings.locales.length,
                 model.settings && model.settings.sync && model.settings.sync.enabled ? _.span({localized: true, class: 'list-item--project__info__icon fa fa-external-link', title: 'Synced'}) : null
-            )
+            ),
+            HashBrown.Client.context.user.isAdmin && model.backupStatus.lastSuccess ? [
+                _.p({class: 'list-item--project__info__backup'},
+                    _.span({localized: true, class: 'list-item--project__info__icon fa fa-archive', title: 'Last backup'}),
+                    new Date(model.backupStatus.lastSuccess.date).toLocaleString()
+                )
+            ] : null,
+            HashBrown.Client.context.user.isAdmin && model.backupStatus.lastFailure && (!model.backupStatus.lastSuccess || new Date(model.backupStatus.lastFailure.date) > new Date(model.backupStatus.lastSuccess.date)) ? [
+                _.p({class: 'list-item--project__info__backup failed', title: model.backupStatus.lastFailure.message},
+                    _.span({localized: true, class: 'list-item--project__info__icon fa fa-warning', title: 'Last backup failed'}),
+                    new Date(model.backupStatus.lastFailure.date).toLocaleString()
+                )
+            ] : null
         ),
         _.div({class: 'list-item--project__environments'},
             _.each(model.environments, (i, environment) =>
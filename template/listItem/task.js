@@ -0,0 +1,43 @@
+'use strict';
+
+// Task types that aren't scheduled from the dashboard
+const TYPES = {
+    publish: 'Publish content',
+    unpublish: 'Unpublish content',
+    webhook: 'Retry webhook delivery'
+};
+
+module.exports = (_, model, state) =>
+
+_.div({class: `list-item--task ${model.isFailed ? 'failed' : ''}`},
+    _.div({class: 'list-item--task__body'},
+        _.popup({
+            icon: 'ellipsis-v',
+            role: 'item-menu',
+            options: [ 'publish', 'unpublish', 'webhook' ].indexOf(model.type) > -1 || !!model.data && model.data.isPolicy === true ? {
+                'Run now': _.onClickRun,
+                'Remove': _.onClickRemove
+            } : {
+                'Run now': _.onClickRun,
+                'Edit': _.onClickEdit,
+                'Remove': _.onClickRemove
+            }
+        }),
+        _.h3({class: 'list-item--task__name'},
+            (state.types || {})[model.type] || TYPES[model.type] || model.type
+        ),
+        _.p({class: 'list-item--task__target'},
+            [ model.project, model.environment, model.content, model.data && model.data.publication ].filter(Boolean).join(' / ') || 'All projects'
+        ),
+        _.p({class: 'list-item--task__date'},
+            _.span({class: 'list-item--task__date__icon fa fa-clock-o'}),
+            model.isFailed ? 'Failed, not scheduled' : new Date(model.date).toLocaleString(),
+            model.schedule ? _.code({class: 'list-item--task__schedule'}, model.schedule) : null
+        ),
+        (model.attempts > 0 || model.isFailed) && model.errors && model.errors.length > 0 ? [
+            _.p({class: 'list-item--task__error', title: model.errors[model.errors.length - 1].message},
+                `Attempt ${model.attempts} of ${model.maxAttempts} failed: ${model.errors[model.errors.length - 1].message}`
+            )
+        ] : null
+    )
+)
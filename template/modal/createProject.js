@@ -12,6 +12,18 @@ _.div({class: 'modal in'},
             state.name === 'error' ? [
                 state.message
 
+            ] : state.name === 'imported' ? [
+                _.p({localized: true}, `Imported ${state.result.resources} resources and ${state.result.mediaFiles} media files, with these warnings:`),
+                _.div({class: 'widget widget--message warn'},
+                    _.each(state.result.warnings, (i, warning) =>
+                        _.p({}, warning)
+                    )
+                )
+
+            ] : state.name === 'importing' ? [
+                _.p({localized: true}, 'The project name and id from the previous step are used, if they were entered'),
+                _.file({name: 'archive', accept: '.tar.gz,.tgz', onsubmit: _.onSubmitArchive})
+
             ] : [
                 _.field({localized: true, separator: false, label: 'Project name'},
                     _.input({class: 'widget widget--text', placeholder: 'example.com', onchange: (e) => _.onInputName(e.target.value)})
@@ -27,7 +39,11 @@ _.div({class: 'modal in'},
             state.name === 'error'? [
                 _.button({class: 'widget widget--button', onclick: _.onClickReset}, 'OK')
             
-            ] : [
+            ] : state.name === 'imported' ? [
+                _.button({class: 'widget widget--button', onclick: _.onClickClose}, 'OK')
+
+            ] : state.name === 'importing' ? null : [
+                _.button({class: 'widget widget--button', onclick: _.onClickImport}, 'Import archive'),
                 _.button({class: 'widget widget--button', onclick: _.onClickCreate}, 'OK')
             
             ]
@@ -0,0 +1,51 @@
+'use strict';
+
+module.exports = (_, model, state) =>
+
+_.div({class: 'modal in'},
+    _.div({class: 'modal__dialog fields'},
+        _.div({class: 'modal__header'},
+            _.h4({localized: true, class: 'modal__title'}, model.id ? 'Edit job' : 'Add job'),
+            _.button({class: 'modal__close fa fa-close', onclick: _.onClickClose})
+        ),
+        _.div({localized: true, class: 'modal__body'},
+            state.name === 'error' ? [
+                state.message,
+
+            ] : [
+                _.field({localized: true, separator: false, label: 'Type'},
+                    _.popup({disabled: !!model.id, value: model.type, options: state.typeOptions, onchange: _.onChangeType})
+                ),
+                _.field({localized: true, separator: false, label: 'Project'},
+                    _.popup({disabled: !!model.id, value: model.project, options: state.projectOptions, clearable: true, onchange: _.onChangeProject})
+                ),
+                model.project ? [
+                    _.field({localized: true, separator: false, label: 'Environment'},
+                        _.popup({disabled: !!model.id, value: model.environment, options: state.environmentOptions, clearable: true, onchange: _.onChangeEnvironment})
+                    )
+                ] : null,
+                model.environment && (model.type === 'republish' || model.type === 'purgeCache') ? [
+                    _.field({localized: true, separator: false, label: 'Publication', description: 'Leave empty to include all publications'},
+                        _.popup({disabled: !!model.id, value: model.data.publication, options: state.publicationOptions, clearable: true, onchange: _.onChangePublication})
+                    )
+                ] : null,
+                _.field({localized: true, separator: false, label: 'Schedule', description: 'Minute, hour, day of month, month and day of week, like "0 3 * * 1" for 03:00 every Monday. Leave empty to run once.'},
+                    _.input({class: 'widget widget--text', type: 'text', placeholder: '0 3 * * *', value: model.schedule, onchange: (e) => _.onInputSchedule(e.target.value)})
+                ),
+                _.field({localized: true, separator: false, label: 'Attempts', description: 'How many times to try before giving up'},
+                    _.input({class: 'widget widget--text', type: 'number', min: 1, value: model.maxAttempts, onchange: (e) => _.onInputMaxAttempts(e.target.value)})
+                )
+
+            ]
+        ),
+        _.div({localized: true, class: 'modal__footer'},
+            state.name === 'error' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickReset}, 'OK')
+
+            ] : [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickSave}, model.id ? 'Save' : 'Add')
+
+            ]
+        )
+    )
+)
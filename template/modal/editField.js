@@ -33,6 +33,9 @@ _.div({class: 'modal in'},
                 _.field({localized: true, label: 'Localised'},
                     _.checkbox({value: model.definition.isLocalized, onchange: _.onChangeIsLocalized})
                 ),
+                _.field({localized: true, label: 'Required'},
+                    _.checkbox({value: model.definition.isRequired, onchange: _.onChangeIsRequired})
+                ),
                 state.extraFields
             ]
         ),
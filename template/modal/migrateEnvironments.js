@@ -1,8 +1,15 @@
 'use strict';
 
+const LIBRARIES = {
+    content: 'Content',
+    media: 'Media',
+    schemas: 'Schemas',
+    publications: 'Publications'
+};
+
 module.exports = (_, model, state) =>
 
-_.div({class: 'modal in'},
+_.div({class: 'modal modal--migrate-environments in'},
     _.div({class: 'modal__dialog fields'},
         _.div({class: 'modal__header'},
             _.h4({localized: true, class: 'modal__title'}, 'Migrate environment'),
@@ -11,21 +18,122 @@ _.div({class: 'modal in'},
         _.div({localized: true, class: 'modal__body'},
             state.name === 'error' ? [
                 state.message,
-            
+
+            ] : state.name === 'preview' ? [
+                _.p({localized: true}, `Promoting from ${state.from} to ${state.to}:`),
+                _.each(state.plan.items, (i, item) =>
+                    _.div({class: `modal--migrate-environments__item ${item.action}`},
+                        _.div({class: 'modal--migrate-environments__item__heading'},
+                            _.span({localized: true, class: 'modal--migrate-environments__item__action'}, item.action),
+                            _.span({class: 'modal--migrate-environments__item__name'}, `${LIBRARIES[item.library]}: ${item.name}`),
+                            _.span({localized: true, class: 'modal--migrate-environments__item__reason'}, item.reason)
+                        ),
+                        _.each(item.changes, (i, change) =>
+                            _.div({class: 'modal--migrate-environments__change'},
+                                _.span({class: 'modal--migrate-environments__change__key'}, change.key),
+                                _.span({class: 'modal--migrate-environments__change__before'}, change.before),
+                                _.span({class: 'modal--migrate-environments__change__after'}, change.after)
+                            )
+                        )
+                    )
+                ),
+                state.plan.warnings.length > 0 ? [
+                    _.div({class: 'widget widget--message warn'},
+                        _.each(state.plan.warnings, (i, warning) =>
+                            _.p({}, warning)
+                        )
+                    )
+                ] : null
+
+            ] : state.name === 'promoted' ? [
+                _.p({localized: true}, `Promoted ${state.promotion.items.length} resources from ${state.from} to ${state.to}`),
+                state.promotion.warnings.length > 0 ? [
+                    _.div({class: 'widget widget--message warn'},
+                        _.each(state.promotion.warnings, (i, warning) =>
+                            _.p({}, warning)
+                        )
+                    )
+                ] : null
+
+            ] : state.name === 'history' ? [
+                !state.promotions || state.promotions.length < 1 ? [
+                    _.label({localized: true, class: 'widget widget--label'}, 'No promotions yet')
+                ] : null,
+                _.each(state.promotions, (i, promotion) =>
+                    _.div({class: 'modal--migrate-environments__item'},
+                        _.div({class: 'modal--migrate-environments__item__heading'},
+                            _.span({class: 'modal--migrate-environments__item__name'}, `${promotion.from} → ${promotion.to}`),
+                            _.span({class: 'modal--migrate-environments__item__reason'}, `${promotion.userName}, ${new Date(promotion.date).toLocaleString()}`)
+                        ),
+                        _.each(promotion.items, (i, item) =>
+                            _.div({class: 'modal--migrate-environments__change'},
+                                _.span({localized: true, class: 'modal--migrate-environments__change__key'}, item.action),
+                                _.span({class: 'modal--migrate-environments__change__after'}, `${LIBRARIES[item.library]}: ${item.name}`)
+                            )
+                        )
+                    )
+                )
+
             ] : [
-                _.field({localized: true, separator: false, label: 'Destination', description: 'Migrate all resources to this environment'},
+                _.field({localized: true, separator: false, label: 'Destination', description: 'Migrate resources to this environment'},
                     _.popup({value: state.to, options: state.toOptions, onchange: _.onChangeTo})
-                )
+                ),
+                _.field({localized: true, separator: false, label: 'Resources', description: 'Selected resources are promoted along with the media and schemas they need'},
+                    _.popup({
+                        localized: true,
+                        value: state.mode,
+                        options: {
+                            'All resources': 'all',
+                            'Selected resources': 'select'
+                        },
+                        onchange: _.onChangeMode
+                    })
+                ),
+                state.mode === 'select' && state.candidates ? [
+                    _.each(LIBRARIES, (library, label) =>
+                        state.candidates[library] && state.candidates[library].length > 0 ? [
+                            _.div({class: 'modal--migrate-environments__library'},
+                                _.h5({localized: true, class: 'modal--migrate-environments__library__heading'}, label),
+                                _.each(state.candidates[library], (i, candidate) =>
+                                    _.div({class: 'widget-group'},
+                                        _.checkbox({
+                                            value: (state.selection[library] || []).indexOf(candidate.id) > -1,
+                                            onchange: (isSelected) => _.onChangeSelected(library, candidate.id, isSelected)
+                                        }),
+                                        _.label({class: 'widget widget--label'}, candidate.name),
+                                        _.span({localized: true, class: `modal--migrate-environments__status ${candidate.status}`}, candidate.status)
+                                    )
+                                )
+                            )
+                        ] : null
+                    )
+                ] : null
 
             ]
         ),
         _.div({localized: true, class: 'modal__footer'},
-            state.name === 'error'? [
+            state.name === 'error' ? [
                 _.button({localized: true, class: 'widget widget--button', onclick: _.onClickReset}, 'OK')
-            
+
+            ] : state.name === 'preview' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickBack}, 'Back'),
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickPromote}, 'Promote')
+
+            ] : state.name === 'promoted' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickBack}, 'Promote more'),
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickClose}, 'OK')
+
+            ] : state.name === 'history' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickBack}, 'Back')
+
+            ] : state.mode === 'select' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickHistory}, 'History'),
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickPreview}, 'Preview')
+
             ] : [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickHistory}, 'History'),
                 _.button({localized: true, class: 'widget widget--button', onclick: _.onClickMigrate}, 'Migrate')
-            
+
             ]
         )
     )
@@ -1,5 +1,15 @@
 'use strict';
 
+const WEEKDAYS = {
+    'Sunday': 0,
+    'Monday': 1,
+    'Tuesday': 2,
+    'Wednesday': 3,
+    'Thursday': 4,
+    'Friday': 5,
+    'Saturday': 6
+};
+
 module.exports = (_, model, state) =>
 
 _.div({class: 'modal in'},
@@ -21,6 +31,46 @@ _.div({class: 'modal in'},
             ] : state.name === 'deleting' ? [
                 'Are you sure you want to delete this backup?'
             
+            ] : state.name === 'policy' ? [
+                _.div({class: 'fields'},
+                    _.field({localized: true, separator: false, label: 'Frequency'},
+                        _.popup({
+                            localized: true,
+                            value: state.policy.frequency,
+                            options: {
+                                'Never': '',
+                                'Daily': 'daily',
+                                'Weekly': 'weekly'
+                            },
+                            onchange: (value) => _.onChangePolicy('frequency', value)
+                        })
+                    ),
+                    state.policy.frequency === 'weekly' ? [
+                        _.field({localized: true, separator: false, label: 'Day'},
+                            _.popup({
+                                localized: true,
+                                value: state.policy.weekday,
+                                options: WEEKDAYS,
+                                onchange: (value) => _.onChangePolicy('weekday', value)
+                            })
+                        )
+                    ] : null,
+                    state.policy.frequency ? [
+                        _.field({localized: true, separator: false, label: 'Hour', description: 'In the server\'s time zone'},
+                            _.input({class: 'widget widget--text', type: 'number', min: 0, max: 23, value: state.policy.hour, onchange: (e) => _.onChangePolicy('hour', e.target.value)})
+                        )
+                    ] : null,
+                    _.field({localized: true, separator: false, label: 'Keep latest', description: 'How many of the latest backups to keep. Leave both retention rules at 0 to keep all backups.'},
+                        _.input({class: 'widget widget--text', type: 'number', min: 0, value: state.policy.keepLast, onchange: (e) => _.onChangePolicy('keepLast', e.target.value)})
+                    ),
+                    _.field({localized: true, separator: false, label: 'Keep weekly', description: 'For how many weeks to keep the latest backup of each week'},
+                        _.input({class: 'widget widget--text', type: 'number', min: 0, value: state.policy.keepWeeks, onchange: (e) => _.onChangePolicy('keepWeeks', e.target.value)})
+                    ),
+                    _.field({localized: true, separator: false, size: 2, label: 'Off-site copy', description: 'Scheduled backups are also copied here'},
+                        state.deployerEditor
+                    )
+                )
+
             ] : [
                 !model.backups || model.backups.length < 1 ? [
                     _.label({localized: true, class: 'widget widget--label'}, 'No backups yet')
@@ -64,7 +114,12 @@ _.div({class: 'modal in'},
                 _.button({localized: true, class: 'widget widget--button', title: 'Cancel', onclick: _.onClickReset}, 'Cancel'),
                 _.button({localized: true, class: 'widget widget--button', title: 'Delete', onclick: _.onClickConfirmDeleteBackup}, 'Delete')
             
+            ] : state.name === 'policy' ? [
+                _.button({localized: true, class: 'widget widget--button', title: 'Cancel', onclick: _.onClickReset}, 'Cancel'),
+                _.button({localized: true, class: 'widget widget--button', title: 'Save schedule', onclick: _.onClickSavePolicy}, 'Save')
+            
             ] : [
+                _.button({localized: true, class: 'widget widget--button', title: 'Schedule backups', onclick: _.onClickPolicy}, 'Schedule'),
                 _.button({localized: true, class: 'widget widget--button', title: 'Upload backup', onclick: _.onClickUploadBackup}, 'Upload'),
                 _.button({localized: true, class: 'widget widget--button', title: 'Create a new backup', onclick: _.onClickCreateBackup}, 'New')
             
@@ -23,6 +23,78 @@ _.div({class: 'modal'},
                     onchange: _.onChangeLocales
                 })
             ),
+            _.partial('fallbacks', (_, model, state) =>
+                model.settings.locales.length > 1 ? [
+                    _.field({localized: true, separator: false, size: 2, label: 'Fallbacks', description: 'Values missing in a locale are taken from its fallback, then the fallback of that, and so on'},
+                        _.each(model.settings.locales, (i, locale) =>
+                            _.field({separator: false, label: HashBrown.Service.LocaleService.getLocaleName(locale), description: state.fallbackChains[locale]},
+                                _.popup({
+                                    value: (model.settings.localeFallbacks || {})[locale],
+                                    clearable: true,
+                                    options: state.fallbackOptions[locale],
+                                    onchange: (fallback) => _.onChangeLocaleFallback(locale, fallback)
+                                })
+                            )
+                        )
+                    )
+                ] : null
+            ),
+            _.field({localized: true, separator: false, size: 2, label: 'Workflow'},
+                _.field({localized: true, separator: false, label: 'Enabled', description: 'Content must be reviewed and approved before it can be published'},
+                    _.checkbox({
+                        value: !!model.settings.workflow && model.settings.workflow.enabled === true,
+                        onchange: _.onToggleWorkflow
+                    })
+                )
+            ),
+            _.partial('webhooks', (_, model, state) =>
+                _.field({localized: true, separator: false, size: 2, label: 'Webhooks', description: 'Payloads are signed with the secret in the X-HashBrown-Signature header'},
+                    _.each(model.environments, (i, environment) =>
+                        _.field({separator: false, size: 3, label: environment},
+                            _.each(state.webhooks ? state.webhooks[environment] : [], (i, webhook) =>
+                                _.field({
+                                    separator: false,
+                                    label: webhook.url || '(new webhook)',
+                                    tools: {
+                                        test: { icon: 'paper-plane', tooltip: 'Send test', handler: () => _.onClickTestWebhook(environment, webhook) },
+                                        remove: { icon: 'remove', tooltip: 'Remove this webhook', handler: () => _.onClickRemoveWebhook(environment, webhook) }
+                                    }
+                                },
+                                    _.div({class: 'modal--project-settings__webhook'},
+                                        _.field({localized: true, separator: false, label: 'URL'},
+                                            _.text({value: webhook.url, placeholder: 'https://example.com/webhook', onchange: (value) => _.onChangeWebhookUrl(webhook, value)})
+                                        ),
+                                        _.field({localized: true, separator: false, label: 'Secret'},
+                                            _.text({value: webhook.secret, type: 'password', onchange: (value) => _.onChangeWebhookSecret(webhook, value)})
+                                        ),
+                                        _.field({localized: true, separator: false, label: 'Events', description: 'Leave empty to send all events'},
+                                            _.popup({value: webhook.events, multiple: true, clearable: true, autocomplete: true, options: state.webhookEventOptions, onchange: (value) => _.onChangeWebhookEvents(webhook, value)})
+                                        ),
+                                        _.field({localized: true, separator: false, label: 'Enabled'},
+                                            _.checkbox({value: webhook.isEnabled === true, onchange: (value) => _.onToggleWebhook(webhook, value)})
+                                        ),
+                                        _.field({localized: true, separator: false, label: 'Deliveries'},
+                                            _.div({class: 'modal--project-settings__webhook__deliveries'},
+                                                !state.deliveries[webhook.id] ? [
+                                                    _.label({localized: true, class: 'widget widget--label'}, 'No deliveries yet')
+                                                ] : null,
+                                                _.each(state.deliveries[webhook.id], (i, delivery) =>
+                                                    _.div({class: `modal--project-settings__webhook__delivery ${delivery.isSuccess ? 'success' : 'failure'}`, title: delivery.error || ''},
+                                                        _.span({class: `fa fa-${delivery.isSuccess ? 'check' : 'warning'}`}),
+                                                        `${new Date(delivery.timestamp).toLocaleString()} ${delivery.event} (${delivery.statusCode || delivery.error})`,
+                                                        delivery.nextAttempt ? ` - retrying ${new Date(delivery.nextAttempt).toLocaleString()}` : ''
+                                                    )
+                                                )
+                                            )
+                                        )
+                                    )
+                                )
+                            ),
+                            _.button({localized: true, class: 'widget widget--button default small', onclick: () => _.onClickAddWebhook(environment)}, 'Add webhook')
+                        )
+                    )
+                )
+            ),
             _.field({localized: true, separator: false, size: 2, label: 'Sync'},
                 _.field({localized: true, separator: false, label: 'Enabled'},
                     _.checkbox({
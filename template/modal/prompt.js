@@ -11,7 +11,7 @@ _.div({class: 'modal in'},
         _.div({class: 'modal__body'},
             _.div({class: 'widget-group'},
                 _.label({class: 'widget widget--label'}, model.message),
-                _[model.widget]({localized: true, placeholder: model.placeholder, value: model.value, onchange: _.onChange})
+                _[model.widget]({localized: true, placeholder: model.placeholder, options: model.options, value: model.value, onchange: _.onChange})
             )
         ),
         _.div({class: 'modal__footer'},
@@ -2,10 +2,10 @@
 
 module.exports = (_, model, state) =>
 
-_.div({class: 'modal in'},
+_.div({class: 'modal modal--remove-content in'},
     _.div({class: 'modal__dialog'},
         _.div({class: 'modal__header'},
-            _.h4({localized: true, class: 'modal__title'}, `Remove "${state.title}"`),
+            _.h4({localized: true, class: 'modal__title'}, state.ids && state.ids.length > 1 ? `Remove ${state.title}` : `Remove "${state.title}"`),
             _.button({class: 'modal__close fa fa-close', onclick: _.onClickClose})
         ),
         _.div({class: 'modal__body'},
@@ -15,7 +15,39 @@ _.div({class: 'modal in'},
             ] : [
                 _.div({class: 'widget-group'},
                     _.label({localized: true, class: 'widget widget--label'}, 'Remove child content'),
-                    _.checkbox({ value: false, onchange: _.onChangeDeleteChildren})
+                    _.checkbox({ value: state.deleteChildren || false, onchange: _.onChangeDeleteChildren})
+                ),
+                _.partial('references', (_, model, state) =>
+                    _.div({class: 'modal--remove-content__references'},
+                        state.usage && state.usage.length > 0 ? [
+                            _.div({class: 'widget widget--message warn'},
+                                _.p({localized: true}, 'This content is referred to by:'),
+                                _.div({class: 'modal--remove-content__usage'},
+                                    _.each(state.usage, (i, content) =>
+                                        _.a({href: `#/content/${content.id}`, class: 'widget widget--button embedded', onclick: _.onClickClose}, content.name)
+                                    )
+                                )
+                            ),
+                            _.div({class: 'widget-group'},
+                                _.label({localized: true, class: 'widget widget--label'}, 'References'),
+                                _.popup({
+                                    options: {
+                                        'Keep them': 'keep',
+                                        'Clear them': 'clear',
+                                        'Replace them': 'replace'
+                                    },
+                                    value: state.references,
+                                    onchange: _.onChangeReferences
+                                })
+                            ),
+                            state.references === 'replace' ? [
+                                _.div({class: 'widget-group'},
+                                    _.label({localized: true, class: 'widget widget--label'}, 'Replace with'),
+                                    _.popup({options: state.contentOptions, value: state.replaceId, onchange: _.onChangeReplaceId})
+                                )
+                            ] : null
+                        ] : null
+                    )
                 )
             ]
         ),
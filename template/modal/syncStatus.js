@@ -0,0 +1,108 @@
+'use strict';
+
+const LIBRARIES = {
+    content: 'Content',
+    schemas: 'Schemas',
+    publications: 'Publications'
+};
+
+module.exports = (_, model, state) =>
+
+_.div({class: 'modal modal--sync-status in'},
+    _.div({class: 'modal__dialog fields'},
+        _.div({class: 'modal__header'},
+            _.h4({localized: true, class: 'modal__title'}, 'Sync status'),
+            _.button({class: 'modal__close fa fa-close', onclick: _.onClickClose})
+        ),
+        _.div({localized: true, class: 'modal__body'},
+            state.name === 'error' ? [
+                state.message,
+
+            ] : state.conflict ? [
+                _.p({class: 'modal--sync-status__heading'}, `${LIBRARIES[state.conflict.library]}: ${state.conflict.name}`),
+                _.p({localized: true, class: 'modal--sync-status__changes'}, `Local: ${state.conflict.local.change || 'unchanged'}, remote: ${state.conflict.remote.change || 'unchanged'}`),
+                state.conflict.fields.length < 1 ? [
+                    _.label({localized: true, class: 'widget widget--label'}, 'Both ends are the same')
+                ] : null,
+                _.each(state.conflict.fields, (i, field) =>
+                    _.div({class: 'modal--sync-status__field'},
+                        _.span({class: 'modal--sync-status__field__path'}, field.path.replace(/^properties\./, '')),
+                        _.div({class: `modal--sync-status__field__value ${field.isLocalChanged ? 'changed' : ''}`},
+                            _.span({localized: true, class: 'modal--sync-status__field__end'}, 'Local'),
+                            _.span({class: 'modal--sync-status__field__summary'}, field.localSummary)
+                        ),
+                        _.div({class: `modal--sync-status__field__value ${field.isRemoteChanged ? 'changed' : ''}`},
+                            _.span({localized: true, class: 'modal--sync-status__field__end'}, 'Remote'),
+                            _.span({class: 'modal--sync-status__field__summary'}, field.remoteSummary)
+                        ),
+                        state.conflict.local.exists && state.conflict.remote.exists ? [
+                            _.popup({
+                                localized: true,
+                                value: state.choices[field.path],
+                                options: {
+                                    'Keep local': 'local',
+                                    'Keep remote': 'remote'
+                                },
+                                onchange: (end) => _.onChangeChoice(field.path, end)
+                            })
+                        ] : null
+                    )
+                )
+
+            ] : state.status ? [
+                state.status.items.length < 1 ? [
+                    _.label({localized: true, class: 'widget widget--label'}, 'Everything is in sync with the remote')
+
+                ] : [
+                    _.p({localized: true}, `${state.status.ahead} ahead, ${state.status.behind} behind, ${state.status.conflicts} in conflict`)
+
+                ],
+                _.each(state.status.items, (i, item) =>
+                    _.div({class: `modal--sync-status__item ${item.status}`},
+                        _.span({localized: true, class: 'modal--sync-status__item__status'}, item.status),
+                        _.span({class: 'modal--sync-status__item__name'}, `${LIBRARIES[item.library]}: ${item.name}`),
+                        _.span({localized: true, class: 'modal--sync-status__item__changes'}, `Local: ${item.local.change || 'unchanged'}, remote: ${item.remote.change || 'unchanged'}`),
+                        item.status === 'ahead' ? [
+                            _.button({localized: true, class: 'widget widget--button small', onclick: () => _.onClickResolveItem(item, 'local')}, 'Push')
+                        ] : item.status === 'behind' ? [
+                            _.button({localized: true, class: 'widget widget--button small', onclick: () => _.onClickResolveItem(item, 'remote')}, 'Pull')
+                        ] : [
+                            _.button({localized: true, class: 'widget widget--button small', onclick: () => _.onClickItem(item)}, 'Resolve')
+                        ]
+                    )
+                )
+
+            ] : null,
+            state.warnings && state.warnings.length > 0 ? [
+                _.div({class: 'widget widget--message warn'},
+                    _.each(state.warnings, (i, warning) =>
+                        _.p({}, warning)
+                    )
+                )
+            ] : null
+        ),
+        _.div({localized: true, class: 'modal__footer'},
+            state.name === 'error' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickReset}, 'OK')
+
+            ] : state.conflict ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickBack}, 'Back'),
+                _.button({localized: true, class: 'widget widget--button', onclick: () => _.onClickResolve('local')}, 'Keep local'),
+                _.button({localized: true, class: 'widget widget--button', onclick: () => _.onClickResolve('remote')}, 'Keep remote'),
+                state.conflict.local.exists && state.conflict.remote.exists && state.conflict.fields.length > 0 ? [
+                    _.button({localized: true, class: 'widget widget--button', onclick: () => _.onClickResolve('merge')}, 'Merge')
+                ] : null
+
+            ] : [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickRefresh}, 'Refresh'),
+                state.status && state.status.behind > 0 ? [
+                    _.button({localized: true, class: 'widget widget--button', onclick: _.onClickPullAll}, 'Pull all')
+                ] : null,
+                state.status && state.status.ahead > 0 ? [
+                    _.button({localized: true, class: 'widget widget--button', onclick: _.onClickPushAll}, 'Push all')
+                ] : null
+
+            ]
+        )
+    )
+)
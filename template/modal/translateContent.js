@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = (_, model, state) =>
+
+_.div({class: 'modal modal--translate-content in'},
+    _.div({class: 'modal__dialog fields'},
+        _.div({class: 'modal__header'},
+            _.h4({localized: true, class: 'modal__title'}, model.contentId ? `Translate "${model.name}"` : 'Import translations'),
+            _.button({class: 'modal__close fa fa-close', onclick: _.onClickClose})
+        ),
+        _.div({localized: true, class: 'modal__body'},
+            state.name === 'error' ? [
+                state.message,
+
+            ] : state.name === 'imported' ? [
+                _.p({localized: true}, state.result.updated.length > 0 ? `Translations to ${state.result.locale} were imported into:` : `No translations to ${state.result.locale} were imported`),
+                _.each(state.result.updated, (i, item) =>
+                    _.div({class: 'modal--translate-content__item'},
+                        _.span({class: 'modal--translate-content__item__name'}, item.name),
+                        _.span({localized: true, class: 'modal--translate-content__item__units'}, `${item.units} field${item.units > 1 ? 's' : ''}`)
+                    )
+                ),
+                state.result.warnings.length > 0 ? [
+                    _.div({class: 'widget widget--message warn'},
+                        _.each(state.result.warnings, (i, warning) =>
+                            _.p({}, warning)
+                        )
+                    )
+                ] : null
+
+            ] : model.contentId ? [
+                _.p({localized: true}, `Exports this content and everything below it as XLIFF 2.0, with the ${state.sourceLocale} text as the source`),
+                _.field({localized: true, separator: false, label: 'Target locale'},
+                    _.popup({value: state.locale, options: state.localeOptions, onchange: _.onChangeLocale})
+                )
+
+            ] : [
+                _.p({localized: true}, 'Translations are only imported for fields whose source text hasn\'t changed since the export'),
+                _.file({name: 'xliff', accept: '.xlf,.xliff', onsubmit: _.onSubmitFile})
+
+            ]
+        ),
+        _.div({localized: true, class: 'modal__footer'},
+            state.name === 'error' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickReset}, 'OK')
+
+            ] : state.name === 'imported' ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickClose}, 'OK')
+
+            ] : model.contentId ? [
+                _.button({localized: true, class: 'widget widget--button', onclick: _.onClickExport}, 'Export')
+
+            ] : null
+        )
+    )
+)
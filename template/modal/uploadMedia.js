@@ -13,6 +13,12 @@ _.div({class: 'modal modal--upload-media in'},
                 state.message,
 
             ] : [
+                state.pending && state.pending.length > 0 ? [
+                    _.div({class: 'widget widget--message modal--upload-media__pending'},
+                        _.p({localized: true}, 'Some uploads were not finished. Select the same files again to resume them:'),
+                        _.p(state.pending.join(', '))
+                    )
+                ] : null,
                 _.partial('preview',  (_, model, state) =>
                     _.div({name: 'preview', class: 'modal--upload-media__previews', name: 'previews'},
                         _.each(state.previews, (i, file) =>
@@ -29,6 +35,7 @@ _.div({class: 'modal modal--upload-media in'},
 
                                     ]
                                 ),
+                                _.div({class: 'modal--upload-media__preview__progress'}),
                                 _.p({class: 'modal--upload-media__preview__name'}, file.name)
                             )
                         )
@@ -37,6 +44,7 @@ _.div({class: 'modal modal--upload-media in'},
                 _.file({
                     name: 'media',
                     multiple: !model.replaceId,
+                    raw: true,
                     onchange: _.onChangeFile,
                     onsubmit: _.onSubmit
                 })
@@ -60,10 +60,7 @@ _.div({class: 'modal in'},
                                     clearable: true,
                                     localized: true,
                                     placeholder: '(no scopes)',
-                                    options: {
-                                        'Publications': 'publications',
-                                        'Schemas': 'schemas'
-                                    },
+                                    options: state.scopeOptions[project.id],
                                     onchange: (scopes) => _.onChangeResourceScope(project.id, scopes)
                                 })
                             )
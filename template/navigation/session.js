@@ -21,7 +21,11 @@ _.div({class: 'navigaton navigation--session'},
         role: 'navigation-menu',
         localized: true, 
         icon: 'user',
-        options: {
+        options: state.isSyncEnabled ? {
+            'User settings': _.onClickUserSettings,
+            'Sync status': _.onClickSyncStatus,
+            'Log out': _.onClickLogOut
+        } : {
             'User settings': _.onClickUserSettings,
             'Log out': _.onClickLogOut
         }
@@ -19,6 +19,7 @@ module.exports = (_, model) => `
             ${model.context.user.isAdmin ? `
                 <a class="page--dashboard__header__tab ${model.tab === 'projects' ? 'active' : ''}" href="${model.context.config.system.rootUrl}/dashboard/projects">${_.t('Projects')}</a>
                 <a class="page--dashboard__header__tab ${model.tab === 'users' ? 'active' : ''}" href="${model.context.config.system.rootUrl}/dashboard/users">${_.t('Users')}</a>
+                <a class="page--dashboard__header__tab ${model.tab === 'jobs' ? 'active' : ''}" href="${model.context.config.system.rootUrl}/dashboard/jobs">${_.t('Jobs')}</a>
                 <a class="page--dashboard__header__tab ${model.tab === 'server' ? 'active' : ''}" href="${model.context.config.system.rootUrl}/dashboard/server">${_.t('Server')}</a>
             `: ''}
         </header>
@@ -42,6 +43,28 @@ module.exports = (_, model) => `
                         </div>
                     </div>
 
+                ` : model.context.user.isAdmin && model.tab === 'jobs' ? `
+                    <div class="page--dashboard__jobs">
+                        <h2 class="page--dashboard__jobs__heading">${_.t('Upcoming')}</h2>
+                        <div class="page--dashboard__jobs__list widget-grid">
+                            <button class="page--dashboard__jobs__add widget widget--button dashed embedded expanded"><span class="fa fa-plus"></span>${_.t('Add job')}</button>
+                        </div>
+
+                        <h2 class="page--dashboard__jobs__heading">${_.t('Past runs')}</h2>
+                        <table class="page--dashboard__jobs__runs">
+                            <thead>
+                                <tr>
+                                    <td>${_.t('Date')}</td>
+                                    <td>${_.t('Job')}</td>
+                                    <td>${_.t('Target')}</td>
+                                    <td>${_.t('Duration')}</td>
+                                    <td>${_.t('Result')}</td>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+
                 ` : model.context.user.isAdmin && model.tab === 'server' ? `
                     <div class="page--dashboard__server">
                         <table class="page--dashboard__server__info">
@@ -10,6 +10,9 @@ _.div({class: 'panel'},
             _.search({tooltip: 'Search', class: 'widget-group panel__tools__search', value: state.searchQuery, onclear: _.onClickClearSearch, onsearch: _.onClickSearch}),
             state.sortingOptions && Object.values(state.sortingOptions).length > 1 ? [
                 _.popup({localized: true, tooltip: 'Sorting', class: 'panel__tools__sort', options: state.sortingOptions, color: 'secondary', value: state.sortingMethod, icon: 'sort', role: 'sorting', onchange: _.onChangeSortingMethod})
+            ] : null,
+            state.filteringOptions && Object.values(state.filteringOptions).length > 1 ? [
+                _.popup({localized: true, tooltip: 'Filtering', class: 'panel__tools__filter', options: state.filteringOptions, color: state.filteringMethod ? 'primary' : 'secondary', value: state.filteringMethod, icon: 'filter', role: 'filtering', onchange: _.onChangeFilteringMethod})
             ] : null
         ),
         _.div({class: 'panel__items', name: 'items'},
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = (_, model, state) => [
+
+_.field({label: 'Template', description: 'Use {{key}} for escaped values and {{{key}}} for raw values, like rich text'},
+    _.text({multiline: true, value: model.template, placeholder: '<h1>{{title}}</h1>', onchange: _.onChangeTemplate})
+)
+
+]
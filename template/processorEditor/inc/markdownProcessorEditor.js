@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = (_, model, state) => [
+
+_.field({label: 'Body field', description: 'The key of the rich text field to use as the body, defaults to the first rich text field'},
+    _.text({value: model.bodyField, placeholder: 'e.g. text', onchange: _.onChangeBodyField})
+)
+
+]
@@ -13,6 +13,77 @@ _.div({class: 'resource-editor resource-editor--content-editor'},
         ] : state.tab === 'overview' ? [
             _.include(require('./inc/overview')),
         
+        ] : state.tab === 'comments' ? [
+            model.comments.length < 1 ? [
+                _.div({localized: true, class: 'widget widget--message centered'}, 'No comments')
+
+            ] : [
+                _.each(model.comments, (i, comment) =>
+                    _.div({class: 'resource-editor--content-editor__comment'},
+                        _.div({class: 'resource-editor--content-editor__comment__header'},
+                            _.span({class: 'resource-editor--content-editor__comment__author'}, comment.author),
+                            _.span({class: 'resource-editor--content-editor__comment__date'}, new Date(comment.date).toLocaleString()),
+                            _.each(state.workflow.states.filter((workflowState) => workflowState.id === comment.state), (i, workflowState) =>
+                                _.span({class: 'resource-editor--content-editor__comment__state'}, workflowState.name)
+                            )
+                        ),
+                        _.p({class: 'resource-editor--content-editor__comment__text'}, comment.text)
+                    )
+                )
+            ],
+            _.field({localized: true, label: 'Add comment'},
+                _.div({class: 'widget-group'},
+                    _.text({multiline: true, value: state.commentText, onchange: _.onChangeCommentText}),
+                    _.button({localized: true, class: 'widget widget--button', onclick: _.onClickAddComment}, 'Add')
+                )
+            )
+
+        ] : state.tab === 'history' ? [
+            state.revisions.length < 1 ? [
+                _.div({localized: true, class: 'widget widget--message centered'}, 'No revisions')
+
+            ] : [
+                _.field({localized: true, label: 'Compare', description: 'Pick two revisions to see what changed between them'},
+                    _.div({class: 'resource-editor--content-editor__revisions'},
+                        _.div({class: 'widget-group'},
+                            _.popup({value: state.fromRevision, options: state.revisionOptions, onchange: _.onChangeFromRevision}),
+                            _.button({localized: true, disabled: model.isLocked, class: 'widget widget--button small fa fa-undo', title: 'Restore this revision', onclick: () => _.onClickRestoreRevision(state.fromRevision)})
+                        ),
+                        _.div({class: 'widget-group'},
+                            _.popup({value: state.toRevision, options: state.revisionOptions, onchange: _.onChangeToRevision}),
+                            _.button({localized: true, disabled: model.isLocked, class: 'widget widget--button small fa fa-undo', title: 'Restore this revision', onclick: () => _.onClickRestoreRevision(state.toRevision)})
+                        )
+                    )
+                ),
+                state.changes.length < 1 ? [
+                    _.div({localized: true, class: 'widget widget--message centered'}, 'No changes between these revisions')
+
+                ] : [
+                    _.each(state.changes, (i, change) =>
+                        _.field({label: change.label},
+                            _.div({class: 'resource-editor--content-editor__revisions'},
+                                change.before.element,
+                                change.after.element
+                            )
+                        )
+                    )
+                ]
+            ]
+
+        ] : state.tab === 'usage' ? [
+            state.usage.length < 1 ? [
+                _.div({localized: true, class: 'widget widget--message centered'}, 'No content refers to this')
+
+            ] : [
+                _.field({localized: true, label: 'Used by', description: 'Content referring to this content'},
+                    _.div({class: 'resource-editor--content-editor__usage'},
+                        _.each(state.usage, (i, content) =>
+                            _.a({href: `#/content/${content.id}`, class: 'widget widget--button embedded'}, content.name)
+                        )
+                    )
+                )
+            ]
+
         ] : [
             _.each(state.fields, (key, field) =>
                 field.element
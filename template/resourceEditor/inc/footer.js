@@ -14,6 +14,15 @@ state.tab !== 'overview' ? [
             model ? [
                 _.a({localized: true, href: `#/${state.library}/${state.id}/json`, class: 'widget widget--button embedded hidden-phone'}, 'Advanced'),
                 !model.isLocked ? [
+                    _.each(state.footerActions, (i, action) =>
+                        action.options ? [
+                            _.popup({localized: true, tooltip: action.description, label: action.name, value: action.value, options: action.options, onchange: action.handler})
+
+                        ] : [
+                            _.button({localized: true, class: 'widget widget--button embedded', title: action.description, onclick: action.handler}, action.name)
+
+                        ]
+                    ),
                     state.visibleSaveOptions && Object.keys(state.visibleSaveOptions).length > 0 ? [
                         _.div({class: 'widget-group'},
                             _.button({localized: true, class: 'widget widget--button', name: 'save', onclick: _.onClickSave}, 'Save'),
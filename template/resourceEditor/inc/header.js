@@ -5,7 +5,10 @@ module.exports = (_, model, state) =>
 _.div({class: 'resource-editor__header'},
     _.div({class: 'resource-editor__header__title', localized: !!state.name},
         _.span({class: `resource-editor__header__title__icon fa fa-${state.icon}`}),
-        state.title
+        state.title,
+        state.badge ? [
+            _.span({localized: true, class: 'resource-editor__header__title__badge'}, state.badge)
+        ] : null
     ),
    state.tabs && Object.keys(state.tabs).length > 1 ? [
         _.div({class: 'resource-editor__header__tabs'},
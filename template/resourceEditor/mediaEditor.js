@@ -20,6 +20,9 @@ _.div({class: 'resource-editor resource-editor--media-editor'},
                     _.button({class: 'widget widget--button small fa fa-refresh', title: 'Generate public URL', onclick: _.onClickGeneratePublicUrl})
                 )
             ),
+            _.field({localized: true, label: 'Strip location', description: 'Removes GPS coordinates and other embedded metadata from uploaded images'},
+                _.checkbox({value: state.settings.mediaStripLocation, onchange: _.onToggleStripLocation})
+            ),
             _.field({localized: true, label: 'File handling', description: 'How to read/write media files', size: 2},
                 state.deployerEditor
             )
@@ -38,6 +41,58 @@ _.div({class: 'resource-editor resource-editor--media-editor'},
                         _.file({accept: '.jpg,.jpeg,.JPG,.JPEG', clearable: true, filenames: [ 'thumbnail.jpg' ], onchange: _.onChangeThumbnail})
                     )
                 ] : null,
+                model.isImage() && !model.isSvg() ? [
+                    _.field({localized: true, label: 'Composition', description: 'Click the image to set the focal point, or to position the selected crop', tools: { reset: { icon: 'undo', tooltip: 'Reset', handler: _.onClickResetComposition } }},
+                        _.partial('composition', (_, model, state) =>
+                            _.div({class: 'resource-editor--media-editor__composition'},
+                                state.saveOptions.file ? [
+                                    _.div({localized: true, class: 'widget widget--message'}, 'Save the new file before editing its composition')
+                                
+                                ] : [
+                                    _.popup({value: state.cropPreset, options: state.cropOptions, onchange: _.onChangeCropPreset}),
+                                    _.div({class: 'resource-editor--media-editor__composition__stage', onclick: _.onClickComposition},
+                                        _.img({class: 'resource-editor--media-editor__composition__image', src: state.contentSource, onload: (e) => _.onLoadCompositionImage(e.target)}),
+                                        state.crop ? [
+                                            _.div({class: 'resource-editor--media-editor__composition__crop', style: `left: ${state.crop.x * 100}%; top: ${state.crop.y * 100}%; width: ${state.crop.width * 100}%; height: ${state.crop.height * 100}%;`})
+                                        
+                                        ] : [
+                                            _.div({class: 'resource-editor--media-editor__composition__focal-point', style: `left: ${model.getFocalPoint().x * 100}%; top: ${model.getFocalPoint().y * 100}%;`})
+                                        
+                                        ]
+                                    ),
+                                    state.crop ? [
+                                        _.number({disabled: model.isLocked, range: true, min: 0.1, max: 1, step: 0.01, value: state.cropScale, onchange: _.onChangeCropScale})
+                                    ] : null
+                                ]
+                            )
+                        )
+                    )
+                ] : null,
+                Object.keys(state.metadata || {}).length > 0 ? [
+                    _.field({localized: true, label: 'Metadata', size: 2},
+                        _.each(state.metadata, (label, value) =>
+                            _.field({localized: true, label: label},
+                                _.div({class: 'widget-group'},
+                                    label === 'Color' ? [
+                                        _.span({class: 'resource-editor--media-editor__swatch', style: `background-color: ${value};`})
+                                    ] : null,
+                                    _.label({class: 'widget widget--label'}, value)
+                                )
+                            )
+                        )
+                    )
+                ] : null,
+                _.field({localized: true, label: 'Used by', description: 'Content referring to this media'},
+                    state.usage && state.usage.length > 0 ? [
+                        _.div({class: 'resource-editor--media-editor__usage'},
+                            _.each(state.usage, (i, content) =>
+                                _.a({href: `#/content/${content.id}`, class: 'widget widget--button embedded'}, content.name)
+                            )
+                        )
+                    ] : [
+                        _.label({localized: true, class: 'widget widget--label'}, 'Not used by any content')
+                    ]
+                ),
                 _.field({localized: true, label: 'Folder', tools: { move: { icon: 'folder', tooltip: 'Move', handler: _.onClickMove } }},
                     _.text({value: model.folder, onchange: _.onChangeFolder})
                 ),
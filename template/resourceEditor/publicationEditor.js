@@ -20,7 +20,7 @@ _.div({class: 'resource-editor resource-editor--publication-editor'},
             _.field({localized: true, label: 'Name'},
                 _.text({disabled: model.isLocked, value: model.name, onchange: _.onChangeName})
             ),
-            _.field({localized: true, label: 'GET URL', description: 'Query this publication from the URL below, filtering via query strings, e.g. "?url=/my/page"'},
+            _.field({localized: true, label: 'GET URL', description: 'Query this publication from the URL below, filtering via query strings, e.g. "?url=/my/page" or "?date[$gt]=2020-01-01"'},
                 _.div({class: 'widget-group'},
                     _.label({class: 'widget widget--label'}, state.getUrl),
                     _.button({title: 'Copy URL', class: 'widget widget--button small fa fa-copy', onclick: _.onClickCopyGetUrl}),
@@ -35,7 +35,34 @@ _.div({class: 'resource-editor resource-editor--publication-editor'},
                     _.li({class: 'widget-group widget--list__item'},
                         _.label({class: 'widget widget--label small embedded'}, 'nocache'),
                         _.label({class: 'widget widget--label embedded'}, 'true/false'),
+                    ),
+                    _.li({class: 'widget-group widget--list__item'},
+                        _.label({class: 'widget widget--label small embedded'}, 'sort'),
+                        _.label({class: 'widget widget--label embedded'}, 'key,-key'),
+                    ),
+                    _.li({class: 'widget-group widget--list__item'},
+                        _.label({class: 'widget widget--label small embedded'}, 'limit/offset'),
+                        _.label({class: 'widget widget--label embedded'}, 'number'),
+                    ),
+                    _.li({class: 'widget-group widget--list__item'},
+                        _.label({class: 'widget widget--label small embedded'}, 'fields'),
+                        _.label({class: 'widget widget--label embedded'}, 'key,key.subkey'),
                     )
+                ),
+                _.h4('Filter operators:'),
+                _.ul({class: 'widget widget--list'}, 
+                    _.each({ '$in': 'a,b', '$gt': 'value', '$lt': 'value', '$contains': 'value', '$exists': 'true/false' }, (operator, example) =>
+                        _.li({class: 'widget-group widget--list__item'},
+                            _.label({class: 'widget widget--label small embedded'}, `key[${operator}]`),
+                            _.label({class: 'widget widget--label embedded'}, example),
+                        )
+                    )
+                )
+            ),
+            _.field({localized: true, label: 'GraphQL URL', description: 'Query this publication with GraphQL by sending a "query" parameter to the URL below'},
+                _.div({class: 'widget-group'},
+                    _.label({class: 'widget widget--label'}, state.graphqlUrl),
+                    _.button({title: 'Copy URL', class: 'widget widget--button small fa fa-copy', onclick: _.onClickCopyGraphqlUrl})
                 )
             ),
             _.field({localized: true, label: 'Processing', description: 'The format to expose content in', size: 2},